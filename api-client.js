@@ -0,0 +1,269 @@
+// API client shared by every page: the API address, session tokens,
+// apiRequest() and escapeHtml(). Pages load it before script.js or their own
+// scripts.
+
+// API Configuration
+const API_BASE = 'http://localhost:3001/api';
+
+// API Error Classes
+class APIError extends Error {
+    constructor(message, status, code, data = null) {
+        super(message);
+        this.name = 'APIError';
+        this.status = status;
+        this.code = code;
+        this.data = data;
+    }
+}
+
+class NetworkError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NetworkError';
+    }
+}
+
+class AuthenticationError extends APIError {
+    constructor(message) {
+        super(message, 401, 'AUTHENTICATION_ERROR');
+        this.name = 'AuthenticationError';
+    }
+}
+
+class ValidationError extends APIError {
+    constructor(message, data) {
+        super(message, 400, 'VALIDATION_ERROR', data);
+        this.name = 'ValidationError';
+    }
+}
+
+class ServerError extends APIError {
+    constructor(message, status) {
+        super(message, status, 'SERVER_ERROR');
+        this.name = 'ServerError';
+    }
+}
+
+// Retry configuration
+const RETRY_CONFIG = {
+    maxRetries: 3,
+    retryDelay: 1000, // Base delay in ms
+    backoffMultiplier: 2,
+    retryableStatuses: [408, 429, 500, 502, 503, 504] // Request Timeout, Too Many Requests, Server Errors
+};
+
+// Endpoints that start or end sessions; a 401 from these is not an
+// expired access token
+const SESSION_ENDPOINTS = ['/auth/login', '/auth/refresh', '/auth/logout', '/auth/aadhaar/verify'];
+
+// Utility functions for API calls
+async function apiRequest(endpoint, options = {}) {
+    const url = `${API_BASE}${endpoint}`;
+    const config = {
+        // The refresh token cookie is only sent with credentials
+        credentials: 'include',
+        headers: {
+            'Content-Type': 'application/json',
+            ...options.headers
+        },
+        ...options
+    };
+
+    // Let the browser set the multipart boundary for file uploads
+    if (options.body instanceof FormData) {
+        delete config.headers['Content-Type'];
+    }
+
+    // Add auth token if available
+    const token = localStorage.getItem('authToken');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+
+    let lastError;
+    let attempt = 0;
+    let refreshed = false;
+
+    while (attempt <= RETRY_CONFIG.maxRetries) {
+        try {
+            const response = await fetch(url, config);
+
+            // An expired or revoked access token: renew it from the refresh
+            // cookie once and repeat the request before giving up on the session
+            if (response.status === 401 && config.headers.Authorization && !refreshed && !SESSION_ENDPOINTS.includes(endpoint)) {
+                refreshed = true;
+                if (await refreshSession()) {
+                    config.headers.Authorization = `Bearer ${getAuthToken()}`;
+                    continue;
+                }
+            }
+
+            // Handle different response types
+            let data;
+            const contentType = response.headers.get('content-type');
+            if (options.responseType === 'blob' && response.ok) {
+                // Uploaded files are binary and must not be decoded as text
+                data = await response.blob();
+            } else if (contentType && contentType.includes('application/json')) {
+                data = await response.json();
+            } else {
+                data = await response.text();
+            }
+
+            if (!response.ok) {
+                // Categorize errors based on status code
+                const error = categorizeAPIError(response.status, data);
+                throw error;
+            }
+
+            return data;
+        } catch (error) {
+            lastError = error;
+
+            // Don't retry on certain errors
+            if (!shouldRetry(error, attempt)) {
+                break;
+            }
+
+            // Calculate delay with exponential backoff
+            const delay = RETRY_CONFIG.retryDelay * Math.pow(RETRY_CONFIG.backoffMultiplier, attempt);
+            console.warn(`API request failed (attempt ${attempt + 1}/${RETRY_CONFIG.maxRetries + 1}), retrying in ${delay}ms:`, error.message);
+
+            await new Promise(resolve => setTimeout(resolve, delay));
+            attempt++;
+        }
+    }
+
+    // Log final error
+    console.error('API request failed after all retries:', lastError);
+    throw lastError;
+}
+
+// Error categorization helper
+function categorizeAPIError(status, data) {
+    const message = data?.message || data?.error || `HTTP ${status} error`;
+
+    switch (status) {
+        case 400:
+            return new ValidationError(message, data);
+        case 401:
+            return new AuthenticationError(message);
+        case 403:
+            return new APIError(message, status, 'FORBIDDEN', data);
+        case 404:
+            return new APIError(message, status, 'NOT_FOUND', data);
+        case 409:
+            return new APIError(message, status, 'CONFLICT', data);
+        case 422:
+            return new ValidationError(message, data);
+        case 429:
+            return new APIError(message, status, 'RATE_LIMITED', data);
+        case 500:
+        case 502:
+        case 503:
+        case 504:
+            return new ServerError(message, status);
+        default:
+            return new APIError(message, status, 'UNKNOWN_ERROR', data);
+    }
+}
+
+// Determine if request should be retried
+function shouldRetry(error, attempt) {
+    // Don't retry on authentication or validation errors
+    if (error instanceof AuthenticationError || error instanceof ValidationError) {
+        return false;
+    }
+
+    // Retry on network errors
+    if (error instanceof NetworkError) {
+        return true;
+    }
+
+    // Retry on specific HTTP status codes
+    if (error instanceof APIError && RETRY_CONFIG.retryableStatuses.includes(error.status)) {
+        return true;
+    }
+
+    return false;
+}
+
+// What went wrong, for pages that show it inline: the API's validation
+// errors when it listed them, otherwise its message
+function apiErrorMessage(error) {
+    return Array.isArray(error.data?.errors) ? error.data.errors.join(', ') : error.message;
+}
+
+// Names, notes and listing text from the API are typed in by other users;
+// quotes are escaped too so the result is safe inside attribute values
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Authentication utilities
+function setAuthToken(token) {
+    localStorage.setItem('authToken', token);
+}
+
+function getAuthToken() {
+    return localStorage.getItem('authToken');
+}
+
+function removeAuthToken() {
+    localStorage.removeItem('authToken');
+}
+
+// The claims in the access token (sub, sid, role, tenant, exp), or null.
+// They are only read to choose pages; the server checks every request.
+function getTokenClaims() {
+    const token = getAuthToken();
+    if (!token) return null;
+
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload));
+    } catch (error) {
+        return null;
+    }
+}
+
+function isAuthenticated() {
+    const claims = getTokenClaims();
+    return !!claims && claims.exp * 1000 > Date.now();
+}
+
+// Access tokens last minutes; the httpOnly refresh cookie renews them. One
+// refresh runs at a time per tab, and across tabs where the browser has Web
+// Locks: a refresh token can only be used once, so a tab that waited takes
+// the token another tab has just stored instead of refreshing again.
+let sessionRefresh = null;
+
+function refreshSession() {
+    if (!sessionRefresh) {
+        const staleToken = getAuthToken();
+        const refresh = async () => {
+            if (getAuthToken() !== staleToken && isAuthenticated()) {
+                return true;
+            }
+            try {
+                const response = await fetch(`${API_BASE}/auth/refresh`, { method: 'POST', credentials: 'include' });
+                if (!response.ok) return false;
+                const result = await response.json();
+                setAuthToken(result.data.token);
+                return true;
+            } catch (error) {
+                console.warn('Session refresh failed:', error.message);
+                return false;
+            }
+        };
+
+        sessionRefresh = (navigator.locks ? navigator.locks.request('bluecarbon-session-refresh', refresh) : refresh())
+            .finally(() => { sessionRefresh = null; });
+    }
+    return sessionRefresh;
+}
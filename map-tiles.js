@@ -0,0 +1,42 @@
+// Map tiles for the Leaflet maps, kept in the browser's Cache Storage as
+// they are viewed so maps still work without a signal. Pages load it after
+// Leaflet.
+const MAP_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const MAP_TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const MAP_TILE_CACHE = 'bluecarbon-map-tiles';
+
+// From the cache when it is there; fetched and cached otherwise
+async function fetchMapTile(url) {
+    const cache = 'caches' in window ? await caches.open(MAP_TILE_CACHE) : null;
+    const cached = cache && await cache.match(url);
+    if (cached) return cached.blob();
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Map tile request failed (${response.status})`);
+    }
+    if (cache) await cache.put(url, response.clone());
+    return response.blob();
+}
+
+function createCachedTileLayer() {
+    const CachedTileLayer = L.TileLayer.extend({
+        createTile(coords, done) {
+            const tile = document.createElement('img');
+            tile.alt = '';
+            fetchMapTile(this.getTileUrl(coords))
+                .then((blob) => {
+                    const url = URL.createObjectURL(blob);
+                    tile.onload = () => {
+                        URL.revokeObjectURL(url);
+                        done(null, tile);
+                    };
+                    tile.onerror = () => done(new Error('Map tile could not be shown'), tile);
+                    tile.src = url;
+                })
+                .catch(error => done(error, tile));
+            return tile;
+        }
+    });
+    return new CachedTileLayer(MAP_TILE_URL, { attribution: MAP_TILE_ATTRIBUTION, maxZoom: 19 });
+}
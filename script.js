@@ -1,164 +1,3 @@
-// API Configuration
-const API_BASE = 'http://localhost:3001/api';
-
-// API Error Classes
-class APIError extends Error {
-    constructor(message, status, code, data = null) {
-        super(message);
-        this.name = 'APIError';
-        this.status = status;
-        this.code = code;
-        this.data = data;
-    }
-}
-
-class NetworkError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'NetworkError';
-    }
-}
-
-class AuthenticationError extends APIError {
-    constructor(message) {
-        super(message, 401, 'AUTHENTICATION_ERROR');
-        this.name = 'AuthenticationError';
-    }
-}
-
-class ValidationError extends APIError {
-    constructor(message, data) {
-        super(message, 400, 'VALIDATION_ERROR', data);
-        this.name = 'ValidationError';
-    }
-}
-
-class ServerError extends APIError {
-    constructor(message, status) {
-        super(message, status, 'SERVER_ERROR');
-        this.name = 'ServerError';
-    }
-}
-
-// Retry configuration
-const RETRY_CONFIG = {
-    maxRetries: 3,
-    retryDelay: 1000, // Base delay in ms
-    backoffMultiplier: 2,
-    retryableStatuses: [408, 429, 500, 502, 503, 504] // Request Timeout, Too Many Requests, Server Errors
-};
-
-// Utility functions for API calls
-async function apiRequest(endpoint, options = {}) {
-    const url = `${API_BASE}${endpoint}`;
-    const config = {
-        headers: {
-            'Content-Type': 'application/json',
-            ...options.headers
-        },
-        ...options
-    };
-
-    // Add auth token if available
-    const token = localStorage.getItem('authToken');
-    if (token) {
-        config.headers.Authorization = `Bearer ${token}`;
-    }
-
-    let lastError;
-    let attempt = 0;
-
-    while (attempt <= RETRY_CONFIG.maxRetries) {
-        try {
-            const response = await fetch(url, config);
-
-            // Handle different response types
-            let data;
-            const contentType = response.headers.get('content-type');
-            if (contentType && contentType.includes('application/json')) {
-                data = await response.json();
-            } else {
-                data = await response.text();
-            }
-
-            if (!response.ok) {
-                // Categorize errors based on status code
-                const error = categorizeAPIError(response.status, data);
-                throw error;
-            }
-
-            return data;
-        } catch (error) {
-            lastError = error;
-
-            // Don't retry on certain errors
-            if (!shouldRetry(error, attempt)) {
-                break;
-            }
-
-            // Calculate delay with exponential backoff
-            const delay = RETRY_CONFIG.retryDelay * Math.pow(RETRY_CONFIG.backoffMultiplier, attempt);
-            console.warn(`API request failed (attempt ${attempt + 1}/${RETRY_CONFIG.maxRetries + 1}), retrying in ${delay}ms:`, error.message);
-
-            await new Promise(resolve => setTimeout(resolve, delay));
-            attempt++;
-        }
-    }
-
-    // Log final error
-    console.error('API request failed after all retries:', lastError);
-    throw lastError;
-}
-
-// Error categorization helper
-function categorizeAPIError(status, data) {
-    const message = data?.message || data?.error || `HTTP ${status} error`;
-
-    switch (status) {
-        case 400:
-            return new ValidationError(message, data);
-        case 401:
-            return new AuthenticationError(message);
-        case 403:
-            return new APIError(message, status, 'FORBIDDEN', data);
-        case 404:
-            return new APIError(message, status, 'NOT_FOUND', data);
-        case 409:
-            return new APIError(message, status, 'CONFLICT', data);
-        case 422:
-            return new ValidationError(message, data);
-        case 429:
-            return new APIError(message, status, 'RATE_LIMITED', data);
-        case 500:
-        case 502:
-        case 503:
-        case 504:
-            return new ServerError(message, status);
-        default:
-            return new APIError(message, status, 'UNKNOWN_ERROR', data);
-    }
-}
-
-// Determine if request should be retried
-function shouldRetry(error, attempt) {
-    // Don't retry on authentication or validation errors
-    if (error instanceof AuthenticationError || error instanceof ValidationError) {
-        return false;
-    }
-
-    // Retry on network errors
-    if (error instanceof NetworkError) {
-        return true;
-    }
-
-    // Retry on specific HTTP status codes
-    if (error instanceof APIError && RETRY_CONFIG.retryableStatuses.includes(error.status)) {
-        return true;
-    }
-
-    return false;
-}
-
 // Enhanced error handling utilities
 function handleAPIError(error, context = '') {
     const errorContext = context ? `[${context}] ` : '';
@@ -353,21 +192,173 @@ function showErrorNotification(message, error, retryCallback = null, context = '
     }, retryCallback ? 10000 : 5000); // Longer timeout if retry option available
 }
 
-// Authentication utilities
-function setAuthToken(token) {
-    localStorage.setItem('authToken', token);
+// Mirrors ROLE_PERMISSIONS in server/src/permissions.js. The server
+// enforces these; the UI only uses them to hide actions a role can't take.
+const ROLE_PERMISSIONS = {
+    farmer: ['projects.manage', 'credits.sell'],
+    ngo: ['projects.manage', 'credits.sell'],
+    company: ['credits.buy', 'credits.retire'],
+    verifier: ['verifications.review'],
+    admin: ['verifications.review', 'verifications.assign', 'conflicts.resolve', 'users.manage']
+};
+
+function can(permission) {
+    const role = getTokenClaims()?.role;
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Hides elements marked data-permission="..." that the signed-in role lacks
+function applyPermissions(root = document) {
+    root.querySelectorAll('[data-permission]').forEach(element => {
+        element.classList.toggle('d-none', !can(element.dataset.permission));
+    });
+}
+
+// The login form's user type for a users.user_type, as redirectToDashboard() expects
+function dashboardUserType(role) {
+    return role === 'company' ? 'corporate' : role;
+}
+
+// Page guard for dashboards: resolves true once there is a live session
+// whose role may use the page. Otherwise sends the browser to login, or to
+// the dashboard for the role it has, and resolves false.
+async function requireSession(roles) {
+    if (!isAuthenticated() && !(await refreshSession())) {
+        removeAuthToken();
+        window.location.href = 'login.html';
+        return false;
+    }
+
+    const { role } = getTokenClaims();
+    if (!roles.includes(role)) {
+        redirectToDashboard(dashboardUserType(role));
+        return false;
+    }
+    applyPermissions();
+    return true;
+}
+
+// Ends the session on the server (clearing the refresh cookie) and locally.
+// The page leaves either way; a failed request only leaves the server-side
+// session to expire.
+async function logout() {
+    const token = getAuthToken();
+    try {
+        await fetch(`${API_BASE}/auth/logout`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+    } catch (error) {
+        console.warn('Logout request failed:', error.message);
+    }
+    removeAuthToken();
+    window.location.href = 'login.html';
+}
+
+// Active sessions modal (#sessionsModal on each dashboard)
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const systems = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+    const browser = browsers.find(([token]) => userAgent.includes(token));
+    const system = systems.find(([token]) => userAgent.includes(token));
+
+    if (!browser && !system) return userAgent.slice(0, 60);
+    return [browser?.[1], system?.[1]].filter(Boolean).join(' on ');
+}
+
+function openSessionsModal() {
+    new bootstrap.Modal(document.getElementById('sessionsModal')).show();
+    loadActiveSessions();
+}
+
+async function loadActiveSessions() {
+    const list = document.getElementById('activeSessionsList');
+    const signOutOthers = document.getElementById('signOutOtherSessionsBtn');
+    list.innerHTML = '<div class="list-group-item text-secondary">Loading sessions...</div>';
+
+    try {
+        const sessions = await apiRequest('/auth/sessions');
+        signOutOthers.disabled = !sessions.some(session => !session.current);
+        list.innerHTML = sessions.map(session => `
+            <div class="list-group-item d-flex justify-content-between align-items-center">
+                <div>
+                    <div class="fw-semibold">
+                        ${escapeHtml(describeUserAgent(session.userAgent))}
+                        ${session.current ? '<span class="badge bg-success ms-1">This device</span>' : ''}
+                    </div>
+                    <small class="text-secondary">
+                        ${session.ipAddress ? `${escapeHtml(session.ipAddress)} | ` : ''}Signed in ${formatTimeAgo(session.createdAt).toLowerCase()} | Last active ${formatTimeAgo(session.lastUsedAt).toLowerCase()}
+                    </small>
+                </div>
+                ${session.current ? '' : `<button type="button" class="btn btn-sm btn-outline-danger" onclick="signOutSession('${session.id}', this)">Sign out</button>`}
+            </div>
+        `).join('');
+    } catch (error) {
+        list.innerHTML = '<div class="list-group-item text-secondary">Sessions could not be loaded</div>';
+        handleAPIError(error, 'Sessions');
+    }
 }
 
-function getAuthToken() {
-    return localStorage.getItem('authToken');
+async function signOutSession(sessionId, button) {
+    showLoadingState(button, 'Signing out...');
+    try {
+        await apiRequest(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+        showNotification('Session signed out', 'success');
+        await loadActiveSessions();
+    } catch (error) {
+        hideLoadingState(button);
+        handleAPIError(error, 'Sessions');
+    }
 }
 
-function removeAuthToken() {
-    localStorage.removeItem('authToken');
+async function signOutOtherSessions(button) {
+    showLoadingState(button, 'Signing out...');
+    try {
+        const response = await apiRequest('/auth/sessions', { method: 'DELETE' });
+        const count = response.data.signedOut;
+        hideLoadingState(button);
+        showNotification(`Signed out of ${count} other session${count === 1 ? '' : 's'}`, 'success');
+        await loadActiveSessions();
+    } catch (error) {
+        hideLoadingState(button);
+        handleAPIError(error, 'Sessions');
+    }
 }
 
-function isAuthenticated() {
-    return !!getAuthToken();
+// Guest marketplace cart (written by marketplace.html)
+const GUEST_CART_KEY = 'guestCart';
+
+// Move anything added to the marketplace cart before login into the
+// account's saved cart. A failed merge leaves the guest cart in place.
+async function mergeGuestCart() {
+    let items;
+    try {
+        items = JSON.parse(localStorage.getItem(GUEST_CART_KEY) || '[]');
+    } catch (error) {
+        items = [];
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+        localStorage.removeItem(GUEST_CART_KEY);
+        return;
+    }
+    // Only buyers have a saved cart; anyone else leaves the guest cart as it is
+    if (!can('credits.buy')) {
+        return;
+    }
+
+    try {
+        await apiRequest('/cart/merge', {
+            method: 'POST',
+            body: JSON.stringify({ items })
+        });
+        localStorage.removeItem(GUEST_CART_KEY);
+    } catch (error) {
+        console.error('Failed to merge guest cart:', error);
+    }
 }
 
 // Counter Animation
@@ -392,6 +383,9 @@ document.addEventListener('DOMContentLoaded', function() {
     const communityCounter = document.getElementById('communityCounter');
     const revenueCounter = document.getElementById('revenueCounter');
 
+    // Counters only exist on the landing page
+    if (!projectCounter) return;
+
     // Start animations with delay
     setTimeout(() => animateCounter(projectCounter, 127), 500);
     setTimeout(() => animateCounter(creditCounter, 45620), 700);
@@ -435,6 +429,8 @@ document.querySelectorAll('section').forEach(section => {
 // Navbar background change on scroll
 window.addEventListener('scroll', function() {
     const navbar = document.querySelector('.navbar');
+    if (!navbar) return;
+
     if (window.scrollY > 50) {
         navbar.style.backgroundColor = 'rgba(30, 30, 30, 0.95)';
         navbar.style.backdropFilter = 'blur(10px)';
@@ -482,6 +478,9 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 function initializeLoginPage() {
+    // Only the login page has the Aadhaar modal
+    if (!document.getElementById('aadhaarModal')) return;
+
     // Set up user type selection
     setupUserTypeSelection();
 
@@ -597,7 +596,7 @@ async function handleLogin(userType, form) {
         if (success) {
             showNotification('Login successful! Redirecting...', 'success');
             setTimeout(() => {
-                redirectToDashboard(userType);
+                redirectToDashboard(dashboardUserType(getTokenClaims().role));
             }, 1500);
         } else {
             hideLoadingState(submitBtn);
@@ -672,19 +671,12 @@ function validateLoginForm(userType, data) {
 
 async function authenticateUser(userType, data) {
     try {
-        // Map user types to API roles
-        const roleMapping = {
-            farmer: 'project_owner',
-            corporate: 'project_owner',
-            ngo: 'project_owner',
-            admin: 'admin',
-            verifier: 'verifier'
-        };
-
+        // The server only signs in an account of the chosen type; the
+        // form's user types are users.user_type values but for "corporate"
         const loginData = {
             email: data.email || data.username || data.id,
             password: data.password,
-            role: roleMapping[userType] || 'project_owner'
+            role: userType === 'corporate' ? 'company' : userType
         };
 
         // Add additional fields based on user type
@@ -702,6 +694,7 @@ async function authenticateUser(userType, data) {
 
         if (response.success) {
             setAuthToken(response.data.token);
+            await mergeGuestCart();
             return true;
         }
         return false;
@@ -724,70 +717,96 @@ function redirectToDashboard(userType) {
 }
 
 // Aadhaar Modal Functionality
+// The server sends the OTP through its Aadhaar provider and, once it is
+// verified, returns a session for the farmer account linked to the Aadhaar
+// number. Errors are shown in place: a wrong OTP must not look like an
+// expired session to handleAPIError().
 function setupAadhaarModal() {
     const modal = new bootstrap.Modal(document.getElementById('aadhaarModal'));
+    let challengeId = null;
 
     window.openAadhaarLogin = function() {
         modal.show();
         isAadhaarModalOpen = true;
     };
 
-    window.sendAadhaarOTP = function() {
-        const aadhaarNumber = document.querySelector('#aadhaarLoginForm input[type="text"]').value;
+    window.sendAadhaarOTP = async function() {
+        const aadhaarNumber = document.getElementById('aadhaarNumber').value.replace(/\s+/g, '');
+        const sendBtn = document.getElementById('sendOtpBtn');
 
-        if (!aadhaarNumber || aadhaarNumber.length !== 12) {
+        if (!/^[0-9]{12}$/.test(aadhaarNumber)) {
             showNotification('Please enter a valid 12-digit Aadhaar number.', 'error');
             return;
         }
 
-        showNotification('OTP sent to your registered mobile number.', 'success');
-
-        // Simulate OTP input field
-        const otpSection = document.getElementById('otpSection');
-        otpSection.innerHTML = `
-            <div class="mb-3">
-                <label class="form-label">Enter OTP</label>
-                <input type="text" class="form-control" placeholder="Enter 6-digit OTP" maxlength="6" required>
-            </div>
-            <p class="small text-secondary">OTP expires in 5 minutes</p>
-        `;
+        showLoadingState(sendBtn, 'Sending OTP...');
+        try {
+            const response = await apiRequest('/auth/aadhaar/otp', {
+                method: 'POST',
+                body: JSON.stringify({ aadhaarNumber })
+            });
+            challengeId = response.data.challengeId;
+            hideLoadingState(sendBtn);
+            sendBtn.innerHTML = '<i class="fas fa-redo me-2"></i>Resend OTP';
+            showNotification('OTP sent to the mobile number registered with your Aadhaar.', 'success');
+
+            document.getElementById('otpInputSection').style.display = 'block';
+            document.getElementById('otpInput').value = '';
+            document.getElementById('otpInput').focus();
+        } catch (error) {
+            hideLoadingState(sendBtn);
+            showNotification(error.message, 'error');
+        }
     };
 
-    window.verifyAadhaar = function() {
-        const aadhaarNumber = document.querySelector('#aadhaarLoginForm input[type="text"]').value;
-        const otp = document.querySelector('#otpSection input')?.value;
+    window.verifyAadhaar = async function() {
+        const otp = document.getElementById('otpInput').value.trim();
         const method = document.getElementById('verificationMethod').value;
+        const verifyBtn = document.getElementById('verifyAadhaarBtn');
 
-        if (method === 'otp' && (!otp || otp.length !== 6)) {
-            showNotification('Please enter a valid 6-digit OTP.', 'error');
+        if (method === 'biometric') {
+            showNotification('Biometric authentication needs a registered Aadhaar device and is not available yet. Please use OTP.', 'info');
             return;
         }
 
-        if (method === 'biometric') {
-            showNotification('Biometric verification initiated. Please scan your fingerprint.', 'info');
-            setTimeout(() => {
-                showNotification('Biometric verification successful!', 'success');
-                modal.hide();
-                setTimeout(() => redirectToDashboard('farmer'), 1000);
-            }, 3000);
+        if (!challengeId) {
+            showNotification('Please request an OTP first.', 'error');
             return;
         }
 
-        // Mock OTP verification
-        if (otp === '123456') {
+        if (!/^[0-9]{6}$/.test(otp)) {
+            showNotification('Please enter a valid 6-digit OTP.', 'error');
+            return;
+        }
+
+        showLoadingState(verifyBtn, 'Verifying...');
+        try {
+            const response = await apiRequest('/auth/aadhaar/verify', {
+                method: 'POST',
+                body: JSON.stringify({ challengeId, otp })
+            });
+            setAuthToken(response.data.token);
+            await mergeGuestCart();
             showNotification('Aadhaar verification successful! Logging you in...', 'success');
             modal.hide();
             setTimeout(() => redirectToDashboard('farmer'), 1500);
-        } else {
-            showNotification('Invalid OTP. Please try again.', 'error');
+        } catch (error) {
+            hideLoadingState(verifyBtn);
+            showNotification(error.message, 'error');
         }
     };
+
+    document.getElementById('openAadhaarModal').addEventListener('click', window.openAadhaarLogin);
+    document.getElementById('sendOtpBtn').addEventListener('click', window.sendAadhaarOTP);
+    document.getElementById('verifyAadhaarBtn').addEventListener('click', window.verifyAadhaar);
+    document.getElementById('startBiometricBtn').addEventListener('click', window.verifyAadhaar);
 }
 
 function setupVerificationMethodToggle() {
     const methodSelect = document.getElementById('verificationMethod');
     const otpSection = document.getElementById('otpSection');
     const biometricSection = document.getElementById('biometricSection');
+    const otpInputSection = document.getElementById('otpInputSection');
 
     methodSelect.addEventListener('change', function() {
         if (this.value === 'otp') {
@@ -795,6 +814,7 @@ function setupVerificationMethodToggle() {
             biometricSection.style.display = 'none';
         } else {
             otpSection.style.display = 'none';
+            otpInputSection.style.display = 'none';
             biometricSection.style.display = 'block';
         }
     });
@@ -812,26 +832,6 @@ function setupSocialLogin() {
     });
 }
 
-// Loading States (keeping for backward compatibility, but enhanced version above is preferred)
-function showLoadingState(form) {
-    const submitBtn = form.querySelector('button[type="submit"]');
-    submitBtn.disabled = true;
-    submitBtn.innerHTML = '<span class="loading-spinner"></span> Logging in...';
-    submitBtn.classList.add('btn-loading');
-}
-
-function hideLoadingState(form) {
-    const submitBtn = form.querySelector('button[type="submit"]');
-    submitBtn.disabled = false;
-    submitBtn.innerHTML = submitBtn.innerHTML.replace('<span class="loading-spinner"></span> Logging in...',
-        submitBtn.innerHTML.includes('Farmer') ? '<i class="fas fa-sign-in-alt me-2"></i>Login to Farmer Account' :
-        submitBtn.innerHTML.includes('Corporate') ? '<i class="fas fa-sign-in-alt me-2"></i>Login to Corporate Account' :
-        submitBtn.innerHTML.includes('NGO') ? '<i class="fas fa-sign-in-alt me-2"></i>Login to NGO Account' :
-        submitBtn.innerHTML.includes('Admin') ? '<i class="fas fa-sign-in-alt me-2"></i>Login to Admin Portal' :
-        '<i class="fas fa-sign-in-alt me-2"></i>Login to Verification Portal');
-    submitBtn.classList.remove('btn-loading');
-}
-
 // Notification System
 function showNotification(message, type = 'info') {
     // Remove existing notifications
@@ -846,10 +846,12 @@ function showNotification(message, type = 'info') {
         </div>
         <div class="toast-content">
             <div class="toast-title">${type.charAt(0).toUpperCase() + type.slice(1)}</div>
-            <div class="toast-message">${message}</div>
+            <div class="toast-message"></div>
         </div>
         <button class="toast-close" onclick="this.parentElement.remove()">&times;</button>
     `;
+    // Messages often repeat API errors, which can name projects and users
+    notification.querySelector('.toast-message').textContent = message;
 
     document.body.appendChild(notification);
 
@@ -1029,6 +1031,8 @@ function updateProjectsList(projects) {
     if (projectBadge) {
         projectBadge.textContent = projects.length;
     }
+
+    updateNdviProjects(projects);
 }
 
 function createProjectRow(project) {
@@ -1039,8 +1043,8 @@ function createProjectRow(project) {
 
     row.innerHTML = `
         <td>
-            <strong>${project.name}</strong>
-            <br><small class="text-secondary">${project.location}</small>
+            <strong>${escapeHtml(project.name)}</strong>
+            <br><small class="text-secondary">${escapeHtml(project.location)}</small>
         </td>
         <td>${project.area} Ha</td>
         <td>${statusBadge}</td>
@@ -1055,7 +1059,8 @@ function createProjectRow(project) {
             <div class="btn-group btn-group-sm">
                 <button class="btn btn-outline-primary" onclick="viewProject('${project.id}')">View</button>
                 ${project.status === 'planning' ? '<button class="btn btn-outline-success" onclick="uploadProjectData(\'' + project.id + '\')">Upload</button>' : ''}
-                ${project.status === 'under_verification' ? '<button class="btn btn-outline-info" onclick="checkVerificationStatus(\'' + project.id + '\')">Status</button>' : ''}
+                ${['under_verification', 'information_requested', 'rejected'].includes(project.status) ? '<button class="btn btn-outline-info" onclick="checkVerificationStatus(\'' + project.id + '\')">Status</button>' : ''}
+                ${['planning', 'active', 'rejected', 'verified'].includes(project.status) ? '<button class="btn btn-outline-warning" onclick="submitForVerification(\'' + project.id + '\')">' + (project.status === 'verified' ? 'Reverify' : 'Submit') + '</button>' : ''}
             </div>
         </td>
     `;
@@ -1067,8 +1072,11 @@ function getStatusBadge(status) {
     const statusMap = {
         'verified': '<span class="badge bg-success">Verified</span>',
         'under_verification': '<span class="badge bg-warning">Under Verification</span>',
+        'information_requested': '<span class="badge bg-info">Information Requested</span>',
+        'active': '<span class="badge bg-primary">Active</span>',
         'planning': '<span class="badge bg-secondary">Planning</span>',
         'completed': '<span class="badge bg-info">Completed</span>',
+        'suspended': '<span class="badge bg-dark">Suspended</span>',
         'rejected': '<span class="badge bg-danger">Rejected</span>'
     };
 
@@ -1079,6 +1087,8 @@ function getProgressBarClass(status) {
     const classMap = {
         'verified': 'bg-success',
         'under_verification': 'bg-warning',
+        'information_requested': 'bg-info',
+        'active': 'bg-primary',
         'planning': 'bg-secondary',
         'completed': 'bg-info',
         'rejected': 'bg-danger'
@@ -1103,7 +1113,7 @@ function updateNotifications(notifications) {
         item.href = '#';
         item.innerHTML = `
             <div class="${notification.type === 'success' ? 'text-success' : notification.type === 'warning' ? 'text-warning' : ''}">
-                ${notification.icon} ${notification.message}
+                ${escapeHtml(notification.icon)} ${escapeHtml(notification.message)}
             </div>
             <small class="text-secondary">${formatTimeAgo(notification.timestamp)}</small>
         `;
@@ -1145,403 +1155,2924 @@ function formatTimeAgo(timestamp) {
 
 // Project Actions
 async function viewProject(projectId) {
-    try {
-        showLoadingState(null, 'Loading project details...');
-        const project = await apiRequest(`/projects/${projectId}`);
-        // TODO: Open project detail modal or navigate to project page
-        console.log('Project details:', project);
-        showNotification('Project details loaded', 'success');
-    } catch (error) {
-        handleAPIError(error, 'View Project');
-    } finally {
-        hideLoadingState(null);
-    }
+    openProjectBoundary(projectId);
 }
 
 async function uploadProjectData(projectId) {
-    // TODO: Implement file upload for project data
-    showNotification('Upload functionality coming soon', 'info');
+    openDocumentUpload('project_data', projectId);
 }
 
-async function checkVerificationStatus(projectId) {
+let currentOwnerVerification = null;
+
+// Opens the project's next verification: initial, or periodic once verified
+async function submitForVerification(projectId) {
     try {
-        const status = await apiRequest(`/projects/${projectId}/verification`);
-        // TODO: Show verification status modal
-        console.log('Verification status:', status);
+        const { data } = await apiRequest(`/projects/${projectId}/verification`, { method: 'POST' });
+        showNotification(data.verificationType === 'periodic'
+            ? 'Periodic verification requested. A verifier will review your latest monitoring data.'
+            : 'Project submitted for verification', 'success');
+        loadDashboardData();
     } catch (error) {
-        handleAPIError(error, 'Verification Status');
+        handleAPIError(error, 'Verification Submission');
     }
 }
 
-// Initialize dashboard when page loads
-document.addEventListener('DOMContentLoaded', function() {
-    // Check authentication first
-    if (!isAuthenticated()) {
-        window.location.href = 'login.html';
-        return;
-    }
-
-    // Load dashboard data
-    loadDashboardData();
-
-    // Initialize other dashboard functionality
-    initializeThemeToggle();
-});
-
-// Company Dashboard Data Loading Functions
-async function loadCompanyDashboardData() {
+// Latest verification of a project, with the verifier's open request (if
+// any) and a form to answer it
+async function checkVerificationStatus(projectId) {
     try {
-        // Load all company dashboard data in parallel
-        const [companyProfile, companyStats, marketplaceProjects, transactions] = await Promise.allSettled([
-            loadCompanyProfile(),
-            loadCompanyStats(),
-            loadMarketplaceProjects(),
-            loadCompanyTransactions()
-        ]);
-
-        // Update UI with loaded data
-        if (companyProfile.status === 'fulfilled') {
-            updateCompanyProfile(companyProfile.value);
+        const { verifications } = await apiRequest(`/projects/${projectId}/verification`);
+        if (verifications.length === 0) {
+            showNotification('This project has not been submitted for verification yet', 'info');
+            return;
         }
 
-        if (companyStats.status === 'fulfilled') {
-            updateCompanyStats(companyStats.value);
-        }
+        currentOwnerVerification = await apiRequest(`/verifications/${verifications[0].id}`);
+        const verification = currentOwnerVerification;
+        const openRequest = verification.status === 'info_requested' ? verification.infoRequests.at(-1) : null;
+        const statusText = {
+            pending: 'Waiting for a verifier to start the review',
+            in_progress: `Under review${verification.verifier ? ` by ${escapeHtml(verification.verifier.name)}` : ''}`,
+            info_requested: 'The verifier needs more information from you',
+            approved: `Approved: ${verification.verifiedTco2e} tCO2e`,
+            rejected: 'Rejected'
+        };
 
-        if (marketplaceProjects.status === 'fulfilled') {
-            updateMarketplaceProjects(marketplaceProjects.value);
-        }
+        document.getElementById('verificationStatusDetails').innerHTML = `
+            <h6>${escapeHtml(verification.projectName)}</h6>
+            <p class="mb-2">${statusText[verification.status]}</p>
+            ${openRequest ? `<div class="alert alert-info mb-0"><strong>${escapeHtml(openRequest.requestedByName)}:</strong> ${escapeHtml(openRequest.message)}</div>` : ''}
+            ${verification.rejectionReason ? `<div class="alert alert-danger mb-0">${escapeHtml(verification.rejectionReason)}</div>` : ''}
+        `;
+        document.getElementById('verificationResponse').value = '';
+        document.getElementById('verificationResponseFields').classList.toggle('d-none', !openRequest);
+        document.getElementById('verificationResponseSubmit').classList.toggle('d-none', !openRequest);
+        await loadOwnerSiteVisit();
 
-        if (transactions.status === 'fulfilled') {
-            updateCompanyTransactions(transactions.value);
-        }
+        new bootstrap.Modal(document.getElementById('verificationStatusModal')).show();
+    } catch (error) {
+        handleAPIError(error, 'Verification Status');
+    }
+}
 
-        // Handle any failed requests
-        [companyProfile, companyStats, marketplaceProjects, transactions].forEach((result, index) => {
-            if (result.status === 'rejected') {
-                const endpoints = ['Company Profile', 'Company Stats', 'Marketplace Projects', 'Transactions'];
-                console.warn(`Failed to load ${endpoints[index]}:`, result.reason);
-                handleAPIError(result.reason, `Company Dashboard ${endpoints[index]}`);
-            }
+async function submitVerificationResponse(event) {
+    event.preventDefault();
+    const submitButton = document.getElementById('verificationResponseSubmit');
+
+    try {
+        showLoadingState(submitButton, 'Sending...');
+        await apiRequest(`/verifications/${currentOwnerVerification.id}/respond`, {
+            method: 'POST',
+            body: JSON.stringify({ response: document.getElementById('verificationResponse').value })
         });
 
+        bootstrap.Modal.getInstance(document.getElementById('verificationStatusModal')).hide();
+        showNotification('Response sent. Your project is back under review.', 'success');
+        loadDashboardData();
     } catch (error) {
-        console.error('Error loading company dashboard data:', error);
-        handleAPIError(error, 'Company Dashboard Loading');
+        handleAPIError(error, 'Verification Response');
+    } finally {
+        hideLoadingState(submitButton);
     }
 }
 
-async function loadCompanyProfile() {
-    return await apiRequest('/auth/profile');
-}
-
-async function loadCompanyStats() {
-    return await apiRequest('/company/dashboard/stats');
+// Site visits are shown in the browser's local time
+function formatVisitSlot(startsAt, endsAt) {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    const time = date => date.toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' });
+    return `${start.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}, ${time(start)} - ${time(end)}`;
 }
 
-async function loadMarketplaceProjects() {
-    return await apiRequest('/marketplace/projects');
+async function downloadSiteVisitCalendar(visitId) {
+    try {
+        const response = await apiRequest(`/site-visits/${visitId}/calendar`);
+        const blob = new Blob([response], { type: 'text/calendar' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `site-visit-${visitId}.ics`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    } catch (error) {
+        handleAPIError(error, 'Download Calendar');
+    }
 }
 
-async function loadCompanyTransactions() {
-    return await apiRequest('/company/transactions');
-}
+let currentOwnerSiteVisit = null;
 
-// Update Company UI Functions
-function updateCompanyProfile(profile) {
-    // Update header company info
-    const companyNameElement = document.querySelector('.navbar .fw-bold');
-    const companyIdElement = document.querySelector('.navbar .text-secondary');
+// The project owner picks one of the proposed times, or cancels an agreed visit
+async function loadOwnerSiteVisit() {
+    const container = document.getElementById('verificationSiteVisit');
+    const visits = await apiRequest(`/site-visits?verificationId=${currentOwnerVerification.id}`);
+    const visit = visits.find(candidate => candidate.status !== 'cancelled');
+    currentOwnerSiteVisit = visit || null;
 
-    if (companyNameElement && profile.companyName) {
-        companyNameElement.textContent = profile.companyName;
+    if (!visit) {
+        container.innerHTML = '';
+        return;
     }
 
-    if (companyIdElement && profile.cin) {
-        companyIdElement.textContent = profile.cin;
+    if (visit.status === 'proposed') {
+        container.innerHTML = `
+            <h6><i class="fas fa-calendar-alt me-2"></i>Site visit by ${escapeHtml(visit.verifier.name)}</h6>
+            ${visit.notes ? `<p class="small text-secondary">${escapeHtml(visit.notes)}</p>` : ''}
+            <p class="mb-2">Choose a time that suits you:</p>
+            ${visit.slots.map((slot, index) => `
+                <div class="form-check">
+                    <input class="form-check-input" type="radio" name="siteVisitSlot" id="siteVisitSlot${index}" value="${slot.id}" ${index === 0 ? 'checked' : ''}>
+                    <label class="form-check-label" for="siteVisitSlot${index}">${formatVisitSlot(slot.startsAt, slot.endsAt)}</label>
+                </div>
+            `).join('')}
+            <div class="mt-2">
+                <button type="button" class="btn btn-sm btn-success" onclick="acceptSiteVisitSlot(this)">
+                    <i class="fas fa-check me-1"></i>Accept Time
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-danger" onclick="toggleSiteVisitCancel()">None of these work</button>
+            </div>
+            ${ownerSiteVisitCancelFields()}
+        `;
+    } else {
+        container.innerHTML = `
+            <h6><i class="fas fa-calendar-check me-2 text-success"></i>Site visit scheduled</h6>
+            <p class="mb-2">${formatVisitSlot(visit.startsAt, visit.endsAt)} with ${escapeHtml(visit.verifier.name)}</p>
+            ${visit.notes ? `<p class="small text-secondary">${escapeHtml(visit.notes)}</p>` : ''}
+            <button type="button" class="btn btn-sm btn-outline-primary" onclick="downloadSiteVisitCalendar('${visit.id}')">
+                <i class="fas fa-calendar-plus me-1"></i>Add to Calendar
+            </button>
+            <button type="button" class="btn btn-sm btn-outline-danger" onclick="toggleSiteVisitCancel()">Cancel Visit</button>
+            ${ownerSiteVisitCancelFields()}
+        `;
     }
+}
 
-    // Update dashboard header
-    const dashboardTitle = document.querySelector('.dashboard-header h1');
-    const dashboardSubtitle = document.querySelector('.dashboard-header p');
+function ownerSiteVisitCancelFields() {
+    return `
+        <div class="mt-2 d-none" id="siteVisitCancelFields">
+            <textarea class="form-control mb-2" id="siteVisitCancelReason" rows="2" maxlength="2000" placeholder="Let the verifier know why, and when would suit you"></textarea>
+            <button type="button" class="btn btn-sm btn-danger" onclick="cancelOwnerSiteVisit(this)">Send to Verifier</button>
+        </div>
+    `;
+}
+
+function toggleSiteVisitCancel() {
+    document.getElementById('siteVisitCancelFields').classList.toggle('d-none');
+}
+
+async function acceptSiteVisitSlot(button) {
+    const slot = document.querySelector('input[name="siteVisitSlot"]:checked');
+    if (!slot) return;
+
+    try {
+        showLoadingState(button, 'Confirming...');
+        await apiRequest(`/site-visits/${currentOwnerSiteVisit.id}/accept`, {
+            method: 'POST',
+            body: JSON.stringify({ slotId: slot.value })
+        });
+        showNotification('Site visit confirmed. The verifier has been notified.', 'success');
+        await loadOwnerSiteVisit();
+    } catch (error) {
+        handleAPIError(error, 'Site Visit');
+        hideLoadingState(button);
+    }
+}
+
+async function cancelOwnerSiteVisit(button) {
+    try {
+        showLoadingState(button, 'Sending...');
+        await apiRequest(`/site-visits/${currentOwnerSiteVisit.id}/cancel`, {
+            method: 'POST',
+            body: JSON.stringify({ reason: document.getElementById('siteVisitCancelReason').value })
+        });
+        showNotification('The verifier has been asked to arrange another time', 'info');
+        await loadOwnerSiteVisit();
+    } catch (error) {
+        handleAPIError(error, 'Site Visit');
+        hideLoadingState(button);
+    }
+}
+
+// Initialize dashboard when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    if (window.location.pathname.includes('farmer-dashboard.html')) {
+        // Check authentication first
+        if (!(await requireSession(['farmer', 'ngo']))) {
+            return;
+        }
+
+        // Load dashboard data
+        loadDashboardData();
+        loadOffers();
+        loadRecentUploads();
+
+        // Initialize other dashboard functionality
+        initializeThemeToggle();
+    }
+});
+
+// Document Uploads
+const DOCUMENT_STATUS_BADGES = {
+    pending: '<span class="badge bg-warning">Pending Review</span>',
+    verified: '<span class="badge bg-success">Verified</span>',
+    rejected: '<span class="badge bg-danger">Rejected</span>'
+};
+
+const DOCUMENT_FORMAT_LABELS = {
+    'application/pdf': 'PDF',
+    'image/jpeg': 'JPG',
+    'image/png': 'PNG',
+    'image/webp': 'WebP',
+    'text/csv': 'CSV',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel'
+};
+
+let documentTypes = null;
+let documentUploadType = null;
+
+async function getDocumentTypes() {
+    if (!documentTypes) {
+        const types = await apiRequest('/documents/types');
+        documentTypes = Object.fromEntries(types.map(type => [type.type, type]));
+    }
+    return documentTypes;
+}
+
+function documentIcon(mimeType) {
+    if (mimeType.startsWith('image/')) return 'fa-file-image text-success';
+    if (mimeType === 'application/pdf') return 'fa-file-pdf text-danger';
+    return 'fa-file-excel text-primary';
+}
+
+// Files go up as multipart/form-data; the server checks type, size and
+// content before storing them
+async function uploadDocumentFile(file, documentType, projectId = null) {
+    const formData = new FormData();
+    formData.append('documentType', documentType);
+    if (projectId) formData.append('projectId', projectId);
+    formData.append('file', file);
+
+    const response = await apiRequest('/documents', { method: 'POST', body: formData });
+    return response.data;
+}
+
+async function openDocumentUpload(documentType, projectId = null) {
+    try {
+        const [types, projects] = await Promise.all([getDocumentTypes(), loadUserProjects()]);
+        const type = types[documentType];
+        documentUploadType = documentType;
+
+        document.getElementById('documentUploadTitle').textContent = `Upload ${type.label}`;
+        document.getElementById('documentUploadProject').innerHTML = projects
+            .map(project => `<option value="${project.id}" ${project.id === projectId ? 'selected' : ''}>${escapeHtml(project.name)}</option>`)
+            .join('');
+        const fileInput = document.getElementById('documentUploadFile');
+        fileInput.value = '';
+        fileInput.accept = type.mimeTypes.join(',');
+        fileInput.multiple = documentType === 'project_photo';
+        document.getElementById('documentUploadHint').textContent =
+            `Max ${Math.round(type.maxBytes / (1024 * 1024))}MB per file. Accepted: ${type.mimeTypes.map(mimeType => DOCUMENT_FORMAT_LABELS[mimeType]).join(', ')}`
+            + (documentType === 'project_photo' ? '. Keep location tagging on in your camera; photos without GPS data fail verification' : '');
+
+        new bootstrap.Modal(document.getElementById('documentUploadModal')).show();
+    } catch (error) {
+        handleAPIError(error, 'Document Upload');
+    }
+}
+
+async function submitDocumentUpload(event) {
+    event.preventDefault();
+    const submitButton = document.getElementById('documentUploadSubmit');
+    const files = Array.from(document.getElementById('documentUploadFile').files);
+    const projectId = document.getElementById('documentUploadProject').value;
+    let uploaded = 0;
+    let untagged = 0;
+
+    try {
+        for (const file of files) {
+            showLoadingState(submitButton, files.length > 1 ? `Uploading ${uploaded + 1} of ${files.length}...` : 'Uploading...');
+            const doc = await uploadDocumentFile(file, documentUploadType, projectId);
+            uploaded++;
+            if (documentUploadType === 'project_photo' && doc.geotag?.latitude == null) untagged++;
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('documentUploadModal')).hide();
+        showNotification(`${uploaded === 1 ? 'Document' : `${uploaded} documents`} uploaded for review`, 'success');
+        if (untagged > 0) {
+            showNotification(`${untagged === 1 ? 'A photo has' : `${untagged} photos have`} no GPS location and will fail verification`, 'warning');
+        }
+    } catch (error) {
+        handleAPIError(error, 'Document Upload');
+    } finally {
+        hideLoadingState(submitButton);
+        if (uploaded > 0) loadRecentUploads();
+    }
+}
+
+async function loadRecentUploads() {
+    const container = document.getElementById('recentUploads');
+    if (!container) return;
+
+    try {
+        const documents = await apiRequest('/documents');
+        container.innerHTML = documents.length === 0
+            ? '<div class="list-group-item text-secondary">No documents uploaded yet</div>'
+            : documents.slice(0, 5).map(doc => `
+                <a href="#" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center" onclick="openDocumentViewer('${doc.id}'); return false;">
+                    <div>
+                        <i class="fas ${documentIcon(doc.mimeType)} me-2"></i>
+                        <span>${escapeHtml(doc.fileName)}</span>
+                        <small class="d-block text-secondary">${doc.label}${doc.projectName ? ` - ${escapeHtml(doc.projectName)}` : ''}</small>
+                        ${doc.verificationStatus === 'rejected' && doc.reviewNote ? `<small class="d-block text-danger">${escapeHtml(doc.reviewNote)}</small>` : ''}
+                    </div>
+                    <div class="text-nowrap">
+                        ${DOCUMENT_STATUS_BADGES[doc.verificationStatus]}
+                        ${doc.annotationCount > 0 ? `<small class="text-secondary ms-2"><i class="fas fa-comment"></i> ${doc.annotationCount}</small>` : ''}
+                        <small class="text-secondary ms-2">${formatTimeAgo(doc.uploadedAt)}</small>
+                    </div>
+                </a>
+            `).join('');
+    } catch (error) {
+        handleAPIError(error, 'Recent Uploads');
+    }
+}
+
+// Company KYC documents: the latest upload of each type and its review status
+const COMPANY_DOCUMENT_TYPES = ['incorporation_certificate', 'gst_certificate', 'pan_card', 'cancelled_cheque'];
+
+async function loadCompanyDocuments() {
+    const tbody = document.getElementById('companyDocuments');
+    if (!tbody) return;
+
+    try {
+        const [types, documents] = await Promise.all([getDocumentTypes(), apiRequest('/documents')]);
+        tbody.innerHTML = COMPANY_DOCUMENT_TYPES.map(documentType => {
+            const latest = documents.find(doc => doc.documentType === documentType);
+            const type = types[documentType];
+            return `
+                <tr>
+                    <td>${type.label}</td>
+                    <td>
+                        ${latest ? DOCUMENT_STATUS_BADGES[latest.verificationStatus] : '<span class="badge bg-secondary">Not Uploaded</span>'}
+                        ${latest?.reviewNote ? `<small class="d-block text-secondary">${escapeHtml(latest.reviewNote)}</small>` : ''}
+                    </td>
+                    <td>
+                        ${latest ? `
+                            <a href="#" onclick="openDocumentViewer('${latest.id}'); return false;">${escapeHtml(latest.fileName)}</a>
+                            <small class="d-block text-secondary">
+                                ${formatTimeAgo(latest.uploadedAt)}${latest.annotationCount > 0 ? ` | ${latest.annotationCount} comment${latest.annotationCount > 1 ? 's' : ''}` : ''}
+                            </small>
+                        ` : '-'}
+                    </td>
+                    <td>
+                        <label class="btn btn-sm btn-outline-primary mb-0">
+                            <i class="fas fa-upload me-1"></i>${latest ? 'Replace' : 'Upload'}
+                            <input type="file" class="d-none" accept="${type.mimeTypes.join(',')}" onchange="uploadCompanyDocument(this, '${documentType}')">
+                        </label>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        handleAPIError(error, 'Company Documents');
+    }
+}
+
+async function uploadCompanyDocument(input, documentType) {
+    const [file] = input.files;
+    if (!file) return;
+
+    try {
+        showNotification(`Uploading ${file.name}...`, 'info');
+        await uploadDocumentFile(file, documentType);
+        showNotification('Document uploaded for review', 'success');
+        loadCompanyDocuments();
+    } catch (error) {
+        handleAPIError(error, 'Document Upload');
+    }
+}
+
+// Document Viewer
+// PDFs are drawn one page at a time with pdf.js, images as they are.
+// Reviewer highlights sit in an overlay on top of the page and are placed
+// as fractions of its size, so they line up however large it is drawn.
+const PDFJS_WORKER_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js';
+const PDF_RENDER_SCALE = 1.5;
+// Drags smaller than this (as a fraction of the page) are treated as clicks
+const MIN_HIGHLIGHT_SIZE = 0.01;
+
+let viewerDocument = null;
+let viewerAnnotations = [];
+let viewerContentUrl = null;
+let viewerPdf = null;
+let viewerPage = 1;
+let viewerRenderId = 0;
+let viewerDraftRegion = null;
+let viewerActiveAnnotation = null;
+let viewerReviewer = false;
+let viewerOnChange = null;
+
+// reviewer: show the comment and verify/reject controls
+// onChange: called after a comment or decision so the opener can refresh
+async function openDocumentViewer(documentId, { reviewer = false, onChange = null } = {}) {
+    try {
+        const [doc, annotations, content] = await Promise.all([
+            apiRequest(`/documents/${documentId}`),
+            apiRequest(`/documents/${documentId}/annotations`),
+            apiRequest(`/documents/${documentId}/content`, { responseType: 'blob' })
+        ]);
+
+        if (viewerContentUrl) window.URL.revokeObjectURL(viewerContentUrl);
+        if (viewerPdf) viewerPdf.destroy();
+        viewerDocument = doc;
+        viewerAnnotations = annotations;
+        viewerContentUrl = window.URL.createObjectURL(content);
+        viewerPdf = null;
+        viewerPage = 1;
+        viewerDraftRegion = null;
+        viewerActiveAnnotation = null;
+        viewerReviewer = reviewer;
+        viewerOnChange = onChange;
+
+        document.getElementById('documentViewerTitle').textContent = `${doc.label}: ${doc.fileName}`;
+        const download = document.getElementById('documentViewerDownload');
+        download.href = viewerContentUrl;
+        download.download = doc.fileName;
+        document.getElementById('documentAnnotationForm').classList.toggle('d-none', !reviewer);
+        document.getElementById('documentReviewControls').classList.toggle('d-none', !reviewer);
+        document.getElementById('documentAnnotationComment').value = '';
+        document.getElementById('documentReviewNote').value = doc.reviewNote || '';
+        renderViewerStatus();
+        renderViewerAnnotations();
+
+        new bootstrap.Modal(document.getElementById('documentViewerModal')).show();
+
+        if (doc.mimeType === 'application/pdf') {
+            await loadViewerPdf(content);
+        }
+        await renderViewerPage();
+    } catch (error) {
+        handleAPIError(error, 'Document Viewer');
+    }
+}
+
+async function loadViewerPdf(content) {
+    if (typeof pdfjsLib === 'undefined') return;
+
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+    viewerPdf = await pdfjsLib.getDocument({ data: new Uint8Array(await content.arrayBuffer()) }).promise;
+}
+
+async function renderViewerPage() {
+    const stage = document.getElementById('documentViewerStage');
+    const renderId = ++viewerRenderId;
+    const isImage = viewerDocument.mimeType.startsWith('image/');
+    const pageCount = viewerPdf ? viewerPdf.numPages : 1;
+
+    document.getElementById('documentViewerPager').classList.toggle('d-none', pageCount < 2);
+    document.getElementById('documentViewerPageLabel').textContent = `Page ${viewerPage} of ${pageCount}`;
+    document.getElementById('documentViewerPrev').disabled = viewerPage <= 1;
+    document.getElementById('documentViewerNext').disabled = viewerPage >= pageCount;
+
+    if (!viewerPdf && !isImage) {
+        stage.innerHTML = `
+            <div class="py-5 text-secondary">
+                <i class="fas ${documentIcon(viewerDocument.mimeType)} fa-3x mb-3"></i>
+                <p class="mb-0">This file cannot be previewed here. Download it to review.</p>
+            </div>
+        `;
+        updateViewerHighlightHint(false);
+        return;
+    }
+
+    let pageView;
+    if (viewerPdf) {
+        const page = await viewerPdf.getPage(viewerPage);
+        const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+        pageView = document.createElement('canvas');
+        pageView.width = viewport.width;
+        pageView.height = viewport.height;
+        await page.render({ canvasContext: pageView.getContext('2d'), viewport }).promise;
+    } else {
+        pageView = document.createElement('img');
+        pageView.src = viewerContentUrl;
+        pageView.alt = viewerDocument.fileName;
+    }
+    // A newer page was asked for while this one was drawing
+    if (renderId !== viewerRenderId) return;
+
+    stage.innerHTML = `
+        <div class="document-viewer-page">
+            <div class="document-viewer-overlay ${viewerReviewer ? 'drawable' : ''}" id="documentViewerOverlay"></div>
+        </div>
+    `;
+    stage.firstElementChild.prepend(pageView);
+    if (viewerReviewer) {
+        document.getElementById('documentViewerOverlay').addEventListener('pointerdown', startViewerHighlight);
+    }
+    drawViewerHighlights();
+    updateViewerHighlightHint(true);
+}
+
+function showDocumentPage(step) {
+    viewerPage += step;
+    viewerDraftRegion = null;
+    renderViewerPage();
+}
+
+function drawViewerHighlights() {
+    const overlay = document.getElementById('documentViewerOverlay');
+    if (!overlay) return;
+
+    const box = region => `left: ${region.x * 100}%; top: ${region.y * 100}%; width: ${region.width * 100}%; height: ${region.height * 100}%;`;
+    overlay.innerHTML = viewerAnnotations.map((annotation, index) => annotation.region && annotation.page === viewerPage ? `
+        <div class="document-highlight ${annotation.id === viewerActiveAnnotation ? 'active' : ''}" style="${box(annotation.region)}" title="${escapeHtml(annotation.comment)}">
+            <span class="document-highlight-number">${index + 1}</span>
+        </div>
+    ` : '').join('') + (viewerDraftRegion ? `<div class="document-highlight draft" style="${box(viewerDraftRegion)}"></div>` : '');
+}
+
+// Drag out a rectangle on the page to attach the next comment to it
+function startViewerHighlight(event) {
+    const overlay = event.currentTarget;
+    const bounds = overlay.getBoundingClientRect();
+    const clamp = value => Math.min(Math.max(value, 0), 1);
+    const pointAt = pointer => ({
+        x: clamp((pointer.clientX - bounds.left) / bounds.width),
+        y: clamp((pointer.clientY - bounds.top) / bounds.height)
+    });
+    const start = pointAt(event);
+
+    const move = (pointer) => {
+        const point = pointAt(pointer);
+        viewerDraftRegion = {
+            x: Math.min(start.x, point.x),
+            y: Math.min(start.y, point.y),
+            width: Math.abs(point.x - start.x),
+            height: Math.abs(point.y - start.y)
+        };
+        drawViewerHighlights();
+    };
+    const end = () => {
+        overlay.removeEventListener('pointermove', move);
+        overlay.removeEventListener('pointerup', end);
+        if (viewerDraftRegion && (viewerDraftRegion.width < MIN_HIGHLIGHT_SIZE || viewerDraftRegion.height < MIN_HIGHLIGHT_SIZE)) {
+            viewerDraftRegion = null;
+        }
+        drawViewerHighlights();
+        updateViewerHighlightHint(true);
+        if (viewerDraftRegion) document.getElementById('documentAnnotationComment').focus();
+    };
+
+    event.preventDefault();
+    viewerDraftRegion = null;
+    overlay.setPointerCapture?.(event.pointerId);
+    overlay.addEventListener('pointermove', move);
+    overlay.addEventListener('pointerup', end);
+}
+
+function updateViewerHighlightHint(canHighlight) {
+    const hint = document.getElementById('documentAnnotationRegion');
+    if (!canHighlight) {
+        hint.textContent = 'Comment on the whole document';
+    } else if (viewerDraftRegion) {
+        hint.innerHTML = `Region highlighted on page ${viewerPage} <a href="#" onclick="clearViewerHighlight(); return false;">clear</a>`;
+    } else {
+        hint.textContent = 'Drag on the document to highlight a region';
+    }
+}
+
+function clearViewerHighlight() {
+    viewerDraftRegion = null;
+    drawViewerHighlights();
+    updateViewerHighlightHint(true);
+}
+
+function renderViewerStatus() {
+    const doc = viewerDocument;
+    document.getElementById('documentViewerStatus').innerHTML = `
+        <div class="mb-1">${DOCUMENT_STATUS_BADGES[doc.verificationStatus]}</div>
+        <small class="d-block text-secondary">
+            ${doc.projectName ? `${escapeHtml(doc.projectName)} | ` : ''}Uploaded ${formatTimeAgo(doc.uploadedAt)}
+        </small>
+        ${doc.reviewedBy ? `<small class="d-block text-secondary">${doc.verificationStatus === 'verified' ? 'Verified' : 'Rejected'} by ${escapeHtml(doc.reviewedBy)} ${formatTimeAgo(doc.reviewedAt)}</small>` : ''}
+        ${doc.verificationStatus === 'rejected' && doc.reviewNote ? `<div class="alert alert-danger mt-2 mb-0">${escapeHtml(doc.reviewNote)}</div>` : ''}
+        ${doc.verificationStatus === 'verified' && doc.reviewNote ? `<div class="alert alert-success mt-2 mb-0">${escapeHtml(doc.reviewNote)}</div>` : ''}
+    `;
+}
+
+function renderViewerAnnotations() {
+    const container = document.getElementById('documentAnnotations');
+    if (viewerAnnotations.length === 0) {
+        container.innerHTML = '<div class="list-group-item text-secondary">No comments yet</div>';
+        return;
+    }
+
+    const isPdf = viewerDocument.mimeType === 'application/pdf';
+    container.innerHTML = viewerAnnotations.map((annotation, index) => `
+        <div class="list-group-item list-group-item-action ${annotation.id === viewerActiveAnnotation ? 'active' : ''}" role="button" onclick="showViewerAnnotation('${annotation.id}')">
+            <div class="d-flex justify-content-between">
+                <strong>${index + 1}. ${escapeHtml(annotation.author.name)}</strong>
+                <small>${formatTimeAgo(annotation.createdAt)}</small>
+            </div>
+            <p class="mb-1">${escapeHtml(annotation.comment)}</p>
+            <small>
+                ${annotation.region ? `<i class="fas fa-highlighter me-1"></i>${isPdf ? `Page ${annotation.page}` : 'Highlighted'}` : isPdf ? `Page ${annotation.page}` : 'Whole document'}
+            </small>
+            ${viewerReviewer && annotation.mine ? `
+                <button type="button" class="btn btn-sm btn-link text-danger float-end p-0" onclick="event.stopPropagation(); deleteDocumentAnnotation('${annotation.id}')">Delete</button>
+            ` : ''}
+        </div>
+    `).join('');
+}
+
+async function showViewerAnnotation(annotationId) {
+    const annotation = viewerAnnotations.find(candidate => candidate.id === annotationId);
+    viewerActiveAnnotation = annotationId;
+    renderViewerAnnotations();
+
+    if (viewerPdf && annotation.page !== viewerPage && annotation.page <= viewerPdf.numPages) {
+        viewerPage = annotation.page;
+        viewerDraftRegion = null;
+        await renderViewerPage();
+    } else {
+        drawViewerHighlights();
+    }
+}
+
+async function submitDocumentAnnotation(event) {
+    event.preventDefault();
+    const submitButton = document.getElementById('documentAnnotationSubmit');
+
+    try {
+        showLoadingState(submitButton, 'Saving...');
+        const response = await apiRequest(`/documents/${viewerDocument.id}/annotations`, {
+            method: 'POST',
+            body: JSON.stringify({
+                comment: document.getElementById('documentAnnotationComment').value,
+                page: viewerPage,
+                region: viewerDraftRegion
+            })
+        });
+
+        viewerAnnotations.push(response.data);
+        viewerAnnotations.sort((a, b) => a.page - b.page || new Date(a.createdAt) - new Date(b.createdAt));
+        viewerActiveAnnotation = response.data.id;
+        viewerDraftRegion = null;
+        document.getElementById('documentAnnotationComment').value = '';
+        renderViewerAnnotations();
+        drawViewerHighlights();
+        updateViewerHighlightHint(!!document.getElementById('documentViewerOverlay'));
+        if (viewerOnChange) viewerOnChange();
+    } catch (error) {
+        handleAPIError(error, 'Document Comment');
+    } finally {
+        hideLoadingState(submitButton);
+    }
+}
+
+async function deleteDocumentAnnotation(annotationId) {
+    if (!confirm('Delete this comment?')) return;
+
+    try {
+        await apiRequest(`/documents/${viewerDocument.id}/annotations/${annotationId}`, { method: 'DELETE' });
+        viewerAnnotations = viewerAnnotations.filter(annotation => annotation.id !== annotationId);
+        renderViewerAnnotations();
+        drawViewerHighlights();
+        if (viewerOnChange) viewerOnChange();
+    } catch (error) {
+        handleAPIError(error, 'Document Comment');
+    }
+}
+
+// Verified or rejected; a rejection needs the reason the uploader will see
+async function submitDocumentReview(status) {
+    const button = document.getElementById(status === 'verified' ? 'documentVerifyBtn' : 'documentRejectBtn');
+
+    try {
+        showLoadingState(button, 'Saving...');
+        const response = await apiRequest(`/documents/${viewerDocument.id}/review`, {
+            method: 'POST',
+            body: JSON.stringify({ status, note: document.getElementById('documentReviewNote').value })
+        });
+
+        viewerDocument = response.data;
+        renderViewerStatus();
+        showNotification(`Document ${status}. The uploader has been notified.`, 'success');
+        if (viewerOnChange) viewerOnChange();
+    } catch (error) {
+        handleAPIError(error, 'Document Review');
+    } finally {
+        hideLoadingState(button);
+    }
+}
+
+// Project Maps
+// Leaflet maps of project boundaries, coloured by status. Tiles come from
+// the offline cache in map-tiles.js, and the area on screen can be saved
+// ahead of a field visit, so maps still work without a signal.
+// Saving more than this at once is slow and unkind to the tile server
+const MAX_OFFLINE_TILES = 400;
+const OFFLINE_EXTRA_ZOOM_LEVELS = 2;
+const INDIA_CENTRE = [22.5, 80];
+
+const PROJECT_MAP_STATUSES = {
+    verified: { label: 'Verified', colour: '#10b981' },
+    under_verification: { label: 'Under verification', colour: '#f59e0b' },
+    information_requested: { label: 'Information requested', colour: '#0dcaf0' },
+    active: { label: 'Active', colour: '#3b82f6' },
+    planning: { label: 'Planning', colour: '#6c757d' },
+    completed: { label: 'Completed', colour: '#6610f2' },
+    suspended: { label: 'Suspended', colour: '#212529' },
+    rejected: { label: 'Rejected', colour: '#ef4444' }
+};
+
+const projectMaps = {};
+
+// One map per container, reused when the container is drawn again
+function getProjectMap(elementId) {
+    if (!projectMaps[elementId]) {
+        const map = L.map(elementId, { scrollWheelZoom: false }).setView(INDIA_CENTRE, 4);
+        createCachedTileLayer().addTo(map);
+        projectMaps[elementId] = { map, layers: L.featureGroup().addTo(map) };
+    }
+    return projectMaps[elementId];
+}
+
+function projectMapStyle(status) {
+    const { colour } = PROJECT_MAP_STATUSES[status] || PROJECT_MAP_STATUSES.planning;
+    return { color: colour, fillColor: colour, fillOpacity: 0.3, weight: 2 };
+}
+
+// The boundary where there is one, otherwise a dot at the recorded location
+function createProjectLayer(project) {
+    if (project.boundary) {
+        return L.geoJSON(project.boundary, { style: projectMapStyle(project.status) });
+    }
+    return L.circleMarker([project.latitude, project.longitude], { ...projectMapStyle(project.status), radius: 7 });
+}
+
+function projectMapPopup(project) {
+    return `
+        <strong>${escapeHtml(project.name)}</strong>
+        <div class="small text-secondary">${escapeHtml(project.location)}</div>
+        <div class="mt-1">${getStatusBadge(project.status)}</div>
+        <div class="small mt-1">${project.area} Ha${project.boundary ? '' : ' (boundary not mapped yet)'}</div>
+        ${project.developer ? `<div class="small">${escapeHtml(project.developer)}</div>` : ''}
+    `;
+}
+
+function projectMapLegend() {
+    return Object.values(PROJECT_MAP_STATUSES).map(status => `
+        <span><span class="project-map-legend-swatch" style="background: ${status.colour}"></span>${status.label}</span>
+    `).join('');
+}
+
+// Every project on the platform, for the company and admin dashboards
+async function loadProjectMap(elementId) {
+    const container = document.getElementById(elementId);
+    if (!container) return;
+    if (typeof L === 'undefined') {
+        container.innerHTML = '<p class="text-secondary text-center pt-5">The map could not be loaded</p>';
+        return;
+    }
+
+    try {
+        const projects = await apiRequest('/marketplace/map');
+        const { map, layers } = getProjectMap(elementId);
+        layers.clearLayers();
+        projects.forEach(project => createProjectLayer(project).bindPopup(projectMapPopup(project)).addTo(layers));
+        if (layers.getLayers().length > 0) {
+            map.fitBounds(layers.getBounds(), { padding: [20, 20], maxZoom: 12 });
+        }
+
+        const legend = document.getElementById(`${elementId}Legend`);
+        if (legend) legend.innerHTML = projectMapLegend();
+    } catch (error) {
+        handleAPIError(error, 'Project Map');
+    }
+}
+
+// Fetches the tiles around what is on screen, a few zoom levels deeper
+async function saveMapAreaOffline(map, button) {
+    if (!('caches' in window)) {
+        showNotification('This browser cannot store maps for offline use', 'warning');
+        return;
+    }
+
+    const bounds = map.getBounds();
+    const maxZoom = Math.min(map.getZoom() + OFFLINE_EXTRA_ZOOM_LEVELS, 19);
+    const urls = [];
+    for (let zoom = map.getZoom(); zoom <= maxZoom; zoom++) {
+        const northWest = map.project(bounds.getNorthWest(), zoom).divideBy(256).floor();
+        const southEast = map.project(bounds.getSouthEast(), zoom).divideBy(256).floor();
+        for (let x = northWest.x; x <= southEast.x; x++) {
+            for (let y = northWest.y; y <= southEast.y; y++) {
+                urls.push(L.Util.template(MAP_TILE_URL, { x, y, z: zoom }));
+            }
+        }
+    }
+    if (urls.length > MAX_OFFLINE_TILES) {
+        showNotification('Zoom in closer to the project before saving the map', 'warning');
+        return;
+    }
+
+    try {
+        showLoadingState(button, 'Saving map...');
+        // One at a time, as the OpenStreetMap tile policy asks
+        for (const url of urls) {
+            await fetchMapTile(url);
+        }
+        showNotification(`Map saved for offline use (${urls.length} tiles)`, 'success');
+    } catch (error) {
+        showNotification('The map could not be saved; check your connection and try again', 'error');
+    } finally {
+        hideLoadingState(button);
+    }
+}
+
+// Declared area against the area measured from the boundary
+function formatAreaCheck(areaCheck) {
+    if (!areaCheck) {
+        return '<span class="text-secondary">No boundary mapped</span>';
+    }
+    const difference = `${areaCheck.differencePercent > 0 ? '+' : ''}${areaCheck.differencePercent}%`;
+    return areaCheck.withinTolerance
+        ? `<span class="text-success">${areaCheck.boundaryHectares} Ha mapped (${difference})</span>`
+        : `<span class="text-danger">${areaCheck.boundaryHectares} Ha mapped (${difference}, more than ${areaCheck.tolerancePercent}% off the declared area)</span>`;
+}
+
+// A conflict with another registration, as listed on a project or case
+function formatProjectConflict(conflict) {
+    return conflict.kind === 'boundary_overlap'
+        ? `Boundary overlaps ${escapeHtml(conflict.otherProject.title)} by ${conflict.overlapHectares} Ha (${conflict.overlapPercent}% of this project)`
+        : `Survey number ${escapeHtml(conflict.surveyNumber)} is also registered to ${escapeHtml(conflict.otherProject.title)} in ${escapeHtml(conflict.district)}`;
+}
+
+function formatProjectConflicts(conflicts, note) {
+    if (conflicts.length === 0) return '';
+    return `
+        <div class="text-danger small mt-2">
+            ${conflicts.map(conflict => `<div><i class="fas fa-exclamation-triangle me-1"></i>${formatProjectConflict(conflict)}</div>`).join('')}
+            <div class="text-secondary">${note}</div>
+        </div>
+    `;
+}
+
+// Project boundary modal: the boundary on a map, with upload and drawing
+// tools for the project owner
+let boundaryProject = null;
+let boundaryDraft = null;
+
+async function openProjectBoundary(projectId, { editable = true } = {}) {
+    try {
+        boundaryProject = await apiRequest(`/projects/${projectId}`);
+        cancelBoundaryDrawing();
+        document.getElementById('projectBoundaryTitle').textContent = boundaryProject.name;
+        document.getElementById('projectBoundaryFile').value = '';
+        document.getElementById('projectBoundaryTools').classList.toggle('d-none', !editable);
+        renderProjectBoundary();
+
+        const modalElement = document.getElementById('projectBoundaryModal');
+        // Leaflet measures its container, which has no size until the modal is shown
+        modalElement.addEventListener('shown.bs.modal', () => {
+            projectMaps.projectBoundaryMap.map.invalidateSize();
+            fitProjectBoundary();
+        }, { once: true });
+        new bootstrap.Modal(modalElement).show();
+    } catch (error) {
+        handleAPIError(error, 'Project Boundary');
+    }
+}
+
+function renderProjectBoundary() {
+    const project = boundaryProject;
+    document.getElementById('projectBoundaryAreaCheck').innerHTML = `
+        <strong>Declared area:</strong> ${project.area} Ha
+        <span class="mx-2">|</span>
+        <strong>Boundary:</strong> ${formatAreaCheck(project.areaCheck)}
+        ${project.boundary ? `<small class="text-secondary ms-2">from ${project.boundary.source === 'drawn' ? 'the map' : `a ${project.boundary.source} file`}, ${formatTimeAgo(project.boundary.updatedAt)}</small>` : ''}
+        ${formatProjectConflicts(project.conflicts, 'The registry will review this before the project can be verified.')}
+    `;
+
+    if (typeof L === 'undefined') {
+        document.getElementById('projectBoundaryMap').innerHTML = '<p class="text-secondary text-center pt-5">The map could not be loaded</p>';
+        return;
+    }
+    const { layers } = getProjectMap('projectBoundaryMap');
+    layers.clearLayers();
+    if (project.boundary || project.latitude !== null) {
+        createProjectLayer({ ...project, boundary: project.boundary?.geometry }).addTo(layers);
+    }
+}
+
+function fitProjectBoundary() {
+    const { map, layers } = projectMaps.projectBoundaryMap;
+    if (boundaryProject.boundary) {
+        map.fitBounds(layers.getBounds(), { padding: [20, 20] });
+    } else if (boundaryProject.latitude !== null) {
+        map.setView([boundaryProject.latitude, boundaryProject.longitude], 14);
+    }
+}
+
+async function saveProjectBoundary(body) {
+    const response = await apiRequest(`/projects/${boundaryProject.id}/boundary`, { method: 'PUT', body });
+    boundaryProject = response.data;
+    renderProjectBoundary();
+    fitProjectBoundary();
+
+    const check = boundaryProject.areaCheck;
+    const warnings = [];
+    if (boundaryProject.conflicts.some(conflict => conflict.kind === 'boundary_overlap')) {
+        warnings.push('it overlaps another registered project and will be reviewed by the registry');
+    }
+    if (!check.withinTolerance) {
+        warnings.push(`its area (${check.boundaryHectares} Ha) differs from the declared ${check.declaredHectares} Ha by ${Math.abs(check.differencePercent)}%`);
+    }
+    showNotification(
+        warnings.length === 0 ? 'Boundary saved' : `Boundary saved, but ${warnings.join(', and ')}`,
+        warnings.length === 0 ? 'success' : 'warning'
+    );
+}
+
+async function uploadProjectBoundary(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+    try {
+        cancelBoundaryDrawing();
+        await saveProjectBoundary(formData);
+    } catch (error) {
+        handleAPIError(error, 'Project Boundary');
+    } finally {
+        input.value = '';
+    }
+}
+
+// Click on the map to place the corners of the boundary in order
+function startBoundaryDrawing() {
+    const { map } = projectMaps.projectBoundaryMap;
+    boundaryDraft = { points: [], layer: L.polygon([], { color: PROJECT_MAP_STATUSES.active.colour, dashArray: '6 4', weight: 2 }).addTo(map) };
+    map.on('click', addBoundaryPoint);
+    map.getContainer().classList.add('drawing');
+    map.doubleClickZoom.disable();
+    updateBoundaryDrawingControls();
+}
+
+function addBoundaryPoint(event) {
+    boundaryDraft.points.push(event.latlng);
+    boundaryDraft.layer.setLatLngs(boundaryDraft.points);
+    updateBoundaryDrawingControls();
+}
+
+function undoBoundaryPoint() {
+    boundaryDraft.points.pop();
+    boundaryDraft.layer.setLatLngs(boundaryDraft.points);
+    updateBoundaryDrawingControls();
+}
+
+function cancelBoundaryDrawing() {
+    const entry = projectMaps.projectBoundaryMap;
+    if (boundaryDraft && entry) {
+        entry.map.off('click', addBoundaryPoint);
+        entry.map.removeLayer(boundaryDraft.layer);
+        entry.map.getContainer().classList.remove('drawing');
+        entry.map.doubleClickZoom.enable();
+    }
+    boundaryDraft = null;
+    updateBoundaryDrawingControls();
+}
+
+function updateBoundaryDrawingControls() {
+    const drawing = boundaryDraft !== null;
+    const pointCount = drawing ? boundaryDraft.points.length : 0;
+    document.getElementById('projectBoundaryDrawBtn').classList.toggle('d-none', drawing);
+    ['projectBoundaryUndoBtn', 'projectBoundarySaveBtn', 'projectBoundaryCancelBtn'].forEach((id) => {
+        document.getElementById(id).classList.toggle('d-none', !drawing);
+    });
+    document.getElementById('projectBoundaryUndoBtn').disabled = pointCount === 0;
+    document.getElementById('projectBoundarySaveBtn').disabled = pointCount < 3;
+    document.getElementById('projectBoundaryHint').textContent = drawing
+        ? `Click each corner of the project area in turn (${pointCount} placed${pointCount < 3 ? `, at least 3 needed` : ''})`
+        : 'Upload a GeoJSON, KML/KMZ or zipped Shapefile boundary, or draw it on the map';
+}
+
+async function saveDrawnBoundary() {
+    const button = document.getElementById('projectBoundarySaveBtn');
+    const ring = boundaryDraft.points.map(point => [point.lng, point.lat]);
+    try {
+        showLoadingState(button, 'Saving...');
+        await saveProjectBoundary(JSON.stringify({ geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] } }));
+        cancelBoundaryDrawing();
+    } catch (error) {
+        handleAPIError(error, 'Project Boundary');
+    } finally {
+        hideLoadingState(button);
+    }
+}
+
+function saveProjectMapOffline() {
+    saveMapAreaOffline(projectMaps.projectBoundaryMap.map, document.getElementById('projectBoundaryOfflineBtn'));
+}
+
+// Satellite Monitoring (farmer dashboard)
+// NDVI and canopy extent of each project from the satellite scenes the
+// registry processes, with the canopy-loss alerts they raised
+const NDVI_MONITORED_TYPES = ['mangrove', 'afforestation', 'wetland'];
+
+let ndviChart = null;
+
+function updateNdviProjects(projects) {
+    const select = document.getElementById('ndviProject');
+    if (!select) return;
+
+    const monitored = projects.filter(project => NDVI_MONITORED_TYPES.includes(project.type));
+    select.innerHTML = monitored.map(project => `<option value="${project.id}">${escapeHtml(project.name)}</option>`).join('');
+    select.classList.toggle('d-none', monitored.length < 2);
+    if (monitored.length === 0) {
+        document.getElementById('ndviSummary').textContent = 'Satellite monitoring covers mangrove, afforestation and wetland projects.';
+        return;
+    }
+    loadProjectNdvi(monitored[0].id);
+}
+
+async function loadProjectNdvi(projectId) {
+    const summary = document.getElementById('ndviSummary');
+    try {
+        const ndvi = await apiRequest(`/projects/${projectId}/ndvi`);
+        const usable = ndvi.observations.filter(observation => observation.usable);
+        const latest = usable[usable.length - 1];
+
+        if (!ndvi.monitored) {
+            summary.textContent = 'Draw or upload the project boundary to start satellite monitoring.';
+        } else if (!latest) {
+            summary.textContent = 'No clear satellite images of this project have been processed yet.';
+        } else {
+            const cloudy = ndvi.observations.length - usable.length;
+            summary.textContent = `Latest clear image ${formatNdviDate(latest.acquiredOn)}: mean NDVI ${latest.meanNdvi.toFixed(2)}, `
+                + `${latest.canopyHectares} Ha of canopy (NDVI ≥ ${ndvi.canopyNdviThreshold}).`
+                + (cloudy > 0 ? ` ${cloudy} cloudy image(s) left out.` : '');
+        }
+        renderNdviChart(usable);
+
+        const alerts = ndvi.observations.filter(observation => observation.alerted).reverse();
+        document.getElementById('ndviAlerts').innerHTML = alerts.map(observation => `
+            <div class="list-group-item list-group-item-warning">
+                <i class="fas fa-triangle-exclamation me-2"></i>
+                ${formatNdviDate(observation.acquiredOn)}: canopy down ${observation.canopyLossPercent}% on the past year's peak
+                (${observation.canopyHectares} Ha)
+            </div>
+        `).join('');
+    } catch (error) {
+        summary.textContent = 'Satellite monitoring is unavailable';
+        handleAPIError(error, 'Satellite Monitoring');
+    }
+}
+
+function formatNdviDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function renderNdviChart(observations) {
+    const container = document.getElementById('ndviChartContainer');
+    container.classList.toggle('d-none', observations.length === 0);
+    if (ndviChart) {
+        ndviChart.destroy();
+        ndviChart = null;
+    }
+    if (observations.length === 0 || typeof Chart === 'undefined') return;
+
+    ndviChart = new Chart(document.getElementById('ndviChart'), {
+        type: 'line',
+        data: {
+            labels: observations.map(observation => formatNdviDate(observation.acquiredOn)),
+            datasets: [
+                {
+                    label: 'Mean NDVI',
+                    data: observations.map(observation => observation.meanNdvi),
+                    borderColor: 'rgba(0, 255, 136, 1)',
+                    backgroundColor: 'rgba(0, 255, 136, 0.1)',
+                    borderWidth: 2,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Canopy (Ha)',
+                    data: observations.map(observation => observation.canopyHectares),
+                    type: 'bar',
+                    backgroundColor: 'rgba(0, 212, 255, 0.5)',
+                    borderColor: 'rgba(0, 212, 255, 1)',
+                    borderWidth: 1,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    type: 'linear',
+                    position: 'left',
+                    min: -0.2,
+                    max: 1,
+                    title: {
+                        display: true,
+                        text: 'Mean NDVI'
+                    }
+                },
+                y1: {
+                    type: 'linear',
+                    position: 'right',
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Canopy (Ha)'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Company Dashboard Data Loading Functions
+async function loadCompanyDashboardData() {
+    try {
+        // Load all company dashboard data in parallel
+        const [companyProfile, companyStats, marketplaceProjects, transactions] = await Promise.allSettled([
+            loadCompanyProfile(),
+            loadCompanyStats(),
+            loadMarketplaceProjects(),
+            loadCompanyTransactions()
+        ]);
+
+        // Update UI with loaded data
+        if (companyProfile.status === 'fulfilled') {
+            updateCompanyProfile(companyProfile.value);
+        }
+
+        if (companyStats.status === 'fulfilled') {
+            updateCompanyStats(companyStats.value);
+        }
+
+        if (marketplaceProjects.status === 'fulfilled') {
+            updateMarketplaceProjects(marketplaceProjects.value);
+        }
+
+        if (transactions.status === 'fulfilled') {
+            updateCompanyTransactions(transactions.value);
+        }
+
+        // Handle any failed requests
+        [companyProfile, companyStats, marketplaceProjects, transactions].forEach((result, index) => {
+            if (result.status === 'rejected') {
+                const endpoints = ['Company Profile', 'Company Stats', 'Marketplace Projects', 'Transactions'];
+                console.warn(`Failed to load ${endpoints[index]}:`, result.reason);
+                handleAPIError(result.reason, `Company Dashboard ${endpoints[index]}`);
+            }
+        });
+
+    } catch (error) {
+        console.error('Error loading company dashboard data:', error);
+        handleAPIError(error, 'Company Dashboard Loading');
+    }
+}
+
+async function loadCompanyProfile() {
+    return await apiRequest('/auth/profile');
+}
+
+async function loadCompanyStats() {
+    return await apiRequest('/company/dashboard/stats');
+}
+
+async function loadMarketplaceProjects() {
+    return await apiRequest('/marketplace/projects');
+}
+
+async function loadCompanyTransactions() {
+    return await apiRequest('/company/transactions');
+}
+
+// Update Company UI Functions
+function updateCompanyProfile(profile) {
+    // Update header company info
+    const companyNameElement = document.querySelector('.navbar .fw-bold');
+    const companyIdElement = document.querySelector('.navbar .text-secondary');
+
+    if (companyNameElement && profile.companyName) {
+        companyNameElement.textContent = profile.companyName;
+    }
+
+    if (companyIdElement && profile.cin) {
+        companyIdElement.textContent = profile.cin;
+    }
+
+    // Update dashboard header
+    const dashboardTitle = document.querySelector('.dashboard-header h1');
+    const dashboardSubtitle = document.querySelector('.dashboard-header p');
 
     if (dashboardTitle && profile.companyName) {
         dashboardTitle.textContent = `${profile.companyName} Carbon Portfolio`;
     }
 
-    if (dashboardSubtitle && profile.cin) {
-        dashboardSubtitle.innerHTML = `CIN: ${profile.cin} | Last updated: ${new Date().toLocaleDateString()}`;
+    if (dashboardSubtitle && profile.cin) {
+        dashboardSubtitle.innerHTML = `CIN: ${profile.cin} | Last updated: ${new Date().toLocaleDateString()}`;
+    }
+
+    // Update ESG rating
+    const esgBadge = document.querySelector('.dashboard-header .badge');
+    if (esgBadge && profile.esgRating) {
+        esgBadge.textContent = `${profile.esgRating} Rated`;
+    }
+}
+
+function updateCompanyStats(stats) {
+    // Update stat cards
+    const statCards = [
+        { id: 'totalCredits', value: stats.totalCredits, suffix: '', change: stats.creditsChange },
+        { id: 'creditsRetired', value: stats.creditsRetired, suffix: '', change: stats.retiredChange },
+        { id: 'availableBalance', value: stats.availableBalance, suffix: '', change: formatCurrency(stats.balanceChange) },
+        { id: 'esgRating', value: stats.esgRating, suffix: '', change: stats.esgChange }
+    ];
+
+    statCards.forEach(stat => {
+        const card = document.querySelector(`[data-stat="${stat.id}"]`);
+        if (card) {
+            if (stat.id === 'esgRating') {
+                // Special handling for ESG rating card
+                const esgScoreElement = card.querySelector('.esg-score');
+                const progressBar = card.querySelector('.progress-bar');
+                const changeElement = card.querySelector('small');
+
+                if (esgScoreElement) esgScoreElement.textContent = stat.value;
+                if (progressBar) progressBar.style.width = `${stats.esgScore || 0}%`;
+                if (changeElement && stat.change) changeElement.textContent = stat.change;
+            } else {
+                const valueElement = card.querySelector('h3');
+                const changeElement = card.querySelector('small');
+
+                if (valueElement) {
+                    valueElement.textContent = stat.id === 'availableBalance' ? formatCurrency(stat.value) : stat.value;
+                }
+                if (changeElement && stat.change) {
+                    changeElement.textContent = stat.change;
+                }
+            }
+        }
+    });
+}
+
+function updateMarketplaceProjects(projects) {
+    // Hide loading spinner and show projects
+    const loadingElement = document.getElementById('marketplace-loading');
+    const projectsContainer = document.getElementById('marketplace-projects');
+
+    if (loadingElement) loadingElement.style.display = 'none';
+    if (projectsContainer) projectsContainer.style.display = 'block';
+
+    projectsContainer.innerHTML = '';
+
+    if (projects.length === 0) {
+        projectsContainer.innerHTML = `
+            <div class="col-12">
+                <div class="text-center py-4">
+                    <i class="fas fa-inbox fa-2x text-secondary mb-2"></i>
+                    <p class="text-secondary mb-0">No projects available in marketplace</p>
+                </div>
+            </div>
+        `;
+    } else {
+        projects.forEach(project => {
+            const projectCard = createMarketplaceProjectCard(project);
+            projectsContainer.appendChild(projectCard);
+        });
+    }
+}
+
+function createMarketplaceProjectCard(project) {
+    const colDiv = document.createElement('div');
+    colDiv.className = 'col-md-6 mb-4';
+
+    const statusClass = project.status === 'verified' ? 'border-success' : 'border-warning';
+    const statusBadge = project.status === 'verified' ? '<span class="badge bg-success">Verified</span>' : '<span class="badge bg-warning">Under Verification</span>';
+
+    colDiv.innerHTML = `
+        <div class="card project-card ${statusClass} h-100">
+            <div class="card-body">
+                <div class="d-flex justify-content-between align-items-start mb-2">
+                    <h5 class="card-title">${escapeHtml(project.name)}</h5>
+                    ${statusBadge}
+                </div>
+                <p class="card-text text-secondary">
+                    <i class="fas fa-map-marker-alt me-1"></i>${escapeHtml(project.location)}
+                </p>
+                <div class="mb-2">
+                    ${project.impacts.map(impact => `<span class="impact-badge badge bg-primary">${escapeHtml(impact)}</span>`).join(' ')}
+                </div>
+                <div class="d-flex justify-content-between align-items-center mb-3">
+                    <div>
+                        <strong class="${project.status === 'verified' ? 'text-success' : 'text-warning'}">${project.availableCredits} tCO2e</strong><br>
+                        <small>${project.status === 'verified' ? 'Available' : 'Estimated'}</small>
+                    </div>
+                    <div class="text-end">
+                        <strong>₹${project.pricePerCredit}/credit</strong><br>
+                        <small>Total: ${formatCurrency(project.availableCredits * project.pricePerCredit)}</small>
+                    </div>
+                </div>
+                <div class="d-grid gap-2">
+                    <button class="btn btn-outline-${project.status === 'verified' ? 'success' : 'warning'} btn-sm" onclick="viewProjectDetails('${project.id}')">
+                        <i class="fas fa-eye me-1"></i>View Details
+                    </button>
+                    <button class="btn btn-${project.status === 'verified' ? 'success' : 'warning'} btn-sm" onclick="${project.status === 'verified' ? 'makeOffer' : 'expressInterest'}('${project.id}')">
+                        <i class="fas fa-${project.status === 'verified' ? 'shopping-cart' : 'star'} me-1"></i>${project.status === 'verified' ? 'Make Offer' : 'Express Interest'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    return colDiv;
+}
+
+function updateCompanyTransactions(transactions) {
+    // Hide loading spinner and show table
+    const loadingElement = document.getElementById('transactions-loading');
+    const tableElement = document.getElementById('transactions-table');
+
+    if (loadingElement) loadingElement.style.display = 'none';
+    if (tableElement) tableElement.style.display = 'block';
+
+    const tbody = tableElement.querySelector('tbody');
+    tbody.innerHTML = '';
+
+    if (transactions.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="7" class="text-center py-4">
+                    <i class="fas fa-inbox fa-2x text-secondary mb-2"></i>
+                    <p class="text-secondary mb-0">No transactions found</p>
+                </td>
+            </tr>
+        `;
+    } else {
+        transactions.forEach(transaction => {
+            const row = createTransactionRow(transaction);
+            tbody.appendChild(row);
+        });
+    }
+}
+
+function createTransactionRow(transaction) {
+    const row = document.createElement('tr');
+
+    const typeBadge = transaction.type === 'purchase' ? '<span class="badge bg-primary">Purchase</span>' : '<span class="badge bg-success">Retirement</span>';
+    const statusBadge = getTransactionStatusBadge(transaction.status);
+
+    row.innerHTML = `
+        <td>${new Date(transaction.date).toLocaleDateString()}</td>
+        <td>${escapeHtml(transaction.projectName)}</td>
+        <td>${typeBadge}</td>
+        <td>${transaction.credits} tCO2e</td>
+        <td>${transaction.type === 'retirement' ? '-' : formatCurrency(transaction.amount)}</td>
+        <td>${statusBadge}</td>
+        <td>
+            ${transaction.type === 'retirement' ? `
+                <button class="btn btn-sm btn-outline-success" onclick="downloadRetirementCertificate('${transaction.id}')">Certificate</button>
+            ` : transaction.status === 'completed' ? `
+                <button class="btn btn-sm btn-outline-primary" onclick="downloadCertificate('${transaction.id}')">Certificate</button>
+                <button class="btn btn-sm btn-outline-info" onclick="downloadInvoice('${transaction.id}')">Invoice</button>
+            ` : `
+                <button class="btn btn-sm btn-outline-secondary" onclick="trackTransaction('${transaction.id}')">Track</button>
+            `}
+        </td>
+    `;
+
+    return row;
+}
+
+function getTransactionStatusBadge(status) {
+    const statusMap = {
+        'completed': '<span class="badge bg-success">Completed</span>',
+        'processing': '<span class="badge bg-warning">Processing</span>',
+        'pending': '<span class="badge bg-secondary">Pending</span>',
+        'failed': '<span class="badge bg-danger">Failed</span>'
+    };
+
+    return statusMap[status] || '<span class="badge bg-secondary">Unknown</span>';
+}
+
+// Company Dashboard Actions
+async function makeOffer(projectId) {
+    const offer = prompt('Enter your offer price per credit (₹):');
+    if (!offer || isNaN(offer)) return;
+
+    const quantity = prompt('How many credits would you like to buy?', '100');
+    if (!quantity || isNaN(quantity)) return;
+
+    try {
+        await apiRequest('/marketplace/offer', {
+            method: 'POST',
+            body: JSON.stringify({ projectId, offerPrice: parseFloat(offer), quantity: parseInt(quantity, 10) })
+        });
+        showNotification('Offer sent to the seller. You will be notified when they respond.', 'success');
+        loadOffers();
+    } catch (error) {
+        handleAPIError(error, 'Make Offer');
+    }
+}
+
+async function expressInterest(projectId) {
+    try {
+        showLoadingState(null, 'Expressing interest...');
+        await apiRequest('/marketplace/interest', {
+            method: 'POST',
+            body: JSON.stringify({ projectId })
+        });
+        showNotification('Interest expressed successfully! You will be notified when the project is verified.', 'success');
+    } catch (error) {
+        handleAPIError(error, 'Express Interest');
+    } finally {
+        hideLoadingState(null);
+    }
+}
+
+async function downloadCertificate(transactionId) {
+    try {
+        const response = await apiRequest(`/transactions/${transactionId}/certificate`);
+        // Handle file download
+        const blob = new Blob([response], { type: 'application/pdf' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `certificate-${transactionId}.pdf`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    } catch (error) {
+        handleAPIError(error, 'Download Certificate');
+    }
+}
+
+async function downloadInvoice(transactionId) {
+    try {
+        const response = await apiRequest(`/transactions/${transactionId}/invoice`);
+        // Handle file download
+        const blob = new Blob([response], { type: 'application/pdf' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `invoice-${transactionId}.pdf`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    } catch (error) {
+        handleAPIError(error, 'Download Invoice');
+    }
+}
+
+async function downloadRetirementCertificate(retirementId) {
+    try {
+        const response = await apiRequest(`/retirements/${retirementId}/certificate`);
+        const blob = new Blob([response], { type: 'application/pdf' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `retirement-${retirementId}.pdf`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    } catch (error) {
+        handleAPIError(error, 'Download Certificate');
+    }
+}
+
+async function trackTransaction(transactionId) {
+    try {
+        const status = await apiRequest(`/transactions/${transactionId}/status`);
+        showNotification(`Transaction Status: ${status.status}`, 'info');
+    } catch (error) {
+        handleAPIError(error, 'Track Transaction');
+    }
+}
+
+// Credit Retirement (company dashboard)
+async function retireCredits() {
+    const modalElement = document.getElementById('retireModal');
+    const select = document.getElementById('retireHolding');
+    if (!modalElement || !select) return;
+
+    try {
+        const holdings = await apiRequest('/retirements/holdings');
+        if (holdings.length === 0) {
+            showNotification('You have no credits available to retire. Buy credits in the marketplace first.', 'info');
+            return;
+        }
+
+        select.innerHTML = holdings.map(holding => `
+            <option value="${holding.creditId}" data-available="${holding.available}">
+                ${escapeHtml(holding.projectName)} (vintage ${holding.vintageYear}) - ${holding.available} available
+            </option>
+        `).join('');
+        document.getElementById('retireForm').reset();
+        select.value = holdings[0].creditId;
+        updateRetireQuantityLimit();
+
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
+    } catch (error) {
+        handleAPIError(error, 'Retire Credits');
+    }
+}
+
+function updateRetireQuantityLimit() {
+    const option = document.getElementById('retireHolding').selectedOptions[0];
+    const quantityInput = document.getElementById('retireQuantity');
+    if (!option || !quantityInput) return;
+
+    quantityInput.max = option.dataset.available;
+    document.getElementById('retireAvailable').textContent = `${option.dataset.available} credits available`;
+}
+
+async function submitRetirement(event) {
+    event.preventDefault();
+    const form = event.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+
+    try {
+        showLoadingState(submitButton, 'Retiring...');
+        const response = await apiRequest('/retirements', {
+            method: 'POST',
+            body: JSON.stringify({
+                creditId: document.getElementById('retireHolding').value,
+                quantity: parseInt(document.getElementById('retireQuantity').value, 10),
+                beneficiary: document.getElementById('retireBeneficiary').value,
+                purpose: document.getElementById('retirePurpose').value
+            })
+        });
+
+        bootstrap.Modal.getInstance(document.getElementById('retireModal')).hide();
+        showNotification(`Retired ${response.data.quantity} credits. Serial numbers ${response.data.serialRange}`, 'success');
+        downloadRetirementCertificate(response.data.id);
+
+        loadCompanyStats().then(updateCompanyStats).catch(error => handleAPIError(error, 'Company Stats'));
+        loadCompanyTransactions().then(updateCompanyTransactions).catch(error => handleAPIError(error, 'Transactions'));
+    } catch (error) {
+        handleAPIError(error, 'Retire Credits');
+    } finally {
+        hideLoadingState(submitButton);
+    }
+}
+
+// Offer Negotiation (farmer and company dashboards)
+async function loadOffers() {
+    try {
+        updateOffersList(await apiRequest('/offers'));
+    } catch (error) {
+        console.warn('Failed to load offers:', error);
+        const container = document.getElementById('offers-list');
+        if (container) {
+            container.innerHTML = '<div class="text-center py-3 text-secondary">Unable to load offers</div>';
+        }
+    }
+}
+
+function updateOffersList(offers) {
+    const container = document.getElementById('offers-list');
+    const countElement = document.getElementById('offers-count');
+    if (!container) return;
+
+    if (countElement) {
+        countElement.textContent = offers.filter(offer => offer.yourTurn).length;
+    }
+
+    container.innerHTML = '';
+
+    if (offers.length === 0) {
+        container.innerHTML = '<div class="text-center py-3 text-secondary">No offers yet</div>';
+        return;
+    }
+
+    offers.forEach(offer => {
+        container.appendChild(createOfferItem(offer));
+    });
+}
+
+function createOfferItem(offer) {
+    const item = document.createElement('div');
+    item.className = 'list-group-item';
+
+    const counterparty = offer.role === 'seller' ? offer.buyerName : offer.sellerName;
+    const statusText = {
+        awaiting_seller: offer.role === 'seller' ? 'Awaiting your response' : 'Waiting for seller',
+        awaiting_buyer: offer.orderStatus === 'failed'
+            ? (offer.role === 'buyer' ? 'Payment failed · accept to pay again' : 'Payment failed · waiting for buyer')
+            : (offer.role === 'buyer' ? 'Counter-offer received' : 'Waiting for buyer'),
+        accepted: offer.orderStatus === 'completed' ? 'Accepted · Paid' : 'Accepted · Payment processing',
+        rejected: 'Declined',
+        withdrawn: 'Withdrawn',
+        expired: 'Expired'
+    }[offer.status] || offer.status;
+
+    const isOpen = offer.status === 'awaiting_seller' || offer.status === 'awaiting_buyer';
+
+    item.innerHTML = `
+        <div class="d-flex w-100 justify-content-between">
+            <strong>${escapeHtml(counterparty)}</strong>
+            <span class="text-success">₹${offer.pricePerCredit}/credit</span>
+        </div>
+        <small class="d-block">${escapeHtml(offer.projectName)} · ${offer.quantity} credits (listed at ₹${offer.listPrice})</small>
+        <small class="text-secondary">${statusText}${isOpen ? ` | Valid until ${new Date(offer.expiresAt).toLocaleDateString()}` : ''}</small>
+        ${offer.yourTurn ? `
+        <div class="mt-2">
+            <button class="btn btn-success btn-sm" onclick="acceptOffer('${offer.id}')">Accept</button>
+            <button class="btn btn-outline-secondary btn-sm" onclick="counterOffer('${offer.id}', ${offer.pricePerCredit})">Counter</button>
+            <button class="btn btn-outline-danger btn-sm" onclick="rejectOffer('${offer.id}')">Reject</button>
+        </div>
+        ` : offer.role === 'buyer' && offer.status === 'awaiting_seller' ? `
+        <div class="mt-2">
+            <button class="btn btn-outline-danger btn-sm" onclick="rejectOffer('${offer.id}')">Withdraw</button>
+        </div>
+        ` : ''}
+    `;
+
+    return item;
+}
+
+async function respondToOffer(offerId, action, body = {}) {
+    try {
+        const response = await apiRequest(`/offers/${offerId}/${action}`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        loadOffers();
+        return response.data;
+    } catch (error) {
+        handleAPIError(error, 'Offer');
+        loadOffers();
+        return null;
+    }
+}
+
+async function acceptOffer(offerId) {
+    if (!confirm('Accept this offer? The credits will be sold at the offered price.')) return;
+
+    const offer = await respondToOffer(offerId, 'accept');
+    if (offer) {
+        showNotification(`Offer accepted: ${offer.quantity} credits at ₹${offer.pricePerCredit}/credit`, 'success');
+
+        // The accepted offer is now a purchase in the company's history
+        if (document.getElementById('transactions-table')) {
+            loadCompanyTransactions().then(updateCompanyTransactions).catch(error => handleAPIError(error, 'Transactions'));
+        }
     }
+}
 
-    // Update ESG rating
-    const esgBadge = document.querySelector('.dashboard-header .badge');
-    if (esgBadge && profile.esgRating) {
-        esgBadge.textContent = `${profile.esgRating} Rated`;
+async function counterOffer(offerId, currentPrice) {
+    const price = prompt('Enter your counter-offer per credit (₹):', currentPrice);
+    if (!price || isNaN(price)) return;
+
+    const offer = await respondToOffer(offerId, 'counter', { offerPrice: parseFloat(price) });
+    if (offer) {
+        showNotification(`Counter-offer of ₹${offer.pricePerCredit}/credit sent`, 'success');
     }
 }
 
-function updateCompanyStats(stats) {
-    // Update stat cards
-    const statCards = [
-        { id: 'totalCredits', value: stats.totalCredits, suffix: '', change: stats.creditsChange },
-        { id: 'creditsRetired', value: stats.creditsRetired, suffix: '', change: stats.retiredChange },
-        { id: 'availableBalance', value: stats.availableBalance, suffix: '', change: formatCurrency(stats.balanceChange) },
-        { id: 'esgRating', value: stats.esgRating, suffix: '', change: stats.esgChange }
+async function rejectOffer(offerId) {
+    const offer = await respondToOffer(offerId, 'reject');
+    if (offer) {
+        showNotification(offer.status === 'withdrawn' ? 'Offer withdrawn' : 'Offer declined', 'info');
+    }
+}
+
+// Initialize company dashboard when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    if (window.location.pathname.includes('company-dashboard.html')) {
+        // Check authentication first
+        if (!(await requireSession(['company']))) {
+            return;
+        }
+
+        // Load company dashboard data
+        loadCompanyDashboardData();
+        loadOffers();
+        loadCompanyDocuments();
+        loadProjectMap('impactMap');
+
+        // Initialize other dashboard functionality
+        initializeThemeToggle();
+    }
+});
+
+// Verification Portal
+let portalUser = null;
+let currentVerificationCase = null;
+let mrvSchema = null;
+let mrvEditable = false;
+let currentSiteVisit = null;
+
+const MAX_SITE_VISIT_SLOTS = 5;
+
+const VERIFICATION_STATUS_BADGES = {
+    pending: '<span class="badge bg-warning">Pending</span>',
+    in_progress: '<span class="badge bg-info">Under Review</span>',
+    info_requested: '<span class="badge bg-secondary">Awaiting Information</span>',
+    approved: '<span class="badge bg-success">Approved</span>',
+    rejected: '<span class="badge bg-danger">Rejected</span>'
+};
+
+// Timeline text for each entry in a case's history
+const VERIFICATION_HISTORY_LABELS = {
+    start: { icon: '🔍', className: 'text-info', text: () => 'Review started' },
+    assign: { icon: '👤', className: 'text-primary', text: entry => `Assigned to ${escapeHtml(entry.note)}` },
+    requestInfo: { icon: '📋', className: 'text-warning', text: entry => `Information requested: ${escapeHtml(entry.note)}` },
+    respond: { icon: '✉️', className: 'text-info', text: entry => `Project owner responded: ${escapeHtml(entry.note)}` },
+    approve: { icon: '✅', className: 'text-success', text: entry => `Approved${entry.note ? `: ${escapeHtml(entry.note)}` : ''}` },
+    reject: { icon: '❌', className: 'text-danger', text: entry => `Rejected: ${escapeHtml(entry.note)}` }
+};
+
+async function initializeVerificationPortal() {
+    try {
+        portalUser = await apiRequest('/auth/profile');
+    } catch (error) {
+        handleAPIError(error, 'Verification Portal');
+        return;
+    }
+
+    if (!['verifier', 'admin'].includes(portalUser.userType)) {
+        window.location.href = 'login.html';
+        return;
+    }
+    if (portalUser.organization) {
+        document.getElementById('verifierOrganization').textContent = portalUser.organization;
+    }
+
+    let searchTimer;
+    document.getElementById('caseSearch').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(loadVerificationQueue, 300);
+    });
+    document.getElementById('caseStatusFilter').addEventListener('change', loadVerificationQueue);
+
+    if (can('verifications.assign')) {
+        loadVerifierOptions();
+    } else {
+        document.getElementById('calendarFeedBtn').classList.remove('d-none');
+    }
+    try {
+        mrvSchema = await apiRequest('/verifications/mrv-schema');
+    } catch (error) {
+        handleAPIError(error, 'MRV Schema');
+    }
+    await loadVerificationQueue();
+}
+
+async function loadVerificationQueue() {
+    const params = new URLSearchParams();
+    const search = document.getElementById('caseSearch').value.trim();
+    const status = document.getElementById('caseStatusFilter').value;
+    if (search) params.set('search', search);
+    if (status) params.set('status', status);
+
+    try {
+        const queue = await apiRequest(`/verifications?${params}`);
+        updateVerificationStats(queue.counts);
+        updateVerificationQueue(queue.items);
+
+        const selected = queue.items.find(item => item.id === currentVerificationCase?.id) || queue.items[0];
+        if (selected) {
+            await selectVerificationCase(selected.id);
+        }
+    } catch (error) {
+        handleAPIError(error, 'Verification Queue');
+    }
+}
+
+function updateVerificationStats(counts) {
+    document.getElementById('pendingCount').textContent = counts.pending;
+    document.getElementById('inReviewCount').textContent = counts.inProgress;
+    document.getElementById('assignedCount').textContent = counts.assignedToMe;
+    document.getElementById('approvedMonthCount').textContent = counts.approvedThisMonth;
+    document.getElementById('infoRequestedCount').textContent = counts.infoRequested;
+}
+
+function updateVerificationQueue(cases) {
+    const container = document.getElementById('caseList');
+    if (cases.length === 0) {
+        container.innerHTML = '<div class="text-center py-3 text-secondary">No verifications match these filters</div>';
+        return;
+    }
+
+    container.innerHTML = cases.map(item => `
+        <a href="#" class="list-group-item list-group-item-action" data-case-id="${item.id}" onclick="selectVerificationCase('${item.id}'); return false;">
+            <div class="d-flex w-100 justify-content-between">
+                <h6 class="mb-1">${escapeHtml(item.projectName)}</h6>
+                <small class="text-secondary">${formatTimeAgo(item.submittedAt)}</small>
+            </div>
+            <p class="mb-1">${escapeHtml(item.developer)}</p>
+            <small>${item.areaHectares} Ha | ${item.estimatedTco2e ?? '-'} tCO2e estimated</small>
+            <span class="float-end">${VERIFICATION_STATUS_BADGES[item.status]}</span>
+        </a>
+    `).join('');
+}
+
+async function selectVerificationCase(verificationId) {
+    try {
+        currentVerificationCase = await apiRequest(`/verifications/${verificationId}`);
+        updateVerificationCase(currentVerificationCase);
+
+        document.querySelectorAll('#caseList [data-case-id]').forEach(item => {
+            item.classList.toggle('active', item.dataset.caseId === verificationId);
+        });
+    } catch (error) {
+        handleAPIError(error, 'Verification Case');
+    }
+}
+
+function updateVerificationCase(verification) {
+    const formatDate = date => date ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' }) : '-';
+
+    document.getElementById('caseTitle').textContent = verification.projectName;
+    document.getElementById('caseStatusBadge').innerHTML = VERIFICATION_STATUS_BADGES[verification.status];
+    document.getElementById('caseAssignmentBadge').innerHTML = verification.assignedToMe
+        ? '<span class="badge bg-warning">Assigned to You</span>'
+        : `<span class="badge bg-dark">${verification.verifier ? `Assigned to ${escapeHtml(verification.verifier.name)}` : 'Unassigned'}</span>`;
+
+    document.getElementById('caseProjectInfo').innerHTML = `
+        <tr><th>Project Type:</th><td>${verification.projectType}</td></tr>
+        <tr><th>Location:</th><td>${escapeHtml(verification.location)}</td></tr>
+        <tr><th>Area:</th><td>${verification.areaHectares} Hectares</td></tr>
+        <tr><th>Boundary:</th><td>${formatAreaCheck(verification.project.areaCheck)}</td></tr>
+        <tr><th>Conflicts:</th><td>${verification.conflicts.length === 0
+            ? '<span class="text-success">No overlapping registrations found</span>'
+            : formatProjectConflicts(verification.conflicts, 'Approval is blocked until an administrator resolves this.')}</td></tr>
+        <tr><th>Start Date:</th><td>${formatDate(verification.project.startDate)}</td></tr>
+        <tr><th>Applicant:</th><td>${escapeHtml(verification.developer)}</td></tr>
+    `;
+    document.getElementById('caseEstimation').innerHTML = `
+        <tr><th>Estimated Credits:</th><td>${verification.estimatedTco2e ?? '-'} tCO2e</td></tr>
+        <tr><th>Verified Credits:</th><td>${verification.verifiedTco2e ?? '-'} tCO2e</td></tr>
+        <tr><th>Methodology Estimate:</th><td>${verification.estimate
+            ? `${verification.estimate.netTco2e} tCO2e over ${verification.estimate.inputs.years} year(s)
+                <small class="d-block text-secondary">${verification.estimate.methodology.code} v${verification.estimate.methodology.version}, ${verification.estimate.inputs.areaHectares} Ha</small>`
+            : '-'}</td></tr>
+        <tr><th>Verification Type:</th><td>${verification.verificationType}</td></tr>
+        <tr><th>Submitted:</th><td>${formatDate(verification.submittedAt)}</td></tr>
+        <tr><th>Completed:</th><td>${formatDate(verification.completedAt)}</td></tr>
+    `;
+    document.getElementById('caseCoordinates').textContent = verification.project.latitude === null
+        ? 'Coordinates not recorded'
+        : `Coordinates: ${verification.project.latitude.toFixed(4)}° N, ${verification.project.longitude.toFixed(4)}° E`;
+
+    const timeline = [
+        `<div class="timeline-item">
+            <div class="text-success">📥 Project submitted for verification</div>
+            <small class="text-secondary">${formatDate(verification.submittedAt)} by ${escapeHtml(verification.developer)}</small>
+        </div>`,
+        ...verification.history.map(entry => {
+            const label = VERIFICATION_HISTORY_LABELS[entry.action];
+            return `
+                <div class="timeline-item">
+                    <div class="${label.className}">${label.icon} ${label.text(entry)}</div>
+                    <small class="text-secondary">${formatDate(entry.at)} by ${escapeHtml(entry.byName)}</small>
+                </div>
+            `;
+        })
     ];
+    document.getElementById('caseTimeline').innerHTML = timeline.join('');
+
+    // Only the assigned verifier (or an admin) acts on a case under review
+    const canReview = portalUser.userType === 'admin' || verification.assignedToMe;
+    const underReview = verification.status === 'in_progress' && canReview;
+    document.getElementById('startReviewBtn').classList.toggle('d-none',
+        verification.status !== 'pending' || !(canReview || !verification.verifier));
+    ['requestInfoBtn', 'rejectBtn', 'approveBtn'].forEach(id => {
+        document.getElementById(id).classList.toggle('d-none', !canReview);
+        document.getElementById(id).disabled = !underReview;
+    });
+    // The server refuses approval while registration conflicts are open
+    const approveBtn = document.getElementById('approveBtn');
+    approveBtn.disabled = approveBtn.disabled || verification.conflicts.length > 0;
+    approveBtn.title = verification.conflicts.length > 0 ? 'Open registration conflicts must be resolved first' : '';
+    document.getElementById('assignControls').classList.toggle('d-none',
+        !can('verifications.assign') || !['pending', 'in_progress', 'info_requested'].includes(verification.status));
+
+    updateMrvForm(verification, underReview);
+    loadCaseSiteVisit(verification, canReview);
+    loadCasePhotoEvidence(verification);
+    loadCaseRemoteSensing(verification, underReview);
+    loadCaseDocuments(verification, canReview);
+}
 
-    statCards.forEach(stat => {
-        const card = document.querySelector(`[data-stat="${stat.id}"]`);
-        if (card) {
-            if (stat.id === 'esgRating') {
-                // Special handling for ESG rating card
-                const esgScoreElement = card.querySelector('.esg-score');
-                const progressBar = card.querySelector('.progress-bar');
-                const changeElement = card.querySelector('small');
+let casePhotoReport = null;
+
+// Pass/fail checks of every geotagged photo: location against the project,
+// capture time and near-duplicates anywhere on the platform
+async function loadCasePhotoEvidence(verification) {
+    const container = document.getElementById('casePhotoEvidence');
+    casePhotoReport = null;
+
+    try {
+        const report = await apiRequest(`/verifications/${verification.id}/photo-evidence`);
+        if (verification.id !== currentVerificationCase?.id) return;
+        casePhotoReport = report;
+
+        if (report.photos.length === 0) {
+            container.innerHTML = '<p class="text-secondary mb-0">No geotagged photos have been uploaded for this project</p>';
+            return;
+        }
+
+        const formatTaken = date => date
+            ? new Date(date).toLocaleString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : '-';
+        container.innerHTML = `
+            <p class="mb-2">
+                <span class="badge ${report.summary.failed === 0 ? 'bg-success' : 'bg-danger'}">${report.summary.passed} of ${report.summary.total} passed</span>
+                ${report.allowedRadiusMetres !== null ? `<small class="text-secondary ms-2">Photos must be taken within ${report.allowedRadiusMetres} m of the project location</small>` : ''}
+            </p>
+            <div class="table-responsive">
+                <table class="table table-sm align-middle">
+                    <thead>
+                        <tr><th>Photo</th><th>Taken</th><th>Checks</th><th>Result</th></tr>
+                    </thead>
+                    <tbody>
+                        ${report.photos.map(photo => `
+                            <tr>
+                                <td>
+                                    <a href="#" onclick="openCaseDocument('${photo.documentId}'); return false;">${escapeHtml(photo.fileName)}</a>
+                                    ${photo.camera ? `<small class="d-block text-secondary">${escapeHtml(photo.camera)}</small>` : ''}
+                                </td>
+                                <td><small>${formatTaken(photo.takenAt)}</small></td>
+                                <td>
+                                    ${photo.checks.map(check => `
+                                        <small class="d-block ${check.passed ? 'text-success' : 'text-danger'}">${check.passed ? '✓' : '✗'} ${escapeHtml(check.message)}</small>
+                                    `).join('')}
+                                    ${photo.matches.map(match => `
+                                        <small class="d-block text-secondary ms-3">
+                                            <a href="#" onclick="openDocumentViewer('${match.documentId}'); return false;">${escapeHtml(match.fileName)}</a>
+                                            ${match.sameProject ? '(this project)' : `(${escapeHtml(match.projectName)})`}
+                                        </small>
+                                    `).join('')}
+                                </td>
+                                <td>${photo.passed ? '<span class="badge bg-success">Pass</span>' : '<span class="badge bg-danger">Fail</span>'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } catch (error) {
+        handleAPIError(error, 'Photo Evidence');
+    }
+}
+
+// The project's NDVI series from satellite scenes. Attaching it saves a
+// snapshot with the report, which is what the evidence line shows.
+async function loadCaseRemoteSensing(verification, underReview) {
+    const container = document.getElementById('caseRemoteSensing');
+    const button = document.getElementById('attachRemoteSensingBtn');
+    button.disabled = true;
+
+    try {
+        const ndvi = await apiRequest(`/projects/${verification.projectId}/ndvi`);
+        if (verification.id !== currentVerificationCase?.id) return;
+
+        const attached = verification.remoteSensing;
+        const evidence = attached
+            ? `<p class="mb-2"><span class="badge bg-success">Attached</span>
+                <small class="ms-2">${attached.observationCount} clear image(s)${attached.since ? ` since ${formatNdviDate(attached.since)}` : ''},
+                canopy change ${attached.canopyChangeHectares > 0 ? '+' : ''}${attached.canopyChangeHectares} Ha,
+                ${attached.alerts.length} loss alert(s) | ${formatTimeAgo(attached.attachedAt)}</small></p>`
+            : '<p class="mb-2 text-secondary">Not attached to the report</p>';
+
+        if (ndvi.observations.length === 0) {
+            container.innerHTML = `${evidence}<p class="mb-0 text-secondary">${ndvi.monitored
+                ? 'No satellite images of this project have been processed yet'
+                : 'Satellite monitoring needs a project boundary and covers mangrove, afforestation and wetland projects'}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            ${evidence}
+            <div class="table-responsive">
+                <table class="table table-sm align-middle mb-0">
+                    <thead>
+                        <tr><th>Image</th><th>Mean NDVI</th><th>Canopy</th><th>Clear</th><th>Canopy Loss</th></tr>
+                    </thead>
+                    <tbody>
+                        ${ndvi.observations.slice().reverse().map(observation => `
+                            <tr class="${observation.usable ? '' : 'text-secondary'}">
+                                <td>${formatNdviDate(observation.acquiredOn)} <small class="text-secondary">${observation.sensor}</small></td>
+                                <td>${observation.meanNdvi === null ? '-' : observation.meanNdvi.toFixed(2)}</td>
+                                <td>${observation.canopyHectares} Ha</td>
+                                <td>${observation.validPixelPercent}%${observation.usable ? '' : ' (cloudy)'}</td>
+                                <td>${observation.canopyLossPercent === null ? '-' : `<span class="${observation.alerted ? 'text-danger' : ''}">${observation.canopyLossPercent}%</span>`}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        button.disabled = !underReview || !ndvi.observations.some(observation => observation.usable);
+    } catch (error) {
+        handleAPIError(error, 'Satellite Monitoring');
+    }
+}
+
+async function attachRemoteSensing() {
+    const button = document.getElementById('attachRemoteSensingBtn');
+
+    try {
+        showLoadingState(button, 'Attaching...');
+        const response = await apiRequest(`/verifications/${currentVerificationCase.id}/remote-sensing`, { method: 'POST' });
+        currentVerificationCase = response.data;
+        updateVerificationCase(currentVerificationCase);
+        showNotification(`Satellite evidence attached: ${response.data.remoteSensing.observationCount} clear image(s)`, 'success');
+    } catch (error) {
+        handleAPIError(error, 'Satellite Monitoring');
+    } finally {
+        hideLoadingState(button);
+    }
+}
+
+// Documents the project owner uploaded; each is reviewed in the viewer.
+// Verifiers see them once the case is theirs.
+async function loadCaseDocuments(verification, canReview) {
+    const container = document.getElementById('caseDocuments');
+    if (!canReview) {
+        container.innerHTML = '<div class="col-12 text-secondary">Start the review to see the documents the project owner uploaded</div>';
+        return;
+    }
+
+    try {
+        const documents = await apiRequest(`/documents?projectId=${verification.projectId}`);
+        container.innerHTML = documents.length === 0
+            ? '<div class="col-12 text-secondary">The project owner has not uploaded any documents yet</div>'
+            : documents.map(doc => `
+                <div class="col-md-4 mb-3">
+                    <div class="document-preview" onclick="openCaseDocument('${doc.id}')">
+                        <i class="fas ${documentIcon(doc.mimeType)} fa-2x mb-2"></i>
+                        <p class="mb-1">${doc.label}</p>
+                        <small class="d-block text-secondary text-truncate mb-1">${escapeHtml(doc.fileName)}</small>
+                        ${DOCUMENT_STATUS_BADGES[doc.verificationStatus]}
+                        ${doc.annotationCount > 0 ? `<small class="text-secondary ms-1"><i class="fas fa-comment"></i> ${doc.annotationCount}</small>` : ''}
+                    </div>
+                </div>
+            `).join('');
+    } catch (error) {
+        handleAPIError(error, 'Case Documents');
+    }
+}
+
+function openCaseDocument(documentId) {
+    const verification = currentVerificationCase;
+    openDocumentViewer(documentId, {
+        reviewer: portalUser.userType === 'admin' || verification.assignedToMe,
+        onChange: () => loadCaseDocuments(verification, true)
+    });
+}
+
+// MRV report form, rendered from the JSON Schema served by the API: nested
+// objects become fieldsets, arrays of plots/samples become editable tables
+function updateMrvForm(verification, editable) {
+    if (!mrvSchema) return;
+
+    mrvEditable = editable;
+    renderMrvFields(verification.mrv || { biomassPlots: [{}], soilCarbonSamples: [] });
+
+    document.getElementById('mrvNetCredits').textContent = verification.mrv
+        ? `Net credits: ${verification.mrv.netCredits} tCO2e | Survival ${verification.mrv.survival.ratePercent}%`
+        : 'No MRV report saved yet';
+    document.getElementById('mrvSaveBtn').classList.toggle('d-none', !editable);
+    document.getElementById('mrvDiff').innerHTML = '';
+}
+
+function mrvFieldLabel(schema) {
+    return `${schema.title}${schema['x-unit'] ? ` (${schema['x-unit']})` : ''}`;
+}
+
+function mrvFieldInput(schema, value, path) {
+    const numeric = ['number', 'integer'].includes(schema.type);
+    const type = schema['x-widget'] === 'date' ? 'date' : numeric ? 'number' : 'text';
+    return `<input type="${type}" class="form-control form-control-sm" data-mrv-path="${path}" data-mrv-type="${schema.type}"
+        ${numeric ? `step="${schema.type === 'integer' ? 1 : 'any'}"` : ''} value="${escapeHtml(value)}"
+        ${mrvEditable && !schema.readOnly ? '' : 'disabled'}>`;
+}
+
+function renderMrvObject(schema, value = {}, path) {
+    return `
+        <fieldset class="mb-3">
+            <legend class="fs-6 fw-bold">${schema.title}</legend>
+            <div class="row g-2">
+                ${Object.entries(schema.properties).map(([name, field]) => `
+                    <div class="col-md-4">
+                        <label class="form-label small mb-1">${mrvFieldLabel(field)}</label>
+                        ${mrvFieldInput(field, value[name], `${path}.${name}`)}
+                    </div>
+                `).join('')}
+            </div>
+        </fieldset>
+    `;
+}
+
+function renderMrvArray(schema, items = [], path) {
+    const columns = Object.entries(schema.items.properties);
+    return `
+        <fieldset class="mb-3" data-mrv-array="${path}" data-mrv-rows="${items.length}">
+            <legend class="fs-6 fw-bold">${schema.title}</legend>
+            <table class="table table-sm align-middle mb-1">
+                <thead><tr>${columns.map(([, field]) => `<th class="small">${mrvFieldLabel(field)}</th>`).join('')}<th></th></tr></thead>
+                <tbody>
+                    ${items.map((item, index) => `
+                        <tr>
+                            ${columns.map(([name, field]) => `<td>${mrvFieldInput(field, item[name], `${path}.${index}.${name}`)}</td>`).join('')}
+                            <td>${mrvEditable ? `<button type="button" class="btn btn-sm btn-outline-danger" onclick="removeMrvRow('${path}', ${index})"><i class="fas fa-times"></i></button>` : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${mrvEditable ? `<button type="button" class="btn btn-sm btn-outline-primary" onclick="addMrvRow('${path}')"><i class="fas fa-plus me-1"></i>Add</button>` : ''}
+        </fieldset>
+    `;
+}
+
+function renderMrvFields(report) {
+    document.getElementById('mrvFields').innerHTML = Object.entries(mrvSchema.properties)
+        .map(([name, field]) => {
+            if (field.type === 'object') return renderMrvObject(field, report[name], name);
+            if (field.type === 'array') return renderMrvArray(field, report[name], name);
+            return '';
+        })
+        .join('');
+}
+
+// Rebuild the report from the form; blank optional fields are left out
+function readMrvForm() {
+    const report = { schemaVersion: mrvSchema.properties.schemaVersion.const };
+    document.querySelectorAll('#mrvFields [data-mrv-array]').forEach(table => {
+        report[table.dataset.mrvArray] = Array.from({ length: Number(table.dataset.mrvRows) }, () => ({}));
+    });
+
+    document.querySelectorAll('#mrvFields [data-mrv-path]').forEach(input => {
+        if (input.disabled || input.value === '') return;
+
+        const keys = input.dataset.mrvPath.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => (node[key] ??= {}), report);
+        parent[last] = ['number', 'integer'].includes(input.dataset.mrvType) ? Number(input.value) : input.value;
+    });
+    return report;
+}
+
+function addMrvRow(path) {
+    const report = readMrvForm();
+    report[path].push({});
+    renderMrvFields(report);
+}
+
+function removeMrvRow(path, index) {
+    const report = readMrvForm();
+    report[path].splice(index, 1);
+    renderMrvFields(report);
+}
+
+async function saveMrvReport(event) {
+    event.preventDefault();
+    const submitButton = document.getElementById('mrvSaveBtn');
+
+    try {
+        showLoadingState(submitButton, 'Saving...');
+        const response = await apiRequest(`/verifications/${currentVerificationCase.id}/mrv-report`, {
+            method: 'PUT',
+            body: JSON.stringify(readMrvForm())
+        });
+        currentVerificationCase = response.data;
+        updateVerificationCase(currentVerificationCase);
+        showNotification(`MRV report saved: ${response.data.mrv.netCredits} tCO2e net credits`, 'success');
+    } catch (error) {
+        handleAPIError(error, 'MRV Report');
+    } finally {
+        hideLoadingState(submitButton);
+    }
+}
+
+// The case's current site visit, plus earlier cancelled ones
+async function loadCaseSiteVisit(verification, canReview) {
+    const container = document.getElementById('caseSiteVisit');
+    const button = document.getElementById('siteVisitBtn');
+
+    // Only the case's verifier arranges visits; unassigned cases have none
+    if (!canReview) {
+        currentSiteVisit = null;
+        button.classList.add('d-none');
+        container.innerHTML = '<p class="text-secondary mb-2">No site visit arranged</p>';
+        return;
+    }
+
+    try {
+        const visits = await apiRequest(`/site-visits?verificationId=${verification.id}`);
+        currentSiteVisit = visits.find(visit => visit.status !== 'cancelled') || null;
+        const cancelled = visits.filter(visit => visit.status === 'cancelled');
+        const canSchedule = canReview && !!verification.verifier
+            && ['pending', 'in_progress', 'info_requested'].includes(verification.status);
+
+        button.classList.toggle('d-none', !canSchedule);
+        document.getElementById('siteVisitBtnLabel').textContent = currentSiteVisit ? 'Reschedule Site Visit' : 'Schedule Site Visit';
+
+        const current = !currentSiteVisit ? '<p class="text-secondary mb-2">No site visit arranged</p>'
+            : currentSiteVisit.status === 'proposed' ? `
+                <div class="alert alert-warning mb-2">
+                    <strong>Waiting for ${escapeHtml(currentSiteVisit.developer)} to choose a time:</strong>
+                    <ul class="mb-0">${currentSiteVisit.slots.map(slot => `<li>${formatVisitSlot(slot.startsAt, slot.endsAt)}</li>`).join('')}</ul>
+                </div>
+            ` : `
+                <div class="alert alert-success mb-2">
+                    <strong>Scheduled:</strong> ${formatVisitSlot(currentSiteVisit.startsAt, currentSiteVisit.endsAt)}
+                    <button class="btn btn-sm btn-outline-success ms-2" onclick="downloadSiteVisitCalendar('${currentSiteVisit.id}')">
+                        <i class="fas fa-calendar-plus me-1"></i>.ics
+                    </button>
+                </div>
+            `;
+
+        container.innerHTML = `
+            ${current}
+            ${currentSiteVisit && canSchedule ? '<button class="btn btn-sm btn-outline-danger mb-2" onclick="cancelSiteVisit()">Cancel Visit</button>' : ''}
+            ${cancelled.map(visit => `
+                <div class="small text-secondary">
+                    Cancelled${visit.startsAt ? ` (${formatVisitSlot(visit.startsAt, visit.endsAt)})` : ''}: ${escapeHtml(visit.cancelReason)}
+                </div>
+            `).join('')}
+        `;
+    } catch (error) {
+        handleAPIError(error, 'Site Visits');
+    }
+}
+
+// <input type="datetime-local"> wants local time without a zone
+function toLocalInputValue(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+function addSiteVisitSlot(start = null, end = null) {
+    const container = document.getElementById('siteVisitSlots');
+    if (!start) {
+        start = new Date();
+        start.setDate(start.getDate() + 7);
+        start.setHours(10, 0, 0, 0);
+        end = new Date(start.getTime() + 3 * 60 * 60 * 1000);
+    }
+
+    const row = document.createElement('div');
+    row.className = 'row g-2 mb-2 site-visit-slot';
+    row.innerHTML = `
+        <div class="col-5">
+            <input type="datetime-local" class="form-control form-control-sm" data-slot="start" value="${toLocalInputValue(new Date(start))}" required>
+        </div>
+        <div class="col-5">
+            <input type="datetime-local" class="form-control form-control-sm" data-slot="end" value="${toLocalInputValue(new Date(end))}" required>
+        </div>
+        <div class="col-2">
+            <button type="button" class="btn btn-sm btn-outline-danger" onclick="this.closest('.site-visit-slot').remove(); updateSiteVisitSlotButton()">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `;
+    container.appendChild(row);
+    updateSiteVisitSlotButton();
+}
+
+function updateSiteVisitSlotButton() {
+    document.getElementById('addSiteVisitSlotBtn').disabled =
+        document.querySelectorAll('#siteVisitSlots .site-visit-slot').length >= MAX_SITE_VISIT_SLOTS;
+}
+
+function scheduleSiteVisit() {
+    if (!currentVerificationCase) return;
+
+    document.getElementById('siteVisitModalTitle').textContent = currentSiteVisit ? 'Reschedule Site Visit' : 'Schedule Site Visit';
+    document.getElementById('siteVisitSlots').innerHTML = '';
+    document.getElementById('siteVisitNotes').value = currentSiteVisit?.notes || '';
+    addSiteVisitSlot();
+    new bootstrap.Modal(document.getElementById('siteVisitModal')).show();
+}
+
+async function submitSiteVisit(event) {
+    event.preventDefault();
+    const submitButton = document.getElementById('siteVisitSubmit');
+    const slots = Array.from(document.querySelectorAll('#siteVisitSlots .site-visit-slot')).map(row => ({
+        start: new Date(row.querySelector('[data-slot="start"]').value).toISOString(),
+        end: new Date(row.querySelector('[data-slot="end"]').value).toISOString()
+    }));
+    const notes = document.getElementById('siteVisitNotes').value;
+
+    try {
+        showLoadingState(submitButton, 'Sending...');
+        await apiRequest(currentSiteVisit ? `/site-visits/${currentSiteVisit.id}/reschedule` : '/site-visits', {
+            method: 'POST',
+            body: JSON.stringify({ verificationId: currentVerificationCase.id, slots, notes })
+        });
+
+        bootstrap.Modal.getInstance(document.getElementById('siteVisitModal')).hide();
+        showNotification('Proposed times sent to the project owner', 'success');
+        loadCaseSiteVisit(currentVerificationCase, true);
+    } catch (error) {
+        handleAPIError(error, 'Site Visit');
+    } finally {
+        hideLoadingState(submitButton);
+    }
+}
+
+function cancelSiteVisit() {
+    document.getElementById('cancelSiteVisitReason').value = '';
+    new bootstrap.Modal(document.getElementById('cancelSiteVisitModal')).show();
+}
+
+async function submitSiteVisitCancel(event) {
+    event.preventDefault();
+    const submitButton = event.target.querySelector('button[type="submit"]');
+
+    try {
+        showLoadingState(submitButton, 'Cancelling...');
+        await apiRequest(`/site-visits/${currentSiteVisit.id}/cancel`, {
+            method: 'POST',
+            body: JSON.stringify({ reason: document.getElementById('cancelSiteVisitReason').value })
+        });
+
+        bootstrap.Modal.getInstance(document.getElementById('cancelSiteVisitModal')).hide();
+        showNotification('Site visit cancelled. The project owner has been notified.', 'info');
+        loadCaseSiteVisit(currentVerificationCase, true);
+    } catch (error) {
+        handleAPIError(error, 'Site Visit');
+    } finally {
+        hideLoadingState(submitButton);
+    }
+}
+
+function openCaseBoundary() {
+    if (!currentVerificationCase) {
+        showNotification('Select a verification case first', 'info');
+        return;
+    }
+    openProjectBoundary(currentVerificationCase.projectId, { editable: false });
+}
+
+// Subscription URL for the verifier's site visits in any calendar app
+async function showCalendarFeed() {
+    try {
+        const { url } = await apiRequest('/site-visits/feed');
+        try {
+            await navigator.clipboard.writeText(url);
+            showNotification(`Calendar feed URL copied. Subscribe to it in your calendar app: ${url}`, 'success');
+        } catch (error) {
+            showNotification(`Subscribe to this URL in your calendar app: ${url}`, 'info');
+        }
+    } catch (error) {
+        handleAPIError(error, 'Site Visit Calendar');
+    }
+}
+
+async function showMrvDiff() {
+    const container = document.getElementById('mrvDiff');
+    const formatValue = (value, unit) => value === null ? '-' : `${value}${unit ? ` ${unit}` : ''}`;
+    const changeLabels = { added: 'Added', removed: 'Removed', changed: 'Changed' };
+    const rowClasses = { added: 'table-success', removed: 'table-danger', changed: 'table-warning' };
+
+    try {
+        const diff = await apiRequest(`/verifications/${currentVerificationCase.id}/mrv-diff`);
+        const period = report => `${report.monitoringPeriod.start} to ${report.monitoringPeriod.end}`;
+
+        container.innerHTML = `
+            <div class="alert alert-info mb-2">
+                Compared with the ${diff.previous.verificationType} verification for ${period(diff.previous)}:
+                net credits ${diff.previous.netCredits} &rarr; ${diff.current.netCredits} tCO2e
+            </div>
+            ${diff.changes.length === 0 ? '<p class="text-secondary">No differences</p>' : `
+                <table class="table table-sm">
+                    <thead><tr><th>Field</th><th>Previous</th><th>Current</th><th>Change</th></tr></thead>
+                    <tbody>
+                        ${diff.changes.map(change => `
+                            <tr class="${rowClasses[change.change]}">
+                                <td>${change.label}</td>
+                                <td>${escapeHtml(formatValue(change.before, change.unit))}</td>
+                                <td>${escapeHtml(formatValue(change.after, change.unit))}</td>
+                                <td>${change.delta !== null ? `${change.delta > 0 ? '+' : ''}${change.delta}` : changeLabels[change.change]}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+    } catch (error) {
+        if (error.status === 404) {
+            showNotification(error.message, 'info');
+        } else {
+            handleAPIError(error, 'MRV Comparison');
+        }
+    }
+}
+
+async function loadVerifierOptions() {
+    try {
+        const verifiers = await apiRequest('/verifications/verifiers');
+        document.getElementById('assignVerifier').innerHTML = verifiers.map(verifier => `
+            <option value="${verifier.id}">${verifier.name} (${verifier.code}) - ${verifier.openCases} open</option>
+        `).join('');
+    } catch (error) {
+        handleAPIError(error, 'Verifiers');
+    }
+}
 
-                if (esgScoreElement) esgScoreElement.textContent = stat.value;
-                if (progressBar) progressBar.style.width = `${stats.esgScore || 0}%`;
-                if (changeElement && stat.change) changeElement.textContent = stat.change;
-            } else {
-                const valueElement = card.querySelector('h3');
-                const changeElement = card.querySelector('small');
+// POST an action on the current case and refresh the queue with its result
+async function updateVerificationCaseStatus(action, body, successMessage, button) {
+    try {
+        showLoadingState(button, 'Saving...');
+        await apiRequest(`/verifications/${currentVerificationCase.id}/${action}`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        showNotification(successMessage, 'success');
+        await loadVerificationQueue();
+        return true;
+    } catch (error) {
+        handleAPIError(error, 'Verification');
+        return false;
+    } finally {
+        hideLoadingState(button);
+    }
+}
 
-                if (valueElement) {
-                    valueElement.textContent = stat.id === 'availableBalance' ? formatCurrency(stat.value) : stat.value;
-                }
-                if (changeElement && stat.change) {
-                    changeElement.textContent = stat.change;
-                }
-            }
-        }
-    });
+function startVerificationReview() {
+    updateVerificationCaseStatus('start', {}, 'Review started', document.getElementById('startReviewBtn'));
 }
 
-function updateMarketplaceProjects(projects) {
-    // Hide loading spinner and show projects
-    const loadingElement = document.getElementById('marketplace-loading');
-    const projectsContainer = document.getElementById('marketplace-projects');
+function assignVerificationCase() {
+    const select = document.getElementById('assignVerifier');
+    updateVerificationCaseStatus('assign', { verifierId: select.value }, 'Verifier assigned', select.nextElementSibling);
+}
 
-    if (loadingElement) loadingElement.style.display = 'none';
-    if (projectsContainer) projectsContainer.style.display = 'block';
+function approveVerification() {
+    const mrv = currentVerificationCase.mrv;
+    document.getElementById('approvedCredits').value = mrv?.netCredits ?? currentVerificationCase.estimatedTco2e ?? '';
+    document.getElementById('approvedCreditsHint').textContent = mrv
+        ? `Net credits from the MRV report: ${mrv.netCredits} tCO2e`
+        : currentVerificationCase.estimatedTco2e ? `Project estimate: ${currentVerificationCase.estimatedTco2e} tCO2e` : '';
+    document.getElementById('verificationNotes').value = '';
+
+    const photoWarning = document.getElementById('approvePhotoWarning');
+    const photos = casePhotoReport?.summary;
+    photoWarning.textContent = !photos ? ''
+        : photos.total === 0 ? 'No geotagged photos have been uploaded for this project.'
+            : photos.failed > 0 ? `${photos.failed} of ${photos.total} geotagged photos failed the evidence checks.` : '';
+    photoWarning.classList.toggle('d-none', !photoWarning.textContent);
+    new bootstrap.Modal(document.getElementById('verificationModal')).show();
+}
 
-    projectsContainer.innerHTML = '';
+async function submitVerification(event) {
+    event.preventDefault();
+    const submitButton = event.target.querySelector('button[type="submit"]');
 
-    if (projects.length === 0) {
-        projectsContainer.innerHTML = `
-            <div class="col-12">
-                <div class="text-center py-4">
-                    <i class="fas fa-inbox fa-2x text-secondary mb-2"></i>
-                    <p class="text-secondary mb-0">No projects available in marketplace</p>
-                </div>
-            </div>
-        `;
-    } else {
-        projects.forEach(project => {
-            const projectCard = createMarketplaceProjectCard(project);
-            projectsContainer.appendChild(projectCard);
+    try {
+        showLoadingState(submitButton, 'Approving...');
+        const response = await apiRequest(`/verifications/${currentVerificationCase.id}/approve`, {
+            method: 'POST',
+            body: JSON.stringify({
+                verifiedTco2e: parseFloat(document.getElementById('approvedCredits').value),
+                notes: document.getElementById('verificationNotes').value.trim() || null
+            })
         });
+
+        bootstrap.Modal.getInstance(document.getElementById('verificationModal')).hide();
+        const minted = response.data.credits.filter(credit => credit.tokenId);
+        showNotification(
+            `Verification approved: ${response.data.verifiedTco2e} tCO2e issued${minted.length ? ` as token ${minted.map(credit => credit.tokenId).join(', ')}` : ''}`,
+            'success'
+        );
+        await loadVerificationQueue();
+    } catch (error) {
+        handleAPIError(error, 'Approve Verification');
+    } finally {
+        hideLoadingState(submitButton);
     }
 }
 
-function createMarketplaceProjectCard(project) {
-    const colDiv = document.createElement('div');
-    colDiv.className = 'col-md-6 mb-4';
+function rejectVerification() {
+    document.getElementById('rejectReason').value = '';
+    new bootstrap.Modal(document.getElementById('rejectModal')).show();
+}
 
-    const statusClass = project.status === 'verified' ? 'border-success' : 'border-warning';
-    const statusBadge = project.status === 'verified' ? '<span class="badge bg-success">Verified</span>' : '<span class="badge bg-warning">Under Verification</span>';
+async function submitRejection(event) {
+    event.preventDefault();
+    const saved = await updateVerificationCaseStatus(
+        'reject',
+        { reason: document.getElementById('rejectReason').value },
+        'Verification rejected. The project owner has been notified.',
+        event.target.querySelector('button[type="submit"]')
+    );
+    if (saved) {
+        bootstrap.Modal.getInstance(document.getElementById('rejectModal')).hide();
+    }
+}
 
-    colDiv.innerHTML = `
-        <div class="card project-card ${statusClass} h-100">
-            <div class="card-body">
-                <div class="d-flex justify-content-between align-items-start mb-2">
-                    <h5 class="card-title">${project.name}</h5>
-                    ${statusBadge}
-                </div>
-                <p class="card-text text-secondary">
-                    <i class="fas fa-map-marker-alt me-1"></i>${project.location}
-                </p>
-                <div class="mb-2">
-                    ${project.impacts.map(impact => `<span class="impact-badge badge bg-primary">${impact}</span>`).join(' ')}
-                </div>
-                <div class="d-flex justify-content-between align-items-center mb-3">
-                    <div>
-                        <strong class="${project.status === 'verified' ? 'text-success' : 'text-warning'}">${project.availableCredits} tCO2e</strong><br>
-                        <small>${project.status === 'verified' ? 'Available' : 'Estimated'}</small>
-                    </div>
-                    <div class="text-end">
-                        <strong>₹${project.pricePerCredit}/credit</strong><br>
-                        <small>Total: ${formatCurrency(project.availableCredits * project.pricePerCredit)}</small>
-                    </div>
-                </div>
-                <div class="d-grid gap-2">
-                    <button class="btn btn-outline-${project.status === 'verified' ? 'success' : 'warning'} btn-sm" onclick="viewProjectDetails('${project.id}')">
-                        <i class="fas fa-eye me-1"></i>View Details
-                    </button>
-                    <button class="btn btn-${project.status === 'verified' ? 'success' : 'warning'} btn-sm" onclick="${project.status === 'verified' ? 'makeOffer' : 'expressInterest'}('${project.id}')">
-                        <i class="fas fa-${project.status === 'verified' ? 'shopping-cart' : 'star'} me-1"></i>${project.status === 'verified' ? 'Make Offer' : 'Express Interest'}
-                    </button>
-                </div>
-            </div>
-        </div>
-    `;
+function requestMoreInfo() {
+    document.getElementById('infoRequestMessage').value = '';
+    new bootstrap.Modal(document.getElementById('infoRequestModal')).show();
+}
 
-    return colDiv;
+async function submitInfoRequest(event) {
+    event.preventDefault();
+    const saved = await updateVerificationCaseStatus(
+        'request-info',
+        { message: document.getElementById('infoRequestMessage').value },
+        'Information request sent to the project owner',
+        event.target.querySelector('button[type="submit"]')
+    );
+    if (saved) {
+        bootstrap.Modal.getInstance(document.getElementById('infoRequestModal')).hide();
+    }
 }
 
-function updateCompanyTransactions(transactions) {
-    // Hide loading spinner and show table
-    const loadingElement = document.getElementById('transactions-loading');
-    const tableElement = document.getElementById('transactions-table');
+document.addEventListener('DOMContentLoaded', async function() {
+    if (window.location.pathname.includes('verification-portal.html')) {
+        if (!(await requireSession(['verifier', 'admin']))) {
+            return;
+        }
 
-    if (loadingElement) loadingElement.style.display = 'none';
-    if (tableElement) tableElement.style.display = 'block';
+        initializeVerificationPortal();
+    }
+});
 
-    const tbody = tableElement.querySelector('tbody');
-    tbody.innerHTML = '';
+// Admin Dashboard
+let adminReviewCase = null;
 
-    if (transactions.length === 0) {
-        tbody.innerHTML = `
-            <tr>
-                <td colspan="7" class="text-center py-4">
-                    <i class="fas fa-inbox fa-2x text-secondary mb-2"></i>
-                    <p class="text-secondary mb-0">No transactions found</p>
-                </td>
-            </tr>
-        `;
-    } else {
-        transactions.forEach(transaction => {
-            const row = createTransactionRow(transaction);
-            tbody.appendChild(row);
-        });
+async function loadPendingVerifications() {
+    const tbody = document.getElementById('pendingVerifications');
+
+    try {
+        const queue = await apiRequest('/verifications?status=pending,in_progress,info_requested');
+        const openCount = queue.counts.pending + queue.counts.inProgress + queue.counts.infoRequested;
+        document.getElementById('pendingVerificationCount').textContent = `${openCount} Project${openCount === 1 ? '' : 's'}`;
+
+        tbody.innerHTML = queue.items.length === 0
+            ? '<tr><td colspan="6" class="text-center text-secondary">No projects are waiting for verification</td></tr>'
+            : queue.items.slice(0, 5).map(item => `
+                <tr class="verification-pending">
+                    <td>#${item.id.slice(0, 8).toUpperCase()}</td>
+                    <td>
+                        <strong>${escapeHtml(item.projectName)}</strong>
+                        <br><small class="text-secondary">${escapeHtml(item.developer)}</small>
+                    </td>
+                    <td>${item.projectType}</td>
+                    <td>${formatTimeAgo(item.submittedAt)}</td>
+                    <td>${VERIFICATION_STATUS_BADGES[item.status]}</td>
+                    <td class="table-actions">
+                        <button class="btn btn-sm btn-outline-primary" onclick="reviewProject('${item.id}')" title="Review documents">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+    } catch (error) {
+        handleAPIError(error, 'Pending Verifications');
     }
 }
 
-function createTransactionRow(transaction) {
-    const row = document.createElement('tr');
+async function reviewProject(verificationId) {
+    try {
+        const verification = await apiRequest(`/verifications/${verificationId}`);
+        adminReviewCase = verification;
+
+        document.getElementById('projectTitle').textContent = verification.projectName;
+        document.getElementById('projectId').textContent = `#${verification.id.slice(0, 8).toUpperCase()}`;
+        document.getElementById('projectType').textContent = verification.projectType;
+        document.getElementById('projectLocation').textContent = verification.location;
+        document.getElementById('projectArea').textContent = `${verification.areaHectares} Hectares`;
+        document.getElementById('projectCredits').textContent = `${verification.estimatedTco2e ?? '-'} tCO2e`;
+        await loadProjectReviewDocuments();
+
+        new bootstrap.Modal(document.getElementById('projectReviewModal')).show();
+    } catch (error) {
+        handleAPIError(error, 'Project Review');
+    }
+}
 
-    const typeBadge = transaction.type === 'purchase' ? '<span class="badge bg-primary">Purchase</span>' : '<span class="badge bg-success">Retirement</span>';
-    const statusBadge = getTransactionStatusBadge(transaction.status);
+async function loadProjectReviewDocuments() {
+    const documents = await apiRequest(`/documents?projectId=${adminReviewCase.projectId}`);
+    document.getElementById('projectReviewDocuments').innerHTML = documents.length === 0
+        ? '<div class="list-group-item text-secondary">No documents uploaded yet</div>'
+        : documents.map(doc => `
+            <a href="#" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center" onclick="openProjectReviewDocument('${doc.id}'); return false;">
+                <span>
+                    <i class="fas ${documentIcon(doc.mimeType)} me-2"></i>
+                    ${doc.label}
+                    <small class="d-block text-secondary">${escapeHtml(doc.fileName)}</small>
+                </span>
+                ${DOCUMENT_STATUS_BADGES[doc.verificationStatus]}
+            </a>
+        `).join('');
+}
 
-    row.innerHTML = `
-        <td>${new Date(transaction.date).toLocaleDateString()}</td>
-        <td>${transaction.projectName}</td>
-        <td>${typeBadge}</td>
-        <td>${transaction.credits} tCO2e</td>
-        <td>${formatCurrency(transaction.amount)}</td>
-        <td>${statusBadge}</td>
-        <td>
-            ${transaction.status === 'completed' ? `
-                <button class="btn btn-sm btn-outline-primary" onclick="downloadCertificate('${transaction.id}')">Certificate</button>
-                <button class="btn btn-sm btn-outline-info" onclick="downloadInvoice('${transaction.id}')">Invoice</button>
-            ` : `
-                <button class="btn btn-sm btn-outline-secondary" onclick="trackTransaction('${transaction.id}')">Track</button>
-            `}
-        </td>
-    `;
+function openProjectReviewDocument(documentId) {
+    openDocumentViewer(documentId, {
+        reviewer: true,
+        onChange: () => loadProjectReviewDocuments().catch(error => handleAPIError(error, 'Project Review'))
+    });
+}
 
-    return row;
+// Registration conflicts: overlapping boundaries and survey numbers
+// registered more than once. The administrator dismisses each one or
+// suspends one of the two projects.
+const CONFLICT_KIND_LABELS = {
+    boundary_overlap: 'Overlapping boundary',
+    survey_number: 'Same survey number'
+};
+
+const CONFLICT_STATUS_BADGES = {
+    open: '<span class="badge bg-danger">Open</span>',
+    dismissed: '<span class="badge bg-secondary">Dismissed</span>',
+    resolved: '<span class="badge bg-success">Resolved</span>'
+};
+
+// The two projects of a conflict, on its map and in its legend
+const CONFLICT_MAP_COLOURS = ['#3b82f6', '#ef4444'];
+
+let currentConflict = null;
+
+function conflictFigures(conflict) {
+    return conflict.kind === 'boundary_overlap'
+        ? `${conflict.overlapHectares} Ha (${conflict.overlapPercent}% / ${conflict.otherOverlapPercent}%)`
+        : `Survey No. ${escapeHtml(conflict.surveyNumber)}, ${escapeHtml(conflict.district)}`;
 }
 
-function getTransactionStatusBadge(status) {
-    const statusMap = {
-        'completed': '<span class="badge bg-success">Completed</span>',
-        'processing': '<span class="badge bg-warning">Processing</span>',
-        'pending': '<span class="badge bg-secondary">Pending</span>',
-        'failed': '<span class="badge bg-danger">Failed</span>'
-    };
+async function loadProjectConflicts() {
+    const tbody = document.getElementById('projectConflicts');
+    const status = document.getElementById('conflictStatusFilter').value;
 
-    return statusMap[status] || '<span class="badge bg-secondary">Unknown</span>';
+    try {
+        const queue = await apiRequest(`/conflicts?status=${status}`);
+        document.getElementById('conflictCount').textContent = `${queue.counts.open} Open`;
+
+        tbody.innerHTML = queue.items.length === 0
+            ? `<tr><td colspan="5" class="text-center text-secondary">No ${status} conflicts</td></tr>`
+            : queue.items.map(item => `
+                <tr>
+                    <td>
+                        <strong>${escapeHtml(item.project.title)}</strong>
+                        <br><small class="text-secondary">${escapeHtml(item.project.developer)}</small>
+                    </td>
+                    <td>
+                        <strong>${escapeHtml(item.conflictingProject.title)}</strong>
+                        <br><small class="text-secondary">${escapeHtml(item.conflictingProject.developer)}</small>
+                    </td>
+                    <td>
+                        ${CONFLICT_KIND_LABELS[item.kind]}
+                        <br><small class="text-secondary">${conflictFigures(item)}</small>
+                    </td>
+                    <td>${formatTimeAgo(item.detectedAt)}</td>
+                    <td class="table-actions">
+                        <button class="btn btn-sm btn-outline-primary" onclick="openProjectConflict('${item.id}')" title="Review conflict">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+    } catch (error) {
+        handleAPIError(error, 'Registration Conflicts');
+    }
 }
 
-// Company Dashboard Actions
-async function makeOffer(projectId) {
-    const offer = prompt('Enter your offer price per credit (₹):');
-    if (offer && !isNaN(offer)) {
-        try {
-            showLoadingState(null, 'Submitting offer...');
-            await apiRequest('/marketplace/offer', {
-                method: 'POST',
-                body: JSON.stringify({ projectId, offerPrice: parseFloat(offer) })
-            });
-            showNotification('Offer submitted successfully!', 'success');
-        } catch (error) {
-            handleAPIError(error, 'Make Offer');
-        } finally {
-            hideLoadingState(null);
-        }
+async function openProjectConflict(conflictId) {
+    try {
+        currentConflict = await apiRequest(`/conflicts/${conflictId}`);
+        document.getElementById('conflictNote').value = '';
+        renderProjectConflict();
+
+        const modalElement = document.getElementById('conflictModal');
+        modalElement.addEventListener('shown.bs.modal', () => {
+            const entry = projectMaps.conflictMap;
+            if (!entry) return;
+            entry.map.invalidateSize();
+            if (entry.layers.getLayers().length > 0) {
+                entry.map.fitBounds(entry.layers.getBounds(), { padding: [20, 20] });
+            }
+        }, { once: true });
+        new bootstrap.Modal(modalElement).show();
+    } catch (error) {
+        handleAPIError(error, 'Registration Conflicts');
     }
 }
 
-async function expressInterest(projectId) {
+function renderProjectConflict() {
+    const conflict = currentConflict;
+    const open = conflict.status === 'open';
+    const projects = [conflict.project, conflict.conflictingProject];
+    const shares = [conflict.overlapPercent, conflict.otherOverlapPercent];
+
+    document.getElementById('conflictTitle').textContent = CONFLICT_KIND_LABELS[conflict.kind];
+    document.getElementById('conflictSummary').innerHTML = conflict.kind === 'boundary_overlap'
+        ? `The boundaries overlap by <strong>${conflict.overlapHectares} Ha</strong>. Detected ${formatTimeAgo(conflict.detectedAt)}.`
+        : `Both projects give survey number <strong>${escapeHtml(conflict.surveyNumber)}</strong> in ${escapeHtml(conflict.district)}. Detected ${formatTimeAgo(conflict.detectedAt)}.`;
+
+    document.getElementById('conflictProjects').innerHTML = projects.map((project, index) => `
+        <div class="col-md-6">
+            <div class="border rounded p-3 h-100">
+                <div class="d-flex justify-content-between align-items-start">
+                    <strong>
+                        <span class="project-map-legend-swatch" style="background: ${CONFLICT_MAP_COLOURS[index]}"></span>${escapeHtml(project.title)}
+                    </strong>
+                    ${getStatusBadge(project.status)}
+                </div>
+                <small class="d-block text-secondary">${escapeHtml(project.developer)}</small>
+                <small class="d-block">
+                    ${project.areaHectares} Ha declared${shares[index] === null ? '' : `, ${shares[index]}% inside the other boundary`}
+                    ${project.boundary ? '' : '<span class="text-secondary">(no boundary mapped)</span>'}
+                </small>
+                ${open && project.status !== 'suspended' ? `
+                    <button type="button" class="btn btn-sm btn-outline-danger mt-2" onclick="resolveProjectConflict('suspend', '${project.id}')">
+                        <i class="fas fa-ban me-1"></i>Suspend this project
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+    `).join('');
+
+    document.getElementById('conflictResolution').innerHTML = open ? '' : `
+        ${CONFLICT_STATUS_BADGES[conflict.status]}
+        ${escapeHtml(conflict.resolutionNote)}
+        <small class="text-secondary ms-1">${conflict.resolvedBy ? `by ${escapeHtml(conflict.resolvedBy)}, ` : ''}${formatTimeAgo(conflict.resolvedAt)}</small>
+    `;
+    document.getElementById('conflictResolveForm').classList.toggle('d-none', !open);
+    document.getElementById('conflictDismissBtn').classList.toggle('d-none', !open);
+
+    const mapElement = document.getElementById('conflictMap');
+    const boundaries = projects.filter(project => project.boundary);
+    mapElement.classList.toggle('d-none', boundaries.length === 0 || typeof L === 'undefined');
+    if (boundaries.length === 0 || typeof L === 'undefined') return;
+
+    const { layers } = getProjectMap('conflictMap');
+    layers.clearLayers();
+    projects.forEach((project, index) => {
+        if (!project.boundary) return;
+        const colour = CONFLICT_MAP_COLOURS[index];
+        L.geoJSON(project.boundary, { style: { color: colour, fillColor: colour, fillOpacity: 0.25, weight: 2 } })
+            .bindTooltip(escapeHtml(project.title))
+            .addTo(layers);
+    });
+}
+
+async function resolveProjectConflict(decision, projectId = null) {
+    const note = document.getElementById('conflictNote').value.trim();
+    if (!note) {
+        showNotification('Add a note explaining the decision', 'warning');
+        return;
+    }
+    if (decision === 'suspend') {
+        const project = [currentConflict.project, currentConflict.conflictingProject].find(item => item.id === projectId);
+        if (!confirm(`Suspend ${project.title}? Its owner will be notified with your note.`)) return;
+    }
+
+    const button = document.getElementById('conflictDismissBtn');
     try {
-        showLoadingState(null, 'Expressing interest...');
-        await apiRequest('/marketplace/interest', {
+        showLoadingState(button, 'Saving...');
+        const response = await apiRequest(`/conflicts/${currentConflict.id}/resolve`, {
             method: 'POST',
-            body: JSON.stringify({ projectId })
+            body: JSON.stringify({ decision, projectId, note })
         });
-        showNotification('Interest expressed successfully! You will be notified when the project is verified.', 'success');
+        currentConflict = response.data;
+        renderProjectConflict();
+        showNotification(decision === 'dismiss' ? 'Conflict dismissed' : 'Project suspended and conflict resolved', 'success');
+        await loadProjectConflicts();
     } catch (error) {
-        handleAPIError(error, 'Express Interest');
+        handleAPIError(error, 'Registration Conflicts');
     } finally {
-        hideLoadingState(null);
+        hideLoadingState(button);
     }
 }
 
-async function downloadCertificate(transactionId) {
+const USER_TYPE_LABELS = {
+    farmer: 'Farmer',
+    ngo: 'NGO',
+    company: 'Company',
+    verifier: 'Verifier',
+    admin: 'Administrator'
+};
+
+const USER_STATUS_BADGES = {
+    active: '<span class="badge bg-success">Active</span>',
+    pending: '<span class="badge bg-warning text-dark">Pending</span>',
+    suspended: '<span class="badge bg-dark">Suspended</span>'
+};
+
+let userAccounts = [];
+let suspendingUser = null;
+
+async function loadUserAccounts() {
+    const tbody = document.getElementById('userAccounts');
+    const params = new URLSearchParams();
+    const search = document.getElementById('userSearch').value.trim();
+    const userType = document.getElementById('userTypeFilter').value;
+    const status = document.getElementById('userStatusFilter').value;
+    if (search) params.set('search', search);
+    if (userType) params.set('userType', userType);
+    if (status) params.set('status', status);
+
     try {
-        const response = await apiRequest(`/transactions/${transactionId}/certificate`);
-        // Handle file download
-        const blob = new Blob([response], { type: 'application/pdf' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `certificate-${transactionId}.pdf`;
-        a.click();
-        window.URL.revokeObjectURL(url);
+        userAccounts = await apiRequest(`/users?${params}`);
+        const suspended = userAccounts.filter(user => user.status === 'suspended').length;
+        document.getElementById('suspendedUserCount').textContent = suspended > 0 ? `${suspended} Suspended` : '';
+
+        tbody.innerHTML = userAccounts.length === 0
+            ? '<tr><td colspan="5" class="text-center text-secondary">No matching accounts</td></tr>'
+            : userAccounts.map(user => `
+                <tr>
+                    <td>
+                        <strong>${escapeHtml(user.name || user.email || user.phone)}</strong>
+                        <br><small class="text-secondary">${escapeHtml([user.email, user.phone].filter(Boolean).join(' · '))}</small>
+                    </td>
+                    <td>${USER_TYPE_LABELS[user.userType]}</td>
+                    <td>
+                        ${USER_STATUS_BADGES[user.status]}
+                        ${user.status === 'suspended' ? `
+                            <br><small class="text-secondary" title="${escapeHtml(user.suspensionReason)}">
+                                ${user.suspendedBy ? `by ${escapeHtml(user.suspendedBy)}, ` : ''}${formatTimeAgo(user.suspendedAt)}
+                            </small>
+                        ` : ''}
+                    </td>
+                    <td>${formatTimeAgo(user.createdAt)}</td>
+                    <td class="table-actions">
+                        ${user.status === 'suspended' ? `
+                            <button class="btn btn-sm btn-outline-success" onclick="reinstateUser('${user.id}', this)" title="Reinstate account">
+                                <i class="fas fa-user-check"></i>
+                            </button>
+                        ` : user.id === getTokenClaims()?.sub ? '' : `
+                            <button class="btn btn-sm btn-outline-danger" onclick="openSuspendUser('${user.id}')" title="Suspend account">
+                                <i class="fas fa-user-slash"></i>
+                            </button>
+                        `}
+                    </td>
+                </tr>
+            `).join('');
     } catch (error) {
-        handleAPIError(error, 'Download Certificate');
+        handleAPIError(error, 'User Accounts');
     }
 }
 
-async function downloadInvoice(transactionId) {
+function openSuspendUser(userId) {
+    suspendingUser = userAccounts.find(user => user.id === userId);
+    document.getElementById('suspendUserName').textContent = suspendingUser.name || suspendingUser.email || suspendingUser.phone;
+    document.getElementById('suspensionReason').value = '';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('suspendUserModal')).show();
+}
+
+async function submitSuspendUser(event) {
+    event.preventDefault();
+    const reason = document.getElementById('suspensionReason').value.trim();
+    if (!reason) {
+        showNotification('Give a reason for the suspension', 'warning');
+        return;
+    }
+
+    const button = document.getElementById('suspendUserBtn');
     try {
-        const response = await apiRequest(`/transactions/${transactionId}/invoice`);
-        // Handle file download
-        const blob = new Blob([response], { type: 'application/pdf' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `invoice-${transactionId}.pdf`;
-        a.click();
-        window.URL.revokeObjectURL(url);
+        showLoadingState(button, 'Suspending...');
+        await apiRequest(`/users/${suspendingUser.id}/suspend`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+        bootstrap.Modal.getInstance(document.getElementById('suspendUserModal')).hide();
+        showNotification('Account suspended and signed out', 'success');
+        await loadUserAccounts();
     } catch (error) {
-        handleAPIError(error, 'Download Invoice');
+        handleAPIError(error, 'User Accounts');
+    } finally {
+        hideLoadingState(button);
     }
 }
 
-async function trackTransaction(transactionId) {
+async function reinstateUser(userId, button) {
+    const user = userAccounts.find(item => item.id === userId);
+    if (!confirm(`Reinstate ${user.name || user.email || user.phone}? They will be able to log in again.`)) return;
+
     try {
-        const status = await apiRequest(`/transactions/${transactionId}/status`);
-        showNotification(`Transaction Status: ${status.status}`, 'info');
+        showLoadingState(button, '');
+        await apiRequest(`/users/${userId}/reinstate`, { method: 'POST' });
+        showNotification('Account reinstated', 'success');
+        await loadUserAccounts();
     } catch (error) {
-        handleAPIError(error, 'Track Transaction');
+        hideLoadingState(button);
+        handleAPIError(error, 'User Accounts');
     }
 }
 
-// Initialize company dashboard when page loads
-document.addEventListener('DOMContentLoaded', function() {
-    if (window.location.pathname.includes('company-dashboard.html')) {
-        // Check authentication first
-        if (!isAuthenticated()) {
-            window.location.href = 'login.html';
+document.addEventListener('DOMContentLoaded', async function() {
+    if (window.location.pathname.includes('admin-dashboard.html')) {
+        if (!(await requireSession(['admin']))) {
             return;
         }
 
-        // Load company dashboard data
-        loadCompanyDashboardData();
-
-        // Initialize other dashboard functionality
-        initializeThemeToggle();
+        loadPendingVerifications();
+        loadProjectConflicts();
+        loadUserAccounts();
+        loadProjectMap('adminProjectMap');
     }
 });
 
@@ -1635,6 +4166,7 @@ async function handleFarmerRegistration(form) {
             surveyNumber: formData.get('surveyNumber'),
             landAddress: formData.get('landAddress'),
             projectType: formData.get('projectType'),
+            previousLandUse: formData.get('previousLandUse'),
             projectStartDate: formData.get('projectStartDate'),
             experience: formData.get('experience'),
 
@@ -1663,8 +4195,15 @@ async function handleFarmerRegistration(form) {
             body: JSON.stringify(registrationData)
         });
 
-        if (response.success) {
-            showNotification('Registration submitted successfully! You will receive verification status within 48 hours.', 'success');
+        if (response.success && response.data.conflicts.length > 0) {
+            showNotification(response.message, 'warning');
+            setTimeout(() => {
+                window.location.href = 'login.html';
+            }, 4000);
+        } else if (response.success) {
+            const { estimate } = response.data;
+            showNotification(`Registration submitted successfully! The project is estimated to earn ${estimate.netTco2e} credits `
+                + `over ${estimate.inputs.years} years. You will receive verification status within 48 hours.`, 'success');
             setTimeout(() => {
                 window.location.href = 'login.html';
             }, 2000);
@@ -1679,6 +4218,10 @@ async function handleFarmerRegistration(form) {
     }
 }
 
+// Survey/sub-division numbers from the land records: digits with letters,
+// slashes, hyphens or dots, e.g. 123/4A or 45-2B
+const SURVEY_NUMBER_PATTERN = /^(?=.*[0-9])[A-Za-z0-9/.\- ]{1,50}$/;
+
 function validateFarmerRegistrationData(data) {
     const errors = [];
 
@@ -1708,6 +4251,10 @@ function validateFarmerRegistrationData(data) {
         errors.push('Please provide a complete address');
     }
 
+    if (!data.district || data.district.trim().length < 2) {
+        errors.push('Please enter your district');
+    }
+
     if (!data.kisanCard || !/^[0-9]{12}$/.test(data.kisanCard)) {
         errors.push('Please enter a valid 12-digit Kisan Card number');
     }
@@ -1722,6 +4269,11 @@ function validateFarmerRegistrationData(data) {
         errors.push('Total land area must be between 0.1 and 1000 hectares');
     }
 
+    // Checked against other registrations in the same district
+    if (!data.surveyNumber || !SURVEY_NUMBER_PATTERN.test(data.surveyNumber.trim())) {
+        errors.push('Please enter the land survey number as it appears in the land records (e.g. 123/4A)');
+    }
+
     if (!data.projectStartDate) {
         errors.push('Project start date is required');
     } else {
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {ERC1155} from "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+
+/// @title BlueCarbon India carbon credits
+/// @notice One token id per project vintage; one token is one verified tCO2e.
+/// Users hold credits in custodial accounts run by the platform, so the
+/// contract owner (the platform operator) mints and moves balances between
+/// them. `ref` arguments carry the database id of the credit batch or
+/// transaction so every on-chain event can be traced back to the registry.
+contract BlueCarbonCredit is ERC1155, Ownable {
+    struct Vintage {
+        string projectId;
+        uint16 vintageYear;
+    }
+
+    uint256 public nextTokenId = 1;
+    mapping(bytes32 => uint256) public tokenIdByVintage;
+    mapping(uint256 => Vintage) public vintages;
+
+    event VintageRegistered(uint256 indexed tokenId, string projectId, uint16 vintageYear);
+    event CreditsIssued(uint256 indexed tokenId, address indexed to, uint256 amount, bytes32 indexed ref);
+    event CreditsTransferred(uint256 indexed tokenId, address indexed from, address to, uint256 amount, bytes32 indexed ref);
+    event CreditsRetired(uint256 indexed tokenId, address indexed holder, uint256 amount, bytes32 indexed ref);
+
+    constructor(string memory uri_, address operator) ERC1155(uri_) Ownable(operator) {}
+
+    function tokenIdFor(string calldata projectId, uint16 vintageYear) public view returns (uint256) {
+        return tokenIdByVintage[keccak256(abi.encode(projectId, vintageYear))];
+    }
+
+    /// @notice Issue verified credits, registering the project vintage on first use
+    function mint(address to, string calldata projectId, uint16 vintageYear, uint256 amount, bytes32 ref)
+        external
+        onlyOwner
+        returns (uint256 tokenId)
+    {
+        bytes32 key = keccak256(abi.encode(projectId, vintageYear));
+        tokenId = tokenIdByVintage[key];
+        if (tokenId == 0) {
+            tokenId = nextTokenId++;
+            tokenIdByVintage[key] = tokenId;
+            vintages[tokenId] = Vintage(projectId, vintageYear);
+            emit VintageRegistered(tokenId, projectId, vintageYear);
+        }
+
+        _mint(to, tokenId, amount, "");
+        emit CreditsIssued(tokenId, to, amount, ref);
+    }
+
+    /// @notice Settle a marketplace sale between two custodial accounts
+    function transferCredits(address from, address to, uint256 tokenId, uint256 amount, bytes32 ref)
+        external
+        onlyOwner
+    {
+        _safeTransferFrom(from, to, tokenId, amount, "");
+        emit CreditsTransferred(tokenId, from, to, amount, ref);
+    }
+
+    /// @notice Burn retired credits so they can never be sold or retired again
+    function retireCredits(address holder, uint256 tokenId, uint256 amount, bytes32 ref) external onlyOwner {
+        _burn(holder, tokenId, amount);
+        emit CreditsRetired(tokenId, holder, amount, ref);
+    }
+}
@@ -0,0 +1,21 @@
+-- Enumerated types used across the schema. PostgreSQL has no inline
+-- ENUM(...) column type, so each set of values is a named type.
+
+CREATE TYPE user_type AS ENUM ('farmer', 'company', 'ngo', 'verifier', 'admin');
+CREATE TYPE user_status AS ENUM ('pending', 'active', 'suspended');
+
+-- KYC / document review outcome for farmers, NGOs and documents
+CREATE TYPE review_status AS ENUM ('pending', 'verified', 'rejected');
+
+CREATE TYPE project_type AS ENUM ('mangrove', 'afforestation', 'seagrass', 'wetland');
+CREATE TYPE project_status AS ENUM ('planning', 'active', 'completed', 'suspended');
+
+CREATE TYPE verification_type AS ENUM ('initial', 'periodic', 'special');
+CREATE TYPE verification_status AS ENUM ('pending', 'in_progress', 'approved', 'rejected');
+
+CREATE TYPE credit_status AS ENUM ('generated', 'listed', 'sold', 'retired', 'cancelled');
+CREATE TYPE listing_status AS ENUM ('active', 'sold', 'cancelled');
+CREATE TYPE listing_type AS ENUM ('fixed', 'auction');
+CREATE TYPE transaction_status AS ENUM ('pending', 'completed', 'failed', 'refunded');
+
+CREATE TYPE notification_type AS ENUM ('success', 'info', 'warning');
@@ -0,0 +1,78 @@
+-- Users and the per-type profile tables hanging off them
+
+CREATE TABLE users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) UNIQUE,
+    phone VARCHAR(20),
+    user_type user_type NOT NULL,
+    status user_status NOT NULL DEFAULT 'pending',
+    password_hash VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT users_contact_present CHECK (email IS NOT NULL OR phone IS NOT NULL)
+);
+
+CREATE INDEX users_phone_idx ON users (phone);
+CREATE INDEX users_user_type_idx ON users (user_type);
+
+CREATE TABLE farmers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    kisan_card_number VARCHAR(12) UNIQUE,
+    aadhaar_number VARCHAR(12),
+    full_name VARCHAR(255) NOT NULL,
+    father_name VARCHAR(255),
+    date_of_birth DATE,
+    address JSONB NOT NULL DEFAULT '{}',
+    bank_details JSONB NOT NULL DEFAULT '{}',
+    verification_status review_status NOT NULL DEFAULT 'pending'
+);
+
+CREATE INDEX farmers_aadhaar_number_idx ON farmers (aadhaar_number);
+
+CREATE TABLE companies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    company_name VARCHAR(255) NOT NULL,
+    trade_name VARCHAR(255),
+    cin_number VARCHAR(21) UNIQUE,
+    gst_number VARCHAR(15) UNIQUE,
+    pan_number VARCHAR(10),
+    industry_sector VARCHAR(100),
+    employee_count_range VARCHAR(50),
+    esg_rating VARCHAR(10),
+    registration_details JSONB NOT NULL DEFAULT '{}'
+);
+
+-- Registered through register-ngo.html
+CREATE TABLE ngos (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    organization_name VARCHAR(255) NOT NULL,
+    registration_number VARCHAR(100) UNIQUE,
+    ngo_type VARCHAR(50),
+    registration_authority VARCHAR(255),
+    registration_date DATE,
+    fcra_number VARCHAR(50),
+    establishment_year INTEGER,
+    focus_areas TEXT[] NOT NULL DEFAULT '{}',
+    address JSONB NOT NULL DEFAULT '{}',
+    contact JSONB NOT NULL DEFAULT '{}',
+    bank_details JSONB NOT NULL DEFAULT '{}',
+    verification_status review_status NOT NULL DEFAULT 'pending',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Accredited third-party verifiers; verifier_code is the ID used on the login page
+CREATE TABLE verifiers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    verifier_code VARCHAR(50) NOT NULL UNIQUE,
+    full_name VARCHAR(255) NOT NULL,
+    organization VARCHAR(255),
+    accreditation_number VARCHAR(100),
+    accreditation_body VARCHAR(255),
+    specializations project_type[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,45 @@
+-- Projects and their verifications. Coordinates are stored as plain
+-- latitude/longitude so the schema loads without PostGIS.
+
+CREATE TABLE projects (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    farmer_id UUID REFERENCES farmers(id) ON DELETE RESTRICT,
+    ngo_id UUID REFERENCES ngos(id) ON DELETE RESTRICT,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    project_type project_type NOT NULL,
+    area_hectares DECIMAL(10,2) NOT NULL CHECK (area_hectares > 0),
+    location JSONB NOT NULL DEFAULT '{}',
+    latitude DECIMAL(9,6) CHECK (latitude BETWEEN -90 AND 90),
+    longitude DECIMAL(9,6) CHECK (longitude BETWEEN -180 AND 180),
+    impacts TEXT[] NOT NULL DEFAULT '{}',
+    images TEXT[] NOT NULL DEFAULT '{}',
+    rating DECIMAL(2,1) CHECK (rating BETWEEN 0 AND 5),
+    review_count INTEGER NOT NULL DEFAULT 0,
+    status project_status NOT NULL DEFAULT 'planning',
+    start_date DATE,
+    estimated_completion DATE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT projects_owner_present CHECK (farmer_id IS NOT NULL OR ngo_id IS NOT NULL)
+);
+
+CREATE INDEX projects_farmer_id_idx ON projects (farmer_id);
+CREATE INDEX projects_ngo_id_idx ON projects (ngo_id);
+CREATE INDEX projects_status_idx ON projects (status);
+CREATE INDEX projects_project_type_idx ON projects (project_type);
+
+CREATE TABLE verifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE RESTRICT,
+    verifier_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    verification_type verification_type NOT NULL DEFAULT 'initial',
+    status verification_status NOT NULL DEFAULT 'pending',
+    report_data JSONB NOT NULL DEFAULT '{}',
+    submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX verifications_project_id_idx ON verifications (project_id, submitted_at DESC);
+CREATE INDEX verifications_verifier_id_idx ON verifications (verifier_id);
+CREATE INDEX verifications_status_idx ON verifications (status);
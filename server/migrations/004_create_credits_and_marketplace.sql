@@ -0,0 +1,51 @@
+-- Issued credits, their marketplace listings and purchases
+
+CREATE TABLE carbon_credits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE RESTRICT,
+    credit_amount DECIMAL(12,2) NOT NULL CHECK (credit_amount > 0),
+    vintage_year INTEGER NOT NULL,
+    status credit_status NOT NULL DEFAULT 'generated',
+    token_id VARCHAR(100), -- Blockchain token ID
+    issuance_tx_hash VARCHAR(255),
+    verification_id UUID REFERENCES verifications(id) ON DELETE RESTRICT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX carbon_credits_project_id_idx ON carbon_credits (project_id);
+CREATE INDEX carbon_credits_status_idx ON carbon_credits (status);
+CREATE UNIQUE INDEX carbon_credits_token_id_idx ON carbon_credits (token_id) WHERE token_id IS NOT NULL;
+
+CREATE TABLE marketplace_listings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    credit_id UUID NOT NULL REFERENCES carbon_credits(id) ON DELETE RESTRICT,
+    seller_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    price_per_credit DECIMAL(10,2) NOT NULL CHECK (price_per_credit >= 0),
+    total_credits INTEGER NOT NULL CHECK (total_credits >= 0),
+    status listing_status NOT NULL DEFAULT 'active',
+    listing_type listing_type NOT NULL DEFAULT 'fixed',
+    expiry_date TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX marketplace_listings_credit_id_idx ON marketplace_listings (credit_id);
+CREATE INDEX marketplace_listings_seller_id_idx ON marketplace_listings (seller_id);
+CREATE INDEX marketplace_listings_status_idx ON marketplace_listings (status, price_per_credit);
+
+CREATE TABLE transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    listing_id UUID NOT NULL REFERENCES marketplace_listings(id) ON DELETE RESTRICT,
+    buyer_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    credit_amount DECIMAL(12,2) NOT NULL CHECK (credit_amount > 0),
+    total_amount DECIMAL(15,2) NOT NULL CHECK (total_amount >= 0),
+    transaction_fee DECIMAL(15,2) NOT NULL DEFAULT 0 CHECK (transaction_fee >= 0),
+    status transaction_status NOT NULL DEFAULT 'pending',
+    payment_gateway_id VARCHAR(255),
+    blockchain_tx_hash VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX transactions_listing_id_idx ON transactions (listing_id);
+CREATE INDEX transactions_buyer_id_idx ON transactions (buyer_id, created_at DESC);
+CREATE INDEX transactions_status_idx ON transactions (status);
@@ -0,0 +1,23 @@
+-- A checkout groups one transaction per cart line under a single order so
+-- a purchase can be audited as a whole.
+
+CREATE TYPE order_status AS ENUM ('pending', 'completed', 'failed');
+
+CREATE TABLE orders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    buyer_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    status order_status NOT NULL DEFAULT 'pending',
+    total_amount DECIMAL(15,2) NOT NULL CHECK (total_amount >= 0),
+    transaction_fee DECIMAL(15,2) NOT NULL DEFAULT 0 CHECK (transaction_fee >= 0),
+    payment_gateway_id VARCHAR(255),
+    failure_reason TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX orders_buyer_id_idx ON orders (buyer_id, created_at DESC);
+
+ALTER TABLE transactions
+    ADD COLUMN order_id UUID REFERENCES orders(id) ON DELETE RESTRICT;
+
+CREATE INDEX transactions_order_id_idx ON transactions (order_id);
@@ -0,0 +1,12 @@
+-- Saved marketplace carts. price_at_add is the listing price when the line
+-- was first added, so buyers can be told when a price has moved since.
+
+CREATE TABLE cart_items (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    listing_id UUID NOT NULL REFERENCES marketplace_listings(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    price_at_add DECIMAL(12,2) NOT NULL CHECK (price_at_add >= 0),
+    added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, listing_id)
+);
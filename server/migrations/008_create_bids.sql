@@ -0,0 +1,25 @@
+-- English auctions on listing_type = 'auction'. Bids are per credit for the
+-- whole lot; price_per_credit is the opening price and expiry_date the
+-- (extendable) closing time.
+
+ALTER TYPE listing_status ADD VALUE 'expired';
+
+ALTER TABLE marketplace_listings
+    ADD COLUMN reserve_price DECIMAL(10,2) CHECK (reserve_price >= 0),
+    ADD COLUMN bid_increment DECIMAL(10,2) NOT NULL DEFAULT 5 CHECK (bid_increment > 0),
+    ADD COLUMN closed_at TIMESTAMPTZ;
+
+CREATE TABLE bids (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    listing_id UUID NOT NULL REFERENCES marketplace_listings(id) ON DELETE RESTRICT,
+    bidder_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX bids_listing_id_idx ON bids (listing_id, amount DESC, created_at);
+CREATE INDEX bids_bidder_id_idx ON bids (bidder_id, created_at DESC);
+
+-- Open auctions past their closing time, for the close-out job
+CREATE INDEX marketplace_listings_auction_expiry_idx ON marketplace_listings (expiry_date)
+    WHERE listing_type = 'auction' AND status = 'active';
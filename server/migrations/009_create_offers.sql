@@ -0,0 +1,41 @@
+-- Private negotiations on fixed-price listings. An offer is the thread;
+-- offer_events records every offer, counter and decision in it. The current
+-- terms live on the offer so either side can accept them as they stand.
+
+CREATE TYPE offer_status AS ENUM (
+    'awaiting_seller', 'awaiting_buyer', 'accepted', 'rejected', 'withdrawn', 'expired'
+);
+CREATE TYPE offer_action AS ENUM ('offer', 'counter', 'accept', 'reject', 'withdraw', 'expire');
+
+CREATE TABLE offers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    listing_id UUID NOT NULL REFERENCES marketplace_listings(id) ON DELETE RESTRICT,
+    buyer_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    seller_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    price_per_credit DECIMAL(10,2) NOT NULL CHECK (price_per_credit > 0),
+    status offer_status NOT NULL DEFAULT 'awaiting_seller',
+    expires_at TIMESTAMPTZ NOT NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE RESTRICT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (buyer_id <> seller_id)
+);
+
+CREATE INDEX offers_buyer_id_idx ON offers (buyer_id, updated_at DESC);
+CREATE INDEX offers_seller_id_idx ON offers (seller_id, updated_at DESC);
+CREATE INDEX offers_open_expiry_idx ON offers (expires_at)
+    WHERE status IN ('awaiting_seller', 'awaiting_buyer');
+
+CREATE TABLE offer_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offer_id UUID NOT NULL REFERENCES offers(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for system expiry
+    action offer_action NOT NULL,
+    price_per_credit DECIMAL(10,2),
+    quantity INTEGER,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX offer_events_offer_id_idx ON offer_events (offer_id, created_at);
@@ -0,0 +1,5 @@
+-- Credits are ERC-1155 tokens with one token id per project vintage, so
+-- several credit batches of the same vintage share a token_id.
+
+DROP INDEX carbon_credits_token_id_idx;
+CREATE INDEX carbon_credits_token_id_idx ON carbon_credits (token_id) WHERE token_id IS NOT NULL;
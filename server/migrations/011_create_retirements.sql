@@ -0,0 +1,26 @@
+-- Credit retirements. Every credit batch gets a batch number, and each of its
+-- whole credits is a numbered unit (1..credit_amount). Retirements take the
+-- next unnumbered units of a batch, so serial ranges never overlap.
+
+ALTER TABLE carbon_credits
+    ADD COLUMN batch_number SERIAL,
+    ADD COLUMN retired_amount INTEGER NOT NULL DEFAULT 0 CHECK (retired_amount >= 0);
+
+CREATE UNIQUE INDEX carbon_credits_batch_number_idx ON carbon_credits (batch_number);
+
+CREATE TABLE retirements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    credit_id UUID NOT NULL REFERENCES carbon_credits(id) ON DELETE RESTRICT,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    serial_from INTEGER NOT NULL CHECK (serial_from > 0),
+    serial_to INTEGER NOT NULL,
+    beneficiary VARCHAR(255) NOT NULL,
+    purpose TEXT NOT NULL,
+    burn_tx_hash VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT retirements_serial_range CHECK (serial_to = serial_from + quantity - 1)
+);
+
+CREATE INDEX retirements_credit_id_idx ON retirements (credit_id, serial_from);
+CREATE INDEX retirements_user_id_idx ON retirements (user_id, created_at DESC);
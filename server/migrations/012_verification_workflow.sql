@@ -0,0 +1,5 @@
+-- Verification cases can be sent back to the project owner for more
+-- information; the owner's response returns them to in_progress. Reasons,
+-- information requests and the transition history live in report_data.
+
+ALTER TYPE verification_status ADD VALUE 'info_requested' AFTER 'in_progress';
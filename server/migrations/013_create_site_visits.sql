@@ -0,0 +1,41 @@
+-- Site visits for verifications. The verifier proposes one or more time
+-- slots; the visit is scheduled once the project owner accepts one of them.
+-- Rescheduling replaces the slots and sends the visit back to 'proposed'.
+-- sequence is the iCalendar SEQUENCE and goes up on every change so
+-- calendar clients replace their copy of the event.
+
+CREATE TYPE site_visit_status AS ENUM ('proposed', 'scheduled', 'cancelled');
+
+-- Secret in the URL of each verifier's site visit calendar feed
+ALTER TABLE verifiers
+    ADD COLUMN calendar_token UUID NOT NULL DEFAULT gen_random_uuid();
+
+CREATE UNIQUE INDEX verifiers_calendar_token_idx ON verifiers (calendar_token);
+
+CREATE TABLE site_visits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    verification_id UUID NOT NULL REFERENCES verifications(id) ON DELETE CASCADE,
+    verifier_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    status site_visit_status NOT NULL DEFAULT 'proposed',
+    starts_at TIMESTAMPTZ, -- the accepted slot
+    ends_at TIMESTAMPTZ,
+    notes TEXT,
+    cancel_reason TEXT,
+    sequence INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT site_visits_scheduled_time CHECK (status <> 'scheduled' OR (starts_at IS NOT NULL AND ends_at > starts_at))
+);
+
+CREATE INDEX site_visits_verification_id_idx ON site_visits (verification_id, created_at DESC);
+CREATE INDEX site_visits_verifier_id_idx ON site_visits (verifier_id, starts_at);
+
+CREATE TABLE site_visit_slots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    visit_id UUID NOT NULL REFERENCES site_visits(id) ON DELETE CASCADE,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX site_visit_slots_visit_id_idx ON site_visit_slots (visit_id, starts_at);
@@ -0,0 +1,19 @@
+-- Uploaded files. file_path is the storage key, read back through the
+-- provider named in storage_provider. Account documents (KYC) have no
+-- project; project documents belong to one of the uploader's projects.
+-- content_sha256 catches re-uploads of the same file; scan_status records
+-- whether the virus scanner passed the file or no scanner was configured.
+
+CREATE TYPE document_scan_status AS ENUM ('clean', 'skipped');
+
+ALTER TABLE documents
+    ADD COLUMN project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+    ADD COLUMN storage_provider VARCHAR(20) NOT NULL DEFAULT 'local',
+    ADD COLUMN content_sha256 CHAR(64),
+    ADD COLUMN scan_status document_scan_status NOT NULL DEFAULT 'skipped',
+    ADD COLUMN reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN reviewed_at TIMESTAMPTZ,
+    ADD COLUMN review_note TEXT;
+
+CREATE INDEX documents_project_id_idx ON documents (project_id, document_type) WHERE project_id IS NOT NULL;
+CREATE INDEX documents_content_sha256_idx ON documents (content_sha256);
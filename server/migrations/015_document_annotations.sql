@@ -0,0 +1,24 @@
+-- Verifier comments on uploaded documents. A comment can highlight a
+-- rectangle on one page of the document; the rectangle is stored as
+-- fractions of the page width and height so it lines up at any zoom level.
+-- Comments without a region apply to the document as a whole.
+
+CREATE TABLE document_annotations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    author_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    page INTEGER NOT NULL DEFAULT 1 CHECK (page >= 1),
+    region_x NUMERIC(6, 5),
+    region_y NUMERIC(6, 5),
+    region_width NUMERIC(6, 5),
+    region_height NUMERIC(6, 5),
+    comment TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT document_annotations_region CHECK (
+        (region_x IS NULL AND region_y IS NULL AND region_width IS NULL AND region_height IS NULL)
+        OR (region_x >= 0 AND region_y >= 0 AND region_width > 0 AND region_height > 0
+            AND region_x + region_width <= 1 AND region_y + region_height <= 1)
+    )
+);
+
+CREATE INDEX document_annotations_document_id_idx ON document_annotations (document_id, page, created_at);
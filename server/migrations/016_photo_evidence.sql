@@ -0,0 +1,14 @@
+-- What each geotagged project photo says about itself, read from its EXIF
+-- data when it is uploaded, plus a 64-bit perceptual hash (dHash) of the
+-- image. The checks against the project location and against other photos
+-- run when the report is requested, so they follow later project changes.
+
+CREATE TABLE photo_evidence (
+    document_id UUID PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+    latitude DECIMAL(9,6) CHECK (latitude BETWEEN -90 AND 90),
+    longitude DECIMAL(9,6) CHECK (longitude BETWEEN -180 AND 180),
+    taken_at TIMESTAMPTZ,
+    camera VARCHAR(255),
+    perceptual_hash BIGINT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
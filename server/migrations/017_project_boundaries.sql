@@ -0,0 +1,15 @@
+-- Project boundary polygons, uploaded as a file or drawn on the map. Like the
+-- point location they are stored without PostGIS: the GeoJSON geometry as
+-- JSONB, with its area worked out when it is saved.
+
+ALTER TABLE projects
+    ADD COLUMN boundary JSONB,
+    ADD COLUMN boundary_area_hectares DECIMAL(12,2),
+    ADD COLUMN boundary_source VARCHAR(20),
+    ADD COLUMN boundary_updated_at TIMESTAMPTZ,
+    ADD CONSTRAINT projects_boundary_source CHECK (boundary_source IN ('geojson', 'kml', 'shapefile', 'drawn')),
+    ADD CONSTRAINT projects_boundary_present CHECK (
+        (boundary IS NULL AND boundary_area_hectares IS NULL AND boundary_source IS NULL AND boundary_updated_at IS NULL)
+        OR (boundary->>'type' IN ('Polygon', 'MultiPolygon') AND boundary_area_hectares > 0
+            AND boundary_source IS NOT NULL AND boundary_updated_at IS NOT NULL)
+    );
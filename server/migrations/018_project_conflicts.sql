@@ -0,0 +1,73 @@
+-- Projects that claim the same land: boundaries that overlap another
+-- project's, and survey numbers registered twice in the same district.
+-- Each pair is recorded once per kind while it is open, for an
+-- administrator to dismiss or resolve. overlap_percent is the share of
+-- project_id's boundary covered by the other project, other_overlap_percent
+-- the share of the other project's. Conflicts that go away on their own,
+-- after a boundary is corrected, are resolved with no resolved_by.
+
+CREATE TYPE project_conflict_kind AS ENUM ('boundary_overlap', 'survey_number');
+CREATE TYPE project_conflict_status AS ENUM ('open', 'dismissed', 'resolved');
+
+-- Bounding box of the boundary, so overlap checks only clip the polygons
+-- of projects whose boxes meet
+ALTER TABLE projects
+    ADD COLUMN boundary_west DECIMAL(10,7),
+    ADD COLUMN boundary_south DECIMAL(10,7),
+    ADD COLUMN boundary_east DECIMAL(10,7),
+    ADD COLUMN boundary_north DECIMAL(10,7);
+
+UPDATE projects p
+   SET boundary_west = box.west, boundary_south = box.south,
+       boundary_east = box.east, boundary_north = box.north
+  FROM (
+        SELECT id,
+               MIN((point->>0)::numeric) AS west, MIN((point->>1)::numeric) AS south,
+               MAX((point->>0)::numeric) AS east, MAX((point->>1)::numeric) AS north
+          FROM projects,
+               jsonb_path_query(boundary, CASE boundary->>'type'
+                   WHEN 'MultiPolygon' THEN '$.coordinates[*][*][*]'
+                   ELSE '$.coordinates[*][*]'
+               END::jsonpath) AS point
+         WHERE boundary IS NOT NULL
+         GROUP BY id
+  ) box
+ WHERE box.id = p.id;
+
+ALTER TABLE projects
+    ADD CONSTRAINT projects_boundary_box CHECK ((boundary IS NULL) = (boundary_west IS NULL));
+
+CREATE INDEX projects_boundary_box_idx ON projects (boundary_west, boundary_east) WHERE boundary IS NOT NULL;
+
+-- Survey numbers are compared without spaces and case
+CREATE INDEX projects_survey_number_idx ON projects ((UPPER(REGEXP_REPLACE(location->>'surveyNumber', '\s', '', 'g'))))
+    WHERE location->>'surveyNumber' IS NOT NULL;
+
+CREATE TABLE project_conflicts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    conflicting_project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    kind project_conflict_kind NOT NULL,
+    overlap_hectares DECIMAL(12,2),
+    overlap_percent DECIMAL(5,2),
+    other_overlap_percent DECIMAL(5,2),
+    survey_number VARCHAR(100),
+    district VARCHAR(100),
+    status project_conflict_status NOT NULL DEFAULT 'open',
+    suspended_project_id UUID REFERENCES projects(id) ON DELETE SET NULL, -- when resolved by suspending one of the two
+    resolution_note TEXT,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (project_id <> conflicting_project_id),
+    CONSTRAINT project_conflicts_overlap CHECK (kind <> 'boundary_overlap' OR overlap_hectares IS NOT NULL),
+    CONSTRAINT project_conflicts_closed CHECK (status = 'open' OR (resolved_at IS NOT NULL AND resolution_note IS NOT NULL))
+);
+
+CREATE UNIQUE INDEX project_conflicts_open_pair_idx
+    ON project_conflicts (LEAST(project_id, conflicting_project_id), GREATEST(project_id, conflicting_project_id), kind)
+    WHERE status = 'open';
+CREATE INDEX project_conflicts_status_idx ON project_conflicts (status, detected_at DESC);
+CREATE INDEX project_conflicts_project_id_idx ON project_conflicts (project_id);
+CREATE INDEX project_conflicts_conflicting_project_id_idx ON project_conflicts (conflicting_project_id);
@@ -0,0 +1,40 @@
+-- Vegetation monitoring from satellite rasters. Each Sentinel-2 or Landsat
+-- scene found in SATELLITE_DIR is clipped to every project boundary it
+-- covers; ndvi_observations keeps the result for each project and scene.
+-- canopy_hectares is the area with NDVI at or above the canopy threshold;
+-- valid_pixel_percent is the share of the boundary not masked by cloud,
+-- shadow or missing data. canopy_loss_percent is measured against the
+-- largest canopy of the previous twelve months and alerted is set when it
+-- went past the alert threshold.
+
+CREATE TABLE satellite_scenes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    scene_key VARCHAR(255) NOT NULL UNIQUE,
+    sensor VARCHAR(20) NOT NULL CHECK (sensor IN ('sentinel-2', 'landsat', 'other')),
+    acquired_on DATE NOT NULL,
+    epsg INTEGER,
+    files JSONB NOT NULL, -- band role -> file name
+    processed_at TIMESTAMPTZ,
+    error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX satellite_scenes_acquired_on_idx ON satellite_scenes (acquired_on);
+
+CREATE TABLE ndvi_observations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    scene_id UUID NOT NULL REFERENCES satellite_scenes(id) ON DELETE CASCADE,
+    acquired_on DATE NOT NULL,
+    mean_ndvi DECIMAL(5,4),
+    canopy_hectares DECIMAL(12,2) NOT NULL DEFAULT 0,
+    pixel_count INTEGER NOT NULL,
+    valid_pixel_percent DECIMAL(5,2) NOT NULL,
+    canopy_loss_percent DECIMAL(6,2),
+    alerted BOOLEAN NOT NULL DEFAULT FALSE,
+    processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (project_id, scene_id),
+    CHECK (mean_ndvi IS NULL OR mean_ndvi BETWEEN -1 AND 1)
+);
+
+CREATE INDEX ndvi_observations_project_id_idx ON ndvi_observations (project_id, acquired_on);
@@ -0,0 +1,22 @@
+-- Ex-ante credit estimates and the methodology version that produced them.
+-- One is recorded when a project is registered and another each time a
+-- verification goes under review; the results keep the deductions, totals
+-- and year-by-year series so an estimate can be shown again exactly as it
+-- was made after the methodology has moved on.
+
+CREATE TABLE credit_estimates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    verification_id UUID REFERENCES verifications(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('registration', 'verification')),
+    methodology_code VARCHAR(50) NOT NULL,
+    methodology_version VARCHAR(20) NOT NULL,
+    inputs JSONB NOT NULL,
+    net_tco2e DECIMAL(14,2) NOT NULL,
+    results JSONB NOT NULL,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX credit_estimates_project_id_idx ON credit_estimates (project_id, created_at);
+CREATE INDEX credit_estimates_verification_id_idx ON credit_estimates (verification_id);
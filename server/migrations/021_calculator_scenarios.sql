@@ -0,0 +1,18 @@
+-- Named calculator scenarios saved by signed-in users. inputs holds the
+-- calculator fields (ecosystem, areaHectares, years, region,
+-- previousLandUse, carbonPrice). A scenario is estimated with the
+-- methodology version it was saved under; revision counts its edits, each
+-- of which moves it to the current methodology.
+
+CREATE TABLE calculator_scenarios (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    inputs JSONB NOT NULL,
+    methodology_version VARCHAR(20) NOT NULL,
+    revision INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX calculator_scenarios_user_name_idx ON calculator_scenarios (user_id, LOWER(name));
@@ -0,0 +1,25 @@
+-- Aadhaar OTP login. Each OTP request is a challenge bound to the farmer
+-- whose farmers.aadhaar_number it was sent for; the identity provider
+-- generates and checks the OTP itself and knows the challenge by
+-- provider_transaction_id. attempts counts wrong OTPs; a challenge is
+-- closed once it is verified, runs out of attempts, expires or is replaced
+-- by a newer one.
+
+CREATE TABLE aadhaar_otp_challenges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    aadhaar_number VARCHAR(12) NOT NULL,
+    provider VARCHAR(20) NOT NULL,
+    provider_transaction_id VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'verified', 'failed', 'superseded')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    verified_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX aadhaar_otp_challenges_aadhaar_idx ON aadhaar_otp_challenges (aadhaar_number, created_at);
+
+-- Set on each successful Aadhaar authentication (eKYC)
+ALTER TABLE farmers ADD COLUMN aadhaar_verified_at TIMESTAMPTZ;
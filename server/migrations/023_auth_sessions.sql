@@ -0,0 +1,22 @@
+-- Login sessions. Each login starts one; the browser holds its refresh
+-- token in an httpOnly cookie and trades it for short-lived access tokens,
+-- receiving a new refresh token each time. Only hashes are stored. A
+-- refresh token that has already been traded in (previous_token_hash) is
+-- taken as stolen and ends the session. Access tokens name their session,
+-- so revoking it signs the browser out straight away.
+
+CREATE TABLE auth_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL,
+    previous_token_hash VARCHAR(64),
+    user_agent VARCHAR(500),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_reason VARCHAR(20) CHECK (revoked_reason IN ('logout', 'signed_out', 'token_reuse'))
+);
+
+CREATE INDEX auth_sessions_user_id_idx ON auth_sessions (user_id) WHERE revoked_at IS NULL;
@@ -0,0 +1,12 @@
+-- Administrators suspend accounts (users.status 'suspended') with a reason
+-- and can reinstate them. Suspending an account signs out all of its
+-- sessions, recorded with revoked_reason 'suspended'.
+
+ALTER TABLE users
+    ADD COLUMN suspended_at TIMESTAMPTZ,
+    ADD COLUMN suspended_by UUID REFERENCES users(id),
+    ADD COLUMN suspension_reason VARCHAR(500);
+
+ALTER TABLE auth_sessions DROP CONSTRAINT auth_sessions_revoked_reason_check;
+ALTER TABLE auth_sessions ADD CONSTRAINT auth_sessions_revoked_reason_check
+    CHECK (revoked_reason IN ('logout', 'signed_out', 'token_reuse', 'suspended'));
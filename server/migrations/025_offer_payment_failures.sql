@@ -0,0 +1,3 @@
+-- An accepted offer whose payment fails goes back to the buyer on the same
+-- terms; the failure is recorded in the offer's history
+ALTER TYPE offer_action ADD VALUE 'payment_failed';
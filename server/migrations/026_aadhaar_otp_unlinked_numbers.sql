@@ -0,0 +1,6 @@
+-- OTPs are sent for any valid Aadhaar number so the response does not tell
+-- whether the number is registered here. A challenge for a number that is
+-- not linked to exactly one farmer has no user; verifyAadhaarOtp() looks the
+-- account up again once the OTP is entered.
+
+ALTER TABLE aadhaar_otp_challenges ALTER COLUMN user_id DROP NOT NULL;
@@ -0,0 +1,64 @@
+// Compiles contracts/*.sol with solc-js and writes ABI + bytecode to
+// contracts/build/<Name>.json, which the API loads at runtime. The build
+// directory is git-ignored; `npm run setup` and `npm run contracts:deploy`
+// run this first.
+// Usage: node scripts/build-contracts.js
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const CONTRACTS_DIR = path.join(__dirname, '..', 'contracts');
+const BUILD_DIR = path.join(CONTRACTS_DIR, 'build');
+
+// Resolve imports such as "@openzeppelin/contracts/..." from node_modules
+function findImport(importPath) {
+    try {
+        const resolved = require.resolve(importPath, { paths: [path.join(__dirname, '..')] });
+        return { contents: fs.readFileSync(resolved, 'utf8') };
+    } catch (error) {
+        return { error: `File not found: ${importPath}` };
+    }
+}
+
+function main() {
+    const sources = {};
+    fs.readdirSync(CONTRACTS_DIR)
+        .filter(file => file.endsWith('.sol'))
+        .forEach(file => {
+            sources[file] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, file), 'utf8') };
+        });
+
+    const input = {
+        language: 'Solidity',
+        sources,
+        settings: {
+            evmVersion: 'cancun',
+            optimizer: { enabled: true, runs: 200 },
+            outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+        }
+    };
+
+    const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImport }));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    (output.errors || []).forEach(error => console.error(error.formattedMessage));
+    if (errors.length > 0) {
+        process.exitCode = 1;
+        return;
+    }
+
+    fs.mkdirSync(BUILD_DIR, { recursive: true });
+    Object.keys(sources).forEach(file => {
+        Object.entries(output.contracts[file]).forEach(([name, contract]) => {
+            const artifact = {
+                contractName: name,
+                compiler: solc.version(),
+                abi: contract.abi,
+                bytecode: `0x${contract.evm.bytecode.object}`
+            };
+            fs.writeFileSync(path.join(BUILD_DIR, `${name}.json`), `${JSON.stringify(artifact, null, 2)}\n`);
+            console.log(`Wrote contracts/build/${name}.json`);
+        });
+    });
+}
+
+main();
@@ -0,0 +1,29 @@
+// Deploys the credit token contract from contracts/build, which is not
+// committed: `npm run contracts:deploy` compiles the Solidity source first.
+// Usage: node scripts/deploy-contract.js   (needs CHAIN_RPC_URL and CHAIN_PRIVATE_KEY)
+const { ContractFactory } = require('ethers');
+const config = require('../src/config');
+const { getSigner, loadArtifact } = require('../src/services/chain');
+
+const TOKEN_URI = process.env.CREDIT_TOKEN_URI || 'https://bluecarbon.gov.in/api/credits/tokens/{id}.json';
+
+async function main() {
+    if (!config.chainRpcUrl || !config.chainPrivateKey) {
+        throw new Error('Set CHAIN_RPC_URL and CHAIN_PRIVATE_KEY to deploy the credit contract');
+    }
+
+    const signer = getSigner();
+    const { abi, bytecode } = loadArtifact();
+    const factory = new ContractFactory(abi, bytecode, signer);
+
+    const contract = await factory.deploy(TOKEN_URI, await signer.getAddress());
+    await contract.waitForDeployment();
+
+    console.log(`BlueCarbonCredit deployed at ${await contract.getAddress()}`);
+    console.log('Set CREDIT_CONTRACT_ADDRESS to this address and restart the API.');
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,22 @@
+// Regenerates ../dbexport.pgsql from the migration files so the
+// single-file schema never drifts from what `npm run migrate` builds.
+const fs = require('fs');
+const path = require('path');
+const { MIGRATIONS_DIR, listMigrationFiles } = require('../src/migrator');
+
+const OUTPUT = path.join(__dirname, '..', '..', 'dbexport.pgsql');
+
+const header = [
+    '-- BlueCarbon India database schema (PostgreSQL 13+)',
+    '-- Generated from server/migrations by `npm run db:schema`; do not edit by hand.',
+    '-- Load into an empty database with: psql -d bluecarbon -f dbexport.pgsql',
+    ''
+].join('\n');
+
+const sections = listMigrationFiles().map(file => {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8').trim();
+    return `-- ${file}\n${sql}\n`;
+});
+
+fs.writeFileSync(OUTPUT, `${header}\n${sections.join('\n')}`);
+console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
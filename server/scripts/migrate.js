@@ -0,0 +1,25 @@
+// Usage: node scripts/migrate.js [status]
+const db = require('../src/db');
+const { migrationStatus, runMigrations } = require('../src/migrator');
+
+async function main() {
+    if (process.argv[2] === 'status') {
+        const migrations = await migrationStatus();
+        migrations.forEach(migration => {
+            console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.version}`);
+        });
+        return;
+    }
+
+    const applied = await runMigrations();
+    console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s).`
+        : 'Database schema is up to date.');
+}
+
+main()
+    .catch(error => {
+        console.error('Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.pool.end());
@@ -0,0 +1,25 @@
+// Usage: node scripts/process-satellite.js [--force]
+// Measures NDVI for every project covered by the scenes in SATELLITE_DIR.
+// Scenes already measured are skipped unless the boundary changed since, or
+// --force is given.
+const db = require('../src/db');
+const config = require('../src/config');
+const { processSatelliteDirectory } = require('../src/services/monitoring');
+
+async function main() {
+    console.log(`Processing satellite scenes in ${config.satelliteDir}`);
+    const summary = await processSatelliteDirectory({
+        force: process.argv.includes('--force'),
+        log: line => console.log(`  ${line}`)
+    });
+    console.log(`Processed ${summary.scenes} scene(s) into ${summary.observations} observation(s); `
+        + `${summary.skipped} skipped, ${summary.failed} failed.`);
+    if (summary.failed > 0) process.exitCode = 1;
+}
+
+main()
+    .catch(error => {
+        console.error('Satellite processing failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.pool.end());
@@ -0,0 +1,207 @@
+// Loads demo accounts and the marketplace catalogue into a migrated database.
+// Usage: node scripts/seed.js   (SEED_PASSWORD overrides the demo password)
+const db = require('../src/db');
+const { hashPassword } = require('../src/utils/password');
+const marketplaceProjects = require('../seeds/marketplace-projects.json');
+
+const SEED_PASSWORD = process.env.SEED_PASSWORD || 'BlueCarbon@123';
+const AUCTION_DURATION_DAYS = 5;
+const AUCTION_RESERVE_MARKUP = 1.1; // Reserve sits 10% above the opening price
+const AUCTION_BID_INCREMENT = 5;
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+}
+
+async function insertUser(client, { email, phone = null, userType, passwordHash }) {
+    const { rows } = await client.query(
+        `INSERT INTO users (email, phone, user_type, status, password_hash)
+         VALUES ($1, $2, $3, 'active', $4)
+         RETURNING id`,
+        [email, phone, userType, passwordHash]
+    );
+    return rows[0].id;
+}
+
+async function seedAccounts(client, passwordHash) {
+    await insertUser(client, { email: 'admin@bluecarbon.gov.in', userType: 'admin', passwordHash });
+
+    const verifierUserId = await insertUser(client, {
+        email: 'verifier@bluecarbon.gov.in',
+        userType: 'verifier',
+        passwordHash
+    });
+    await client.query(
+        `INSERT INTO verifiers (user_id, verifier_code, full_name, organization, accreditation_number,
+                                accreditation_body, specializations)
+         VALUES ($1, 'VER-0001', 'Dr. Meera Iyer', 'Coastal Carbon Assurance', 'ISO14065-2291',
+                 'NABCB', '{mangrove,seagrass,wetland,afforestation}')`,
+        [verifierUserId]
+    );
+
+    const farmerUserId = await insertUser(client, {
+        email: 'farmer@bluecarbon.example',
+        phone: '9876543210',
+        userType: 'farmer',
+        passwordHash
+    });
+    const { rows: [farmer] } = await client.query(
+        `INSERT INTO farmers (user_id, kisan_card_number, aadhaar_number, full_name, father_name,
+                              date_of_birth, address, bank_details, verification_status)
+         VALUES ($1, '123456789012', '999988887777', 'Coastal Panchayat Sundarbans', 'Gram Sabha',
+                 '1980-04-12', $2, $3, 'verified')
+         RETURNING id`,
+        [
+            farmerUserId,
+            { line: 'Gosaba Block', district: 'South 24 Parganas', state: 'West Bengal', pincode: '743370' },
+            { bankName: 'State Bank of India', accountNumber: '30012345678', ifscCode: 'SBIN0001234' }
+        ]
+    );
+    await client.query(
+        `INSERT INTO projects (farmer_id, title, description, project_type, area_hectares, location,
+                               latitude, longitude, status, start_date, estimated_completion)
+         VALUES ($1, 'Gosaba Mangrove Restoration', 'Community mangrove planting along the Gosaba embankments.',
+                 'mangrove', 25.5, $2, 22.165, 88.807, 'planning', CURRENT_DATE + 30, CURRENT_DATE + 3650)`,
+        [farmer.id, { name: 'Gosaba, Sundarbans (WB)', region: 'sundarbans', district: 'South 24 Parganas', state: 'West Bengal' }]
+    );
+
+    const companyUserId = await insertUser(client, {
+        email: 'procurement@greensteel.example',
+        userType: 'company',
+        passwordHash
+    });
+    await client.query(
+        `INSERT INTO companies (user_id, company_name, trade_name, cin_number, gst_number, pan_number,
+                                industry_sector, employee_count_range, esg_rating)
+         VALUES ($1, 'GreenSteel Industries Ltd', 'GreenSteel', 'L27100MH1990PLC012345',
+                 '27AABCG1234F1Z5', 'AABCG1234F', 'manufacturing', '1000-5000', 'A')`,
+        [companyUserId]
+    );
+
+    return { verifierUserId };
+}
+
+// One NGO developer per distinct `developer` in the catalogue
+async function seedDevelopers(client, passwordHash) {
+    const developers = new Map();
+
+    for (const project of marketplaceProjects) {
+        if (developers.has(project.developer)) continue;
+
+        const userId = await insertUser(client, {
+            email: `${slugify(project.developer)}@ngo.bluecarbon.example`,
+            userType: 'ngo',
+            passwordHash
+        });
+        const { rows: [ngo] } = await client.query(
+            `INSERT INTO ngos (user_id, organization_name, ngo_type, focus_areas, address, verification_status)
+             VALUES ($1, $2, 'trust', $3, $4, 'verified')
+             RETURNING id`,
+            [userId, project.developer, [project.type], { state: project.state }]
+        );
+        developers.set(project.developer, { userId, ngoId: ngo.id });
+    }
+
+    return developers;
+}
+
+async function seedCatalogue(client, developers, verifierUserId) {
+    for (const project of marketplaceProjects) {
+        const developer = developers.get(project.developer);
+        const vintageYear = project.verificationDate
+            ? new Date(project.verificationDate).getFullYear()
+            : new Date().getFullYear();
+
+        const { rows: [{ id: projectId }] } = await client.query(
+            `INSERT INTO projects (ngo_id, title, description, project_type, area_hectares, location,
+                                   latitude, longitude, impacts, images, rating, review_count, status,
+                                   start_date)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'active', $13)
+             RETURNING id`,
+            [
+                developer.ngoId,
+                project.title,
+                project.description,
+                project.type,
+                project.areaHectares,
+                { name: project.location, region: project.region, state: project.state },
+                project.latitude,
+                project.longitude,
+                project.impacts,
+                project.images,
+                project.rating,
+                project.reviews,
+                `${vintageYear - 1}-01-01`
+            ]
+        );
+
+        // Unverified projects carry a pending verification and pre-listed estimated credits
+        const { rows: [{ id: verificationId }] } = await client.query(
+            `INSERT INTO verifications (project_id, verifier_id, verification_type, status, report_data,
+                                        submitted_at, completed_at)
+             VALUES ($1, $2, 'initial', $3, $4, COALESCE($5::timestamptz - INTERVAL '30 days', NOW()), $5)
+             RETURNING id`,
+            [
+                projectId,
+                verifierUserId,
+                project.verified ? 'approved' : 'pending',
+                { verifiedTco2e: project.verified ? project.co2e : null, estimatedTco2e: project.co2e },
+                project.verified ? project.verificationDate : null
+            ]
+        );
+
+        const { rows: [{ id: creditId }] } = await client.query(
+            `INSERT INTO carbon_credits (project_id, credit_amount, vintage_year, status, verification_id, created_at)
+             VALUES ($1, $2, $3, 'listed', $4, COALESCE($5::timestamptz, NOW()))
+             RETURNING id`,
+            [projectId, project.credits, vintageYear, verificationId, project.verificationDate]
+        );
+
+        await client.query(
+            `INSERT INTO marketplace_listings (credit_id, seller_id, price_per_credit, total_credits,
+                                               status, listing_type, expiry_date, reserve_price, bid_increment)
+             VALUES ($1, $2, $3, $4, 'active', $5, $6, $7, $8)`,
+            [
+                creditId,
+                developer.userId,
+                project.price,
+                project.credits,
+                project.isAuction ? 'auction' : 'fixed',
+                project.isAuction ? new Date(Date.now() + AUCTION_DURATION_DAYS * 24 * 60 * 60 * 1000) : null,
+                project.isAuction ? Math.round(project.price * AUCTION_RESERVE_MARKUP) : null,
+                AUCTION_BID_INCREMENT
+            ]
+        );
+    }
+}
+
+async function main() {
+    const { rows } = await db.query('SELECT COUNT(*)::int AS count FROM users');
+    if (rows[0].count > 0) {
+        console.log('Database already has users; skipping seed.');
+        return;
+    }
+
+    const passwordHash = await hashPassword(SEED_PASSWORD);
+
+    await db.transaction(async (client) => {
+        const { verifierUserId } = await seedAccounts(client, passwordHash);
+        const developers = await seedDevelopers(client, passwordHash);
+        await seedCatalogue(client, developers, verifierUserId);
+    });
+
+    console.log(`Seeded ${marketplaceProjects.length} marketplace projects.`);
+    console.log('Verified credits are minted by the API once CHAIN_RPC_URL, CHAIN_PRIVATE_KEY and CREDIT_CONTRACT_ADDRESS are set.');
+    console.log(`Demo logins (password "${SEED_PASSWORD}"):`);
+    console.log('  farmer   Kisan Card 123456789012');
+    console.log('  company  procurement@greensteel.example');
+    console.log('  verifier VER-0001');
+    console.log('  admin    admin@bluecarbon.gov.in (security key from ADMIN_SECURITY_KEY)');
+}
+
+main()
+    .catch(error => {
+        console.error('Seed failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.pool.end());
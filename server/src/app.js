@@ -0,0 +1,67 @@
+const express = require('express');
+const cors = require('cors');
+const config = require('./config');
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+
+const authRoutes = require('./routes/auth');
+const dashboardRoutes = require('./routes/dashboard');
+const projectRoutes = require('./routes/projects');
+const notificationRoutes = require('./routes/notifications');
+const companyRoutes = require('./routes/company');
+const marketplaceRoutes = require('./routes/marketplace');
+const cartRoutes = require('./routes/cart');
+const offerRoutes = require('./routes/offers');
+const transactionRoutes = require('./routes/transactions');
+const retirementRoutes = require('./routes/retirements');
+const registryRoutes = require('./routes/registry');
+const verificationRoutes = require('./routes/verifications');
+const siteVisitRoutes = require('./routes/siteVisits');
+const documentRoutes = require('./routes/documents');
+const conflictRoutes = require('./routes/conflicts');
+const methodologyRoutes = require('./routes/methodologies');
+const scenarioRoutes = require('./routes/scenarios');
+const userRoutes = require('./routes/users');
+
+function createApp() {
+    const app = express();
+
+    // The refresh token cookie needs credentialed requests, which may not use
+    // a wildcard origin, so '*' reflects the requesting origin instead
+    app.use(cors({
+        origin: config.corsOrigin === '*' ? true : config.corsOrigin.split(',').map(origin => origin.trim()),
+        credentials: true
+    }));
+    app.use(express.json({ limit: '1mb' }));
+
+    app.get('/api/health', (req, res) => {
+        res.json({ status: 'ok' });
+    });
+
+    app.use('/api/auth', authRoutes);
+    app.use('/api/dashboard', dashboardRoutes);
+    app.use('/api/projects', projectRoutes);
+    app.use('/api/notifications', notificationRoutes);
+    app.use('/api/company', companyRoutes);
+    app.use('/api/marketplace', marketplaceRoutes);
+    app.use('/api/cart', cartRoutes);
+    app.use('/api/offers', offerRoutes);
+    app.use('/api/transactions', transactionRoutes);
+    app.use('/api/retirements', retirementRoutes);
+    app.use('/api/registry', registryRoutes);
+    app.use('/api/verifications', verificationRoutes);
+    app.use('/api/site-visits', siteVisitRoutes);
+    app.use('/api/documents', documentRoutes);
+    app.use('/api/conflicts', conflictRoutes);
+    app.use('/api/methodologies', methodologyRoutes);
+    app.use('/api/scenarios', scenarioRoutes);
+    app.use('/api/users', userRoutes);
+
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    return app;
+}
+
+module.exports = {
+    createApp
+};
@@ -0,0 +1,34 @@
+const { Pool } = require('pg');
+const config = require('./config');
+
+const pool = new Pool({ connectionString: config.databaseUrl });
+
+pool.on('error', (error) => {
+    console.error('Unexpected PostgreSQL pool error:', error);
+});
+
+async function query(text, params = []) {
+    return pool.query(text, params);
+}
+
+// Run `fn` inside BEGIN/COMMIT on a dedicated client, rolling back on error
+async function transaction(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    pool,
+    query,
+    transaction
+};
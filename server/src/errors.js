@@ -0,0 +1,57 @@
+// HTTP error classes. Status codes and `code` values line up with
+// categorizeAPIError() in api-client.js so the browser maps them to the same
+// APIError subclasses.
+
+class HttpError extends Error {
+    constructor(message, status = 500, code = 'SERVER_ERROR', data = null) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.data = data;
+    }
+}
+
+class ValidationError extends HttpError {
+    constructor(message, errors = []) {
+        super(message, 400, 'VALIDATION_ERROR', { errors });
+        this.name = 'ValidationError';
+    }
+}
+
+class AuthenticationError extends HttpError {
+    constructor(message = 'Authentication required') {
+        super(message, 401, 'AUTHENTICATION_ERROR');
+        this.name = 'AuthenticationError';
+    }
+}
+
+class ForbiddenError extends HttpError {
+    constructor(message = 'You do not have permission to perform this action') {
+        super(message, 403, 'FORBIDDEN');
+        this.name = 'ForbiddenError';
+    }
+}
+
+class NotFoundError extends HttpError {
+    constructor(message = 'Resource not found') {
+        super(message, 404, 'NOT_FOUND');
+        this.name = 'NotFoundError';
+    }
+}
+
+class ConflictError extends HttpError {
+    constructor(message, data = null) {
+        super(message, 409, 'CONFLICT', data);
+        this.name = 'ConflictError';
+    }
+}
+
+module.exports = {
+    HttpError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError
+};
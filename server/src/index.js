@@ -0,0 +1,22 @@
+const config = require('./config');
+const db = require('./db');
+const { createApp } = require('./app');
+const { startJobs } = require('./jobs');
+
+const app = createApp();
+
+const server = app.listen(config.port, () => {
+    console.log(`BlueCarbon API listening on http://localhost:${config.port}/api`);
+});
+
+const stopJobs = startJobs();
+
+function shutdown() {
+    stopJobs();
+    server.close(() => {
+        db.pool.end().then(() => process.exit(0));
+    });
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
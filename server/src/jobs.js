@@ -0,0 +1,29 @@
+// Background work run on a timer by the API process
+const { closeExpiredAuctions } = require('./services/auctions');
+const { completePaidOrders } = require('./services/checkout');
+const { expireOffers } = require('./services/offers');
+const { syncChain } = require('./services/chain');
+
+const JOBS = [
+    { name: 'auction close-out', intervalMs: 30 * 1000, run: closeExpiredAuctions },
+    { name: 'offer expiry', intervalMs: 60 * 1000, run: expireOffers },
+    { name: 'paid order recovery', intervalMs: 60 * 1000, run: completePaidOrders },
+    { name: 'chain sync', intervalMs: 60 * 1000, run: syncChain }
+];
+
+// Returns a function that stops every job
+function startJobs() {
+    const timers = JOBS.map(job => {
+        const timer = setInterval(() => {
+            job.run().catch(error => console.error(`Job "${job.name}" failed:`, error));
+        }, job.intervalMs);
+        timer.unref();
+        return timer;
+    });
+
+    return () => timers.forEach(timer => clearInterval(timer));
+}
+
+module.exports = {
+    startJobs
+};
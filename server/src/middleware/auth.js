@@ -0,0 +1,84 @@
+const { AuthenticationError, ForbiddenError } = require('../errors');
+const { hasPermission } = require('../permissions');
+const { verifyAuthToken } = require('../utils/tokens');
+const { SESSION_ENDED, findActiveSession } = require('../services/sessions');
+
+// Resolve the bearer token sent by apiRequest() into req.user
+async function requireAuth(req, res, next) {
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        throw new AuthenticationError();
+    }
+
+    const payload = verifyAuthToken(token);
+    if (!payload) {
+        throw new AuthenticationError('Your session has expired. Please log in again.');
+    }
+
+    // Tokens name their login session, which may since have been logged
+    // out or signed out from the sessions list. A token whose role no
+    // longer matches the account is from before the account changed.
+    const user = payload.sid ? await findActiveSession(payload.sid) : null;
+    if (!user || user.id !== payload.sub || user.user_type !== payload.role) {
+        throw new AuthenticationError(SESSION_ENDED);
+    }
+
+    if (user.status === 'suspended') {
+        throw new ForbiddenError('This account has been suspended');
+    }
+
+    req.user = {
+        id: user.id,
+        email: user.email,
+        phone: user.phone,
+        userType: user.user_type,
+        status: user.status,
+        sessionId: user.session_id,
+        tenant: payload.tenant ?? null
+    };
+    next();
+}
+
+// Public routes that personalise their response for signed-in users. A
+// missing or stale token just means an anonymous request.
+async function optionalAuth(req, res, next) {
+    if (!req.get('authorization')) {
+        return next();
+    }
+
+    try {
+        await requireAuth(req, res, next);
+    } catch (error) {
+        if (!(error instanceof AuthenticationError)) throw error;
+        next();
+    }
+}
+
+// Restrict a route to the given users.user_type values
+function requireUserType(...userTypes) {
+    return function (req, res, next) {
+        if (!req.user || !userTypes.includes(req.user.userType)) {
+            throw new ForbiddenError();
+        }
+        next();
+    };
+}
+
+// Restrict a route to users whose type grants the permission (see permissions.js)
+function requirePermission(permission) {
+    return function (req, res, next) {
+        if (!req.user || !hasPermission(req.user.userType, permission)) {
+            throw new ForbiddenError();
+        }
+        next();
+    };
+}
+
+module.exports = {
+    requireAuth,
+    optionalAuth,
+    requireUserType,
+    requirePermission
+};
@@ -0,0 +1,52 @@
+const { HttpError, NotFoundError } = require('../errors');
+
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError(`No route for ${req.method} ${req.originalUrl}`));
+}
+
+// Error bodies carry `message` (read by categorizeAPIError) and, for
+// validation failures, an `errors` array (read by handleValidationError).
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    if (error instanceof HttpError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            ...(error.data || {})
+        });
+    }
+
+    // Malformed JSON request bodies
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            success: false,
+            message: 'Request body is not valid JSON',
+            code: 'VALIDATION_ERROR'
+        });
+    }
+
+    // Postgres rejected a malformed id (e.g. a non-UUID in the URL)
+    if (error.code === '22P02') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid identifier',
+            code: 'VALIDATION_ERROR'
+        });
+    }
+
+    console.error(`[${req.method} ${req.originalUrl}] Unhandled error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        code: 'SERVER_ERROR'
+    });
+}
+
+module.exports = {
+    notFoundHandler,
+    errorHandler
+};
@@ -0,0 +1,31 @@
+const multer = require('multer');
+const { ValidationError } = require('../errors');
+
+const MULTER_MESSAGES = {
+    LIMIT_FILE_SIZE: maxBytes => `The file must be at most ${Math.round(maxBytes / (1024 * 1024))} MB`,
+    LIMIT_FILE_COUNT: () => 'Upload one file at a time',
+    LIMIT_UNEXPECTED_FILE: () => 'Send the file in the "file" field'
+};
+
+// Parse a multipart/form-data body with one file into req.file (kept in
+// memory so it can be scanned and hashed before it is stored) and req.body
+function singleFile(field, maxBytes) {
+    const parse = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1, fields: 20 }
+    }).single(field);
+
+    return function (req, res, next) {
+        parse(req, res, (error) => {
+            if (error instanceof multer.MulterError) {
+                const message = MULTER_MESSAGES[error.code];
+                return next(new ValidationError('Invalid upload', [message ? message(maxBytes) : error.message]));
+            }
+            next(error);
+        });
+    };
+}
+
+module.exports = {
+    singleFile
+};
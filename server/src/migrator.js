@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+// Migrations are plain SQL files named NNN_description.sql, applied in
+// filename order. Each runs in its own transaction and is recorded in
+// schema_migrations; applied files must never be edited afterwards.
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+function listMigrationFiles() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d{3}_[\w-]+\.sql$/.test(file))
+        .sort();
+}
+
+async function ensureMigrationsTable() {
+    await db.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+             version VARCHAR(255) PRIMARY KEY,
+             applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+         )`
+    );
+}
+
+async function appliedVersions() {
+    await ensureMigrationsTable();
+    const { rows } = await db.query('SELECT version FROM schema_migrations');
+    return new Set(rows.map(row => row.version));
+}
+
+async function migrationStatus() {
+    const applied = await appliedVersions();
+    return listMigrationFiles().map(file => ({
+        version: file,
+        applied: applied.has(file)
+    }));
+}
+
+async function runMigrations({ log = console.log } = {}) {
+    const applied = await appliedVersions();
+    const pending = listMigrationFiles().filter(file => !applied.has(file));
+
+    for (const file of pending) {
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+        await db.transaction(async (client) => {
+            await client.query(sql);
+            await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [file]);
+        });
+        log(`Applied ${file}`);
+    }
+
+    return pending;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    listMigrationFiles,
+    migrationStatus,
+    runMigrations
+};
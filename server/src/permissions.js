@@ -0,0 +1,26 @@
+// What each users.user_type may do. Routes check these with
+// requirePermission() in middleware/auth.js; services still check that the
+// record itself is the user's (their own project or order, the verification
+// assigned to them) and answer 403 when it is another tenant's.
+// ROLE_PERMISSIONS in script.js mirrors this table to hide actions the UI
+// would otherwise offer.
+
+const ROLE_PERMISSIONS = {
+    // Project owners register projects, answer verifiers and sell credits
+    farmer: ['projects.manage', 'credits.sell'],
+    ngo: ['projects.manage', 'credits.sell'],
+    // Buyers
+    company: ['credits.buy', 'credits.retire'],
+    // Reviews are limited to the cases assigned to the verifier
+    verifier: ['verifications.review'],
+    admin: ['verifications.review', 'verifications.assign', 'conflicts.resolve', 'users.manage']
+};
+
+function hasPermission(userType, permission) {
+    return (ROLE_PERMISSIONS[userType] || []).includes(permission);
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    hasPermission
+};
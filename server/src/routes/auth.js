@@ -0,0 +1,106 @@
+const express = require('express');
+const config = require('../config');
+const authService = require('../services/auth');
+const sessionService = require('../services/sessions');
+const { requireAuth } = require('../middleware/auth');
+const { verifyAuthToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+// The refresh token lives in an httpOnly cookie that is only sent back to
+// these routes; scripts only ever see the short-lived access token
+const REFRESH_COOKIE = 'bc_refresh';
+const refreshCookieOptions = {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: config.publicApiUrl.startsWith('https:'),
+    path: '/api/auth'
+};
+
+function readRefreshCookie(req) {
+    const cookie = (req.get('cookie') || '').split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${REFRESH_COOKIE}=`));
+    return cookie ? decodeURIComponent(cookie.slice(REFRESH_COOKIE.length + 1)) : null;
+}
+
+function deviceOf(req) {
+    return { userAgent: req.get('user-agent'), ipAddress: req.ip };
+}
+
+// Sets the refresh cookie and answers with the rest of the session
+function sendSession(res, { refreshToken, ...session }) {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+        ...refreshCookieOptions,
+        maxAge: config.refreshTokenTtlDays * 24 * 60 * 60 * 1000
+    });
+    res.json({ success: true, data: session });
+}
+
+router.post('/login', async (req, res) => {
+    sendSession(res, await authService.login(req.body || {}, deviceOf(req)));
+});
+
+// { aadhaarNumber } -> { challengeId, expiresAt }
+router.post('/aadhaar/otp', async (req, res) => {
+    const challenge = await authService.requestAadhaarOtp(req.body || {});
+    res.json({ success: true, message: 'OTP sent to the mobile number registered with Aadhaar', data: challenge });
+});
+
+// { challengeId, otp } -> the same session as /login
+router.post('/aadhaar/verify', async (req, res) => {
+    sendSession(res, await authService.verifyAadhaarOtp(req.body || {}, deviceOf(req)));
+});
+
+// Refresh cookie -> a new access token (and cookie) for the same session
+router.post('/refresh', async (req, res) => {
+    try {
+        sendSession(res, await sessionService.refreshSession(readRefreshCookie(req), deviceOf(req)));
+    } catch (error) {
+        res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+        throw error;
+    }
+});
+
+// Ends the session in the refresh cookie, or failing that the one the
+// access token names (even an expired one), and clears the cookie
+router.post('/logout', async (req, res) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    const payload = scheme === 'Bearer' && token ? verifyAuthToken(token, { ignoreExpiration: true }) : null;
+
+    await sessionService.endSession({ refreshToken: readRefreshCookie(req), sessionId: payload?.sid });
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+    res.json({ success: true });
+});
+
+router.get('/sessions', requireAuth, async (req, res) => {
+    res.json(await sessionService.listSessions(req.user));
+});
+
+// Signs out every session except this one
+router.delete('/sessions', requireAuth, async (req, res) => {
+    const signedOut = await sessionService.revokeOtherSessions(req.user);
+    res.json({ success: true, data: { signedOut } });
+});
+
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+    await sessionService.revokeSession(req.user, req.params.id);
+    res.json({ success: true });
+});
+
+router.post('/register/farmer', async (req, res) => {
+    const result = await authService.registerFarmer(req.body || {});
+    res.status(201).json({
+        success: true,
+        message: result.conflicts.length > 0
+            ? 'Registration submitted for verification. The survey number is already registered in this district and will be reviewed by the registry.'
+            : 'Registration submitted for verification',
+        data: result
+    });
+});
+
+router.get('/profile', requireAuth, async (req, res) => {
+    res.json(await authService.getProfile(req.user));
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const cartService = require('../services/cart');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Guests price their localStorage cart here before they log in
+router.post('/quote', async (req, res) => {
+    res.json(await cartService.quoteCart(req.body?.items));
+});
+
+router.use(requireAuth, requirePermission('credits.buy'));
+
+router.get('/', async (req, res) => {
+    res.json(await cartService.getCart(req.user.id));
+});
+
+router.put('/items/:listingId', async (req, res) => {
+    const cart = await cartService.setCartItem(req.user.id, req.params.listingId, req.body?.quantity);
+    res.json({ success: true, data: cart });
+});
+
+router.delete('/items/:listingId', async (req, res) => {
+    const cart = await cartService.removeCartItem(req.user.id, req.params.listingId);
+    res.json({ success: true, data: cart });
+});
+
+router.delete('/', async (req, res) => {
+    await cartService.clearCart(req.user.id);
+    res.json({ success: true });
+});
+
+router.post('/merge', async (req, res) => {
+    const cart = await cartService.mergeGuestCart(req.user.id, req.body?.items);
+    res.json({ success: true, data: cart });
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const companyService = require('../services/company');
+const { requireAuth, requireUserType } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth, requireUserType('company'));
+
+router.get('/dashboard/stats', async (req, res) => {
+    res.json(await companyService.getCompanyStats(req.user));
+});
+
+router.get('/transactions', async (req, res) => {
+    res.json(await companyService.listCompanyTransactions(req.user));
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const conflictService = require('../services/conflicts');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('conflicts.resolve'));
+
+router.get('/', async (req, res) => {
+    res.json(await conflictService.listConflicts(req.query));
+});
+
+router.get('/:id', async (req, res) => {
+    res.json(await conflictService.getConflict(req.params.id));
+});
+
+router.post('/:id/resolve', async (req, res) => {
+    const conflict = await conflictService.resolveConflict(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: conflict });
+});
+
+module.exports = router;
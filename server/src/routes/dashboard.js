@@ -0,0 +1,11 @@
+const express = require('express');
+const dashboardService = require('../services/dashboard');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/stats', requireAuth, requirePermission('projects.manage'), async (req, res) => {
+    res.json(await dashboardService.getOwnerStats(req.user));
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const documentService = require('../services/documents');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { singleFile } = require('../middleware/upload');
+
+const router = express.Router();
+const reviewers = requirePermission('verifications.review');
+
+router.use(requireAuth);
+
+// Accepted file types and size limits per document type
+router.get('/types', (req, res) => {
+    res.json(documentService.listDocumentTypes());
+});
+
+router.get('/', async (req, res) => {
+    res.json(await documentService.listDocuments(req.user, req.query));
+});
+
+// multipart/form-data: file, documentType and (for project documents) projectId
+router.post('/', singleFile('file', documentService.MAX_UPLOAD_BYTES), async (req, res) => {
+    const document = await documentService.uploadDocument(req.user, req.body || {}, req.file);
+    res.status(201).json({ success: true, data: document });
+});
+
+router.get('/:id', async (req, res) => {
+    res.json(await documentService.getDocument(req.user, req.params.id));
+});
+
+router.get('/:id/content', async (req, res) => {
+    const { fileName, mimeType, content } = await documentService.getDocumentContent(req.user, req.params.id);
+    res.set({
+        'Content-Type': mimeType,
+        'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(content);
+});
+
+router.delete('/:id', async (req, res) => {
+    await documentService.deleteDocument(req.user, req.params.id);
+    res.json({ success: true });
+});
+
+router.post('/:id/review', reviewers, async (req, res) => {
+    const document = await documentService.reviewDocument(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: document });
+});
+
+// Reviewer comments; the uploader and project owner can read them
+router.get('/:id/annotations', async (req, res) => {
+    res.json(await documentService.listAnnotations(req.user, req.params.id));
+});
+
+// { comment, page, region: { x, y, width, height } } with the region as
+// fractions of the page, or no region for a comment on the whole document
+router.post('/:id/annotations', reviewers, async (req, res) => {
+    const annotation = await documentService.addAnnotation(req.user, req.params.id, req.body || {});
+    res.status(201).json({ success: true, data: annotation });
+});
+
+router.delete('/:id/annotations/:annotationId', reviewers, async (req, res) => {
+    await documentService.deleteAnnotation(req.user, req.params.id, req.params.annotationId);
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const marketplaceService = require('../services/marketplace');
+const projectService = require('../services/projects');
+const catalogueService = require('../services/catalogue');
+const checkoutService = require('../services/checkout');
+const auctionService = require('../services/auctions');
+const offerService = require('../services/offers');
+const { NotFoundError } = require('../errors');
+const { requireAuth, optionalAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+const buyers = [requireAuth, requirePermission('credits.buy')];
+const sellers = [requireAuth, requirePermission('credits.sell')];
+
+router.get('/projects', async (req, res) => {
+    res.json(await marketplaceService.listMarketplaceProjects());
+});
+
+// Every project with its status and boundary, for the project maps
+router.get('/map', async (req, res) => {
+    res.json(await projectService.listProjectMap());
+});
+
+router.get('/listings', async (req, res) => {
+    res.json(await catalogueService.searchListings(req.query));
+});
+
+// { creditId, quantity, pricePerCredit, listingType: 'fixed' | 'auction',
+// and for auctions endsAt, reservePrice, bidIncrement }
+router.post('/listings', sellers, async (req, res) => {
+    const listing = await marketplaceService.createListing(req.user, req.body);
+    res.status(201).json({ success: true, data: listing });
+});
+
+// The seller's credit batches with credits left to list
+router.get('/credits', sellers, async (req, res) => {
+    res.json(await marketplaceService.listSellableCredits(req.user));
+});
+
+router.get('/listings/:id', async (req, res) => {
+    const listing = await catalogueService.getListing(req.params.id);
+    if (!listing) {
+        throw new NotFoundError('Listing not found');
+    }
+    res.json(listing);
+});
+
+router.get('/listings/:id/auction', optionalAuth, async (req, res) => {
+    res.json(await auctionService.getAuction(req.params.id, req.user));
+});
+
+router.post('/listings/:id/bids', buyers, async (req, res) => {
+    const auction = await auctionService.placeBid(req.user, req.params.id, req.body?.amount);
+    res.status(201).json({ success: true, data: auction });
+});
+
+router.get('/stats', async (req, res) => {
+    res.json(await catalogueService.getMarketplaceStats());
+});
+
+router.post('/checkout', buyers, async (req, res) => {
+    const order = await checkoutService.checkout(req.user, req.body || {});
+    res.status(201).json({ success: true, data: order });
+});
+
+router.get('/orders/:id', requireAuth, async (req, res) => {
+    res.json(await checkoutService.getOrder(req.user, req.params.id));
+});
+
+router.post('/offer', buyers, async (req, res) => {
+    const offer = await offerService.createOffer(req.user, req.body || {});
+    res.status(201).json({ success: true, data: offer });
+});
+
+router.post('/interest', buyers, async (req, res) => {
+    const interest = await marketplaceService.expressInterest(req.user, req.body || {});
+    res.status(201).json({ success: true, data: interest });
+});
+
+module.exports = router;
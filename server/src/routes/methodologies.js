@@ -0,0 +1,26 @@
+const express = require('express');
+const methodologyService = require('../services/methodology');
+const financialService = require('../services/financials');
+
+// Public: the calculator estimates for visitors without an account
+const router = express.Router();
+
+router.get('/', (req, res) => {
+    res.json(methodologyService.listMethodologies());
+});
+
+// { ecosystem, areaHectares, years, region, previousLandUse, methodologyVersion },
+// and financials to add the calculator's financial projection
+router.post('/estimate', (req, res) => {
+    const { methodologyVersion, financials, ...input } = req.body || {};
+    const estimate = methodologyService.estimateCredits(input, { version: methodologyVersion });
+    res.json(financials === undefined
+        ? estimate
+        : { ...estimate, financials: financialService.projectFinancials(estimate, financials) });
+});
+
+router.get('/:version', (req, res) => {
+    res.json(methodologyService.getMethodology(req.params.version));
+});
+
+module.exports = router;
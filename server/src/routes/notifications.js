@@ -0,0 +1,18 @@
+const express = require('express');
+const notificationService = require('../services/notifications');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', async (req, res) => {
+    res.json(await notificationService.listNotifications(req.user.id));
+});
+
+router.post('/read', async (req, res) => {
+    await notificationService.markAllRead(req.user.id);
+    res.json({ success: true });
+});
+
+module.exports = router;
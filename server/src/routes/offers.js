@@ -0,0 +1,33 @@
+const express = require('express');
+const offerService = require('../services/offers');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Offers the user has made (as a buyer) or received (as a seller)
+router.get('/', async (req, res) => {
+    res.json(await offerService.listOffers(req.user));
+});
+
+router.get('/:id', async (req, res) => {
+    res.json(await offerService.getOffer(req.user, req.params.id));
+});
+
+router.post('/:id/counter', async (req, res) => {
+    const offer = await offerService.counterOffer(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: offer });
+});
+
+router.post('/:id/reject', async (req, res) => {
+    const offer = await offerService.rejectOffer(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: offer });
+});
+
+router.post('/:id/accept', async (req, res) => {
+    const offer = await offerService.acceptOffer(req.user, req.params.id);
+    res.json({ success: true, data: offer });
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const projectService = require('../services/projects');
+const monitoringService = require('../services/monitoring');
+const verificationService = require('../services/verifications');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { singleFile } = require('../middleware/upload');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', async (req, res) => {
+    res.json(await projectService.listProjectsForUser(req.user));
+});
+
+router.get('/:id', async (req, res) => {
+    res.json(await projectService.getProject(req.user, req.params.id));
+});
+
+// multipart/form-data with a GeoJSON, KML/KMZ or zipped Shapefile in "file",
+// or JSON { geometry } for a boundary drawn on the map
+router.put('/:id/boundary', singleFile('file', projectService.MAX_BOUNDARY_BYTES), async (req, res) => {
+    const project = await projectService.setProjectBoundary(req.user, req.params.id, {
+        file: req.file,
+        geometry: req.body?.geometry
+    });
+    res.json({ success: true, data: project });
+});
+
+router.get('/:id/ndvi', async (req, res) => {
+    res.json(await monitoringService.getProjectNdvi(req.user, req.params.id));
+});
+
+router.get('/:id/verification', async (req, res) => {
+    res.json(await projectService.getVerificationHistory(req.user, req.params.id));
+});
+
+// Opens the project's next case: initial, or periodic once it is verified
+router.post('/:id/verification', requirePermission('projects.manage'), async (req, res) => {
+    const verification = await verificationService.submitForVerification(req.user, req.params.id);
+    res.status(201).json({ success: true, data: verification });
+});
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const registryService = require('../services/registry');
+
+// Public: the registry needs no account so auditors can check any credit
+const router = express.Router();
+
+router.get('/batches', async (req, res) => {
+    res.json(await registryService.listBatches(req.query));
+});
+
+router.get('/lookup', async (req, res) => {
+    res.json(await registryService.lookup(req.query.q));
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const retirementService = require('../services/retirements');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+const retirers = [requireAuth, requirePermission('credits.retire')];
+
+// Credits the signed-in user can retire
+router.get('/holdings', retirers, async (req, res) => {
+    res.json(await retirementService.listHoldings(req.user));
+});
+
+router.post('/', retirers, async (req, res) => {
+    const retirement = await retirementService.retireCredits(req.user, req.body || {});
+    res.status(201).json({ success: true, data: retirement });
+});
+
+// Public: the verification URL printed on every certificate
+router.get('/:id', async (req, res) => {
+    res.json(await retirementService.getRetirement(req.params.id));
+});
+
+router.get('/:id/certificate', async (req, res) => {
+    const pdf = await retirementService.renderRetirementCertificate(req.params.id);
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="retirement-${req.params.id}.pdf"`
+    });
+    res.send(pdf);
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const scenarioService = require('../services/scenarios');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const EXPORT_TYPES = {
+    csv: { contentType: 'text/csv; charset=utf-8', render: scenarioService.renderComparisonCsv },
+    pdf: { contentType: 'application/pdf', render: scenarioService.renderComparisonPdf }
+};
+
+// Public: scenarios shared in a calculator link are exported without an
+// account. { scenarios: [{ name, inputs, methodologyVersion }] }
+router.post('/export', (req, res) => {
+    const format = EXPORT_TYPES[req.query.format] ? req.query.format : 'csv';
+    const comparison = scenarioService.compareScenarios(req.body?.scenarios);
+    res.set({
+        'Content-Type': EXPORT_TYPES[format].contentType,
+        'Content-Disposition': `attachment; filename="carbon-scenarios.${format}"`
+    });
+    res.send(EXPORT_TYPES[format].render(comparison));
+});
+
+router.use(requireAuth);
+
+router.get('/', async (req, res) => {
+    res.json(await scenarioService.listScenarios(req.user));
+});
+
+router.post('/', async (req, res) => {
+    const scenario = await scenarioService.createScenario(req.user, req.body || {});
+    res.status(201).json({ success: true, data: scenario });
+});
+
+router.put('/:id', async (req, res) => {
+    const scenario = await scenarioService.updateScenario(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: scenario });
+});
+
+router.delete('/:id', async (req, res) => {
+    await scenarioService.deleteScenario(req.user, req.params.id);
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const siteVisitService = require('../services/siteVisits');
+const { requireAuth, requirePermission, requireUserType } = require('../middleware/auth');
+
+const router = express.Router();
+const reviewers = requirePermission('verifications.review');
+
+function sendCalendar(res, calendar, filename) {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(calendar);
+}
+
+// Public: calendar apps subscribe without a bearer token, the secret
+// token in the URL stands in for it
+router.get('/feed/:token.ics', async (req, res) => {
+    sendCalendar(res, await siteVisitService.renderFeed(req.params.token), 'site-visits.ics');
+});
+
+router.get('/feed', requireAuth, requireUserType('verifier'), async (req, res) => {
+    res.json(await siteVisitService.getFeedUrl(req.user));
+});
+
+router.get('/', requireAuth, async (req, res) => {
+    res.json(await siteVisitService.listVisits(req.user, req.query));
+});
+
+router.post('/', requireAuth, reviewers, async (req, res) => {
+    const visit = await siteVisitService.proposeVisit(req.user, req.body || {});
+    res.status(201).json({ success: true, data: visit });
+});
+
+router.get('/:id', requireAuth, async (req, res) => {
+    res.json(await siteVisitService.getVisit(req.user, req.params.id));
+});
+
+router.get('/:id/calendar', requireAuth, async (req, res) => {
+    sendCalendar(res, await siteVisitService.exportVisit(req.user, req.params.id), `site-visit-${req.params.id}.ics`);
+});
+
+router.post('/:id/accept', requireAuth, async (req, res) => {
+    const visit = await siteVisitService.acceptSlot(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: visit });
+});
+
+router.post('/:id/reschedule', requireAuth, reviewers, async (req, res) => {
+    const visit = await siteVisitService.rescheduleVisit(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: visit });
+});
+
+router.post('/:id/cancel', requireAuth, async (req, res) => {
+    const visit = await siteVisitService.cancelVisit(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: visit });
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const transactionService = require('../services/transactions');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function sendPdf(res, fileName, pdf) {
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(pdf);
+}
+
+router.get('/:id/status', async (req, res) => {
+    res.json(await transactionService.getTransactionStatus(req.user, req.params.id));
+});
+
+router.get('/:id/certificate', async (req, res) => {
+    const pdf = await transactionService.renderCertificate(req.user, req.params.id);
+    sendPdf(res, `certificate-${req.params.id}.pdf`, pdf);
+});
+
+router.get('/:id/invoice', async (req, res) => {
+    const pdf = await transactionService.renderInvoice(req.user, req.params.id);
+    sendPdf(res, `invoice-${req.params.id}.pdf`, pdf);
+});
+
+module.exports = router;
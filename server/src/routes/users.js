@@ -0,0 +1,24 @@
+const express = require('express');
+const userService = require('../services/users');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('users.manage'));
+
+router.get('/', async (req, res) => {
+    res.json(await userService.listUsers(req.query));
+});
+
+// { reason }
+router.post('/:id/suspend', async (req, res) => {
+    const user = await userService.suspendUser(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: user });
+});
+
+router.post('/:id/reinstate', async (req, res) => {
+    const user = await userService.reinstateUser(req.params.id);
+    res.json({ success: true, data: user });
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const verificationService = require('../services/verifications');
+const mrvReports = require('../services/mrvReports');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+// Verifiers may only act on the cases assigned to them (see assertReviewer)
+const reviewers = requirePermission('verifications.review');
+
+router.use(requireAuth);
+
+router.get('/', reviewers, async (req, res) => {
+    res.json(await verificationService.listCases(req.user, req.query));
+});
+
+router.get('/verifiers', requirePermission('verifications.assign'), async (req, res) => {
+    res.json(await verificationService.listVerifiers());
+});
+
+router.get('/mrv-schema', async (req, res) => {
+    res.json(mrvReports.getSchema(req.query.version));
+});
+
+// Project owners can follow their own cases as well
+router.get('/:id', async (req, res) => {
+    res.json(await verificationService.getCase(req.user, req.params.id));
+});
+
+router.get('/:id/mrv-diff', async (req, res) => {
+    res.json(await verificationService.getMrvDiff(req.user, req.params.id, req.query));
+});
+
+// Geotag, timestamp and duplicate checks for each project photo
+router.get('/:id/photo-evidence', reviewers, async (req, res) => {
+    res.json(await verificationService.getPhotoReport(req.user, req.params.id));
+});
+
+router.put('/:id/mrv-report', reviewers, async (req, res) => {
+    const verification = await verificationService.saveMrvReport(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: verification });
+});
+
+// Snapshot of the project's satellite NDVI series, saved with the report
+router.post('/:id/remote-sensing', reviewers, async (req, res) => {
+    const verification = await verificationService.attachRemoteSensing(req.user, req.params.id);
+    res.json({ success: true, data: verification });
+});
+
+router.post('/:id/assign', requirePermission('verifications.assign'), async (req, res) => {
+    const verification = await verificationService.assignVerifier(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: verification });
+});
+
+router.post('/:id/start', reviewers, async (req, res) => {
+    const verification = await verificationService.startReview(req.user, req.params.id);
+    res.json({ success: true, data: verification });
+});
+
+router.post('/:id/request-info', reviewers, async (req, res) => {
+    const verification = await verificationService.requestInformation(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: verification });
+});
+
+router.post('/:id/respond', requirePermission('projects.manage'), async (req, res) => {
+    const verification = await verificationService.respondToRequest(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: verification });
+});
+
+router.post('/:id/reject', reviewers, async (req, res) => {
+    const verification = await verificationService.rejectVerification(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: verification });
+});
+
+router.post('/:id/approve', reviewers, async (req, res) => {
+    const verification = await verificationService.approveVerification(req.user, req.params.id, req.body || {});
+    res.json({ success: true, data: verification });
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Aadhaar identity providers send an OTP to the mobile number registered
+// with an Aadhaar number and later check it. sendOtp({ aadhaarNumber })
+// returns { transactionId }; verifyOtp({ transactionId, aadhaarNumber, otp })
+// resolves true or false. Expiry, attempt limits and which account an
+// Aadhaar number logs in to are enforced by the caller, not the provider.
+// Only the mock provider ships with the repo: it logs the OTP instead of
+// sending an SMS, or uses AADHAAR_MOCK_OTP when that is set.
+
+const MOCK_OTP_TTL_MS = 10 * 60 * 1000;
+
+const mockOtps = new Map();
+
+function maskAadhaar(aadhaarNumber) {
+    return `XXXX-XXXX-${String(aadhaarNumber).slice(-4)}`;
+}
+
+const providers = {
+    mock: {
+        async sendOtp({ aadhaarNumber }) {
+            const now = Date.now();
+            for (const [transactionId, entry] of mockOtps) {
+                if (entry.expiresAt < now) mockOtps.delete(transactionId);
+            }
+
+            const transactionId = `mock_${crypto.randomUUID()}`;
+            const otp = config.aadhaarMockOtp || String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+            mockOtps.set(transactionId, { aadhaarNumber, otp, expiresAt: now + MOCK_OTP_TTL_MS });
+            console.log(`Aadhaar OTP for ${maskAadhaar(aadhaarNumber)}: ${otp} (mock provider)`);
+            return { transactionId };
+        },
+
+        async verifyOtp({ transactionId, aadhaarNumber, otp }) {
+            const entry = mockOtps.get(transactionId);
+            if (!entry || entry.expiresAt < Date.now() || entry.aadhaarNumber !== aadhaarNumber) {
+                return false;
+            }
+            const expected = Buffer.from(entry.otp);
+            const given = Buffer.from(String(otp));
+            const matches = expected.length === given.length && crypto.timingSafeEqual(expected, given);
+            if (matches) mockOtps.delete(transactionId);
+            return matches;
+        }
+    }
+};
+
+function getAadhaarProvider(name = config.aadhaarProvider) {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown Aadhaar provider "${name}"`);
+    }
+    return provider;
+}
+
+module.exports = {
+    getAadhaarProvider,
+    maskAadhaar
+};
@@ -0,0 +1,258 @@
+const db = require('../db');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { toNumber, roundCurrency } = require('../utils/format');
+const { createPendingOrder, payOrder } = require('./checkout');
+const { createNotification } = require('./notifications');
+
+// A bid this close to the end pushes the close back so other bidders get a
+// chance to respond
+const ANTI_SNIPING_WINDOW_MINUTES = 5;
+const BID_HISTORY_LIMIT = 20;
+
+const AUCTION_COLUMNS = `
+    l.id, l.seller_id, l.price_per_credit, l.total_credits, l.status, l.listing_type, l.expiry_date,
+    l.reserve_price, l.bid_increment, l.closed_at, p.title, v.status AS verification_status`;
+
+const AUCTION_FROM = `
+      FROM marketplace_listings l
+      JOIN carbon_credits c ON c.id = l.credit_id
+      JOIN projects p ON p.id = c.project_id
+      LEFT JOIN verifications v ON v.id = c.verification_id`;
+
+function isOpen(listing) {
+    return listing.status === 'active'
+        && !listing.closed_at
+        && new Date(listing.expiry_date) > new Date();
+}
+
+function minimumBid(listing, highBid) {
+    return highBid
+        ? roundCurrency(toNumber(highBid.amount) + toNumber(listing.bid_increment))
+        : toNumber(listing.price_per_credit);
+}
+
+// Highest bid wins; the earlier of two equal bids wins
+async function getHighBid(client, listingId) {
+    const { rows: [bid] } = await client.query(
+        `SELECT id, bidder_id, amount FROM bids
+          WHERE listing_id = $1
+          ORDER BY amount DESC, created_at
+          LIMIT 1`,
+        [listingId]
+    );
+    return bid || null;
+}
+
+async function findAuction(listingId) {
+    const { rows: [listing] } = await db.query(
+        `SELECT ${AUCTION_COLUMNS} ${AUCTION_FROM} WHERE l.id = $1 AND l.listing_type = 'auction'`,
+        [listingId]
+    );
+    if (!listing) {
+        throw new NotFoundError('Auction not found');
+    }
+    return listing;
+}
+
+// Reading an auction never settles it: one past its end that the close-out
+// job has not reached yet is reported as 'ended'
+async function getAuction(listingId, user = null) {
+    const listing = await findAuction(listingId);
+
+    const { rows: bids } = await db.query(
+        'SELECT id, bidder_id, amount, created_at FROM bids WHERE listing_id = $1 ORDER BY created_at, id',
+        [listingId]
+    );
+
+    // Bidders are shown as "Bidder N" in order of their first bid
+    const bidderNumbers = new Map();
+    bids.forEach(bid => {
+        if (!bidderNumbers.has(bid.bidder_id)) bidderNumbers.set(bid.bidder_id, bidderNumbers.size + 1);
+    });
+
+    const highBid = bids.reduce((best, bid) => (!best || toNumber(bid.amount) > toNumber(best.amount) ? bid : best), null);
+    const reservePrice = listing.reserve_price === null ? null : toNumber(listing.reserve_price);
+
+    return {
+        listingId: listing.id,
+        title: listing.title,
+        status: isOpen(listing) ? 'live' : listing.status === 'active' ? 'ended' : listing.status,
+        credits: listing.total_credits,
+        startingPrice: toNumber(listing.price_per_credit),
+        bidIncrement: toNumber(listing.bid_increment),
+        hasReserve: reservePrice !== null,
+        reserveMet: reservePrice === null || (!!highBid && toNumber(highBid.amount) >= reservePrice),
+        highBid: highBid ? toNumber(highBid.amount) : null,
+        isHighBidder: !!(highBid && user && highBid.bidder_id === user.id),
+        minimumBid: minimumBid(listing, highBid),
+        bidCount: bids.length,
+        endsAt: listing.expiry_date,
+        serverTime: new Date(),
+        bids: bids.slice(-BID_HISTORY_LIMIT).reverse().map(bid => ({
+            id: bid.id,
+            bidder: `Bidder ${bidderNumbers.get(bid.bidder_id)}`,
+            isYou: !!(user && bid.bidder_id === user.id),
+            amount: toNumber(bid.amount),
+            createdAt: bid.created_at
+        }))
+    };
+}
+
+async function placeBid(user, listingId, amount) {
+    const bidAmount = roundCurrency(Number(amount));
+    if (!Number.isFinite(bidAmount) || bidAmount <= 0) {
+        throw new ValidationError('Invalid bid', ['Bid must be a positive amount per credit']);
+    }
+
+    await db.transaction(async (client) => {
+        const { rows: [listing] } = await client.query(
+            `SELECT ${AUCTION_COLUMNS} ${AUCTION_FROM}
+              WHERE l.id = $1 AND l.listing_type = 'auction'
+                FOR UPDATE OF l`,
+            [listingId]
+        );
+
+        if (!listing) {
+            throw new NotFoundError('Auction not found');
+        }
+        if (!isOpen(listing)) {
+            throw new ConflictError('This auction has ended');
+        }
+        if (listing.verification_status !== 'approved') {
+            throw new ConflictError(`Credits for ${listing.title} are awaiting verification and cannot be bid on yet`);
+        }
+        if (listing.seller_id === user.id) {
+            throw new ForbiddenError('You cannot bid on your own auction');
+        }
+
+        const highBid = await getHighBid(client, listingId);
+        const required = minimumBid(listing, highBid);
+        if (bidAmount < required) {
+            throw new ValidationError('Bid too low', [`Bids must be at least ₹${required} per credit`]);
+        }
+
+        await client.query(
+            'INSERT INTO bids (listing_id, bidder_id, amount) VALUES ($1, $2, $3)',
+            [listingId, user.id, bidAmount]
+        );
+
+        await client.query(
+            `UPDATE marketplace_listings
+                SET expiry_date = NOW() + make_interval(mins => $2)
+              WHERE id = $1 AND expiry_date < NOW() + make_interval(mins => $2)`,
+            [listingId, ANTI_SNIPING_WINDOW_MINUTES]
+        );
+
+        if (highBid && highBid.bidder_id !== user.id) {
+            await createNotification({
+                userId: highBid.bidder_id,
+                type: 'warning',
+                message: `You have been outbid on ${listing.title}: ₹${bidAmount} per credit`
+            }, client);
+        }
+        await createNotification({
+            userId: listing.seller_id,
+            type: 'info',
+            message: `New bid of ₹${bidAmount} per credit on ${listing.title}`
+        }, client);
+    });
+
+    return getAuction(listingId, user);
+}
+
+// Close one auction that has passed its expiry_date. A winning bid at or
+// above the reserve becomes an order for the whole lot and is charged like a
+// checkout; otherwise the listing expires unsold.
+async function closeAuction(listingId) {
+    const outcome = await db.transaction(async (client) => {
+        const { rows: [listing] } = await client.query(
+            `SELECT ${AUCTION_COLUMNS} ${AUCTION_FROM}
+              WHERE l.id = $1 AND l.listing_type = 'auction' AND l.status = 'active'
+                AND l.closed_at IS NULL AND l.expiry_date <= NOW()
+                FOR UPDATE OF l SKIP LOCKED`,
+            [listingId]
+        );
+        if (!listing) return null;
+
+        const highBid = await getHighBid(client, listingId);
+        const reserveMet = highBid
+            && (listing.reserve_price === null || toNumber(highBid.amount) >= toNumber(listing.reserve_price));
+
+        if (!reserveMet) {
+            await client.query(
+                "UPDATE marketplace_listings SET status = 'expired', closed_at = NOW() WHERE id = $1",
+                [listingId]
+            );
+            await createNotification({
+                userId: listing.seller_id,
+                type: 'info',
+                message: highBid
+                    ? `Auction for ${listing.title} ended below your reserve price`
+                    : `Auction for ${listing.title} ended with no bids`
+            }, client);
+            if (highBid) {
+                await createNotification({
+                    userId: highBid.bidder_id,
+                    type: 'info',
+                    message: `Auction for ${listing.title} ended without meeting the reserve price`
+                }, client);
+            }
+            return null;
+        }
+
+        const order = await createPendingOrder(client, highBid.bidder_id, [{
+            listingId,
+            quantity: listing.total_credits,
+            pricePerCredit: toNumber(highBid.amount)
+        }]);
+        await client.query('UPDATE marketplace_listings SET closed_at = NOW() WHERE id = $1', [listingId]);
+
+        return { ...order, buyerId: highBid.bidder_id, listing, bid: highBid };
+    });
+
+    if (!outcome) return null;
+
+    const { orderId, buyerId, listing, bid } = outcome;
+    try {
+        await payOrder(outcome);
+        await createNotification({
+            userId: buyerId,
+            type: 'success',
+            message: `You won the auction for ${listing.title} at ₹${toNumber(bid.amount)} per credit`
+        });
+    } catch (error) {
+        console.error(`Payment for auction ${listingId} failed:`, error.message);
+        await db.query("UPDATE marketplace_listings SET status = 'expired' WHERE id = $1", [listingId]);
+        await createNotification({
+            userId: buyerId,
+            type: 'warning',
+            message: `You won the auction for ${listing.title} but the payment did not go through`
+        });
+    }
+
+    return orderId;
+}
+
+async function closeExpiredAuctions() {
+    const { rows } = await db.query(
+        `SELECT id FROM marketplace_listings
+          WHERE listing_type = 'auction' AND status = 'active'
+            AND closed_at IS NULL AND expiry_date <= NOW()
+          ORDER BY expiry_date`
+    );
+
+    for (const { id } of rows) {
+        try {
+            await closeAuction(id);
+        } catch (error) {
+            console.error(`Failed to close auction ${id}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    getAuction,
+    placeBid,
+    closeAuction,
+    closeExpiredAuctions
+};
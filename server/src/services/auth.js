@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../db');
+const { AuthenticationError, ForbiddenError, ConflictError, ValidationError } = require('../errors');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { getAadhaarProvider } = require('./aadhaar');
+const { checkProjectConflicts } = require('./conflicts');
+const { createSession } = require('./sessions');
+const { openCase } = require('./verifications');
+const { getMethodology, regionForState, estimateCredits, recordEstimate } = require('./methodology');
+
+// authenticateUser() in script.js sends the users.user_type being signed in as
+const LOGIN_ROLES = ['farmer', 'company', 'ngo', 'admin', 'verifier'];
+
+const PROJECT_TYPES = ['mangrove', 'afforestation', 'seagrass', 'wetland'];
+
+// Aadhaar OTPs last OTP_TTL_MINUTES and allow MAX_OTP_ATTEMPTS wrong
+// entries; each Aadhaar number may request MAX_OTPS_PER_HOUR
+const OTP_TTL_MINUTES = 5;
+const MAX_OTP_ATTEMPTS = 3;
+const MAX_OTPS_PER_HOUR = 5;
+
+// Survey/sub-division numbers from the land records: digits with letters,
+// slashes, hyphens or dots, e.g. 123/4A or 45-2B
+const SURVEY_NUMBER_PATTERN = /^(?=.*[0-9])[A-Za-z0-9/.\- ]{1,50}$/;
+
+// register-farmer.html also offers "Mixed Restoration"; it is registered as
+// mangrove, the dominant ecosystem in mixed coastal plantings
+function normalizeProjectType(projectType) {
+    return projectType === 'mixed' ? 'mangrove' : projectType;
+}
+
+// The identifier may be an email, a mobile number, a Kisan Card number or a
+// verifier ID
+async function findUserForLogin({ email, kisanCard, mobile }) {
+    const identifiers = [email, kisanCard, mobile].filter(Boolean).map(value => String(value).trim());
+    if (identifiers.length === 0) return null;
+
+    const { rows } = await db.query(
+        `SELECT u.id, u.email, u.phone, u.user_type, u.status, u.password_hash
+           FROM users u
+           LEFT JOIN farmers f ON f.user_id = u.id
+           LEFT JOIN verifiers v ON v.user_id = u.id
+          WHERE LOWER(u.email) = ANY($1)
+             OR u.phone = ANY($2)
+             OR f.kisan_card_number = ANY($2)
+             OR v.verifier_code = ANY($2)
+          LIMIT 1`,
+        [identifiers.map(value => value.toLowerCase()), identifiers]
+    );
+    return rows[0] || null;
+}
+
+// device is { userAgent, ipAddress } for the new session
+async function login({ email, password, role, kisanCard, mobile, securityKey }, device = {}) {
+    if (!password || (!email && !kisanCard && !mobile)) {
+        throw new ValidationError('Login credentials are required', ['Please enter your login credentials.']);
+    }
+    if (!LOGIN_ROLES.includes(role)) {
+        throw new ValidationError('Invalid login', ['Please choose the type of account you are signing in to.']);
+    }
+
+    const user = await findUserForLogin({ email, kisanCard, mobile });
+    const passwordMatches = user ? await verifyPassword(password, user.password_hash) : false;
+
+    if (!user || !passwordMatches) {
+        throw new AuthenticationError('Invalid credentials');
+    }
+
+    if (user.user_type !== role) {
+        throw new AuthenticationError('Invalid credentials');
+    }
+
+    if (user.user_type === 'admin' && securityKey !== config.adminSecurityKey) {
+        throw new AuthenticationError('Invalid security key');
+    }
+
+    if (user.status === 'suspended') {
+        throw new ForbiddenError('This account has been suspended');
+    }
+
+    return createSession(user, device);
+}
+
+// The farmer accounts whose farmers.aadhaar_number this is
+async function findAadhaarAccounts(client, aadhaarNumber) {
+    const { rows } = await client.query(
+        `SELECT u.id, u.email, u.phone, u.user_type, u.status
+           FROM farmers f
+           JOIN users u ON u.id = f.user_id
+          WHERE f.aadhaar_number = $1`,
+        [aadhaarNumber]
+    );
+    return rows;
+}
+
+// Sends an OTP to the mobile number registered with Aadhaar. The response is
+// the same whether or not the number belongs to a farmer account here;
+// verifyAadhaarOtp() turns unlinked numbers away once the OTP is entered.
+// A new OTP replaces any earlier one still waiting to be entered.
+async function requestAadhaarOtp({ aadhaarNumber }) {
+    const number = String(aadhaarNumber ?? '').replace(/\s+/g, '');
+    if (!/^[0-9]{12}$/.test(number)) {
+        throw new ValidationError('Invalid Aadhaar number', ['Please enter a valid 12-digit Aadhaar number']);
+    }
+
+    const { rows: [{ count }] } = await db.query(
+        `SELECT COUNT(*)::int AS count FROM aadhaar_otp_challenges
+          WHERE aadhaar_number = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+        [number]
+    );
+    if (count >= MAX_OTPS_PER_HOUR) {
+        throw new ConflictError('Too many OTPs have been requested for this Aadhaar number. Please try again in an hour.');
+    }
+
+    const accounts = await findAadhaarAccounts(db, number);
+    const provider = config.aadhaarProvider;
+    const { transactionId } = await getAadhaarProvider(provider).sendOtp({ aadhaarNumber: number });
+
+    return db.transaction(async (client) => {
+        await client.query(
+            `UPDATE aadhaar_otp_challenges SET status = 'superseded'
+              WHERE aadhaar_number = $1 AND status = 'pending'`,
+            [number]
+        );
+        const { rows: [challenge] } = await client.query(
+            `INSERT INTO aadhaar_otp_challenges (user_id, aadhaar_number, provider, provider_transaction_id, expires_at)
+             VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+             RETURNING id, expires_at`,
+            [accounts.length === 1 ? accounts[0].id : null, number, provider, transactionId, OTP_TTL_MINUTES]
+        );
+        return {
+            challengeId: challenge.id,
+            expiresAt: challenge.expires_at
+        };
+    });
+}
+
+// Logs in the farmer whose Aadhaar number the challenge was sent for. The
+// OTP is checked before the account so only the Aadhaar holder learns
+// whether the number is linked. Wrong OTPs are counted even though the
+// request fails, so the outcome is decided inside the transaction and
+// thrown after it commits.
+async function verifyAadhaarOtp({ challengeId, otp }, device = {}) {
+    if (!challengeId || !/^[0-9]{6}$/.test(String(otp ?? ''))) {
+        throw new ValidationError('Invalid OTP', ['Please enter the 6-digit OTP']);
+    }
+
+    const outcome = await db.transaction(async (client) => {
+        const { rows: [challenge] } = await client.query(
+            `SELECT c.*, c.expires_at <= NOW() AS expired
+               FROM aadhaar_otp_challenges c
+              WHERE c.id = $1
+              FOR UPDATE`,
+            [challengeId]
+        );
+        if (!challenge || challenge.status !== 'pending') {
+            return { error: 'This OTP is no longer valid. Please request a new one.' };
+        }
+        if (challenge.expired) {
+            return { error: 'This OTP has expired. Please request a new one.' };
+        }
+
+        const verified = await getAadhaarProvider(challenge.provider).verifyOtp({
+            transactionId: challenge.provider_transaction_id,
+            aadhaarNumber: challenge.aadhaar_number,
+            otp: String(otp)
+        });
+        if (!verified) {
+            const attemptsLeft = MAX_OTP_ATTEMPTS - challenge.attempts - 1;
+            await client.query(
+                `UPDATE aadhaar_otp_challenges
+                    SET attempts = attempts + 1, status = CASE WHEN $2 THEN 'failed' ELSE status END
+                  WHERE id = $1`,
+                [challenge.id, attemptsLeft <= 0]
+            );
+            return {
+                error: attemptsLeft > 0
+                    ? `Incorrect OTP. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`
+                    : 'Incorrect OTP. Please request a new one.'
+            };
+        }
+
+        const accounts = await findAadhaarAccounts(client, challenge.aadhaar_number);
+        if (accounts.length !== 1) {
+            await client.query("UPDATE aadhaar_otp_challenges SET status = 'failed' WHERE id = $1", [challenge.id]);
+            return {
+                error: accounts.length === 0
+                    ? 'This Aadhaar number is not linked to a farmer account'
+                    : 'This Aadhaar number is linked to more than one account. Please contact support.'
+            };
+        }
+        const [user] = accounts;
+
+        await client.query(
+            "UPDATE aadhaar_otp_challenges SET user_id = $2, status = 'verified', verified_at = NOW() WHERE id = $1",
+            [challenge.id, user.id]
+        );
+        await client.query('UPDATE farmers SET aadhaar_verified_at = NOW() WHERE user_id = $1', [user.id]);
+        return { user };
+    });
+
+    if (outcome.error) {
+        throw new AuthenticationError(outcome.error);
+    }
+    if (outcome.user.status === 'suspended') {
+        throw new ForbiddenError('This account has been suspended');
+    }
+    return createSession(outcome.user, device);
+}
+
+async function getProfile(user) {
+    const profile = {
+        id: user.id,
+        email: user.email,
+        phone: user.phone,
+        userType: user.userType,
+        status: user.status
+    };
+
+    if (user.userType === 'farmer') {
+        const { rows } = await db.query(
+            `SELECT full_name, kisan_card_number, verification_status
+               FROM farmers WHERE user_id = $1`,
+            [user.id]
+        );
+        if (rows[0]) {
+            profile.name = rows[0].full_name;
+            profile.kisanCard = rows[0].kisan_card_number;
+            profile.verificationStatus = rows[0].verification_status;
+        }
+    } else if (user.userType === 'company') {
+        const { rows } = await db.query(
+            `SELECT company_name, trade_name, cin_number, gst_number, industry_sector, esg_rating
+               FROM companies WHERE user_id = $1`,
+            [user.id]
+        );
+        if (rows[0]) {
+            profile.name = rows[0].company_name;
+            profile.companyName = rows[0].company_name;
+            profile.tradeName = rows[0].trade_name;
+            profile.cin = rows[0].cin_number;
+            profile.gst = rows[0].gst_number;
+            profile.industrySector = rows[0].industry_sector;
+            profile.esgRating = rows[0].esg_rating;
+        }
+    } else if (user.userType === 'ngo') {
+        const { rows } = await db.query(
+            `SELECT organization_name, registration_number, verification_status
+               FROM ngos WHERE user_id = $1`,
+            [user.id]
+        );
+        if (rows[0]) {
+            profile.name = rows[0].organization_name;
+            profile.registrationNumber = rows[0].registration_number;
+            profile.verificationStatus = rows[0].verification_status;
+        }
+    } else if (user.userType === 'verifier') {
+        const { rows } = await db.query(
+            `SELECT verifier_code, full_name, organization, accreditation_number
+               FROM verifiers WHERE user_id = $1`,
+            [user.id]
+        );
+        if (rows[0]) {
+            profile.name = rows[0].full_name;
+            profile.verifierCode = rows[0].verifier_code;
+            profile.organization = rows[0].organization;
+            profile.accreditationNumber = rows[0].accreditation_number;
+        }
+    }
+
+    return profile;
+}
+
+// Mirrors validateFarmerRegistrationData() in script.js; the server must not
+// trust the browser to have run it.
+function validateFarmerRegistration(data) {
+    const errors = [];
+
+    if (!data.fullName || data.fullName.length < 2) {
+        errors.push('Full name must be at least 2 characters long');
+    }
+
+    if (!data.fatherName || data.fatherName.length < 2) {
+        errors.push('Father/Husband name must be at least 2 characters long');
+    }
+
+    if (!data.dob || Number.isNaN(new Date(data.dob).getTime())) {
+        errors.push('Date of birth is required');
+    } else if (new Date().getFullYear() - new Date(data.dob).getFullYear() < 18) {
+        errors.push('You must be at least 18 years old');
+    }
+
+    if (!data.mobile || !/^[0-9]{10}$/.test(data.mobile)) {
+        errors.push('Please enter a valid 10-digit mobile number');
+    }
+
+    if (!data.address || data.address.length < 10) {
+        errors.push('Please provide a complete address');
+    }
+
+    if (!data.district || String(data.district).trim().length < 2) {
+        errors.push('Please enter your district');
+    }
+
+    if (!data.kisanCard || !/^[0-9]{12}$/.test(data.kisanCard)) {
+        errors.push('Please enter a valid 12-digit Kisan Card number');
+    }
+
+    if (!data.aadhaarNumber || !/^[0-9]{12}$/.test(data.aadhaarNumber)) {
+        errors.push('Please enter a valid 12-digit Aadhaar number');
+    }
+
+    const totalArea = Number(data.totalArea);
+    if (!totalArea || totalArea <= 0 || totalArea > 1000) {
+        errors.push('Total land area must be between 0.1 and 1000 hectares');
+    }
+
+    // Checked against other registrations in the same district
+    if (!data.surveyNumber || !SURVEY_NUMBER_PATTERN.test(String(data.surveyNumber).trim())) {
+        errors.push('Please enter the land survey number as it appears in the land records (e.g. 123/4A)');
+    }
+
+    if (!PROJECT_TYPES.includes(normalizeProjectType(data.projectType))) {
+        errors.push('Please select a valid project type');
+    }
+
+    if (data.previousLandUse && !getMethodology().previousLandUses[data.previousLandUse]) {
+        errors.push('Please select a valid previous land use');
+    }
+
+    if (!data.projectStartDate || Number.isNaN(new Date(data.projectStartDate).getTime())) {
+        errors.push('Project start date is required');
+    }
+
+    if (!data.accountNumber || data.accountNumber.length < 8) {
+        errors.push('Please enter a valid account number');
+    }
+
+    if (!data.ifscCode || !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(data.ifscCode)) {
+        errors.push('Please enter a valid IFSC code');
+    }
+
+    if (data.password !== undefined && String(data.password).length < 8) {
+        errors.push('Password must be at least 8 characters long');
+    }
+
+    if (!data.agreeTerms) {
+        errors.push('You must agree to the Terms & Conditions');
+    }
+
+    if (!data.declareInfo) {
+        errors.push('You must declare that the information provided is true');
+    }
+
+    if (!data.consentData) {
+        errors.push('You must consent to data sharing for verification');
+    }
+
+    return errors;
+}
+
+// Creates the user, farmer profile and the first (planning) project in one go
+async function registerFarmer(data) {
+    const errors = validateFarmerRegistration(data);
+    if (errors.length > 0) {
+        throw new ValidationError('Please correct the following errors:', errors);
+    }
+
+    const passwordHash = data.password ? await hashPassword(data.password) : null;
+
+    return db.transaction(async (client) => {
+        // Aadhaar numbers are unique too: Aadhaar OTP login finds the account by it
+        const { rows: existing } = await client.query(
+            `SELECT 1 FROM farmers WHERE kisan_card_number = $1 OR aadhaar_number = $3
+             UNION ALL
+             SELECT 1 FROM users WHERE $2::text IS NOT NULL AND LOWER(email) = LOWER($2)`,
+            [data.kisanCard, data.email || null, data.aadhaarNumber]
+        );
+        if (existing.length > 0) {
+            throw new ConflictError('A farmer with this Kisan Card, Aadhaar number or email is already registered');
+        }
+
+        const userId = crypto.randomUUID();
+        const farmerId = crypto.randomUUID();
+        const projectId = crypto.randomUUID();
+        const projectType = normalizeProjectType(data.projectType);
+
+        await client.query(
+            `INSERT INTO users (id, email, phone, user_type, status, password_hash, created_at, updated_at)
+             VALUES ($1, $2, $3, 'farmer', 'pending', $4, NOW(), NOW())`,
+            [userId, data.email ? data.email.toLowerCase() : null, data.mobile, passwordHash]
+        );
+
+        await client.query(
+            `INSERT INTO farmers (id, user_id, kisan_card_number, aadhaar_number, full_name, father_name,
+                                  date_of_birth, address, bank_details, verification_status)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending')`,
+            [
+                farmerId,
+                userId,
+                data.kisanCard,
+                data.aadhaarNumber,
+                data.fullName,
+                data.fatherName,
+                data.dob,
+                {
+                    line: data.address,
+                    district: data.district,
+                    state: data.state,
+                    pincode: data.pincode,
+                    gender: data.gender
+                },
+                {
+                    bankName: data.bankName,
+                    branchName: data.branchName,
+                    accountNumber: data.accountNumber,
+                    ifscCode: data.ifscCode,
+                    accountType: data.accountType
+                }
+            ]
+        );
+
+        await client.query(
+            `INSERT INTO projects (id, farmer_id, title, description, project_type, area_hectares,
+                                   location, status, start_date)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, 'planning', $8)`,
+            [
+                projectId,
+                farmerId,
+                `${data.fullName} - ${projectType} project`,
+                data.experience || null,
+                projectType,
+                Number(data.totalArea),
+                {
+                    address: data.landAddress,
+                    district: data.district,
+                    state: data.state,
+                    surveyNumber: data.surveyNumber,
+                    landOwnership: data.landOwnership,
+                    previousLandUse: data.previousLandUse || null
+                },
+                data.projectStartDate
+            ]
+        );
+
+        const estimate = await recordEstimate(client, {
+            projectId,
+            purpose: 'registration',
+            userId,
+            estimate: estimateCredits({
+                ecosystem: projectType,
+                areaHectares: Number(data.totalArea),
+                region: regionForState(data.state),
+                previousLandUse: data.previousLandUse
+            })
+        });
+
+        // A repeated survey number does not stop the registration: holdings
+        // are shared and sub-divided. It is queued for an administrator, and
+        // the registrant is told without naming the other project.
+        const conflicts = await checkProjectConflicts(client, projectId);
+        // New projects go straight into the verifier queue
+        await openCase(client, projectId, { estimatedTco2e: estimate.netTco2e });
+
+        return {
+            userId,
+            farmerId,
+            projectId,
+            estimate,
+            conflicts: conflicts.map(({ kind, surveyNumber, district }) => ({ kind, surveyNumber, district }))
+        };
+    });
+}
+
+module.exports = {
+    login,
+    requestAadhaarOtp,
+    verifyAadhaarOtp,
+    getProfile,
+    registerFarmer,
+    validateFarmerRegistration
+};
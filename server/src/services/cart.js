@@ -0,0 +1,212 @@
+const db = require('../db');
+const { ConflictError, ValidationError } = require('../errors');
+const { toNumber, roundCurrency } = require('../utils/format');
+const { purchaseError } = require('./checkout');
+
+const MAX_CART_LINES = 50;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CART_LISTING_COLUMNS = `
+    l.id, l.seller_id, l.price_per_credit, l.total_credits, l.status, l.listing_type, l.expiry_date,
+    p.id AS project_id, p.title, v.status AS verification_status`;
+
+const CART_LISTING_FROM = `
+      FROM marketplace_listings l
+      JOIN carbon_credits c ON c.id = l.credit_id
+      JOIN projects p ON p.id = c.project_id
+      LEFT JOIN verifications v ON v.id = c.verification_id`;
+
+function parseQuantity(value) {
+    const quantity = Number(value);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new ValidationError('Invalid quantity', ['Quantity must be a whole, positive number of credits']);
+    }
+    return quantity;
+}
+
+// Guest carts come from localStorage, so anything malformed is dropped
+// rather than rejected
+function parseGuestLines(items) {
+    if (!Array.isArray(items)) {
+        throw new ValidationError('Invalid cart', ['items must be an array']);
+    }
+    return items
+        .filter(item => UUID_PATTERN.test(item?.listingId)
+            && Number.isInteger(Number(item.quantity)) && Number(item.quantity) > 0)
+        .slice(0, MAX_CART_LINES)
+        .map(item => ({
+            listingId: item.listingId,
+            quantity: Number(item.quantity),
+            priceAtAdd: Number.isFinite(Number(item.priceAtAdd)) ? Number(item.priceAtAdd) : null
+        }));
+}
+
+// Price cart lines against the live listings. Each line reports the current
+// price, the price when it was added, what is still available and anything
+// that would stop it from being checked out.
+async function priceLines(lines, userId) {
+    if (lines.length === 0) {
+        return { items: [], total: 0, warnings: [] };
+    }
+
+    const { rows } = await db.query(
+        `SELECT ${CART_LISTING_COLUMNS} ${CART_LISTING_FROM} WHERE l.id = ANY($1::uuid[])`,
+        [lines.map(line => line.listingId)]
+    );
+    const listingsById = new Map(rows.map(row => [row.id, row]));
+
+    const warnings = [];
+    const items = [];
+    for (const line of lines) {
+        const listing = listingsById.get(line.listingId);
+        if (!listing) {
+            warnings.push('An item in your cart is no longer listed and was removed');
+            continue;
+        }
+
+        const price = toNumber(listing.price_per_credit);
+        const priceAtAdd = line.priceAtAdd ?? price;
+        const issue = purchaseError(listing, line.quantity, userId);
+
+        if (price !== priceAtAdd) {
+            warnings.push(`The price of ${listing.title} has changed from ₹${priceAtAdd} to ₹${price} per credit`);
+        }
+        if (issue) {
+            warnings.push(issue);
+        }
+
+        items.push({
+            listingId: listing.id,
+            projectId: listing.project_id,
+            title: listing.title,
+            price,
+            priceAtAdd,
+            priceChanged: price !== priceAtAdd,
+            quantity: line.quantity,
+            available: listing.status === 'active' ? listing.total_credits : 0,
+            issue
+        });
+    }
+
+    const total = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    return { items, total: roundCurrency(total), warnings };
+}
+
+async function getCart(userId) {
+    const { rows } = await db.query(
+        `SELECT listing_id, quantity, price_at_add
+           FROM cart_items
+          WHERE user_id = $1
+          ORDER BY added_at, listing_id`,
+        [userId]
+    );
+
+    return priceLines(rows.map(row => ({
+        listingId: row.listing_id,
+        quantity: row.quantity,
+        priceAtAdd: toNumber(row.price_at_add)
+    })), userId);
+}
+
+// Guests keep their cart in localStorage; this prices it the same way
+async function quoteCart(items, userId = null) {
+    return priceLines(parseGuestLines(items), userId);
+}
+
+async function getCartListing(listingId) {
+    const { rows: [listing] } = await db.query(
+        `SELECT ${CART_LISTING_COLUMNS} ${CART_LISTING_FROM} WHERE l.id = $1`,
+        [listingId]
+    );
+    if (!listing) {
+        throw new ConflictError('This listing is no longer available');
+    }
+    return listing;
+}
+
+async function setCartItem(userId, listingId, quantity) {
+    const parsedQuantity = parseQuantity(quantity);
+    const listing = await getCartListing(listingId);
+
+    const error = purchaseError(listing, parsedQuantity, userId);
+    if (error) {
+        throw new ConflictError(error, { available: listing.total_credits });
+    }
+
+    const { rows: [{ count }] } = await db.query(
+        'SELECT COUNT(*)::int AS count FROM cart_items WHERE user_id = $1 AND listing_id <> $2',
+        [userId, listingId]
+    );
+    if (count >= MAX_CART_LINES) {
+        throw new ValidationError('Cart is full', [`A cart can contain at most ${MAX_CART_LINES} items`]);
+    }
+
+    // price_at_add only records the first time a listing enters the cart
+    await db.query(
+        `INSERT INTO cart_items (user_id, listing_id, quantity, price_at_add)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, listing_id)
+         DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = NOW()`,
+        [userId, listingId, parsedQuantity, listing.price_per_credit]
+    );
+
+    return getCart(userId);
+}
+
+async function removeCartItem(userId, listingId) {
+    await db.query('DELETE FROM cart_items WHERE user_id = $1 AND listing_id = $2', [userId, listingId]);
+    return getCart(userId);
+}
+
+async function clearCart(userId) {
+    await db.query('DELETE FROM cart_items WHERE user_id = $1', [userId]);
+}
+
+// Fold a guest cart into the user's saved cart after login. Quantities for
+// the same listing are added together and capped at what is still
+// available; lines that can no longer be bought are skipped.
+async function mergeGuestCart(userId, items) {
+    const lines = parseGuestLines(items);
+    const skipped = [];
+
+    if (lines.length > 0) {
+        await db.transaction(async (client) => {
+            const { rows } = await client.query(
+                `SELECT ${CART_LISTING_COLUMNS} ${CART_LISTING_FROM} WHERE l.id = ANY($1::uuid[])`,
+                [lines.map(line => line.listingId)]
+            );
+            const listingsById = new Map(rows.map(row => [row.id, row]));
+
+            for (const line of lines) {
+                const listing = listingsById.get(line.listingId);
+                const error = listing ? purchaseError(listing, 1, userId) : 'An item in your cart is no longer listed';
+                if (error) {
+                    skipped.push(error);
+                    continue;
+                }
+
+                await client.query(
+                    `INSERT INTO cart_items (user_id, listing_id, quantity, price_at_add)
+                     VALUES ($1, $2, LEAST($3::int, $5::int), $4)
+                     ON CONFLICT (user_id, listing_id)
+                     DO UPDATE SET quantity = LEAST(cart_items.quantity + EXCLUDED.quantity, $5::int),
+                                   updated_at = NOW()`,
+                    [userId, line.listingId, line.quantity, line.priceAtAdd ?? listing.price_per_credit,
+                        listing.total_credits]
+                );
+            }
+        });
+    }
+
+    const cart = await getCart(userId);
+    return { ...cart, warnings: [...skipped, ...cart.warnings] };
+}
+
+module.exports = {
+    getCart,
+    quoteCart,
+    setCartItem,
+    removeCartItem,
+    clearCart,
+    mergeGuestCart
+};
@@ -0,0 +1,256 @@
+const db = require('../db');
+const { ValidationError } = require('../errors');
+const { toNumber, formatLocation } = require('../utils/format');
+const { PROJECT_OWNER_JOIN } = require('./projects');
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// Sort options offered by sortProjects() in marketplace.html. Keyset
+// pagination compares (key, listing id) in the same direction as the sort;
+// keys travel in the cursor as text so timestamps keep full precision.
+const SORT_OPTIONS = {
+    'price-low': { key: 'l.price_per_credit', direction: 'ASC', cast: 'numeric' },
+    'price-high': { key: 'l.price_per_credit', direction: 'DESC', cast: 'numeric' },
+    'newest': { key: "COALESCE(v.completed_at, 'epoch'::timestamptz)", direction: 'DESC', cast: 'timestamptz' },
+    'volume': { key: 'l.total_credits', direction: 'DESC', cast: 'numeric' }
+};
+
+const LISTING_FROM = `
+      FROM marketplace_listings l
+      JOIN carbon_credits c ON c.id = l.credit_id
+      JOIN projects p ON p.id = c.project_id${PROJECT_OWNER_JOIN}
+      LEFT JOIN verifications v ON v.id = c.verification_id`;
+
+const LISTING_COLUMNS = `
+    l.id, l.price_per_credit, l.total_credits, l.listing_type, l.expiry_date, l.seller_id,
+    l.created_at AS listed_at,
+    (SELECT MAX(b.amount) FROM bids b WHERE b.listing_id = l.id) AS high_bid,
+    (SELECT COUNT(*) FROM bids b WHERE b.listing_id = l.id)::int AS bid_count,
+    c.id AS credit_id, c.vintage_year, c.issuance_tx_hash, c.token_id,
+    p.id AS project_id, p.title, p.description, p.project_type, p.location, p.impacts, p.images,
+    p.rating, p.review_count,
+    COALESCE(f.full_name, n.organization_name) AS developer,
+    v.status AS verification_status, v.completed_at AS verified_at, v.report_data`;
+
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof id !== 'string') throw new Error('bad cursor');
+        return { value, id };
+    } catch (error) {
+        throw new ValidationError('Invalid cursor', ['The pagination cursor is malformed']);
+    }
+}
+
+// Comma-separated query values. An empty but present parameter means
+// "nothing selected", which is different from leaving it out.
+function parseList(value) {
+    if (value === undefined) return null;
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseNumber(value, name, errors) {
+    if (value === undefined || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        errors.push(`${name} must be a non-negative number`);
+        return null;
+    }
+    return number;
+}
+
+// Accepts the same fields as currentFilters in marketplace.html
+function parseFilters(query) {
+    const errors = [];
+    const filters = {
+        types: parseList(query.types),
+        location: query.location && query.location !== 'all' ? String(query.location) : null,
+        verifiedOnly: query.verification !== 'all',
+        priceMin: parseNumber(query.priceMin, 'priceMin', errors),
+        priceMax: parseNumber(query.priceMax, 'priceMax', errors),
+        impacts: parseList(query.impacts) || [],
+        searchTerm: query.searchTerm ? String(query.searchTerm).trim() : '',
+        sortBy: query.sortBy || 'newest',
+        limit: DEFAULT_PAGE_SIZE,
+        cursor: query.cursor ? decodeCursor(String(query.cursor)) : null
+    };
+
+    if (!SORT_OPTIONS[filters.sortBy]) {
+        errors.push(`sortBy must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+    }
+
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+        } else {
+            filters.limit = limit;
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid marketplace filters', errors);
+    }
+
+    return filters;
+}
+
+function buildWhere(filters) {
+    const conditions = [
+        "l.status = 'active'",
+        'l.total_credits > 0',
+        '(l.expiry_date IS NULL OR l.expiry_date > NOW())'
+    ];
+    const params = [];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    if (filters.types) {
+        conditions.push(`p.project_type::text = ANY(${param(filters.types)}::text[])`);
+    }
+    if (filters.location) {
+        conditions.push(`p.location->>'region' = ${param(filters.location)}`);
+    }
+    if (filters.verifiedOnly) {
+        conditions.push("v.status = 'approved'");
+    }
+    if (filters.priceMin !== null) {
+        conditions.push(`l.price_per_credit >= ${param(filters.priceMin)}`);
+    }
+    if (filters.priceMax !== null) {
+        conditions.push(`l.price_per_credit <= ${param(filters.priceMax)}`);
+    }
+    if (filters.impacts.length > 0) {
+        conditions.push(`p.impacts && ${param(filters.impacts)}::text[]`);
+    }
+    if (filters.searchTerm) {
+        const pattern = param(`%${filters.searchTerm.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(`(p.title ILIKE ${pattern}
+                       OR p.location->>'name' ILIKE ${pattern}
+                       OR p.description ILIKE ${pattern}
+                       OR COALESCE(f.full_name, n.organization_name) ILIKE ${pattern})`);
+    }
+
+    return { conditions, params, param };
+}
+
+function toListing(row) {
+    const report = row.report_data || {};
+    const verified = row.verification_status === 'approved';
+
+    return {
+        id: row.id,
+        projectId: row.project_id,
+        creditId: row.credit_id,
+        sellerId: row.seller_id,
+        title: row.title,
+        location: formatLocation(row.location),
+        region: row.location?.region || null,
+        type: row.project_type,
+        verified,
+        price: toNumber(row.price_per_credit),
+        credits: toNumber(row.total_credits),
+        co2e: toNumber(verified ? report.verifiedTco2e : report.estimatedTco2e),
+        vintageYear: row.vintage_year,
+        impacts: row.impacts || [],
+        transactionHash: row.issuance_tx_hash,
+        tokenId: row.token_id,
+        isAuction: row.listing_type === 'auction',
+        expiryDate: row.expiry_date,
+        listedAt: row.listed_at,
+        highBid: row.high_bid === null ? null : toNumber(row.high_bid),
+        bidCount: row.bid_count,
+        description: row.description,
+        images: row.images || [],
+        verificationDate: row.verified_at,
+        developer: row.developer,
+        rating: toNumber(row.rating),
+        reviews: row.review_count
+    };
+}
+
+async function searchListings(query) {
+    const filters = parseFilters(query);
+    const sort = SORT_OPTIONS[filters.sortBy];
+    const { conditions, params, param } = buildWhere(filters);
+
+    const { rows: [{ total }] } = await db.query(
+        `SELECT COUNT(*)::int AS total ${LISTING_FROM} WHERE ${conditions.join(' AND ')}`,
+        params
+    );
+
+    const pageConditions = [...conditions];
+    if (filters.cursor) {
+        const operator = sort.direction === 'ASC' ? '>' : '<';
+        pageConditions.push(
+            `(${sort.key}, l.id) ${operator} (${param(filters.cursor.value)}::${sort.cast}, ${param(filters.cursor.id)}::uuid)`
+        );
+    }
+
+    const { rows } = await db.query(
+        `SELECT ${LISTING_COLUMNS}, (${sort.key})::text AS sort_value
+           ${LISTING_FROM}
+          WHERE ${pageConditions.join(' AND ')}
+          ORDER BY ${sort.key} ${sort.direction}, l.id ${sort.direction}
+          LIMIT ${param(filters.limit + 1)}`,
+        params
+    );
+
+    const hasMore = rows.length > filters.limit;
+    const page = hasMore ? rows.slice(0, filters.limit) : rows;
+    const last = page[page.length - 1];
+
+    return {
+        items: page.map(toListing),
+        total,
+        nextCursor: hasMore ? encodeCursor(last.sort_value, last.id) : null
+    };
+}
+
+async function getListing(listingId) {
+    const { rows } = await db.query(
+        `SELECT ${LISTING_COLUMNS} ${LISTING_FROM} WHERE l.id = $1`,
+        [listingId]
+    );
+    return rows[0] ? toListing(rows[0]) : null;
+}
+
+// Headline counters at the top of marketplace.html
+async function getMarketplaceStats() {
+    const { rows: [stats] } = await db.query(
+        `SELECT COALESCE(SUM(l.total_credits), 0) AS credits_available,
+                COUNT(DISTINCT c.project_id) AS active_projects,
+                COUNT(DISTINCT l.seller_id) FILTER (WHERE v.status = 'approved') AS verified_sellers
+           ${LISTING_FROM}
+          WHERE l.status = 'active'
+            AND l.total_credits > 0
+            AND (l.expiry_date IS NULL OR l.expiry_date > NOW())`
+    );
+    const { rows: [buyers] } = await db.query(
+        `SELECT COUNT(DISTINCT t.buyer_id) AS corporate_buyers
+           FROM transactions t
+           JOIN users u ON u.id = t.buyer_id
+          WHERE u.user_type = 'company' AND t.status = 'completed'`
+    );
+
+    return {
+        creditsAvailable: toNumber(stats.credits_available),
+        activeProjects: toNumber(stats.active_projects),
+        verifiedSellers: toNumber(stats.verified_sellers),
+        corporateBuyers: toNumber(buyers.corporate_buyers)
+    };
+}
+
+module.exports = {
+    SORT_OPTIONS,
+    searchListings,
+    getListing,
+    getMarketplaceStats
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { Contract, JsonRpcProvider, Network, Wallet, dataSlice, getAddress, id, zeroPadValue } = require('ethers');
+const config = require('../config');
+const db = require('../db');
+const { toNumber } = require('../utils/format');
+const { PROJECT_OWNER_JOIN, PROJECT_OWNER_USER } = require('./projects');
+
+// Credits are ERC-1155 tokens on the BlueCarbonCredit contract, one token id
+// per project vintage and one token per whole tCO2e. The platform is
+// custodian: every user has a deterministic custodial address and the
+// operator key mints, moves and burns tokens between them. The database
+// stays the source of truth; token_id and the issuance, sale and burn tx
+// hashes are written back once a transaction is mined, and syncChain()
+// retries anything the chain missed (node down, tokenization switched on
+// later).
+
+const ARTIFACT_PATH = path.join(__dirname, '..', '..', 'contracts', 'build', 'BlueCarbonCredit.json');
+const SYNC_BATCH_SIZE = 25;
+
+let signer = null;
+let contract = null;
+
+// Chain writes run one at a time, each waiting to be mined, so every send
+// picks up the next nonce and a row is never minted or transferred twice by
+// this process
+let queue = Promise.resolve();
+
+function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+}
+
+function isChainEnabled() {
+    return !!(config.chainRpcUrl && config.chainPrivateKey && config.creditContractAddress);
+}
+
+function loadArtifact() {
+    if (!fs.existsSync(ARTIFACT_PATH)) {
+        throw new Error('The credit contract has not been compiled; run `npm run contracts:build`');
+    }
+    return JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8'));
+}
+
+function getSigner() {
+    if (!signer) {
+        // A fixed network skips chain id detection, which retries forever
+        // while the node is down. Response caching is off so back-to-back
+        // sends never reuse a cached nonce.
+        const network = Network.from(config.chainId);
+        const provider = new JsonRpcProvider(config.chainRpcUrl, network, { staticNetwork: network, cacheTimeout: -1 });
+        signer = new Wallet(config.chainPrivateKey, provider);
+    }
+    return signer;
+}
+
+function getCreditContract() {
+    if (!contract) {
+        contract = new Contract(config.creditContractAddress, loadArtifact().abi, getSigner());
+    }
+    return contract;
+}
+
+// Custodial address holding a user's credits
+function custodialAddress(userId) {
+    return getAddress(dataSlice(id(`bluecarbon:user:${userId}`), 12));
+}
+
+// Database ids travel on-chain as bytes32 so events can be traced back
+function toRef(uuid) {
+    return zeroPadValue(`0x${uuid.replace(/-/g, '')}`, 32);
+}
+
+async function sendAndWait(method, ...args) {
+    const tx = await getCreditContract()[method](...args);
+    return tx.wait();
+}
+
+// Mint an approved credit batch to the project owner. Returns
+// { tokenId, txHash }, or null if there is nothing to mint.
+async function mintCredit(creditId) {
+    if (!isChainEnabled()) return null;
+
+    return enqueue(async () => {
+        const { rows: [credit] } = await db.query(
+            `SELECT c.id, c.project_id, c.vintage_year, c.credit_amount, c.token_id, c.status,
+                    v.status AS verification_status, ${PROJECT_OWNER_USER} AS owner_user_id
+               FROM carbon_credits c
+               JOIN projects p ON p.id = c.project_id${PROJECT_OWNER_JOIN}
+               LEFT JOIN verifications v ON v.id = c.verification_id
+              WHERE c.id = $1`,
+            [creditId]
+        );
+
+        if (!credit || credit.token_id || credit.status === 'cancelled' || credit.verification_status !== 'approved') {
+            return null;
+        }
+
+        const amount = Math.floor(toNumber(credit.credit_amount));
+        if (amount <= 0) return null;
+
+        const receipt = await sendAndWait(
+            'mint',
+            custodialAddress(credit.owner_user_id),
+            credit.project_id,
+            credit.vintage_year,
+            amount,
+            toRef(credit.id)
+        );
+        const issued = receipt.logs
+            .map(log => getCreditContract().interface.parseLog(log))
+            .find(event => event?.name === 'CreditsIssued');
+        const tokenId = issued.args.tokenId.toString();
+
+        await db.query(
+            `UPDATE carbon_credits SET token_id = $2, issuance_tx_hash = $3, updated_at = NOW()
+              WHERE id = $1`,
+            [credit.id, tokenId, receipt.hash]
+        );
+
+        return { tokenId, txHash: receipt.hash };
+    });
+}
+
+// Move purchased credits from the seller's custodial address to the buyer's.
+// Returns the tx hash, or null if the sale cannot be settled on-chain yet.
+async function transferCredits(transactionId) {
+    if (!isChainEnabled()) return null;
+
+    return enqueue(async () => {
+        const { rows: [transaction] } = await db.query(
+            `SELECT t.id, t.buyer_id, t.credit_amount, t.status, t.blockchain_tx_hash, l.seller_id, c.token_id
+               FROM transactions t
+               JOIN marketplace_listings l ON l.id = t.listing_id
+               JOIN carbon_credits c ON c.id = l.credit_id
+              WHERE t.id = $1`,
+            [transactionId]
+        );
+
+        if (!transaction || transaction.status !== 'completed' || transaction.blockchain_tx_hash || !transaction.token_id) {
+            return null;
+        }
+
+        const receipt = await sendAndWait(
+            'transferCredits',
+            custodialAddress(transaction.seller_id),
+            custodialAddress(transaction.buyer_id),
+            BigInt(transaction.token_id),
+            Math.round(toNumber(transaction.credit_amount)),
+            toRef(transaction.id)
+        );
+
+        await db.query('UPDATE transactions SET blockchain_tx_hash = $2 WHERE id = $1', [transaction.id, receipt.hash]);
+        return receipt.hash;
+    });
+}
+
+// Burn retired credits from the holder's custodial address. Returns the tx
+// hash, or null if there is nothing to burn yet.
+async function burnRetirement(retirementId) {
+    if (!isChainEnabled()) return null;
+
+    return enqueue(async () => {
+        const { rows: [retirement] } = await db.query(
+            `SELECT r.id, r.user_id, r.quantity, r.burn_tx_hash, c.token_id
+               FROM retirements r
+               JOIN carbon_credits c ON c.id = r.credit_id
+              WHERE r.id = $1`,
+            [retirementId]
+        );
+
+        if (!retirement || retirement.burn_tx_hash || !retirement.token_id) {
+            return null;
+        }
+
+        const receipt = await sendAndWait(
+            'retireCredits',
+            custodialAddress(retirement.user_id),
+            BigInt(retirement.token_id),
+            retirement.quantity,
+            toRef(retirement.id)
+        );
+
+        await db.query('UPDATE retirements SET burn_tx_hash = $2 WHERE id = $1', [retirement.id, receipt.hash]);
+        return receipt.hash;
+    });
+}
+
+// Settle a completed order on-chain in the background; failures are left
+// for syncChain() so checkout never waits on the node
+function settleOrderOnChain(orderId) {
+    if (!isChainEnabled()) return;
+
+    db.query("SELECT id FROM transactions WHERE order_id = $1 AND status = 'completed'", [orderId])
+        .then(({ rows }) => Promise.all(rows.map(row => transferCredits(row.id))))
+        .catch(error => console.error(`On-chain settlement of order ${orderId} failed:`, error.shortMessage || error.message));
+}
+
+// Mint approved credits that have no token yet, transfer completed sales
+// that have no on-chain hash, then burn retirements that were not burned
+async function syncChain() {
+    if (!isChainEnabled()) return;
+
+    const { rows: credits } = await db.query(
+        `SELECT c.id
+           FROM carbon_credits c
+           JOIN verifications v ON v.id = c.verification_id
+          WHERE v.status = 'approved' AND c.token_id IS NULL AND c.status <> 'cancelled'
+          ORDER BY c.created_at
+          LIMIT $1`,
+        [SYNC_BATCH_SIZE]
+    );
+    for (const credit of credits) {
+        await mintCredit(credit.id).catch(error => {
+            console.error(`Minting credit ${credit.id} failed:`, error.shortMessage || error.message);
+        });
+    }
+
+    const { rows: transactions } = await db.query(
+        `SELECT t.id
+           FROM transactions t
+           JOIN marketplace_listings l ON l.id = t.listing_id
+           JOIN carbon_credits c ON c.id = l.credit_id
+          WHERE t.status = 'completed' AND t.blockchain_tx_hash IS NULL AND c.token_id IS NOT NULL
+          ORDER BY t.created_at
+          LIMIT $1`,
+        [SYNC_BATCH_SIZE]
+    );
+    for (const transaction of transactions) {
+        await transferCredits(transaction.id).catch(error => {
+            console.error(`Transferring transaction ${transaction.id} failed:`, error.shortMessage || error.message);
+        });
+    }
+
+    const { rows: retirements } = await db.query(
+        `SELECT r.id
+           FROM retirements r
+           JOIN carbon_credits c ON c.id = r.credit_id
+          WHERE r.burn_tx_hash IS NULL AND c.token_id IS NOT NULL
+          ORDER BY r.created_at
+          LIMIT $1`,
+        [SYNC_BATCH_SIZE]
+    );
+    for (const retirement of retirements) {
+        await burnRetirement(retirement.id).catch(error => {
+            console.error(`Burning retirement ${retirement.id} failed:`, error.shortMessage || error.message);
+        });
+    }
+}
+
+module.exports = {
+    isChainEnabled,
+    loadArtifact,
+    getSigner,
+    custodialAddress,
+    mintCredit,
+    transferCredits,
+    burnRetirement,
+    settleOrderOnChain,
+    syncChain
+};
@@ -0,0 +1,330 @@
+const config = require('../config');
+const db = require('../db');
+const { HttpError, ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { toNumber, roundCurrency } = require('../utils/format');
+const { capturePayment } = require('./payments');
+const { settleOrderOnChain } = require('./chain');
+const { createNotification } = require('./notifications');
+
+const MAX_CART_LINES = 50;
+
+// Paid orders still pending after this long were interrupted between the
+// payment and completeOrder(); completePaidOrders() finishes them
+const PAID_ORDER_GRACE_MINUTES = 2;
+
+// Merge duplicate listings and reject anything that is not a positive whole
+// number of credits
+function normalizeCartLines(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new ValidationError('Your cart is empty', ['Add at least one item to check out']);
+    }
+    if (items.length > MAX_CART_LINES) {
+        throw new ValidationError('Too many cart items', [`A checkout can contain at most ${MAX_CART_LINES} items`]);
+    }
+
+    const quantities = new Map();
+    const errors = [];
+
+    items.forEach((item, index) => {
+        const quantity = Number(item?.quantity);
+        if (!item?.listingId || typeof item.listingId !== 'string') {
+            errors.push(`Item ${index + 1} is missing a listing`);
+        } else if (!Number.isInteger(quantity) || quantity <= 0) {
+            errors.push(`Item ${index + 1} must have a whole, positive number of credits`);
+        } else {
+            quantities.set(item.listingId, (quantities.get(item.listingId) || 0) + quantity);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid cart', errors);
+    }
+
+    return [...quantities].map(([listingId, quantity]) => ({ listingId, quantity }));
+}
+
+// Why a buyer cannot purchase `quantity` credits from a listing, or null.
+// Also used to flag stale lines in saved carts.
+function purchaseError(listing, quantity, buyerId) {
+    if (listing.status !== 'active' || (listing.expiry_date && new Date(listing.expiry_date) <= new Date())) {
+        return `${listing.title} is no longer for sale`;
+    }
+    if (listing.listing_type !== 'fixed') {
+        return `${listing.title} is sold by auction and cannot be bought from the cart`;
+    }
+    if (listing.verification_status !== 'approved') {
+        return `Credits for ${listing.title} are awaiting verification and cannot be purchased yet`;
+    }
+    if (listing.seller_id === buyerId) {
+        return `You cannot buy your own listing (${listing.title})`;
+    }
+    if (quantity > listing.total_credits) {
+        return `Only ${listing.total_credits} credits are available for ${listing.title}`;
+    }
+    return null;
+}
+
+// Lock the listings, check availability and hold the credits against a
+// pending order. Listings are locked in id order so concurrent checkouts
+// cannot deadlock.
+async function reserveOrder(buyerId, lines) {
+    return db.transaction(async (client) => {
+        const { rows: listings } = await client.query(
+            `SELECT l.id, l.seller_id, l.price_per_credit, l.total_credits, l.status, l.listing_type,
+                    l.expiry_date, l.credit_id, p.title, v.status AS verification_status
+               FROM marketplace_listings l
+               JOIN carbon_credits c ON c.id = l.credit_id
+               JOIN projects p ON p.id = c.project_id
+               LEFT JOIN verifications v ON v.id = c.verification_id
+              WHERE l.id = ANY($1::uuid[])
+              ORDER BY l.id
+                FOR UPDATE OF l`,
+            [lines.map(line => line.listingId)]
+        );
+        const listingsById = new Map(listings.map(listing => [listing.id, listing]));
+
+        const errors = [];
+        const priced = lines.map(line => {
+            const listing = listingsById.get(line.listingId);
+            if (!listing) {
+                errors.push('An item in your cart no longer exists');
+                return null;
+            }
+
+            const error = purchaseError(listing, line.quantity, buyerId);
+            if (error) errors.push(error);
+
+            return { ...line, pricePerCredit: toNumber(listing.price_per_credit) };
+        });
+
+        if (errors.length > 0) {
+            throw new ConflictError('Some items in your cart cannot be purchased', { errors });
+        }
+
+        return createPendingOrder(client, buyerId, priced);
+    });
+}
+
+// Insert a pending order with one transaction per line and take the credits
+// off the listings. The caller's transaction must hold locks on the listings.
+async function createPendingOrder(client, buyerId, lines) {
+    const priced = lines.map(line => {
+        const totalAmount = roundCurrency(line.quantity * line.pricePerCredit);
+        return { ...line, totalAmount, transactionFee: roundCurrency(totalAmount * config.platformFeeRate) };
+    });
+    const totalAmount = roundCurrency(priced.reduce((sum, line) => sum + line.totalAmount, 0));
+    const transactionFee = roundCurrency(priced.reduce((sum, line) => sum + line.transactionFee, 0));
+
+    const { rows: [order] } = await client.query(
+        `INSERT INTO orders (buyer_id, status, total_amount, transaction_fee)
+         VALUES ($1, 'pending', $2, $3)
+         RETURNING id`,
+        [buyerId, totalAmount, transactionFee]
+    );
+
+    for (const line of priced) {
+        await client.query(
+            'UPDATE marketplace_listings SET total_credits = total_credits - $2 WHERE id = $1',
+            [line.listingId, line.quantity]
+        );
+        await client.query(
+            `INSERT INTO transactions (order_id, listing_id, buyer_id, credit_amount, total_amount,
+                                       transaction_fee, status)
+             VALUES ($1, $2, $3, $4, $5, $6, 'pending')`,
+            [order.id, line.listingId, buyerId, line.quantity, line.totalAmount, line.transactionFee]
+        );
+    }
+
+    return { orderId: order.id, totalAmount, transactionFee };
+}
+
+// Settle a paid order: listings that ran out of stock are marked sold and
+// sellers are told. Returns false if the order was no longer pending.
+async function completeOrder(orderId, buyerId, gatewayId) {
+    return db.transaction(async (client) => {
+        const { rowCount } = await client.query(
+            `UPDATE orders SET status = 'completed', payment_gateway_id = $2, completed_at = NOW()
+              WHERE id = $1 AND status = 'pending'`,
+            [orderId, gatewayId]
+        );
+        if (rowCount === 0) return false;
+
+        const { rows: transactions } = await client.query(
+            `UPDATE transactions SET status = 'completed', payment_gateway_id = $2
+              WHERE order_id = $1
+          RETURNING listing_id, credit_amount, total_amount, transaction_fee`,
+            [orderId, gatewayId]
+        );
+
+        await client.query(
+            'DELETE FROM cart_items WHERE user_id = $1 AND listing_id = ANY($2::uuid[])',
+            [buyerId, transactions.map(transaction => transaction.listing_id)]
+        );
+
+        for (const transaction of transactions) {
+            const { rows: [listing] } = await client.query(
+                `UPDATE marketplace_listings
+                    SET status = CASE WHEN total_credits = 0 THEN 'sold'::listing_status ELSE status END
+                  WHERE id = $1
+              RETURNING seller_id, credit_id, total_credits`,
+                [transaction.listing_id]
+            );
+
+            // A credit batch is sold once none of its listings has stock left
+            await client.query(
+                `UPDATE carbon_credits SET status = 'sold', updated_at = NOW()
+                  WHERE id = $1
+                    AND NOT EXISTS (SELECT 1 FROM marketplace_listings
+                                     WHERE credit_id = $1 AND status = 'active' AND total_credits > 0)`,
+                [listing.credit_id]
+            );
+
+            const proceeds = toNumber(transaction.total_amount) - toNumber(transaction.transaction_fee);
+            await createNotification({
+                userId: listing.seller_id,
+                type: 'success',
+                message: `Sold ${toNumber(transaction.credit_amount)} credits, ₹${proceeds.toLocaleString('en-IN')} after fees`
+            }, client);
+        }
+        return true;
+    });
+}
+
+// Release the held credits and record why the payment did not go through
+async function failOrder(orderId, reason) {
+    await db.transaction(async (client) => {
+        await client.query(
+            "UPDATE orders SET status = 'failed', failure_reason = $2 WHERE id = $1",
+            [orderId, reason]
+        );
+        const { rows: transactions } = await client.query(
+            `UPDATE transactions SET status = 'failed'
+              WHERE order_id = $1
+          RETURNING listing_id, credit_amount`,
+            [orderId]
+        );
+        for (const transaction of transactions) {
+            await client.query(
+                'UPDATE marketplace_listings SET total_credits = total_credits + $2 WHERE id = $1',
+                [transaction.listing_id, Math.round(toNumber(transaction.credit_amount))]
+            );
+        }
+    });
+}
+
+// Charge the buyer for a pending order, then settle it (and move the tokens)
+// or release the credits if the payment fails. The gateway reference is
+// saved first so a paid order is never lost if settling it fails.
+async function payOrder({ orderId, buyerId, totalAmount }) {
+    let payment;
+    try {
+        payment = await capturePayment({ orderId, buyerId, amount: totalAmount });
+    } catch (error) {
+        await failOrder(orderId, error.message);
+        throw new HttpError(`Payment failed: ${error.message}`, 402, 'PAYMENT_FAILED', { orderId });
+    }
+
+    await db.query('UPDATE orders SET payment_gateway_id = $2 WHERE id = $1', [orderId, payment.gatewayId]);
+    await completeOrder(orderId, buyerId, payment.gatewayId);
+    settleOrderOnChain(orderId);
+}
+
+// Settle orders that were paid for but left pending, e.g. by a database
+// error or restart between the payment and completeOrder()
+async function completePaidOrders() {
+    const { rows } = await db.query(
+        `SELECT id, buyer_id, payment_gateway_id FROM orders
+          WHERE status = 'pending' AND payment_gateway_id IS NOT NULL
+            AND created_at <= NOW() - make_interval(mins => $1)
+          ORDER BY created_at`,
+        [PAID_ORDER_GRACE_MINUTES]
+    );
+
+    for (const order of rows) {
+        try {
+            if (await completeOrder(order.id, order.buyer_id, order.payment_gateway_id)) {
+                settleOrderOnChain(order.id);
+                await createNotification({
+                    userId: order.buyer_id,
+                    type: 'success',
+                    message: 'Your paid order has been confirmed'
+                });
+            }
+        } catch (error) {
+            console.error(`Failed to complete paid order ${order.id}:`, error);
+        }
+    }
+}
+
+async function checkout(user, { items }) {
+    const lines = normalizeCartLines(items);
+    const reservation = await reserveOrder(user.id, lines);
+
+    await payOrder({ ...reservation, buyerId: user.id });
+    await createNotification({
+        userId: user.id,
+        type: 'success',
+        message: `Order confirmed: ${lines.reduce((sum, line) => sum + line.quantity, 0)} credits purchased`
+    });
+
+    return getOrder(user, reservation.orderId);
+}
+
+async function getOrder(user, orderId) {
+    const { rows: [order] } = await db.query(
+        `SELECT id, buyer_id, status, total_amount, transaction_fee, payment_gateway_id, failure_reason,
+                created_at, completed_at
+           FROM orders WHERE id = $1`,
+        [orderId]
+    );
+
+    if (!order) {
+        throw new NotFoundError('Order not found');
+    }
+    if (order.buyer_id !== user.id && user.userType !== 'admin') {
+        throw new ForbiddenError('You do not have access to this order');
+    }
+
+    const { rows: transactions } = await db.query(
+        `SELECT t.id, t.listing_id, t.credit_amount, t.total_amount, t.transaction_fee, t.status,
+                l.price_per_credit, p.id AS project_id, p.title
+           FROM transactions t
+           JOIN marketplace_listings l ON l.id = t.listing_id
+           JOIN carbon_credits c ON c.id = l.credit_id
+           JOIN projects p ON p.id = c.project_id
+          WHERE t.order_id = $1
+          ORDER BY p.title`,
+        [orderId]
+    );
+
+    return {
+        id: order.id,
+        status: order.status,
+        totalAmount: toNumber(order.total_amount),
+        transactionFee: toNumber(order.transaction_fee),
+        paymentGatewayId: order.payment_gateway_id,
+        failureReason: order.failure_reason,
+        createdAt: order.created_at,
+        completedAt: order.completed_at,
+        transactions: transactions.map(row => ({
+            id: row.id,
+            listingId: row.listing_id,
+            projectId: row.project_id,
+            projectName: row.title,
+            credits: toNumber(row.credit_amount),
+            pricePerCredit: toNumber(row.price_per_credit),
+            totalAmount: toNumber(row.total_amount),
+            transactionFee: toNumber(row.transaction_fee),
+            status: row.status
+        }))
+    };
+}
+
+module.exports = {
+    purchaseError,
+    createPendingOrder,
+    payOrder,
+    completePaidOrders,
+    checkout,
+    getOrder
+};
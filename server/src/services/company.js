@@ -0,0 +1,92 @@
+const db = require('../db');
+const { toNumber, startOfMonth, formatChange } = require('../utils/format');
+
+// Progress bar width on the ESG card for each companies.esg_rating grade
+const ESG_SCORES = {
+    'AAA': 100,
+    'AA': 90,
+    'A+': 85,
+    'A': 80,
+    'BBB': 70,
+    'BB': 60,
+    'B': 50,
+    'CCC': 40,
+    'CC': 30,
+    'C': 20
+};
+
+async function getCompanyStats(user) {
+    const monthStart = startOfMonth();
+
+    const { rows: [holdings] } = await db.query(
+        `SELECT COALESCE(SUM(t.credit_amount), 0) AS total_credits,
+                COALESCE(SUM(t.credit_amount) FILTER (WHERE t.created_at >= $2), 0) AS credits_change,
+                (SELECT COALESCE(SUM(quantity), 0) FROM retirements WHERE user_id = $1) AS credits_retired,
+                COALESCE(SUM(t.total_amount) FILTER (WHERE c.status <> 'retired'), 0) AS available_balance,
+                COALESCE(SUM(t.total_amount) FILTER (WHERE t.created_at >= $2), 0) AS balance_change
+           FROM transactions t
+           JOIN marketplace_listings l ON l.id = t.listing_id
+           JOIN carbon_credits c ON c.id = l.credit_id
+          WHERE t.buyer_id = $1 AND t.status = 'completed'`,
+        [user.id, monthStart]
+    );
+
+    const { rows: [company] } = await db.query(
+        'SELECT esg_rating FROM companies WHERE user_id = $1',
+        [user.id]
+    );
+    const esgRating = company?.esg_rating || 'N/A';
+    const totalCredits = toNumber(holdings.total_credits);
+    const creditsRetired = toNumber(holdings.credits_retired);
+
+    return {
+        totalCredits,
+        creditsChange: formatChange(toNumber(holdings.credits_change), ' tCO2e'),
+        creditsRetired,
+        retiredChange: totalCredits > 0
+            ? `${Math.round((creditsRetired / totalCredits) * 100)}% of portfolio`
+            : 'No credits yet',
+        availableBalance: toNumber(holdings.available_balance),
+        balanceChange: toNumber(holdings.balance_change),
+        esgRating,
+        esgScore: ESG_SCORES[esgRating] || 0,
+        esgChange: company?.esg_rating ? 'Current rating' : 'Not yet rated'
+    };
+}
+
+// Purchases and retirements made by the company, shaped for
+// createTransactionRow()
+async function listCompanyTransactions(user) {
+    const { rows } = await db.query(
+        `SELECT t.id, 'purchase' AS type, t.created_at, t.credit_amount, t.total_amount, t.status::text,
+                p.title AS project_name
+           FROM transactions t
+           JOIN marketplace_listings l ON l.id = t.listing_id
+           JOIN carbon_credits c ON c.id = l.credit_id
+           JOIN projects p ON p.id = c.project_id
+          WHERE t.buyer_id = $1
+          UNION ALL
+         SELECT r.id, 'retirement', r.created_at, r.quantity, 0, 'completed', p.title
+           FROM retirements r
+           JOIN carbon_credits c ON c.id = r.credit_id
+           JOIN projects p ON p.id = c.project_id
+          WHERE r.user_id = $1
+          ORDER BY created_at DESC`,
+        [user.id]
+    );
+
+    return rows.map(row => ({
+        id: row.id,
+        date: row.created_at,
+        projectName: row.project_name,
+        type: row.type,
+        credits: toNumber(row.credit_amount),
+        amount: toNumber(row.total_amount),
+        status: row.status
+    }));
+}
+
+module.exports = {
+    getCompanyStats,
+    listCompanyTransactions
+};
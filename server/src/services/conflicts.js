@@ -0,0 +1,384 @@
+const polygonClipping = require('polygon-clipping');
+const db = require('../db');
+const config = require('../config');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+const { toNumber } = require('../utils/format');
+const { areaHectares, boundingBox, polygonsOf } = require('../utils/geo');
+const { createNotification } = require('./notifications');
+
+// Two projects conflict when their boundaries overlap or when both were
+// registered with the same survey number in the same district. Checks run
+// when a farmer registers, when a boundary is saved and when a verifier
+// starts a review. Overlaps of overlapBlockPercent or more stop the boundary
+// being saved (see setProjectBoundary); everything else is queued for an
+// administrator, who dismisses the conflict or suspends one of the projects.
+// Suspended projects are left out of the checks.
+
+const CONFLICT_STATUSES = ['open', 'dismissed', 'resolved'];
+const MAX_NOTE_LENGTH = 2000;
+const QUEUE_LIMIT = 100;
+
+// Same normalisation as projects_survey_number_idx, so the index is used
+const SURVEY_NUMBER_SQL = "UPPER(REGEXP_REPLACE(p.location->>'surveyNumber', '\\s', '', 'g'))";
+
+// The two projects of a conflict with their owners; PROJECT_OWNER_JOIN only
+// covers a single project aliased p
+const CONFLICT_SELECT = `
+    SELECT pc.*,
+           p.title, p.status AS project_status, p.area_hectares, p.boundary,
+           COALESCE(f.full_name, n.organization_name) AS developer,
+           COALESCE(f.user_id, n.user_id) AS owner_user_id,
+           q.title AS other_title, q.status AS other_status, q.area_hectares AS other_area_hectares, q.boundary AS other_boundary,
+           COALESCE(qf.full_name, qn.organization_name) AS other_developer,
+           COALESCE(qf.user_id, qn.user_id) AS other_owner_user_id,
+           u.email AS resolved_by_email
+      FROM project_conflicts pc
+      JOIN projects p ON p.id = pc.project_id
+      LEFT JOIN farmers f ON f.id = p.farmer_id
+      LEFT JOIN ngos n ON n.id = p.ngo_id
+      JOIN projects q ON q.id = pc.conflicting_project_id
+      LEFT JOIN farmers qf ON qf.id = q.farmer_id
+      LEFT JOIN ngos qn ON qn.id = q.ngo_id
+      LEFT JOIN users u ON u.id = pc.resolved_by`;
+
+const round2 = value => Math.round(value * 100) / 100;
+const optionalNumber = value => (value === null ? null : toNumber(value));
+
+function normalizeSurveyNumber(value) {
+    const surveyNumber = String(value ?? '').replace(/\s+/g, '').toUpperCase();
+    return surveyNumber || null;
+}
+
+// Hectares covered by both boundaries
+function overlapHectares(a, b) {
+    const intersection = polygonClipping.intersection(polygonsOf(a), polygonsOf(b));
+    return intersection.length === 0 ? 0 : areaHectares({ type: 'MultiPolygon', coordinates: intersection });
+}
+
+// Overlaps too large to be boundary slivers between neighbouring plots
+function isBlockingOverlap(overlap) {
+    return Math.max(overlap.overlapPercent, overlap.otherOverlapPercent) >= config.overlapBlockPercent;
+}
+
+// Other projects whose boundary overlaps `boundary` by overlapFlagPercent or
+// more of either project's area. The bounding boxes narrow down the projects
+// that need clipping.
+async function findBoundaryOverlaps(client, projectId, boundary) {
+    const [west, south, east, north] = boundingBox(boundary);
+    const { rows } = await client.query(
+        `SELECT id, title, boundary
+           FROM projects
+          WHERE id <> $1 AND boundary IS NOT NULL AND status <> 'suspended'
+            AND boundary_west <= $4 AND boundary_east >= $2
+            AND boundary_south <= $5 AND boundary_north >= $3`,
+        [projectId, west, south, east, north]
+    );
+
+    const area = areaHectares(boundary);
+    return rows
+        .map(row => {
+            const hectares = overlapHectares(boundary, row.boundary);
+            return {
+                kind: 'boundary_overlap',
+                projectId: row.id,
+                title: row.title,
+                overlapHectares: round2(hectares),
+                overlapPercent: round2(hectares / area * 100),
+                otherOverlapPercent: round2(hectares / areaHectares(row.boundary) * 100)
+            };
+        })
+        .filter(overlap => overlap.overlapHectares > 0
+            && Math.max(overlap.overlapPercent, overlap.otherOverlapPercent) >= config.overlapFlagPercent)
+        .sort((a, b) => b.overlapHectares - a.overlapHectares);
+}
+
+// Other projects registered with the same survey number in the same
+// district (and state, where both give one)
+async function findSurveyNumberMatches(client, projectId, location) {
+    const surveyNumber = normalizeSurveyNumber(location?.surveyNumber);
+    const district = String(location?.district ?? '').trim();
+    if (!surveyNumber || !district) return [];
+
+    const { rows } = await client.query(
+        `SELECT p.id, p.title, p.location->>'district' AS district
+           FROM projects p
+          WHERE p.id <> $1 AND p.status <> 'suspended'
+            AND ${SURVEY_NUMBER_SQL} = $2
+            AND LOWER(TRIM(p.location->>'district')) = LOWER($3)
+            AND ($4::text IS NULL OR p.location->>'state' IS NULL OR LOWER(TRIM(p.location->>'state')) = LOWER($4))
+          ORDER BY p.created_at`,
+        [projectId, surveyNumber, district, String(location.state ?? '').trim() || null]
+    );
+
+    return rows.map(row => ({
+        kind: 'survey_number',
+        projectId: row.id,
+        title: row.title,
+        surveyNumber,
+        district: row.district
+    }));
+}
+
+async function notifyAdmins(client, message) {
+    const { rows: admins } = await client.query("SELECT id FROM users WHERE user_type = 'admin' AND status = 'active'");
+    for (const admin of admins) {
+        await createNotification({ userId: admin.id, type: 'warning', message }, client);
+    }
+}
+
+function describeConflict(project, match) {
+    return match.kind === 'boundary_overlap'
+        ? `${project.title} overlaps ${match.title} by ${match.overlapHectares} ha (${match.overlapPercent}% of its boundary)`
+        : `${project.title} and ${match.title} share survey number ${match.surveyNumber} in ${match.district}`;
+}
+
+// Opens a conflict for each new match, refreshes the figures on open ones
+// and resolves open ones that no longer match. A pair an administrator has
+// dismissed stays dismissed unless its overlap has grown since.
+async function recordConflicts(client, project, kind, matches) {
+    const { rows: dismissed } = await client.query(
+        `SELECT CASE WHEN project_id = $1 THEN conflicting_project_id ELSE project_id END AS other_id,
+                MAX(overlap_hectares) AS overlap_hectares
+           FROM project_conflicts
+          WHERE $1 IN (project_id, conflicting_project_id) AND kind = $2 AND status = 'dismissed'
+          GROUP BY 1`,
+        [project.id, kind]
+    );
+    const dismissedOverlaps = new Map(dismissed.map(row => [row.other_id, optionalNumber(row.overlap_hectares)]));
+    const current = matches.filter(match => !dismissedOverlaps.has(match.projectId)
+        || (kind === 'boundary_overlap' && match.overlapHectares > dismissedOverlaps.get(match.projectId)));
+
+    for (const match of current) {
+        // The open row may have been recorded from the other project's side
+        const { rows: [row] } = await client.query(
+            `INSERT INTO project_conflicts (project_id, conflicting_project_id, kind, overlap_hectares, overlap_percent,
+                                            other_overlap_percent, survey_number, district)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT (LEAST(project_id, conflicting_project_id), GREATEST(project_id, conflicting_project_id), kind)
+                WHERE status = 'open'
+             DO UPDATE SET
+                overlap_hectares = EXCLUDED.overlap_hectares,
+                overlap_percent = CASE WHEN project_conflicts.project_id = EXCLUDED.project_id
+                                       THEN EXCLUDED.overlap_percent ELSE EXCLUDED.other_overlap_percent END,
+                other_overlap_percent = CASE WHEN project_conflicts.project_id = EXCLUDED.project_id
+                                             THEN EXCLUDED.other_overlap_percent ELSE EXCLUDED.overlap_percent END,
+                updated_at = NOW()
+             RETURNING (xmax = 0) AS opened`,
+            [project.id, match.projectId, kind, match.overlapHectares ?? null, match.overlapPercent ?? null,
+                match.otherOverlapPercent ?? null, match.surveyNumber ?? null, match.district ?? null]
+        );
+        if (row.opened) {
+            await notifyAdmins(client, `Possible double registration: ${describeConflict(project, match)}`);
+        }
+    }
+
+    await client.query(
+        `UPDATE project_conflicts
+            SET status = 'resolved', resolution_note = $4, resolved_at = NOW(), updated_at = NOW()
+          WHERE $1 IN (project_id, conflicting_project_id) AND kind = $2 AND status = 'open'
+            AND NOT (CASE WHEN project_id = $1 THEN conflicting_project_id ELSE project_id END = ANY($3::uuid[]))`,
+        [
+            project.id,
+            kind,
+            current.map(match => match.projectId),
+            kind === 'boundary_overlap' ? 'The boundaries no longer overlap' : 'The survey numbers no longer match'
+        ]
+    );
+
+    return current;
+}
+
+// Runs both checks against the project as stored and records the results.
+// `overlaps` saves working them out again when the caller already has.
+async function checkProjectConflicts(client, projectId, { overlaps } = {}) {
+    const { rows: [project] } = await client.query(
+        'SELECT id, title, location, boundary, status FROM projects WHERE id = $1',
+        [projectId]
+    );
+    if (!project) {
+        throw new NotFoundError('Project not found');
+    }
+    if (project.status === 'suspended') return [];
+
+    const boundaryOverlaps = overlaps ?? (project.boundary ? await findBoundaryOverlaps(client, project.id, project.boundary) : []);
+    const surveyNumbers = await findSurveyNumberMatches(client, project.id, project.location);
+
+    return [
+        ...await recordConflicts(client, project, 'boundary_overlap', boundaryOverlaps),
+        ...await recordConflicts(client, project, 'survey_number', surveyNumbers)
+    ];
+}
+
+// A conflict seen from one of its two projects
+function toProjectConflict(row, projectId) {
+    const mine = row.project_id === projectId;
+    return {
+        id: row.id,
+        kind: row.kind,
+        otherProject: mine
+            ? { id: row.conflicting_project_id, title: row.other_title, developer: row.other_developer }
+            : { id: row.project_id, title: row.title, developer: row.developer },
+        overlapHectares: optionalNumber(row.overlap_hectares),
+        overlapPercent: optionalNumber(mine ? row.overlap_percent : row.other_overlap_percent),
+        otherOverlapPercent: optionalNumber(mine ? row.other_overlap_percent : row.overlap_percent),
+        surveyNumber: row.survey_number,
+        district: row.district,
+        detectedAt: row.detected_at
+    };
+}
+
+// Open conflicts involving the project
+async function listProjectConflicts(projectId, client = db) {
+    const { rows } = await client.query(
+        `${CONFLICT_SELECT}
+          WHERE $1 IN (pc.project_id, pc.conflicting_project_id) AND pc.status = 'open'
+          ORDER BY pc.detected_at`,
+        [projectId]
+    );
+    return rows.map(row => toProjectConflict(row, projectId));
+}
+
+function toConflict(row, { boundaries = false } = {}) {
+    const side = (id, title, developer, status, areaHectares, boundary) => ({
+        id,
+        title,
+        developer,
+        status,
+        areaHectares: toNumber(areaHectares),
+        ...(boundaries ? { boundary } : {})
+    });
+
+    return {
+        id: row.id,
+        kind: row.kind,
+        status: row.status,
+        project: side(row.project_id, row.title, row.developer, row.project_status, row.area_hectares, row.boundary),
+        conflictingProject: side(row.conflicting_project_id, row.other_title, row.other_developer, row.other_status,
+            row.other_area_hectares, row.other_boundary),
+        overlapHectares: optionalNumber(row.overlap_hectares),
+        overlapPercent: optionalNumber(row.overlap_percent),
+        otherOverlapPercent: optionalNumber(row.other_overlap_percent),
+        surveyNumber: row.survey_number,
+        district: row.district,
+        detectedAt: row.detected_at,
+        suspendedProjectId: row.suspended_project_id,
+        resolutionNote: row.resolution_note,
+        resolvedBy: row.resolved_by_email,
+        resolvedAt: row.resolved_at
+    };
+}
+
+async function listConflicts(query = {}) {
+    const status = query.status || 'open';
+    if (!CONFLICT_STATUSES.includes(status)) {
+        throw new ValidationError('Invalid conflict filters', [`status must be one of: ${CONFLICT_STATUSES.join(', ')}`]);
+    }
+
+    // Largest overlaps first; survey number matches have none
+    const { rows } = await db.query(
+        `${CONFLICT_SELECT}
+          WHERE pc.status = $1
+          ORDER BY pc.overlap_percent DESC NULLS LAST, pc.detected_at DESC
+          LIMIT ${QUEUE_LIMIT}`,
+        [status]
+    );
+    const { rows: [counts] } = await db.query(
+        `SELECT COUNT(*) FILTER (WHERE status = 'open')::int AS open,
+                COUNT(*) FILTER (WHERE status = 'open' AND kind = 'boundary_overlap')::int AS boundary_overlap,
+                COUNT(*) FILTER (WHERE status = 'open' AND kind = 'survey_number')::int AS survey_number
+           FROM project_conflicts`
+    );
+
+    return {
+        items: rows.map(row => toConflict(row)),
+        counts: {
+            open: counts.open,
+            boundaryOverlap: counts.boundary_overlap,
+            surveyNumber: counts.survey_number
+        }
+    };
+}
+
+async function getConflict(conflictId) {
+    const { rows: [row] } = await db.query(`${CONFLICT_SELECT} WHERE pc.id = $1`, [conflictId]);
+    if (!row) {
+        throw new NotFoundError('Conflict not found');
+    }
+    return toConflict(row, { boundaries: true });
+}
+
+// 'dismiss' keeps both projects; 'suspend' suspends `projectId`, one of the
+// two, which also resolves its other open conflicts
+async function resolveConflict(user, conflictId, { decision, projectId, note } = {}) {
+    const errors = [];
+    const text = typeof note === 'string' ? note.trim() : '';
+    if (!['dismiss', 'suspend'].includes(decision)) {
+        errors.push('decision must be "dismiss" or "suspend"');
+    }
+    if (!text) {
+        errors.push('note is required');
+    } else if (text.length > MAX_NOTE_LENGTH) {
+        errors.push(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid conflict resolution', errors);
+    }
+
+    await db.transaction(async (client) => {
+        const { rows: [row] } = await client.query(`${CONFLICT_SELECT} WHERE pc.id = $1 FOR UPDATE OF pc`, [conflictId]);
+        if (!row) {
+            throw new NotFoundError('Conflict not found');
+        }
+        if (row.status !== 'open') {
+            throw new ConflictError(`This conflict has already been ${row.status}`);
+        }
+
+        if (decision === 'dismiss') {
+            await client.query(
+                `UPDATE project_conflicts
+                    SET status = 'dismissed', resolution_note = $2, resolved_by = $3, resolved_at = NOW(), updated_at = NOW()
+                  WHERE id = $1`,
+                [conflictId, text, user.id]
+            );
+            return;
+        }
+
+        if (![row.project_id, row.conflicting_project_id].includes(projectId)) {
+            throw new ValidationError('Invalid conflict resolution', ['projectId must be one of the two conflicting projects']);
+        }
+        const suspended = projectId === row.project_id
+            ? { title: row.title, ownerUserId: row.owner_user_id }
+            : { title: row.other_title, ownerUserId: row.other_owner_user_id };
+
+        await client.query(
+            "UPDATE projects SET status = 'suspended', updated_at = NOW() WHERE id = $1",
+            [projectId]
+        );
+        await client.query(
+            `UPDATE project_conflicts
+                SET status = 'resolved', suspended_project_id = $2, resolved_by = $3, resolved_at = NOW(), updated_at = NOW(),
+                    resolution_note = CASE WHEN id = $1 THEN $4 ELSE $5 END
+              WHERE status = 'open' AND (id = $1 OR $2 IN (project_id, conflicting_project_id))`,
+            [conflictId, projectId, user.id, text, `${suspended.title} was suspended`]
+        );
+
+        await createNotification({
+            userId: suspended.ownerUserId,
+            type: 'warning',
+            message: `${suspended.title} was suspended as it conflicts with another registered project: ${text}`
+        }, client);
+    });
+
+    return getConflict(conflictId);
+}
+
+module.exports = {
+    normalizeSurveyNumber,
+    isBlockingOverlap,
+    findBoundaryOverlaps,
+    checkProjectConflicts,
+    listProjectConflicts,
+    listConflicts,
+    getConflict,
+    resolveConflict
+};
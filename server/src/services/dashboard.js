@@ -0,0 +1,55 @@
+const db = require('../db');
+const { toNumber, startOfMonth, formatChange } = require('../utils/format');
+const { PROJECT_OWNER_JOIN, PROJECT_OWNER_USER } = require('./projects');
+
+// Stats for the project owner (farmer or NGO) dashboard cards, shaped for updateDashboardStats()
+async function getOwnerStats(user) {
+    const monthStart = startOfMonth();
+
+    const { rows: [projectStats] } = await db.query(
+        `SELECT COALESCE(SUM(p.area_hectares), 0) AS total_area,
+                COALESCE(SUM(p.area_hectares) FILTER (WHERE p.start_date >= $2), 0) AS area_change,
+                COUNT(*) FILTER (WHERE p.status = 'active') AS active_projects,
+                COUNT(*) FILTER (WHERE p.status = 'planning') AS planning_projects
+           FROM projects p${PROJECT_OWNER_JOIN}
+          WHERE ${PROJECT_OWNER_USER} = $1`,
+        [user.id, monthStart]
+    );
+
+    const { rows: [creditStats] } = await db.query(
+        `SELECT COALESCE(SUM(c.credit_amount), 0) AS credits_generated,
+                COALESCE(SUM(c.credit_amount) FILTER (WHERE c.created_at >= $2), 0) AS credits_change
+           FROM carbon_credits c
+           JOIN projects p ON p.id = c.project_id${PROJECT_OWNER_JOIN}
+          WHERE ${PROJECT_OWNER_USER} = $1 AND c.status <> 'cancelled'`,
+        [user.id, monthStart]
+    );
+
+    // Seller proceeds are the sale amount less the platform fee
+    const { rows: [revenueStats] } = await db.query(
+        `SELECT COALESCE(SUM(t.total_amount - COALESCE(t.transaction_fee, 0)), 0) AS revenue_earned,
+                COALESCE(SUM(t.total_amount - COALESCE(t.transaction_fee, 0))
+                         FILTER (WHERE t.created_at >= $2), 0) AS revenue_change
+           FROM transactions t
+           JOIN marketplace_listings l ON l.id = t.listing_id
+          WHERE l.seller_id = $1 AND t.status = 'completed'`,
+        [user.id, monthStart]
+    );
+
+    const planningProjects = toNumber(projectStats.planning_projects);
+
+    return {
+        totalArea: toNumber(projectStats.total_area),
+        areaChange: formatChange(toNumber(projectStats.area_change), ' Ha'),
+        creditsGenerated: toNumber(creditStats.credits_generated),
+        creditsChange: formatChange(toNumber(creditStats.credits_change), ' tCO2e'),
+        revenueEarned: toNumber(revenueStats.revenue_earned),
+        revenueChange: toNumber(revenueStats.revenue_change),
+        activeProjects: toNumber(projectStats.active_projects),
+        projectsChange: `${planningProjects} in planning`
+    };
+}
+
+module.exports = {
+    getOwnerStats
+};
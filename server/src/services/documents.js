@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { ConflictError, ForbiddenError, HttpError, NotFoundError, ValidationError } = require('../errors');
+const { detectFileType } = require('../utils/fileTypes');
+const { PROJECT_OWNER_JOIN, PROJECT_OWNER_USER } = require('./projects');
+const { createNotification } = require('./notifications');
+const { putObject, getObject, removeObject } = require('./storage');
+const { scanFile } = require('./virusScan');
+const { readPhotoEvidence, savePhotoEvidence } = require('./photoEvidence');
+
+// Uploaded documents. Every upload is checked against the rules for its
+// document type (sniffed file type and size), virus-scanned, hashed and
+// written to object storage before its documents row is created. Each
+// document is reviewed on its own: verification_status starts 'pending' and
+// a verifier or admin marks it verified or rejected. Reviewers can also
+// leave comments, optionally highlighting a region of a page.
+
+const MB = 1024 * 1024;
+const PDF = ['application/pdf'];
+const IMAGES = ['image/jpeg', 'image/png', 'image/webp'];
+const SPREADSHEETS = ['text/csv', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'];
+
+// scope 'account': KYC documents of the uploader; 'project': needs projectId
+const DOCUMENT_TYPES = {
+    incorporation_certificate: { label: 'Certificate of Incorporation', scope: 'account', mimeTypes: PDF, maxBytes: 2 * MB },
+    gst_certificate: { label: 'GST Certificate', scope: 'account', mimeTypes: PDF, maxBytes: 2 * MB },
+    pan_card: { label: 'PAN Card', scope: 'account', mimeTypes: [...PDF, ...IMAGES], maxBytes: 2 * MB },
+    cancelled_cheque: { label: 'Cancelled Cheque', scope: 'account', mimeTypes: [...PDF, ...IMAGES], maxBytes: 2 * MB },
+    project_photo: { label: 'Geotagged Photo', scope: 'project', mimeTypes: IMAGES, maxBytes: 10 * MB },
+    progress_report: { label: 'Progress Report', scope: 'project', mimeTypes: [...PDF, ...IMAGES], maxBytes: 10 * MB },
+    maintenance_log: { label: 'Maintenance Log', scope: 'project', mimeTypes: [...PDF, ...IMAGES, ...SPREADSHEETS], maxBytes: 10 * MB },
+    project_data: { label: 'Project Data', scope: 'project', mimeTypes: [...PDF, ...IMAGES, ...SPREADSHEETS], maxBytes: 10 * MB }
+};
+
+// Largest file any document type accepts; the multipart parser stops here
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(DOCUMENT_TYPES).map(type => type.maxBytes));
+const REVIEW_STATUSES = ['verified', 'rejected'];
+const LIST_LIMIT = 100;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_PDF_PAGES = 10000;
+// Smallest highlight, as a fraction of the page; anything less is a stray click
+const MIN_REGION_SIZE = 0.005;
+
+const DOCUMENT_SELECT = `
+    SELECT d.id, d.user_id, d.project_id, d.document_type, d.file_name, d.file_path, d.file_size, d.mime_type,
+           d.verification_status, d.storage_provider, d.content_sha256, d.scan_status,
+           d.reviewed_by, d.reviewed_at, d.review_note, d.uploaded_at,
+           p.title AS project_title, ${PROJECT_OWNER_USER} AS owner_user_id,
+           COALESCE(rv.full_name, ru.email) AS reviewer_name,
+           pe.document_id AS photo_document_id, pe.latitude AS photo_latitude, pe.longitude AS photo_longitude,
+           pe.taken_at AS photo_taken_at,
+           (SELECT COUNT(*)::int FROM document_annotations a WHERE a.document_id = d.id) AS annotation_count
+      FROM documents d
+      LEFT JOIN projects p ON p.id = d.project_id${PROJECT_OWNER_JOIN}
+      LEFT JOIN users ru ON ru.id = d.reviewed_by
+      LEFT JOIN verifiers rv ON rv.user_id = d.reviewed_by
+      LEFT JOIN photo_evidence pe ON pe.document_id = d.id`;
+
+const ANNOTATION_SELECT = `
+    SELECT a.id, a.author_id, a.page, a.region_x, a.region_y, a.region_width, a.region_height, a.comment, a.created_at,
+           COALESCE(vr.full_name, u.email) AS author_name
+      FROM document_annotations a
+      JOIN users u ON u.id = a.author_id
+      LEFT JOIN verifiers vr ON vr.user_id = a.author_id`;
+
+function toDocument(row) {
+    return {
+        id: row.id,
+        documentType: row.document_type,
+        label: DOCUMENT_TYPES[row.document_type]?.label || row.document_type,
+        projectId: row.project_id,
+        projectName: row.project_title,
+        fileName: row.file_name,
+        fileSize: row.file_size,
+        mimeType: row.mime_type,
+        sha256: row.content_sha256,
+        scanStatus: row.scan_status,
+        verificationStatus: row.verification_status,
+        reviewNote: row.review_note,
+        reviewedBy: row.reviewer_name,
+        reviewedAt: row.reviewed_at,
+        annotationCount: row.annotation_count,
+        // Project photos: what the EXIF data says (nulls when it has no geotag)
+        geotag: row.photo_document_id ? {
+            latitude: row.photo_latitude === null ? null : Number(row.photo_latitude),
+            longitude: row.photo_longitude === null ? null : Number(row.photo_longitude),
+            takenAt: row.photo_taken_at
+        } : null,
+        uploadedAt: row.uploaded_at
+    };
+}
+
+function toAnnotation(row, user) {
+    return {
+        id: row.id,
+        page: row.page,
+        region: row.region_x === null ? null : {
+            x: Number(row.region_x),
+            y: Number(row.region_y),
+            width: Number(row.region_width),
+            height: Number(row.region_height)
+        },
+        comment: row.comment,
+        author: { id: row.author_id, name: row.author_name },
+        mine: row.author_id === user.id,
+        createdAt: row.created_at
+    };
+}
+
+// Verifiers only see the documents of projects they have a case for
+async function isAssignedVerifier(user, projectId) {
+    if (user.userType !== 'verifier' || !projectId) return false;
+
+    const { rows } = await db.query(
+        'SELECT 1 FROM verifications WHERE project_id = $1 AND verifier_id = $2 LIMIT 1',
+        [projectId, user.id]
+    );
+    return rows.length > 0;
+}
+
+// The uploader, the owner of the project it belongs to, admins and the
+// project's verifier. Account documents (KYC) have no project, so only their
+// uploader and admins see them.
+async function canViewDocument(user, row) {
+    return row.user_id === user.id
+        || (row.owner_user_id && row.owner_user_id === user.id)
+        || user.userType === 'admin'
+        || isAssignedVerifier(user, row.project_id);
+}
+
+async function getProjectOwner(projectId) {
+    const { rows: [project] } = await db.query(
+        `SELECT ${PROJECT_OWNER_USER} AS owner_user_id FROM projects p${PROJECT_OWNER_JOIN} WHERE p.id = $1`,
+        [projectId]
+    );
+    if (!project) {
+        throw new NotFoundError('Project not found');
+    }
+    return project;
+}
+
+function listDocumentTypes() {
+    return Object.entries(DOCUMENT_TYPES).map(([type, rules]) => ({ type, ...rules }));
+}
+
+// Browsers send the file name as latin1 in multipart headers, and some
+// still include the client-side path
+function cleanFileName(name) {
+    const decoded = Buffer.from(name || 'upload', 'latin1').toString('utf8');
+    return decoded.split(/[\\/]/).pop().replace(/[\u0000-\u001f]/g, '').slice(0, 255) || 'upload';
+}
+
+function formatSize(bytes) {
+    return `${Math.round(bytes / MB * 10) / 10} MB`;
+}
+
+async function uploadDocument(user, { documentType, projectId } = {}, file) {
+    const rules = DOCUMENT_TYPES[documentType];
+    if (!rules) {
+        throw new ValidationError('Invalid upload', [`documentType must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`]);
+    }
+    if (!file) {
+        throw new ValidationError('Invalid upload', ['Choose a file to upload']);
+    }
+
+    const fileName = cleanFileName(file.originalname);
+    const detected = detectFileType(file.buffer, fileName);
+    if (!detected || !rules.mimeTypes.includes(detected.mimeType)) {
+        throw new ValidationError('Invalid upload', [`${rules.label} must be one of: ${rules.mimeTypes.join(', ')}`]);
+    }
+    if (file.size > rules.maxBytes) {
+        throw new ValidationError('Invalid upload', [`${rules.label} must be at most ${formatSize(rules.maxBytes)}`]);
+    }
+
+    if (rules.scope === 'project') {
+        if (!projectId) {
+            throw new ValidationError('Invalid upload', ['Choose the project this document belongs to']);
+        }
+        const project = await getProjectOwner(projectId);
+        if (project.owner_user_id !== user.id) {
+            throw new ForbiddenError('You can only upload documents to your own projects');
+        }
+    }
+
+    const scan = await scanFile(file.buffer).catch(error => {
+        console.error('Virus scan failed:', error.message);
+        throw new HttpError('Virus scanning is unavailable. Please try again later.', 503, 'SERVICE_UNAVAILABLE');
+    });
+    if (scan.status === 'infected') {
+        throw new ValidationError('Upload rejected', [`The file failed the virus scan (${scan.signature})`]);
+    }
+
+    const photo = documentType === 'project_photo' ? await readPhotoEvidence(file.buffer) : null;
+
+    const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const { rows: [duplicate] } = await db.query(
+        `SELECT id FROM documents
+          WHERE user_id = $1 AND content_sha256 = $2 AND document_type = $3
+            AND project_id IS NOT DISTINCT FROM $4 AND verification_status <> 'rejected'`,
+        [user.id, sha256, documentType, rules.scope === 'project' ? projectId : null]
+    );
+    if (duplicate) {
+        throw new ConflictError('You have already uploaded this file', { documentId: duplicate.id });
+    }
+
+    const documentId = crypto.randomUUID();
+    const key = `${user.id}/${documentId}${detected.extension}`;
+    const provider = await putObject(key, file.buffer, detected.mimeType);
+
+    try {
+        await db.transaction(async (client) => {
+            await client.query(
+                `INSERT INTO documents (id, user_id, project_id, document_type, file_name, file_path, file_size, mime_type,
+                                        storage_provider, content_sha256, scan_status)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+                [
+                    documentId, user.id, rules.scope === 'project' ? projectId : null, documentType, fileName, key,
+                    file.size, detected.mimeType, provider, sha256, scan.status
+                ]
+            );
+            if (photo) {
+                await savePhotoEvidence(client, documentId, photo);
+            }
+        });
+    } catch (error) {
+        await removeObject(provider, key).catch(() => {});
+        throw error;
+    }
+
+    return getDocument(user, documentId);
+}
+
+async function getDocumentRow(user, documentId) {
+    const { rows: [row] } = await db.query(`${DOCUMENT_SELECT} WHERE d.id = $1`, [documentId]);
+    if (!row) {
+        throw new NotFoundError('Document not found');
+    }
+    if (!(await canViewDocument(user, row))) {
+        throw new ForbiddenError('You do not have access to this document');
+    }
+    return row;
+}
+
+async function getDocument(user, documentId) {
+    return toDocument(await getDocumentRow(user, documentId));
+}
+
+// The user's own documents, or the documents of a project they can see
+async function listDocuments(user, { projectId, documentType } = {}) {
+    const params = [];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const conditions = [];
+
+    if (projectId) {
+        if (user.userType !== 'admin') {
+            const project = await getProjectOwner(projectId);
+            if (project.owner_user_id !== user.id && !(await isAssignedVerifier(user, projectId))) {
+                throw new ForbiddenError('You do not have access to this project');
+            }
+        }
+        conditions.push(`d.project_id = ${param(projectId)}`);
+    } else {
+        conditions.push(`d.user_id = ${param(user.id)}`);
+    }
+    if (documentType) {
+        conditions.push(`d.document_type = ${param(documentType)}`);
+    }
+
+    const { rows } = await db.query(
+        `${DOCUMENT_SELECT}
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY d.uploaded_at DESC
+          LIMIT ${LIST_LIMIT}`,
+        params
+    );
+    return rows.map(toDocument);
+}
+
+async function getDocumentContent(user, documentId) {
+    const row = await getDocumentRow(user, documentId);
+    return {
+        fileName: row.file_name,
+        mimeType: row.mime_type,
+        content: await getObject(row.storage_provider, row.file_path)
+    };
+}
+
+// Uploaders can withdraw a document until it has been reviewed
+async function deleteDocument(user, documentId) {
+    const row = await getDocumentRow(user, documentId);
+    if (row.user_id !== user.id) {
+        throw new ForbiddenError('Only the uploader can delete this document');
+    }
+    if (row.verification_status !== 'pending') {
+        throw new ConflictError(`This document has already been ${row.verification_status}`);
+    }
+
+    await db.query('DELETE FROM documents WHERE id = $1', [row.id]);
+    await removeObject(row.storage_provider, row.file_path);
+}
+
+async function reviewDocument(user, documentId, { status, note } = {}) {
+    if (!REVIEW_STATUSES.includes(status)) {
+        throw new ValidationError('Invalid review', [`status must be one of: ${REVIEW_STATUSES.join(', ')}`]);
+    }
+    const text = typeof note === 'string' ? note.trim() : '';
+    if (status === 'rejected' && !text) {
+        throw new ValidationError('Invalid review', ['Give a reason for rejecting the document']);
+    }
+
+    const row = await getDocumentRow(user, documentId);
+    await db.transaction(async (client) => {
+        await client.query(
+            `UPDATE documents
+                SET verification_status = $2, review_note = $3, reviewed_by = $4, reviewed_at = NOW()
+              WHERE id = $1`,
+            [row.id, status, text || null, user.id]
+        );
+
+        const document = `${DOCUMENT_TYPES[row.document_type]?.label || 'Document'} "${row.file_name}"`;
+        await createNotification({
+            userId: row.user_id,
+            type: status === 'verified' ? 'success' : 'warning',
+            message: status === 'verified' ? `${document} has been verified` : `${document} was rejected: ${text}`
+        }, client);
+    });
+    return getDocument(user, documentId);
+}
+
+async function listAnnotations(user, documentId) {
+    const row = await getDocumentRow(user, documentId);
+    const { rows } = await db.query(
+        `${ANNOTATION_SELECT} WHERE a.document_id = $1 ORDER BY a.page, a.created_at`,
+        [row.id]
+    );
+    return rows.map(annotation => toAnnotation(annotation, user));
+}
+
+// Fractions of the page, rounded to the precision the table stores
+function parseRegion(region) {
+    if (region === undefined || region === null) {
+        return null;
+    }
+
+    const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(key => Number(region[key]));
+    if (![x, y, width, height].every(Number.isFinite) || x < 0 || y < 0
+        || width < MIN_REGION_SIZE || height < MIN_REGION_SIZE || x + width > 1.00001 || y + height > 1.00001) {
+        throw new ValidationError('Invalid comment', ['region must be a rectangle inside the page, as fractions of its width and height']);
+    }
+
+    const round = value => Math.round(value * 100000) / 100000;
+    const left = round(x);
+    const top = round(y);
+    return {
+        x: left,
+        y: top,
+        width: Math.min(round(width), round(1 - left)),
+        height: Math.min(round(height), round(1 - top))
+    };
+}
+
+async function addAnnotation(user, documentId, { page = 1, region, comment } = {}) {
+    const text = typeof comment === 'string' ? comment.trim() : '';
+    if (!text) {
+        throw new ValidationError('Invalid comment', ['comment is required']);
+    }
+    if (text.length > MAX_COMMENT_LENGTH) {
+        throw new ValidationError('Invalid comment', [`comment must be at most ${MAX_COMMENT_LENGTH} characters`]);
+    }
+
+    const row = await getDocumentRow(user, documentId);
+    const lastPage = row.mime_type === 'application/pdf' ? MAX_PDF_PAGES : 1;
+    const pageNumber = Number(page);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > lastPage) {
+        throw new ValidationError('Invalid comment', [lastPage === 1 ? 'page must be 1 for this document' : 'page must be a page number']);
+    }
+    const area = parseRegion(region);
+
+    const { rows: [{ id }] } = await db.query(
+        `INSERT INTO document_annotations (document_id, author_id, page, region_x, region_y, region_width, region_height, comment)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [row.id, user.id, pageNumber, area?.x ?? null, area?.y ?? null, area?.width ?? null, area?.height ?? null, text]
+    );
+    const { rows: [annotation] } = await db.query(`${ANNOTATION_SELECT} WHERE a.id = $1`, [id]);
+    return toAnnotation(annotation, user);
+}
+
+async function deleteAnnotation(user, documentId, annotationId) {
+    const row = await getDocumentRow(user, documentId);
+    const { rows: [annotation] } = await db.query(
+        'SELECT author_id FROM document_annotations WHERE id = $1 AND document_id = $2',
+        [annotationId, row.id]
+    );
+    if (!annotation) {
+        throw new NotFoundError('Comment not found');
+    }
+    if (annotation.author_id !== user.id) {
+        throw new ForbiddenError('Only the author can delete this comment');
+    }
+    await db.query('DELETE FROM document_annotations WHERE id = $1', [annotationId]);
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    listDocumentTypes,
+    uploadDocument,
+    listDocuments,
+    getDocument,
+    getDocumentContent,
+    deleteDocument,
+    reviewDocument,
+    listAnnotations,
+    addAnnotation,
+    deleteAnnotation
+};
@@ -0,0 +1,183 @@
+const config = require('../config');
+const { ValidationError } = require('../errors');
+const { roundCurrency } = require('../utils/format');
+const { getMethodology } = require('./methodology');
+
+// Financial projection of a credit estimate: what the project costs and
+// earns each year, its NPV, IRR and payback. Credits are paid for when a
+// verification issues them, every verificationIntervalYears and at the end
+// of the crediting period, and each sale loses the platform's
+// transaction_fee as it does at checkout. The low and high price bands move
+// the whole price curve down or up by priceBandPercent.
+
+const MAX_AMOUNT = 100000000;
+const MAX_CARBON_PRICE = 100000;
+
+// [name, label, min, max, default]
+const FIELDS = [
+    ['carbonPrice', 'Carbon price', 1, MAX_CARBON_PRICE, 1500],
+    ['plantingCostPerHa', 'Planting cost per hectare', 0, MAX_AMOUNT, 50000],
+    ['maintenanceCostPerHaYear', 'Maintenance cost per hectare per year', 0, MAX_AMOUNT, 5000],
+    ['monitoringCostPerYear', 'Monitoring cost per year', 0, MAX_AMOUNT, 10000],
+    ['verificationFee', 'Verification fee', 0, MAX_AMOUNT, 50000],
+    ['priceEscalationPercent', 'Price escalation', -50, 50, 3],
+    ['priceBandPercent', 'Price band', 0, 90, 30],
+    ['discountRatePercent', 'Discount rate', 0, 100, 10]
+];
+
+const BANDS = { low: -1, base: 0, high: 1 };
+
+const roundCredits = value => Math.round(value * 100) / 100;
+
+function parseFinancialInputs(input, { maxYears, verificationIntervalYears }) {
+    const source = input && typeof input === 'object' ? input : {};
+    const blank = value => value === undefined || value === null || value === '';
+    const errors = [];
+    const inputs = {};
+
+    FIELDS.forEach(([name, label, min, max, fallback]) => {
+        inputs[name] = blank(source[name]) ? fallback : Number(source[name]);
+        if (!(inputs[name] >= min && inputs[name] <= max)) {
+            errors.push(`${label} must be from ${min} to ${max}`);
+        }
+    });
+
+    inputs.verificationIntervalYears = blank(source.verificationIntervalYears)
+        ? verificationIntervalYears
+        : Number(source.verificationIntervalYears);
+    if (!Number.isInteger(inputs.verificationIntervalYears) || inputs.verificationIntervalYears < 1
+        || inputs.verificationIntervalYears > maxYears) {
+        errors.push(`Verification interval must be a whole number of years from 1 to ${maxYears}`);
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid financial projection', errors);
+    }
+    return inputs;
+}
+
+function netPresentValue(cashFlows, rate) {
+    return cashFlows.reduce((sum, cashFlow, year) => sum + cashFlow / (1 + rate) ** year, 0);
+}
+
+// The discount rate at which NPV is zero, by bisection; null when the cash
+// flows never change sign or the rate is outside -99% to 1000%
+function internalRateOfReturn(cashFlows) {
+    let low = -0.99;
+    let high = 10;
+    let lowValue = netPresentValue(cashFlows, low);
+    if (Math.sign(lowValue) === Math.sign(netPresentValue(cashFlows, high))) {
+        return null;
+    }
+
+    for (let i = 0; i < 200 && high - low > 1e-7; i++) {
+        const middle = (low + high) / 2;
+        const value = netPresentValue(cashFlows, middle);
+        if (Math.sign(value) === Math.sign(lowValue)) {
+            low = middle;
+            lowValue = value;
+        } else {
+            high = middle;
+        }
+    }
+    return (low + high) / 2;
+}
+
+function projectBand(estimate, inputs, priceMultiplier) {
+    const area = estimate.inputs.areaHectares;
+    const lastYear = estimate.years.length;
+    const discountRate = inputs.discountRatePercent / 100;
+    const plantingCost = roundCurrency(inputs.plantingCostPerHa * area);
+    const years = [{
+        year: 0,
+        pricePerCredit: 0,
+        creditsIssued: 0,
+        revenue: 0,
+        platformFee: 0,
+        plantingCost,
+        maintenanceCost: 0,
+        monitoringCost: 0,
+        verificationFee: 0,
+        netCashFlow: -plantingCost,
+        cumulativeCashFlow: -plantingCost,
+        presentValue: -plantingCost
+    }];
+    let unissuedCredits = 0;
+    let cumulativeCashFlow = -plantingCost;
+
+    estimate.years.forEach(({ year, netCredits }) => {
+        unissuedCredits += netCredits;
+        const verified = year % inputs.verificationIntervalYears === 0 || year === lastYear;
+        const creditsIssued = verified ? unissuedCredits : 0;
+        if (verified) unissuedCredits = 0;
+
+        const pricePerCredit = inputs.carbonPrice * priceMultiplier * (1 + inputs.priceEscalationPercent / 100) ** (year - 1);
+        const revenue = creditsIssued * pricePerCredit;
+        const platformFee = revenue * config.platformFeeRate;
+        const maintenanceCost = inputs.maintenanceCostPerHaYear * area;
+        const verificationFee = verified ? inputs.verificationFee : 0;
+        const netCashFlow = revenue - platformFee - maintenanceCost - inputs.monitoringCostPerYear - verificationFee;
+        cumulativeCashFlow += netCashFlow;
+
+        years.push({
+            year,
+            pricePerCredit: roundCurrency(pricePerCredit),
+            creditsIssued: roundCredits(creditsIssued),
+            revenue: roundCurrency(revenue),
+            platformFee: roundCurrency(platformFee),
+            plantingCost: 0,
+            maintenanceCost: roundCurrency(maintenanceCost),
+            monitoringCost: inputs.monitoringCostPerYear,
+            verificationFee,
+            netCashFlow: roundCurrency(netCashFlow),
+            cumulativeCashFlow: roundCurrency(cumulativeCashFlow),
+            presentValue: roundCurrency(netCashFlow / (1 + discountRate) ** year)
+        });
+    });
+
+    const cashFlows = years.map(year => year.netCashFlow);
+    const irr = internalRateOfReturn(cashFlows);
+    // Payback is the first year from which the cumulative cash flow stays
+    // non-negative
+    const lastShortfall = years.findLastIndex(year => year.cumulativeCashFlow < 0);
+    const paybackYear = lastShortfall === years.length - 1 ? null : lastShortfall + 1;
+    const sum = key => roundCurrency(years.reduce((total, year) => total + year[key], 0));
+
+    return {
+        priceMultiplier: roundCredits(priceMultiplier),
+        npv: roundCurrency(netPresentValue(cashFlows, discountRate)),
+        irrPercent: irr === null ? null : Math.round(irr * 10000) / 100,
+        paybackYear,
+        totals: {
+            creditsIssued: roundCredits(years.reduce((total, year) => total + year.creditsIssued, 0)),
+            revenue: sum('revenue'),
+            platformFees: sum('platformFee'),
+            costs: roundCurrency(sum('plantingCost') + sum('maintenanceCost') + sum('monitoringCost') + sum('verificationFee')),
+            netCashFlow: sum('netCashFlow')
+        },
+        years
+    };
+}
+
+// Projects an estimateCredits() result with { carbonPrice, plantingCostPerHa,
+// maintenanceCostPerHaYear, monitoringCostPerYear, verificationFee,
+// verificationIntervalYears, priceEscalationPercent, priceBandPercent,
+// discountRatePercent }; blank fields take their defaults
+function projectFinancials(estimate, input) {
+    const { creditingPeriod } = getMethodology(estimate.methodology.version);
+    const inputs = parseFinancialInputs(input, creditingPeriod);
+
+    return {
+        inputs,
+        platformFeePercent: roundCredits(config.platformFeeRate * 100),
+        bands: Object.fromEntries(Object.entries(BANDS).map(([band, direction]) => [
+            band,
+            projectBand(estimate, inputs, 1 + direction * inputs.priceBandPercent / 100)
+        ]))
+    };
+}
+
+module.exports = {
+    projectFinancials,
+    internalRateOfReturn
+};
@@ -0,0 +1,221 @@
+const db = require('../db');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { toNumber, roundCurrency, formatLocation } = require('../utils/format');
+const { createNotification } = require('./notifications');
+const { PROJECT_OWNER_JOIN, PROJECT_OWNER_USER } = require('./projects');
+const { getListing } = require('./catalogue');
+
+const MAX_PRICE_PER_CREDIT = 100000;
+const MAX_AUCTION_DAYS = 30;
+// The marketplace_listings.bid_increment default
+const DEFAULT_BID_INCREMENT = 5;
+
+// Credits of a batch that are spoken for: stock on its active listings and
+// everything sold from it, including orders still being paid for
+const COMMITTED_CREDITS = `
+    COALESCE((SELECT SUM(l.total_credits) FROM marketplace_listings l
+               WHERE l.credit_id = c.id AND l.status = 'active'), 0)
+    + COALESCE((SELECT SUM(t.credit_amount) FROM transactions t
+                  JOIN marketplace_listings l ON l.id = t.listing_id
+                 WHERE l.credit_id = c.id AND t.status IN ('pending', 'completed')), 0)`;
+
+const CREDIT_SELECT = `
+    SELECT c.id, c.project_id, c.credit_amount, c.vintage_year, c.status, p.title,
+           ${PROJECT_OWNER_USER} AS owner_user_id, v.status AS verification_status,
+           FLOOR(c.credit_amount - (${COMMITTED_CREDITS}))::int AS available
+      FROM carbon_credits c
+      JOIN projects p ON p.id = c.project_id${PROJECT_OWNER_JOIN}
+      LEFT JOIN verifications v ON v.id = c.verification_id`;
+
+// Projects with credits currently listed for sale, one card per project,
+// shaped for createMarketplaceProjectCard()
+async function listMarketplaceProjects() {
+    const { rows } = await db.query(
+        `SELECT p.id, p.title, p.location, p.impacts,
+                BOOL_OR(v.status = 'approved') AS verified,
+                SUM(l.total_credits) AS available_credits,
+                MIN(l.price_per_credit) AS price_per_credit
+           FROM marketplace_listings l
+           JOIN carbon_credits c ON c.id = l.credit_id
+           JOIN projects p ON p.id = c.project_id
+           LEFT JOIN verifications v ON v.id = c.verification_id
+          WHERE l.status = 'active'
+            AND l.total_credits > 0
+            AND (l.expiry_date IS NULL OR l.expiry_date > NOW())
+          GROUP BY p.id
+          ORDER BY MIN(l.price_per_credit)`
+    );
+
+    return rows.map(row => ({
+        id: row.id,
+        name: row.title,
+        location: formatLocation(row.location),
+        status: row.verified ? 'verified' : 'under_verification',
+        impacts: row.impacts,
+        availableCredits: toNumber(row.available_credits),
+        pricePerCredit: toNumber(row.price_per_credit)
+    }));
+}
+
+async function findProjectOwner(projectId) {
+    const { rows } = await db.query(
+        `SELECT p.id, p.title, ${PROJECT_OWNER_USER} AS owner_user_id
+           FROM projects p${PROJECT_OWNER_JOIN}
+          WHERE p.id = $1`,
+        [projectId]
+    );
+    if (!rows[0]) {
+        throw new NotFoundError('Project not found');
+    }
+    return rows[0];
+}
+
+async function expressInterest(user, { projectId }) {
+    if (!projectId) {
+        throw new ValidationError('Invalid request', ['projectId is required']);
+    }
+
+    const project = await findProjectOwner(projectId);
+    if (project.owner_user_id) {
+        await createNotification({
+            userId: project.owner_user_id,
+            type: 'success',
+            message: `A buyer is interested in credits from ${project.title}`
+        });
+    }
+
+    return { projectId: project.id };
+}
+
+function toSellableCredit(row) {
+    return {
+        id: row.id,
+        projectId: row.project_id,
+        projectName: row.title,
+        vintageYear: row.vintage_year,
+        amount: toNumber(row.credit_amount),
+        available: Math.max(row.available, 0)
+    };
+}
+
+// The seller's verified credit batches with credits not yet listed or sold
+async function listSellableCredits(user) {
+    const { rows } = await db.query(
+        `${CREDIT_SELECT}
+          WHERE ${PROJECT_OWNER_USER} = $1
+            AND v.status = 'approved'
+            AND c.status IN ('generated', 'listed')
+          ORDER BY c.vintage_year DESC, p.title`,
+        [user.id]
+    );
+    return rows.map(toSellableCredit).filter(credit => credit.available > 0);
+}
+
+function parseListing(body) {
+    const listingType = body.listingType ?? 'fixed';
+    const quantity = Number(body.quantity);
+    const pricePerCredit = roundCurrency(Number(body.pricePerCredit));
+    const isAuction = listingType === 'auction';
+    const errors = [];
+
+    if (!['fixed', 'auction'].includes(listingType)) {
+        errors.push('listingType must be "fixed" or "auction"');
+    }
+    if (!body.creditId || typeof body.creditId !== 'string') {
+        errors.push('Choose the credit batch to sell');
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        errors.push('Quantity must be a whole, positive number of credits');
+    }
+    if (!(pricePerCredit > 0 && pricePerCredit <= MAX_PRICE_PER_CREDIT)) {
+        errors.push(`${isAuction ? 'Opening price' : 'Price'} per credit must be more than 0 and at most ${MAX_PRICE_PER_CREDIT}`);
+    }
+
+    const listing = { listingType, creditId: body.creditId, quantity, pricePerCredit, endsAt: null, reservePrice: null, bidIncrement: DEFAULT_BID_INCREMENT };
+    if (!isAuction) {
+        if (body.endsAt != null || body.reservePrice != null || body.bidIncrement != null) {
+            errors.push('An end time, reserve price and bid increment can only be set on auctions');
+        }
+    } else {
+        listing.endsAt = new Date(body.endsAt);
+        const maxEnd = Date.now() + MAX_AUCTION_DAYS * 24 * 60 * 60 * 1000;
+        if (!body.endsAt || Number.isNaN(listing.endsAt.getTime())
+            || listing.endsAt <= new Date() || listing.endsAt.getTime() > maxEnd) {
+            errors.push(`The auction must end in the future and within ${MAX_AUCTION_DAYS} days`);
+        }
+        if (body.reservePrice != null && body.reservePrice !== '') {
+            listing.reservePrice = roundCurrency(Number(body.reservePrice));
+            if (!(listing.reservePrice > 0 && listing.reservePrice <= MAX_PRICE_PER_CREDIT)) {
+                errors.push(`Reserve price must be more than 0 and at most ${MAX_PRICE_PER_CREDIT}`);
+            } else if (listing.reservePrice < pricePerCredit) {
+                errors.push('Reserve price cannot be below the opening price');
+            }
+        }
+        if (body.bidIncrement != null && body.bidIncrement !== '') {
+            listing.bidIncrement = roundCurrency(Number(body.bidIncrement));
+            if (!(listing.bidIncrement > 0 && listing.bidIncrement <= MAX_PRICE_PER_CREDIT)) {
+                errors.push(`Bid increment must be more than 0 and at most ${MAX_PRICE_PER_CREDIT}`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid listing', errors);
+    }
+    return listing;
+}
+
+// List credits from one of the seller's verified batches at a fixed price or
+// by auction ({ creditId, quantity, pricePerCredit, listingType, endsAt,
+// reservePrice, bidIncrement }). The batch is locked so two listings cannot
+// both claim its last credits.
+async function createListing(user, body) {
+    const listing = parseListing(body || {});
+
+    const listingId = await db.transaction(async (client) => {
+        const { rows: [credit] } = await client.query(
+            `${CREDIT_SELECT} WHERE c.id = $1 FOR UPDATE OF c`,
+            [listing.creditId]
+        );
+        if (!credit) {
+            throw new NotFoundError('Credit batch not found');
+        }
+        if (credit.owner_user_id !== user.id) {
+            throw new ForbiddenError('You can only sell credits from your own projects');
+        }
+        if (credit.verification_status !== 'approved') {
+            throw new ConflictError(`Credits for ${credit.title} can be listed once their verification is approved`);
+        }
+        if (!['generated', 'listed'].includes(credit.status)) {
+            throw new ConflictError(`These credits have been ${credit.status} and cannot be listed`);
+        }
+        if (listing.quantity > credit.available) {
+            throw new ConflictError('Not enough credits to list', {
+                errors: [`Only ${Math.max(credit.available, 0)} credits of this batch are available to list`]
+            });
+        }
+
+        const { rows: [created] } = await client.query(
+            `INSERT INTO marketplace_listings (credit_id, seller_id, price_per_credit, total_credits, listing_type,
+                                               expiry_date, reserve_price, bid_increment)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING id`,
+            [credit.id, user.id, listing.pricePerCredit, listing.quantity, listing.listingType,
+                listing.endsAt, listing.reservePrice, listing.bidIncrement]
+        );
+        await client.query(
+            "UPDATE carbon_credits SET status = 'listed', updated_at = NOW() WHERE id = $1 AND status = 'generated'",
+            [credit.id]
+        );
+        return created.id;
+    });
+
+    return getListing(listingId);
+}
+
+module.exports = {
+    listMarketplaceProjects,
+    expressInterest,
+    listSellableCredits,
+    createListing
+};
@@ -0,0 +1,210 @@
+const db = require('../db');
+const { NotFoundError, ValidationError } = require('../errors');
+
+// Credit estimates from versioned methodology configs. The calculator,
+// project registration and verification all estimate through
+// estimateCredits(), and every estimate names the methodology version it
+// used. New versions are added to METHODOLOGIES and become CURRENT_VERSION;
+// estimates already recorded keep the version they were made with.
+
+const METHODOLOGIES = {
+    '1.0': require('../methodologies/bci-coastal-1.0.json')
+};
+const CURRENT_VERSION = '1.0';
+
+const MAX_AREA_HECTARES = 100000;
+
+// Coastal states and union territories by region, keyed by the state names
+// used in registrations with spaces as underscores
+const STATE_REGIONS = {
+    west_bengal: 'east',
+    odisha: 'east',
+    andhra: 'east',
+    andhra_pradesh: 'east',
+    tamil_nadu: 'east',
+    puducherry: 'east',
+    gujarat: 'west',
+    maharashtra: 'west',
+    goa: 'west',
+    karnataka: 'west',
+    kerala: 'west',
+    andaman_and_nicobar_islands: 'islands',
+    lakshadweep: 'islands'
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+function getMethodology(version = CURRENT_VERSION) {
+    const methodology = METHODOLOGIES[version];
+    if (!methodology) {
+        throw new NotFoundError(`Methodology version ${version} does not exist`);
+    }
+    return methodology;
+}
+
+function listMethodologies() {
+    return Object.values(METHODOLOGIES).map(({ code, version, title, effectiveFrom }) => ({
+        code,
+        version,
+        title,
+        effectiveFrom,
+        current: version === CURRENT_VERSION
+    }));
+}
+
+function regionForState(state) {
+    const key = String(state ?? '').trim().toLowerCase().replace(/[^a-z]+/g, '_');
+    return STATE_REGIONS[key] ?? 'other';
+}
+
+// Biomass stock (tCO2e/ha) at a given age: Chapman-Richards growth towards
+// the ecosystem's mature stock
+function biomassStock({ maxTco2ePerHa, growthRate, shape }, age) {
+    return maxTco2ePerHa * (1 - Math.exp(-growthRate * age)) ** shape;
+}
+
+function parseInputs(methodology, input) {
+    const inputs = {
+        ecosystem: input.ecosystem,
+        areaHectares: Number(input.areaHectares),
+        years: input.years === undefined || input.years === null || input.years === ''
+            ? methodology.creditingPeriod.defaultYears
+            : Number(input.years),
+        region: input.region || 'other',
+        previousLandUse: input.previousLandUse || 'degraded'
+    };
+
+    const errors = [];
+    const options = (table, name) => `${name} must be one of ${Object.keys(table).join(', ')}`;
+    if (!methodology.ecosystems[inputs.ecosystem]) {
+        errors.push(options(methodology.ecosystems, 'Ecosystem'));
+    }
+    if (!(inputs.areaHectares > 0 && inputs.areaHectares <= MAX_AREA_HECTARES)) {
+        errors.push(`Area must be more than 0 and at most ${MAX_AREA_HECTARES} hectares`);
+    }
+    if (!Number.isInteger(inputs.years) || inputs.years < 1 || inputs.years > methodology.creditingPeriod.maxYears) {
+        errors.push(`Years must be a whole number from 1 to ${methodology.creditingPeriod.maxYears}`);
+    }
+    if (!methodology.regions[inputs.region]) {
+        errors.push(options(methodology.regions, 'Region'));
+    }
+    if (!methodology.previousLandUses[inputs.previousLandUse]) {
+        errors.push(options(methodology.previousLandUses, 'Previous land use'));
+    }
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid credit estimate', errors);
+    }
+    return inputs;
+}
+
+// Year-by-year removals for { ecosystem, areaHectares, years, region,
+// previousLandUse } under a methodology version (the current one by
+// default). Biomass counts only above the baseline stock of the previous
+// land use; net credits are what is left after the uncertainty, leakage and
+// buffer pool deductions.
+function estimateCredits(input, { version = CURRENT_VERSION } = {}) {
+    const methodology = getMethodology(version);
+    const inputs = parseInputs(methodology, input || {});
+    const ecosystem = methodology.ecosystems[inputs.ecosystem];
+    const { growthFactor } = methodology.regions[inputs.region];
+    const landUse = methodology.previousLandUses[inputs.previousLandUse];
+
+    const claimable = age => Math.max(0, biomassStock(ecosystem.biomass, age) * growthFactor - landUse.baselineBiomassTco2ePerHa);
+    const totals = { biomassTco2e: 0, soilTco2e: 0, grossTco2e: 0, uncertaintyTco2e: 0, leakageTco2e: 0, bufferTco2e: 0, netCredits: 0 };
+    const years = [];
+
+    for (let year = 1; year <= inputs.years; year++) {
+        const biomass = (claimable(year) - claimable(year - 1)) * inputs.areaHectares;
+        const soil = ecosystem.soil.tco2ePerHaYear * inputs.areaHectares;
+        const gross = biomass + soil;
+        const uncertainty = gross * ecosystem.uncertaintyPercent / 100;
+        const leakage = (gross - uncertainty) * landUse.leakagePercent / 100;
+        const buffer = (gross - uncertainty - leakage) * methodology.bufferPoolPercent / 100;
+        const net = gross - uncertainty - leakage - buffer;
+
+        totals.biomassTco2e += biomass;
+        totals.soilTco2e += soil;
+        totals.grossTco2e += gross;
+        totals.uncertaintyTco2e += uncertainty;
+        totals.leakageTco2e += leakage;
+        totals.bufferTco2e += buffer;
+        totals.netCredits += net;
+        years.push({
+            year,
+            biomassTco2e: round(biomass),
+            soilTco2e: round(soil),
+            grossTco2e: round(gross),
+            netCredits: round(net),
+            cumulativeNetCredits: round(totals.netCredits)
+        });
+    }
+
+    return {
+        methodology: { code: methodology.code, version: methodology.version, title: methodology.title },
+        inputs,
+        deductions: {
+            uncertaintyPercent: ecosystem.uncertaintyPercent,
+            leakagePercent: landUse.leakagePercent,
+            bufferPoolPercent: methodology.bufferPoolPercent
+        },
+        totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value)])),
+        years
+    };
+}
+
+// Save an estimate against a project (and the verification it was made
+// for, if any). Returns the summary projects and cases show.
+async function recordEstimate(client, { projectId, verificationId = null, purpose, estimate, userId = null }) {
+    const { rows: [row] } = await client.query(
+        `INSERT INTO credit_estimates (project_id, verification_id, purpose, methodology_code, methodology_version,
+                                       inputs, net_tco2e, results, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+            projectId,
+            verificationId,
+            purpose,
+            estimate.methodology.code,
+            estimate.methodology.version,
+            estimate.inputs,
+            estimate.totals.netCredits,
+            { deductions: estimate.deductions, totals: estimate.totals, years: estimate.years },
+            userId
+        ]
+    );
+    return toEstimateSummary(row);
+}
+
+function toEstimateSummary(row) {
+    return {
+        id: row.id,
+        purpose: row.purpose,
+        methodology: { code: row.methodology_code, version: row.methodology_version },
+        inputs: row.inputs,
+        netTco2e: Number(row.net_tco2e),
+        totals: row.results.totals,
+        createdAt: row.created_at
+    };
+}
+
+// The most recent estimate for a project, or for one of its verifications
+async function getLatestEstimate(projectId, { verificationId = null } = {}, client = db) {
+    const { rows: [row] } = await client.query(
+        `SELECT * FROM credit_estimates
+          WHERE project_id = $1 AND ($2::uuid IS NULL OR verification_id = $2)
+          ORDER BY created_at DESC
+          LIMIT 1`,
+        [projectId, verificationId]
+    );
+    return row ? toEstimateSummary(row) : null;
+}
+
+module.exports = {
+    CURRENT_VERSION,
+    getMethodology,
+    listMethodologies,
+    regionForState,
+    estimateCredits,
+    recordEstimate,
+    getLatestEstimate
+};
@@ -0,0 +1,383 @@
+const fs = require('fs/promises');
+const path = require('path');
+const db = require('../db');
+const config = require('../config');
+const { toNumber } = require('../utils/format');
+const { polygonsOf, pointInPolygon, centroid } = require('../utils/geo');
+const { projectionFor } = require('../utils/projection');
+const { openRaster, sameGrid, pixelWindow, readWindow, pixelCentre, pixelAt } = require('../utils/rasters');
+const { createNotification } = require('./notifications');
+const { PROJECT_OWNER_JOIN, PROJECT_OWNER_USER, getProject } = require('./projects');
+
+// NDVI monitoring from satellite scenes dropped into config.satelliteDir.
+// processSatelliteDirectory() (npm run satellite:process) groups the band
+// files into scenes, clips each scene to the project boundaries it covers and
+// records mean NDVI and canopy extent per project. A scene is measured again
+// for a project whose boundary changed after it was last measured.
+
+// Seagrass lies under water, where NDVI says nothing about it
+const MONITORED_PROJECT_TYPES = ['mangrove', 'afforestation', 'wetland'];
+// Observations with less of the boundary visible are kept but not used for
+// alerts or charts: a cloudy scene looks like canopy loss
+const MIN_VALID_PIXEL_PERCENT = 60;
+const LOSS_BASELINE_DAYS = 365;
+
+// Band files by sensor. `role` is red, nir or mask (cloud/shadow flags);
+// reflectance = value * scale + offset unless the file carries its own.
+const SENSORS = {
+    // Sentinel-2 L2A, e.g. T45QXE_20240115T042151_B04_10m.tif. The offset is
+    // ESA's BOA_ADD_OFFSET from processing baseline 04.00 on, which the
+    // reprocessed archive also uses.
+    'sentinel-2': {
+        pattern: /^(T\d{2}[A-Z]{3}_(\d{4})(\d{2})(\d{2})T\d{6})_(B04|B08|SCL)(?:_\d+m)?\.tiff?$/i,
+        roles: { B04: 'red', B08: 'nir', SCL: 'mask' },
+        scale: 0.0001,
+        offset: -0.1,
+        // Scene classification: no data, saturated, cloud shadow, cloud (medium, high), cirrus, snow
+        isClear: value => ![0, 1, 3, 8, 9, 10, 11].includes(value)
+    },
+    // Landsat 8/9 Collection 2 Level-2, e.g. LC09_L2SP_138045_20240115_20240116_02_T1_SR_B4.TIF
+    landsat: {
+        pattern: /^((?:LC08|LC09)_L2SP_\d{6}_(\d{4})(\d{2})(\d{2})_\d{8}_\d{2}_T\d)_(SR_B4|SR_B5|QA_PIXEL)\.tiff?$/i,
+        roles: { SR_B4: 'red', SR_B5: 'nir', QA_PIXEL: 'mask' },
+        scale: 0.0000275,
+        offset: -0.2,
+        // QA_PIXEL bits: fill, dilated cloud, cirrus, cloud, cloud shadow, snow
+        isClear: value => (value & 0b111111) === 0
+    },
+    // Anything else exported per band with the date and RED/NIR in the name,
+    // e.g. 2024-01-15_plot_RED.tif, assumed to hold reflectance already
+    other: {
+        pattern: /^(.*?(\d{4})-?(\d{2})-?(\d{2}).*?)[_-](RED|NIR)\.tiff?$/i,
+        roles: { RED: 'red', NIR: 'nir' },
+        scale: 1,
+        offset: 0,
+        isClear: () => true
+    }
+};
+
+const round = (value, places) => Number(value.toFixed(places));
+
+// { sensor, sceneKey, acquiredOn, role } for a band file, null for other files
+function parseBandFile(fileName) {
+    for (const [sensor, { pattern, roles }] of Object.entries(SENSORS)) {
+        const match = pattern.exec(fileName);
+        if (match) {
+            const [, sceneKey, year, month, day, band] = match;
+            return { sensor, sceneKey, acquiredOn: `${year}-${month}-${day}`, role: roles[band.toUpperCase()] };
+        }
+    }
+    return null;
+}
+
+// Band files grouped into scenes, oldest first
+function groupScenes(fileNames) {
+    const scenes = new Map();
+    for (const fileName of fileNames) {
+        const band = parseBandFile(fileName);
+        if (!band) continue;
+        const key = `${band.sensor}:${band.sceneKey}`;
+        if (!scenes.has(key)) {
+            scenes.set(key, { sceneKey: key, sensor: band.sensor, acquiredOn: band.acquiredOn, files: {} });
+        }
+        scenes.get(key).files[band.role] = fileName;
+    }
+    return [...scenes.values()].sort((a, b) => a.acquiredOn.localeCompare(b.acquiredOn));
+}
+
+function toReflectance(raster, sensor) {
+    const scale = raster.scale ?? SENSORS[sensor].scale;
+    const offset = raster.offset ?? SENSORS[sensor].offset;
+    return value => (value === raster.noData ? NaN : value * scale + offset);
+}
+
+// Mean NDVI and canopy extent of the pixels whose centres fall inside the
+// boundary, or null when the scene does not cover it
+async function measureBoundary(bands, sensor, boundary) {
+    const { forward, pixelArea } = bands.projection;
+    const polygons = polygonsOf(boundary).map(polygon => polygon.map(ring => ring.map(forward)));
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const [outer] of polygons) {
+        for (const [x, y] of outer) {
+            box[0] = Math.min(box[0], x);
+            box[1] = Math.min(box[1], y);
+            box[2] = Math.max(box[2], x);
+            box[3] = Math.max(box[3], y);
+        }
+    }
+
+    const window = pixelWindow(bands.red, box);
+    if (!window) return null;
+    const [red, nir] = await Promise.all([readWindow(bands.red, window), readWindow(bands.nir, window)]);
+
+    // The cloud mask may be coarser (Sentinel-2 SCL is 20 m), so it is
+    // looked up by position rather than by pixel
+    const maskWindow = bands.mask && pixelWindow(bands.mask, box);
+    const mask = maskWindow && await readWindow(bands.mask, maskWindow);
+    const isClear = (point) => {
+        if (!mask) return true;
+        const [column, row] = pixelAt(bands.mask, point);
+        const index = (row - maskWindow[1]) * (maskWindow[2] - maskWindow[0]) + (column - maskWindow[0]);
+        return column >= maskWindow[0] && column < maskWindow[2] && row >= maskWindow[1] && row < maskWindow[3]
+            && SENSORS[sensor].isClear(mask[index]);
+    };
+
+    const redReflectance = toReflectance(bands.red, sensor);
+    const nirReflectance = toReflectance(bands.nir, sensor);
+    const width = window[2] - window[0];
+    let pixelCount = 0;
+    let validPixels = 0;
+    let canopyPixels = 0;
+    let ndviTotal = 0;
+
+    for (let row = window[1]; row < window[3]; row++) {
+        for (let column = window[0]; column < window[2]; column++) {
+            const point = pixelCentre(bands.red, column, row);
+            if (!polygons.some(polygon => pointInPolygon(point, polygon))) continue;
+            pixelCount++;
+
+            const index = (row - window[1]) * width + (column - window[0]);
+            const r = redReflectance(red[index]);
+            const n = nirReflectance(nir[index]);
+            const ndvi = (n - r) / (n + r);
+            if (!(n + r > 0) || !(Math.abs(ndvi) <= 1) || !isClear(point)) continue;
+
+            validPixels++;
+            ndviTotal += ndvi;
+            if (ndvi >= config.canopyNdviThreshold) canopyPixels++;
+        }
+    }
+    if (pixelCount === 0) return null;
+
+    const { latitude } = centroid(boundary);
+    return {
+        pixelCount,
+        validPixelPercent: round(validPixels / pixelCount * 100, 2),
+        meanNdvi: validPixels === 0 ? null : round(ndviTotal / validPixels, 4),
+        canopyHectares: round(canopyPixels * pixelArea(bands.red.resolution, latitude) / 10000, 2)
+    };
+}
+
+async function openScene(scene) {
+    const bands = {};
+    try {
+        for (const [role, fileName] of Object.entries(scene.files)) {
+            bands[role] = await openRaster(path.join(config.satelliteDir, fileName));
+        }
+        if (!sameGrid(bands.red, bands.nir)) {
+            throw new Error('The red and near-infrared bands are not on the same pixel grid');
+        }
+        bands.projection = projectionFor(bands.red.epsg);
+        if (!bands.projection) {
+            throw new Error(`Unsupported coordinate system EPSG:${bands.red.epsg}; use UTM or WGS 84`);
+        }
+        return bands;
+    } catch (error) {
+        closeScene(bands);
+        throw error;
+    }
+}
+
+function closeScene(bands) {
+    ['red', 'nir', 'mask'].forEach(role => bands[role]?.close());
+}
+
+// Canopy loss against the largest canopy of the past year; alerts the owner
+// and administrators the first time it passes the threshold
+async function checkCanopyLoss(client, observation, project) {
+    if (observation.valid_pixel_percent < MIN_VALID_PIXEL_PERCENT) return;
+
+    const { rows: [baseline] } = await client.query(
+        `SELECT MAX(canopy_hectares) AS canopy_hectares
+           FROM ndvi_observations
+          WHERE project_id = $1 AND id <> $2 AND valid_pixel_percent >= $3
+            AND acquired_on < $4 AND acquired_on >= $4::date - $5::int`,
+        [project.id, observation.id, MIN_VALID_PIXEL_PERCENT, observation.acquired_on, LOSS_BASELINE_DAYS]
+    );
+    const peak = toNumber(baseline.canopy_hectares);
+    if (peak <= 0) return;
+
+    const lossPercent = round((peak - toNumber(observation.canopy_hectares)) / peak * 100, 2);
+    const alerted = lossPercent >= config.canopyLossAlertPercent;
+    const { rows: [previous] } = await client.query(
+        `UPDATE ndvi_observations n SET canopy_loss_percent = $2, alerted = $3
+           FROM (SELECT alerted FROM ndvi_observations WHERE id = $1) old
+          WHERE n.id = $1
+          RETURNING old.alerted`,
+        [observation.id, lossPercent, alerted]
+    );
+    if (!alerted || previous.alerted) return;
+
+    const message = `Satellite imagery of ${project.title} from ${observation.acquired_on} shows ${lossPercent}% less canopy `
+        + `than the past year's peak (${toNumber(observation.canopy_hectares)} of ${peak} Ha)`;
+    const { rows: recipients } = await client.query(
+        `SELECT ${PROJECT_OWNER_USER} AS id
+           FROM projects p${PROJECT_OWNER_JOIN}
+          WHERE p.id = $1
+         UNION
+         SELECT id FROM users WHERE user_type = 'admin' AND status = 'active'`,
+        [project.id]
+    );
+    for (const recipient of recipients.filter(row => row.id)) {
+        await createNotification({ userId: recipient.id, type: 'warning', message }, client);
+    }
+}
+
+// Measures one scene for every monitored project that needs it. Returns the
+// number of projects measured.
+async function processScene(scene, { force = false } = {}) {
+    const { rows: [stored] } = await db.query(
+        `INSERT INTO satellite_scenes (scene_key, sensor, acquired_on, files)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (scene_key) DO UPDATE SET files = EXCLUDED.files
+         RETURNING id`,
+        [scene.sceneKey, scene.sensor, scene.acquiredOn, scene.files]
+    );
+
+    const { rows: projects } = await db.query(
+        `SELECT p.id, p.title, p.boundary
+           FROM projects p
+          WHERE p.boundary IS NOT NULL AND p.project_type::text = ANY($2::text[]) AND p.status <> 'suspended'
+            AND ($3 OR NOT EXISTS (
+                SELECT 1 FROM ndvi_observations o
+                 WHERE o.project_id = p.id AND o.scene_id = $1 AND o.processed_at >= p.boundary_updated_at
+            ))`,
+        [stored.id, MONITORED_PROJECT_TYPES, force]
+    );
+    if (projects.length === 0) return 0;
+
+    let bands;
+    try {
+        bands = await openScene(scene);
+    } catch (error) {
+        await db.query('UPDATE satellite_scenes SET error = $2, processed_at = NOW() WHERE id = $1', [stored.id, error.message]);
+        throw error;
+    }
+
+    let measured = 0;
+    try {
+        for (const project of projects) {
+            const result = await measureBoundary(bands, scene.sensor, project.boundary);
+            if (!result) continue;
+
+            await db.transaction(async (client) => {
+                const { rows: [observation] } = await client.query(
+                    `INSERT INTO ndvi_observations (project_id, scene_id, acquired_on, mean_ndvi, canopy_hectares, pixel_count,
+                                                    valid_pixel_percent)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7)
+                     ON CONFLICT (project_id, scene_id) DO UPDATE SET
+                        mean_ndvi = EXCLUDED.mean_ndvi, canopy_hectares = EXCLUDED.canopy_hectares,
+                        pixel_count = EXCLUDED.pixel_count, valid_pixel_percent = EXCLUDED.valid_pixel_percent,
+                        canopy_loss_percent = NULL, processed_at = NOW()
+                     RETURNING id, acquired_on::text, canopy_hectares, valid_pixel_percent`,
+                    [project.id, stored.id, scene.acquiredOn, result.meanNdvi, result.canopyHectares, result.pixelCount,
+                        result.validPixelPercent]
+                );
+                await checkCanopyLoss(client, { ...observation, valid_pixel_percent: result.validPixelPercent }, project);
+            });
+            measured++;
+        }
+    } finally {
+        closeScene(bands);
+    }
+
+    await db.query(
+        'UPDATE satellite_scenes SET epsg = $2, error = NULL, processed_at = NOW() WHERE id = $1',
+        [stored.id, bands.red.epsg]
+    );
+    return measured;
+}
+
+// Processes every complete scene in config.satelliteDir. `log` receives a
+// line per scene.
+async function processSatelliteDirectory({ force = false, log = () => {} } = {}) {
+    const fileNames = await fs.readdir(config.satelliteDir);
+    const summary = { scenes: 0, skipped: 0, failed: 0, observations: 0 };
+
+    for (const scene of groupScenes(fileNames)) {
+        if (!scene.files.red || !scene.files.nir) {
+            log(`${scene.sceneKey}: skipped, needs both the red and near-infrared bands`);
+            summary.skipped++;
+            continue;
+        }
+        try {
+            const measured = await processScene(scene, { force });
+            log(`${scene.sceneKey} (${scene.acquiredOn}): ${measured} project(s) measured`);
+            summary.scenes++;
+            summary.observations += measured;
+        } catch (error) {
+            log(`${scene.sceneKey}: ${error.message}`);
+            summary.failed++;
+        }
+    }
+    return summary;
+}
+
+function toObservation(row) {
+    const validPixelPercent = toNumber(row.valid_pixel_percent);
+    return {
+        id: row.id,
+        acquiredOn: row.acquired_on,
+        sensor: row.sensor,
+        meanNdvi: row.mean_ndvi === null ? null : toNumber(row.mean_ndvi),
+        canopyHectares: toNumber(row.canopy_hectares),
+        validPixelPercent,
+        usable: validPixelPercent >= MIN_VALID_PIXEL_PERCENT,
+        canopyLossPercent: row.canopy_loss_percent === null ? null : toNumber(row.canopy_loss_percent),
+        alerted: row.alerted
+    };
+}
+
+async function listObservations(projectId, { since = null } = {}) {
+    const { rows } = await db.query(
+        `SELECT o.id, o.acquired_on::text, s.sensor, o.mean_ndvi, o.canopy_hectares, o.valid_pixel_percent,
+                o.canopy_loss_percent, o.alerted
+           FROM ndvi_observations o
+           JOIN satellite_scenes s ON s.id = o.scene_id
+          WHERE o.project_id = $1 AND ($2::date IS NULL OR o.acquired_on >= $2)
+          ORDER BY o.acquired_on`,
+        [projectId, since]
+    );
+    return rows.map(toObservation);
+}
+
+// The project's NDVI time series, for whoever can see the project
+async function getProjectNdvi(user, projectId) {
+    const project = await getProject(user, projectId);
+    return {
+        projectId: project.id,
+        monitored: MONITORED_PROJECT_TYPES.includes(project.type) && project.boundary !== null,
+        canopyNdviThreshold: config.canopyNdviThreshold,
+        canopyLossAlertPercent: config.canopyLossAlertPercent,
+        minValidPixelPercent: MIN_VALID_PIXEL_PERCENT,
+        observations: await listObservations(project.id)
+    };
+}
+
+// Summary of the usable observations since `since`, saved with a
+// verification as remote-sensing evidence
+async function summarizeNdvi(projectId, { since = null } = {}) {
+    const observations = (await listObservations(projectId, { since })).filter(observation => observation.usable);
+    const first = observations[0];
+    const latest = observations[observations.length - 1];
+
+    return {
+        since,
+        canopyNdviThreshold: config.canopyNdviThreshold,
+        observationCount: observations.length,
+        first: first ?? null,
+        latest: latest ?? null,
+        canopyChangeHectares: first ? round(latest.canopyHectares - first.canopyHectares, 2) : null,
+        alerts: observations.filter(observation => observation.alerted),
+        observations
+    };
+}
+
+module.exports = {
+    MONITORED_PROJECT_TYPES,
+    parseBandFile,
+    groupScenes,
+    processSatelliteDirectory,
+    getProjectNdvi,
+    summarizeNdvi
+};
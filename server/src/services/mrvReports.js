@@ -0,0 +1,174 @@
+const Ajv = require('ajv');
+const { NotFoundError, ValidationError } = require('../errors');
+
+// MRV (Monitoring, Reporting & Verification) reports are stored under
+// verifications.report_data.mrv. Each report names the schema version it
+// was written against so older reports stay valid when the format changes;
+// new versions are added to SCHEMAS and become CURRENT_VERSION. The schemas
+// carry titles and x-unit/x-key/x-widget hints the verifier portal renders
+// its form from.
+
+const SCHEMAS = {
+    '1.0': require('../schemas/mrv-report-1.0.json')
+};
+const CURRENT_VERSION = '1.0';
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addVocabulary(['x-unit', 'x-key', 'x-widget']);
+const validators = Object.fromEntries(
+    Object.entries(SCHEMAS).map(([version, schema]) => [version, ajv.compile(schema)])
+);
+
+function roundTco2e(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function getSchema(version = CURRENT_VERSION) {
+    const schema = SCHEMAS[version];
+    if (!schema) {
+        throw new NotFoundError(`MRV report schema ${version} does not exist`);
+    }
+    return schema;
+}
+
+// Human-readable name for a JSON pointer, e.g. "Biomass Plots 2 › Area"
+function describePath(schema, pointer) {
+    const labels = [];
+    let node = schema;
+    for (const segment of pointer.split('/').filter(Boolean)) {
+        if (node?.type === 'array') {
+            labels[labels.length - 1] = `${labels[labels.length - 1]} ${Number(segment) + 1}`;
+            node = node.items;
+        } else {
+            node = node?.properties?.[segment];
+            labels.push(node?.title || segment);
+        }
+    }
+    return labels.join(' › ') || 'Report';
+}
+
+function describeError(schema, error) {
+    if (error.keyword === 'required') {
+        return `${describePath(schema, `${error.instancePath}/${error.params.missingProperty}`)} is required`;
+    }
+    if (error.keyword === 'additionalProperties') {
+        return `${describePath(schema, error.instancePath)} has an unknown field "${error.params.additionalProperty}"`;
+    }
+    return `${describePath(schema, error.instancePath)} ${error.message}`;
+}
+
+// Gross removals over the baseline, less leakage, less the share held back
+// in the buffer pool against reversals
+function calculateNetCredits(report) {
+    const gross = Math.max(0, report.projectCarbonStock.biomassTco2e + report.projectCarbonStock.soilTco2e
+        - report.baseline.carbonStockTco2e);
+    const leakage = gross * report.leakage.deductionPercent / 100;
+    const buffer = (gross - leakage) * report.bufferPool.contributionPercent / 100;
+
+    return {
+        grossRemovalsTco2e: roundTco2e(gross),
+        leakageTco2e: roundTco2e(leakage),
+        bufferTco2e: roundTco2e(buffer),
+        netCredits: roundTco2e(gross - leakage - buffer)
+    };
+}
+
+function duplicateKeys(items, key) {
+    const seen = new Set();
+    return items.map(item => item[key]).filter(value => seen.has(value) || !seen.add(value));
+}
+
+// Validate a report against the schema version it names (the current one
+// if it names none) and fill in the derived survival rate and net credits
+function validateReport(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ValidationError('Invalid MRV report', ['The MRV report must be an object']);
+    }
+
+    const version = input.schemaVersion ?? CURRENT_VERSION;
+    const validate = validators[version];
+    if (!validate) {
+        throw new ValidationError('Invalid MRV report', [`Unknown MRV schema version ${version}`]);
+    }
+
+    const report = { ...input, schemaVersion: version };
+    if (!validate(report)) {
+        throw new ValidationError('Invalid MRV report', validate.errors.map(error => describeError(SCHEMAS[version], error)));
+    }
+
+    const errors = [];
+    if (report.monitoringPeriod.end < report.monitoringPeriod.start) {
+        errors.push('Monitoring Period › End must not be before its start');
+    }
+    if (report.survival.surviving > report.survival.planted) {
+        errors.push('Survival › Surviving cannot exceed the number planted');
+    }
+    duplicateKeys(report.biomassPlots, 'plotId').forEach(plotId => errors.push(`Biomass plot ${plotId} is listed twice`));
+    duplicateKeys(report.soilCarbonSamples, 'sampleId').forEach(sampleId => errors.push(`Soil sample ${sampleId} is listed twice`));
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid MRV report', errors);
+    }
+
+    const { planted, surviving } = report.survival;
+    return {
+        ...report,
+        survival: { ...report.survival, ratePercent: planted > 0 ? roundTco2e(surviving / planted * 100) : 0 },
+        netCredits: calculateNetCredits(report).netCredits
+    };
+}
+
+// Flatten a report into labelled leaf values. Array items are keyed by
+// their x-key field so plots and samples line up across reports even when
+// their order changes.
+function flattenReport(schema, value, path = '', label = '', fields = new Map()) {
+    if (schema.type === 'object') {
+        for (const [name, child] of Object.entries(schema.properties)) {
+            if (name === 'schemaVersion') continue;
+            const childLabel = label ? `${label} › ${child.title || name}` : child.title || name;
+            flattenReport(child, value?.[name], path ? `${path}.${name}` : name, childLabel, fields);
+        }
+    } else if (schema.type === 'array') {
+        (value || []).forEach((item, index) => {
+            const key = schema['x-key'] ? item[schema['x-key']] : index + 1;
+            flattenReport(schema.items, item, `${path}[${key}]`, `${label} ${key}`, fields);
+        });
+    } else if (value !== undefined) {
+        fields.set(path, { label, value, unit: schema['x-unit'] || null });
+    }
+    return fields;
+}
+
+// Field-by-field differences between two reports, possibly written against
+// different schema versions
+function diffReports(previous, current) {
+    const before = flattenReport(getSchema(previous.schemaVersion), previous);
+    const after = flattenReport(getSchema(current.schemaVersion), current);
+
+    return [...new Set([...after.keys(), ...before.keys()])]
+        .map(path => {
+            const old = before.get(path);
+            const now = after.get(path);
+            const field = now || old;
+            const change = !old ? 'added' : !now ? 'removed' : old.value === now.value ? 'unchanged' : 'changed';
+            return {
+                path,
+                label: field.label,
+                unit: field.unit,
+                before: old ? old.value : null,
+                after: now ? now.value : null,
+                delta: change === 'changed' && typeof old.value === 'number' && typeof now.value === 'number'
+                    ? roundTco2e(now.value - old.value)
+                    : null,
+                change
+            };
+        })
+        .filter(field => field.change !== 'unchanged');
+}
+
+module.exports = {
+    CURRENT_VERSION,
+    getSchema,
+    calculateNetCredits,
+    validateReport,
+    diffReports
+};
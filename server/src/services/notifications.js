@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// Icons rendered in front of the message by updateNotifications()
+const NOTIFICATION_ICONS = {
+    success: '✓',
+    warning: '⚠️',
+    info: '📊'
+};
+
+function toNotification(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        icon: NOTIFICATION_ICONS[row.type] || NOTIFICATION_ICONS.info,
+        message: row.message,
+        link: row.link,
+        read: !!row.read_at,
+        timestamp: row.created_at
+    };
+}
+
+async function listNotifications(userId, { limit = 20 } = {}) {
+    const { rows } = await db.query(
+        `SELECT id, type, message, link, read_at, created_at
+           FROM notifications
+          WHERE user_id = $1
+          ORDER BY created_at DESC
+          LIMIT $2`,
+        [userId, limit]
+    );
+    return rows.map(toNotification);
+}
+
+// `client` lets callers create the notification inside their own transaction
+async function createNotification({ userId, type = 'info', message, link = null }, client = db) {
+    const { rows } = await client.query(
+        `INSERT INTO notifications (id, user_id, type, message, link, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         RETURNING id, type, message, link, read_at, created_at`,
+        [crypto.randomUUID(), userId, type, message, link]
+    );
+    return toNotification(rows[0]);
+}
+
+async function markAllRead(userId) {
+    await db.query(
+        'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+        [userId]
+    );
+}
+
+module.exports = {
+    listNotifications,
+    createNotification,
+    markAllRead
+};
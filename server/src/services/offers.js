@@ -0,0 +1,392 @@
+const db = require('../db');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { toNumber, roundCurrency } = require('../utils/format');
+const { purchaseError, createPendingOrder, payOrder } = require('./checkout');
+const { createNotification } = require('./notifications');
+
+// Each offer or counter gives the other side this long to respond
+const OFFER_TTL_DAYS = 3;
+
+const OPEN_STATUSES = ['awaiting_seller', 'awaiting_buyer'];
+
+const OFFER_SELECT = `
+    SELECT o.id, o.listing_id, o.buyer_id, o.seller_id, o.quantity, o.price_per_credit, o.status,
+           o.expires_at, o.order_id, o.created_at, o.updated_at,
+           l.price_per_credit AS list_price, l.total_credits AS available,
+           p.id AS project_id, p.title,
+           COALESCE(bc.company_name, bu.email, bu.phone) AS buyer_name,
+           COALESCE(sf.full_name, sn.organization_name) AS seller_name,
+           ord.status AS order_status
+      FROM offers o
+      JOIN marketplace_listings l ON l.id = o.listing_id
+      JOIN carbon_credits c ON c.id = l.credit_id
+      JOIN projects p ON p.id = c.project_id
+      JOIN users bu ON bu.id = o.buyer_id
+      LEFT JOIN companies bc ON bc.user_id = o.buyer_id
+      LEFT JOIN farmers sf ON sf.user_id = o.seller_id
+      LEFT JOIN ngos sn ON sn.user_id = o.seller_id
+      LEFT JOIN orders ord ON ord.id = o.order_id`;
+
+function parsePrice(value) {
+    const price = roundCurrency(Number(value));
+    if (!Number.isFinite(price) || price <= 0) {
+        throw new ValidationError('Invalid offer', ['Price per credit must be a positive amount']);
+    }
+    return price;
+}
+
+function parseQuantity(value) {
+    const quantity = Number(value);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new ValidationError('Invalid offer', ['Quantity must be a whole, positive number of credits']);
+    }
+    return quantity;
+}
+
+function partyOf(offer, userId) {
+    if (offer.buyer_id === userId) return 'buyer';
+    if (offer.seller_id === userId) return 'seller';
+    return null;
+}
+
+function toOffer(row, userId, events = null) {
+    const role = partyOf(row, userId);
+    // expireOffers() closes lapsed offers on a timer; until it runs they read
+    // as expired
+    const status = OPEN_STATUSES.includes(row.status) && new Date(row.expires_at) <= new Date() ? 'expired' : row.status;
+    const awaiting = status === 'awaiting_seller' ? 'seller'
+        : status === 'awaiting_buyer' ? 'buyer' : null;
+
+    const offer = {
+        id: row.id,
+        listingId: row.listing_id,
+        projectId: row.project_id,
+        projectName: row.title,
+        buyerName: row.buyer_name,
+        sellerName: row.seller_name,
+        role,
+        quantity: row.quantity,
+        pricePerCredit: toNumber(row.price_per_credit),
+        listPrice: toNumber(row.list_price),
+        totalAmount: roundCurrency(row.quantity * toNumber(row.price_per_credit)),
+        status,
+        awaiting,
+        yourTurn: !!role && awaiting === role,
+        expiresAt: row.expires_at,
+        orderId: row.order_id,
+        orderStatus: row.order_status,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+
+    if (events) {
+        offer.history = events.map(event => ({
+            action: event.action,
+            by: event.actor_id === null ? 'system' : partyOf(row, event.actor_id),
+            pricePerCredit: event.price_per_credit === null ? null : toNumber(event.price_per_credit),
+            quantity: event.quantity,
+            note: event.note,
+            createdAt: event.created_at
+        }));
+    }
+
+    return offer;
+}
+
+async function recordEvent(client, offerId, actorId, action, { price = null, quantity = null, note = null } = {}) {
+    await client.query(
+        `INSERT INTO offer_events (offer_id, actor_id, action, price_per_credit, quantity, note)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [offerId, actorId, action, price, quantity, note]
+    );
+}
+
+// Close offers nobody answered in time and tell both sides
+async function expireOffers() {
+    await db.transaction(async (client) => {
+        const { rows } = await client.query(
+            `UPDATE offers o SET status = 'expired', updated_at = NOW()
+               FROM marketplace_listings l
+               JOIN carbon_credits c ON c.id = l.credit_id
+               JOIN projects p ON p.id = c.project_id
+              WHERE l.id = o.listing_id
+                AND o.status = ANY($1::offer_status[])
+                AND o.expires_at <= NOW()
+          RETURNING o.id, o.buyer_id, o.seller_id, p.title`,
+            [OPEN_STATUSES]
+        );
+
+        for (const offer of rows) {
+            await recordEvent(client, offer.id, null, 'expire');
+            for (const userId of [offer.buyer_id, offer.seller_id]) {
+                await createNotification({
+                    userId,
+                    type: 'info',
+                    message: `Offer on ${offer.title} expired without a response`
+                }, client);
+            }
+        }
+    });
+}
+
+// Offers from the company dashboard name a project; they go to the seller of
+// its cheapest fixed-price listing
+async function createOffer(user, { projectId, listingId, offerPrice, quantity }) {
+    const price = parsePrice(offerPrice);
+    const credits = parseQuantity(quantity);
+
+    if (!projectId && !listingId) {
+        throw new ValidationError('Invalid offer', ['An offer needs a project or listing']);
+    }
+
+    const offerId = await db.transaction(async (client) => {
+        const { rows: [listing] } = await client.query(
+            `SELECT l.id, l.seller_id, l.price_per_credit, l.total_credits, l.status, l.listing_type,
+                    l.expiry_date, p.title, v.status AS verification_status
+               FROM marketplace_listings l
+               JOIN carbon_credits c ON c.id = l.credit_id
+               JOIN projects p ON p.id = c.project_id
+               LEFT JOIN verifications v ON v.id = c.verification_id
+              WHERE ${listingId ? 'l.id = $1' : 'c.project_id = $1'}
+                AND l.status = 'active' AND l.listing_type = 'fixed' AND l.total_credits > 0
+              ORDER BY l.price_per_credit
+              LIMIT 1`,
+            [listingId || projectId]
+        );
+
+        if (!listing) {
+            throw new NotFoundError('This project has no credits listed for sale');
+        }
+
+        const error = purchaseError(listing, credits, user.id);
+        if (error) {
+            throw new ConflictError(error);
+        }
+
+        const { rows: [offer] } = await client.query(
+            `INSERT INTO offers (listing_id, buyer_id, seller_id, quantity, price_per_credit, status, expires_at)
+             VALUES ($1, $2, $3, $4, $5, 'awaiting_seller', NOW() + make_interval(days => $6))
+             RETURNING id`,
+            [listing.id, user.id, listing.seller_id, credits, price, OFFER_TTL_DAYS]
+        );
+        await recordEvent(client, offer.id, user.id, 'offer', { price, quantity: credits });
+        await createNotification({
+            userId: listing.seller_id,
+            type: 'info',
+            message: `New offer of ₹${price}/credit for ${credits} credits on ${listing.title} (listed at ₹${toNumber(listing.price_per_credit)})`
+        }, client);
+
+        return offer.id;
+    });
+
+    return getOffer(user, offerId);
+}
+
+async function listOffers(user) {
+    const { rows } = await db.query(
+        `${OFFER_SELECT}
+          WHERE o.buyer_id = $1 OR o.seller_id = $1
+          ORDER BY (o.status IN ('awaiting_seller', 'awaiting_buyer')) DESC, o.updated_at DESC`,
+        [user.id]
+    );
+    return rows.map(row => toOffer(row, user.id));
+}
+
+async function getOffer(user, offerId) {
+    const { rows: [row] } = await db.query(`${OFFER_SELECT} WHERE o.id = $1`, [offerId]);
+    if (!row) {
+        throw new NotFoundError('Offer not found');
+    }
+    if (!partyOf(row, user.id) && user.userType !== 'admin') {
+        throw new ForbiddenError('You do not have access to this offer');
+    }
+
+    const { rows: events } = await db.query(
+        'SELECT actor_id, action, price_per_credit, quantity, note, created_at FROM offer_events WHERE offer_id = $1 ORDER BY created_at, id',
+        [offerId]
+    );
+    return toOffer(row, user.id, events);
+}
+
+// Lock an open offer for a response from `user`, checking it is their turn
+async function lockOpenOffer(client, user, offerId) {
+    const { rows: [offer] } = await client.query(
+        `SELECT o.*, p.title
+           FROM offers o
+           JOIN marketplace_listings l ON l.id = o.listing_id
+           JOIN carbon_credits c ON c.id = l.credit_id
+           JOIN projects p ON p.id = c.project_id
+          WHERE o.id = $1
+            FOR UPDATE OF o`,
+        [offerId]
+    );
+
+    if (!offer) {
+        throw new NotFoundError('Offer not found');
+    }
+
+    const role = partyOf(offer, user.id);
+    if (!role) {
+        throw new ForbiddenError('You do not have access to this offer');
+    }
+    if (!OPEN_STATUSES.includes(offer.status) || new Date(offer.expires_at) <= new Date()) {
+        throw new ConflictError('This offer is no longer open');
+    }
+
+    return { offer, role, counterparty: role === 'buyer' ? offer.seller_id : offer.buyer_id };
+}
+
+function assertTurn(offer, role) {
+    if (offer.status !== `awaiting_${role}`) {
+        throw new ConflictError('Waiting for the other party to respond');
+    }
+}
+
+async function counterOffer(user, offerId, { offerPrice, quantity, note }) {
+    const price = parsePrice(offerPrice);
+
+    await db.transaction(async (client) => {
+        const { offer, role, counterparty } = await lockOpenOffer(client, user, offerId);
+        assertTurn(offer, role);
+
+        const credits = quantity === undefined ? offer.quantity : parseQuantity(quantity);
+        await client.query(
+            `UPDATE offers
+                SET price_per_credit = $2, quantity = $3, status = $4,
+                    expires_at = NOW() + make_interval(days => $5), updated_at = NOW()
+              WHERE id = $1`,
+            [offerId, price, credits, role === 'seller' ? 'awaiting_buyer' : 'awaiting_seller', OFFER_TTL_DAYS]
+        );
+        await recordEvent(client, offerId, user.id, 'counter', { price, quantity: credits, note: note || null });
+        await createNotification({
+            userId: counterparty,
+            type: 'info',
+            message: `Counter-offer on ${offer.title}: ₹${price}/credit for ${credits} credits`
+        }, client);
+    });
+
+    return getOffer(user, offerId);
+}
+
+async function rejectOffer(user, offerId, { note } = {}) {
+    await db.transaction(async (client) => {
+        const { offer, role, counterparty } = await lockOpenOffer(client, user, offerId);
+
+        // The buyer can pull out at any point; otherwise only the side being
+        // asked can turn the terms down
+        const action = role === 'buyer' && offer.status === 'awaiting_seller' ? 'withdraw' : 'reject';
+        if (action === 'reject') assertTurn(offer, role);
+
+        await client.query(
+            'UPDATE offers SET status = $2, updated_at = NOW() WHERE id = $1',
+            [offerId, action === 'withdraw' ? 'withdrawn' : 'rejected']
+        );
+        await recordEvent(client, offerId, user.id, action, { note: note || null });
+        await createNotification({
+            userId: counterparty,
+            type: 'warning',
+            message: action === 'withdraw'
+                ? `Offer on ${offer.title} was withdrawn`
+                : `Offer on ${offer.title} was declined`
+        }, client);
+    });
+
+    return getOffer(user, offerId);
+}
+
+// Accepting locks in the current terms: the credits are taken off the
+// listing and the buyer is charged at the agreed price
+async function acceptOffer(user, offerId) {
+    const accepted = await db.transaction(async (client) => {
+        const { offer, role } = await lockOpenOffer(client, user, offerId);
+        assertTurn(offer, role);
+
+        const { rows: [listing] } = await client.query(
+            `SELECT l.id, l.seller_id, l.price_per_credit, l.total_credits, l.status, l.listing_type,
+                    l.expiry_date, p.title, v.status AS verification_status
+               FROM marketplace_listings l
+               JOIN carbon_credits c ON c.id = l.credit_id
+               JOIN projects p ON p.id = c.project_id
+               LEFT JOIN verifications v ON v.id = c.verification_id
+              WHERE l.id = $1
+                FOR UPDATE OF l`,
+            [offer.listing_id]
+        );
+
+        const error = purchaseError(listing, offer.quantity, offer.buyer_id);
+        if (error) {
+            throw new ConflictError(error);
+        }
+
+        const order = await createPendingOrder(client, offer.buyer_id, [{
+            listingId: offer.listing_id,
+            quantity: offer.quantity,
+            pricePerCredit: toNumber(offer.price_per_credit)
+        }]);
+
+        await client.query(
+            "UPDATE offers SET status = 'accepted', order_id = $2, updated_at = NOW() WHERE id = $1",
+            [offerId, order.orderId]
+        );
+        await recordEvent(client, offerId, user.id, 'accept', {
+            price: offer.price_per_credit,
+            quantity: offer.quantity
+        });
+
+        return { ...order, offer };
+    });
+
+    const { offer } = accepted;
+    try {
+        await payOrder({ ...accepted, buyerId: offer.buyer_id });
+        await createNotification({
+            userId: offer.buyer_id,
+            type: 'success',
+            message: `Offer accepted: ${offer.quantity} credits of ${offer.title} at ₹${toNumber(offer.price_per_credit)}/credit`
+        });
+    } catch (error) {
+        // A declined payment has released the credits (see payOrder). Any
+        // other failure came after the buyer paid and the order is settled
+        // later, so the offer stays accepted.
+        if (error.code === 'PAYMENT_FAILED') {
+            await reopenOffer(offer, error.message);
+        }
+        throw error;
+    }
+
+    return getOffer(user, offerId);
+}
+
+// Hands an accepted offer whose payment failed back to the buyer on the same
+// terms: accepting again retries the payment, or they can counter or withdraw
+async function reopenOffer(offer, reason) {
+    await db.transaction(async (client) => {
+        await client.query(
+            `UPDATE offers SET status = 'awaiting_buyer', expires_at = NOW() + make_interval(days => $2), updated_at = NOW()
+              WHERE id = $1 AND status = 'accepted'`,
+            [offer.id, OFFER_TTL_DAYS]
+        );
+        await recordEvent(client, offer.id, null, 'payment_failed', { note: reason });
+
+        await createNotification({
+            userId: offer.buyer_id,
+            type: 'warning',
+            message: `The payment for your offer on ${offer.title} did not go through. Accept the offer again to retry.`
+        }, client);
+        await createNotification({
+            userId: offer.seller_id,
+            type: 'warning',
+            message: `The buyer's payment for the offer on ${offer.title} did not go through; the offer is open again`
+        }, client);
+    });
+}
+
+module.exports = {
+    expireOffers,
+    createOffer,
+    listOffers,
+    getOffer,
+    counterOffer,
+    rejectOffer,
+    acceptOffer
+};
@@ -0,0 +1,188 @@
+const sharp = require('sharp');
+const db = require('../db');
+const config = require('../config');
+const { ValidationError } = require('../errors');
+const { readExif } = require('../utils/exif');
+
+// Geotagged photo evidence. Each project photo is read when it is uploaded:
+// EXIF GPS position and capture time, and a perceptual hash that stays
+// (nearly) the same when a picture is resized, recompressed or lightly
+// edited. The report checks every photo of a project against the project
+// location and start date, and against every other photo on the platform.
+
+// Hashes this many bits apart or fewer are treated as the same picture
+const DUPLICATE_MAX_DISTANCE = 6;
+// Allowance for camera clocks that are a little ahead
+const CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+const EARTH_RADIUS_M = 6371008.8;
+
+// dHash: shrink to 9x8 greyscale and record whether each pixel is brighter
+// than its right-hand neighbour
+async function perceptualHash(buffer) {
+    const pixels = await sharp(buffer).rotate().removeAlpha().greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+        for (let column = 0; column < 8; column++) {
+            hash = (hash << 1n) | (pixels[row * 9 + column] > pixels[row * 9 + column + 1] ? 1n : 0n);
+        }
+    }
+    // perceptual_hash is a signed BIGINT
+    return BigInt.asIntN(64, hash).toString();
+}
+
+// Returns { latitude, longitude, takenAt, camera, perceptualHash }
+async function readPhotoEvidence(buffer) {
+    try {
+        const { exif } = await sharp(buffer).metadata();
+        return { ...readExif(exif), perceptualHash: await perceptualHash(buffer) };
+    } catch (error) {
+        throw new ValidationError('Invalid upload', ['The photo could not be read as an image']);
+    }
+}
+
+async function savePhotoEvidence(client, documentId, evidence) {
+    await client.query(
+        `INSERT INTO photo_evidence (document_id, latitude, longitude, taken_at, camera, perceptual_hash)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [documentId, evidence.latitude, evidence.longitude, evidence.takenAt, evidence.camera, evidence.perceptualHash]
+    );
+}
+
+// Great-circle distance in metres
+function distanceMetres(from, to) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(to.latitude - from.latitude);
+    const dLon = radians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+function formatDistance(metres) {
+    return metres >= 1000 ? `${(metres / 1000).toFixed(1)} km` : `${Math.round(metres)} m`;
+}
+
+function checkLocation(photo, allowedRadius) {
+    if (!photo.analysed) {
+        return { check: 'location', passed: false, message: 'The photo has not been analysed; ask for it to be uploaded again' };
+    }
+    if (photo.latitude === null) {
+        return { check: 'location', passed: false, message: 'The photo has no GPS location in its EXIF data' };
+    }
+    if (allowedRadius === null) {
+        return { check: 'location', passed: false, message: 'The project has no recorded location to compare with' };
+    }
+    const distance = photo.distanceMetres;
+    return distance <= allowedRadius
+        ? { check: 'location', passed: true, message: `Taken ${formatDistance(distance)} from the project location` }
+        : {
+            check: 'location',
+            passed: false,
+            message: `Taken ${formatDistance(distance)} from the project location (allowed ${formatDistance(allowedRadius)})`
+        };
+}
+
+function checkTimestamp(photo, project) {
+    if (!photo.takenAt) {
+        return { check: 'timestamp', passed: false, message: 'The photo has no capture time in its EXIF data' };
+    }
+    if (photo.takenAt - photo.uploadedAt > CLOCK_SKEW_MS) {
+        return { check: 'timestamp', passed: false, message: 'Taken after it was uploaded; the camera clock may be wrong' };
+    }
+    if (project.startDate && photo.takenAt < new Date(project.startDate)) {
+        return { check: 'timestamp', passed: false, message: 'Taken before the project started' };
+    }
+    return { check: 'timestamp', passed: true, message: 'Taken while the project was running' };
+}
+
+function checkDuplicates(photo) {
+    if (!photo.analysed) {
+        return { check: 'duplicate', passed: false, message: 'The photo has not been analysed; ask for it to be uploaded again' };
+    }
+    if (photo.matches.length === 0) {
+        return { check: 'duplicate', passed: true, message: 'No similar photos found' };
+    }
+    const elsewhere = photo.matches.filter(match => !match.sameProject).length;
+    return {
+        check: 'duplicate',
+        passed: false,
+        message: elsewhere > 0
+            ? `Matches ${elsewhere} photo${elsewhere > 1 ? 's' : ''} uploaded for other projects`
+            : `Matches ${photo.matches.length} other photo${photo.matches.length > 1 ? 's' : ''} of this project`
+    };
+}
+
+// project: { id, latitude, longitude, areaHectares, startDate }
+async function getProjectPhotoReport(project) {
+    const { rows } = await db.query(
+        `SELECT d.id, d.file_name, d.uploaded_at, d.verification_status, pe.document_id IS NOT NULL AS analysed,
+                pe.latitude, pe.longitude, pe.taken_at, pe.camera
+           FROM documents d
+           LEFT JOIN photo_evidence pe ON pe.document_id = d.id
+          WHERE d.project_id = $1 AND d.document_type = 'project_photo'
+          ORDER BY d.uploaded_at`,
+        [project.id]
+    );
+    const { rows: matches } = await db.query(
+        `SELECT a.document_id, b.document_id AS match_id, d.file_name, d.project_id, p.title AS project_title,
+                bit_count((a.perceptual_hash # b.perceptual_hash)::bit(64))::int AS distance
+           FROM photo_evidence a
+           JOIN photo_evidence b ON b.document_id <> a.document_id
+                AND bit_count((a.perceptual_hash # b.perceptual_hash)::bit(64)) <= $2
+           JOIN documents d ON d.id = b.document_id
+           LEFT JOIN projects p ON p.id = d.project_id
+          WHERE a.document_id = ANY($1::uuid[])
+          ORDER BY distance, d.uploaded_at`,
+        [rows.map(row => row.id), DUPLICATE_MAX_DISTANCE]
+    );
+
+    const hasLocation = project.latitude !== null && project.longitude !== null;
+    // A circle with the project's area around its recorded point, plus the tolerance
+    const allowedRadius = hasLocation
+        ? Math.sqrt(project.areaHectares * 10000 / Math.PI) + config.photoLocationToleranceM
+        : null;
+
+    const photos = rows.map((row) => {
+        const photo = {
+            documentId: row.id,
+            fileName: row.file_name,
+            uploadedAt: row.uploaded_at,
+            verificationStatus: row.verification_status,
+            analysed: row.analysed,
+            latitude: row.latitude === null ? null : Number(row.latitude),
+            longitude: row.longitude === null ? null : Number(row.longitude),
+            takenAt: row.taken_at,
+            camera: row.camera,
+            distanceMetres: null,
+            matches: matches.filter(match => match.document_id === row.id).map(match => ({
+                documentId: match.match_id,
+                fileName: match.file_name,
+                projectId: match.project_id,
+                projectName: match.project_title,
+                sameProject: match.project_id === project.id,
+                hammingDistance: match.distance
+            }))
+        };
+        if (hasLocation && photo.latitude !== null) {
+            photo.distanceMetres = Math.round(distanceMetres(project, photo));
+        }
+
+        photo.checks = [checkLocation(photo, allowedRadius), checkTimestamp(photo, project), checkDuplicates(photo)];
+        photo.passed = photo.checks.every(check => check.passed);
+        return photo;
+    });
+
+    const passed = photos.filter(photo => photo.passed).length;
+    return {
+        projectId: project.id,
+        allowedRadiusMetres: allowedRadius === null ? null : Math.round(allowedRadius),
+        summary: { total: photos.length, passed, failed: photos.length - passed },
+        photos
+    };
+}
+
+module.exports = {
+    readPhotoEvidence,
+    savePhotoEvidence,
+    getProjectPhotoReport
+};
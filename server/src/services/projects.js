@@ -0,0 +1,370 @@
+const db = require('../db');
+const config = require('../config');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { toNumber, formatLocation } = require('../utils/format');
+const { areaHectares, boundingBox, centroid, ringArea, ringSelfIntersects, pointInRing, signedPlanarArea, roundCoordinate } = require('../utils/geo');
+const { BoundaryFileError, readBoundaryFile, readGeoJson } = require('../utils/boundaryFiles');
+const { isBlockingOverlap, findBoundaryOverlaps, checkProjectConflicts, listProjectConflicts } = require('./conflicts');
+const { getLatestEstimate } = require('./methodology');
+
+// Projects are owned by a farmer or an NGO; these resolve the owning user
+const PROJECT_OWNER_JOIN = `
+      LEFT JOIN farmers f ON f.id = p.farmer_id
+      LEFT JOIN ngos n ON n.id = p.ngo_id`;
+const PROJECT_OWNER_USER = 'COALESCE(f.user_id, n.user_id)';
+
+// Shared SELECT for project rows: credits issued so far and the status of the
+// most recent verification, which drives the status badge in script.js
+const PROJECT_SELECT = `
+    SELECT p.id, p.farmer_id, p.ngo_id, p.title, p.description, p.project_type, p.area_hectares,
+           p.location, p.latitude, p.longitude, p.impacts, p.status, p.start_date, p.estimated_completion,
+           p.boundary, p.boundary_area_hectares, p.boundary_source, p.boundary_updated_at,
+           ${PROJECT_OWNER_USER} AS owner_user_id,
+           COALESCE(f.full_name, n.organization_name) AS developer,
+           COALESCE(c.credits, 0) AS credits,
+           v.status AS verification_status
+      FROM projects p${PROJECT_OWNER_JOIN}
+      LEFT JOIN LATERAL (
+            SELECT SUM(credit_amount) AS credits
+              FROM carbon_credits
+             WHERE project_id = p.id AND status <> 'cancelled'
+      ) c ON true
+      LEFT JOIN LATERAL (
+            SELECT status
+              FROM verifications
+             WHERE project_id = p.id
+             ORDER BY submitted_at DESC NULLS LAST
+             LIMIT 1
+      ) v ON true`;
+
+// Collapse projects.status and the latest verification into the statuses
+// getStatusBadge() understands
+function displayStatus(row) {
+    if (row.status === 'completed') return 'completed';
+    if (row.verification_status === 'approved') return 'verified';
+    if (row.verification_status === 'rejected') return 'rejected';
+    if (row.verification_status === 'info_requested') return 'information_requested';
+    if (row.verification_status === 'pending' || row.verification_status === 'in_progress') {
+        return 'under_verification';
+    }
+    return row.status;
+}
+
+// Fraction of the planned project timeline that has elapsed
+function projectProgress(row) {
+    if (row.status === 'completed') return 1;
+    if (!row.start_date || !row.estimated_completion) return 0;
+
+    const start = new Date(row.start_date).getTime();
+    const end = new Date(row.estimated_completion).getTime();
+    if (end <= start) return 0;
+
+    return Math.min(1, Math.max(0, (Date.now() - start) / (end - start)));
+}
+
+function toProjectSummary(row) {
+    return {
+        id: row.id,
+        name: row.title,
+        location: formatLocation(row.location),
+        type: row.project_type,
+        area: toNumber(row.area_hectares),
+        status: displayStatus(row),
+        credits: toNumber(row.credits),
+        progress: projectProgress(row)
+    };
+}
+
+async function listProjectsForUser(user) {
+    const { rows } = await db.query(
+        `${PROJECT_SELECT}
+          WHERE ${PROJECT_OWNER_USER} = $1
+          ORDER BY p.start_date DESC NULLS LAST, p.title`,
+        [user.id]
+    );
+    return rows.map(toProjectSummary);
+}
+
+// The owner, administrators, and verifiers with a case on the project that
+// is assigned to them or still open for any verifier, as verifications.js
+// lets them see the case itself
+async function canViewProject(user, row) {
+    if (row.owner_user_id === user.id || user.userType === 'admin') return true;
+    if (user.userType !== 'verifier') return false;
+
+    const { rows } = await db.query(
+        `SELECT 1 FROM verifications
+          WHERE project_id = $1 AND (verifier_id = $2 OR verifier_id IS NULL)
+          LIMIT 1`,
+        [row.id, user.id]
+    );
+    return rows.length > 0;
+}
+
+async function getProject(user, projectId) {
+    const { rows } = await db.query(`${PROJECT_SELECT} WHERE p.id = $1`, [projectId]);
+    const row = rows[0];
+
+    if (!row) {
+        throw new NotFoundError('Project not found');
+    }
+    if (!(await canViewProject(user, row))) {
+        throw new ForbiddenError('You do not have access to this project');
+    }
+
+    return {
+        ...toProjectSummary(row),
+        description: row.description,
+        developer: row.developer,
+        impacts: row.impacts,
+        projectStatus: row.status,
+        locationDetails: row.location,
+        latitude: row.latitude === null ? null : Number(row.latitude),
+        longitude: row.longitude === null ? null : Number(row.longitude),
+        startDate: row.start_date,
+        estimatedCompletion: row.estimated_completion,
+        boundary: toBoundary(row),
+        areaCheck: toAreaCheck(row),
+        estimate: await getLatestEstimate(row.id),
+        conflicts: await listProjectConflicts(row.id)
+    };
+}
+
+// Boundaries
+
+const MAX_BOUNDARY_BYTES = 10 * 1024 * 1024;
+const MAX_BOUNDARY_VERTICES = 20000;
+// Smallest ring area (square metres) that is not a slip of the mouse
+const MIN_RING_AREA_M2 = 1;
+
+function toBoundary(row) {
+    if (!row.boundary) return null;
+    return {
+        geometry: row.boundary,
+        areaHectares: toNumber(row.boundary_area_hectares),
+        source: row.boundary_source,
+        updatedAt: row.boundary_updated_at
+    };
+}
+
+// The declared area against the area measured from the boundary
+function toAreaCheck(row) {
+    if (!row.boundary) return null;
+    const declared = toNumber(row.area_hectares);
+    const measured = toNumber(row.boundary_area_hectares);
+    const differencePercent = Math.round((measured - declared) / declared * 1000) / 10;
+    return {
+        declaredHectares: declared,
+        boundaryHectares: measured,
+        differencePercent,
+        tolerancePercent: config.boundaryAreaTolerancePercent,
+        withinTolerance: Math.abs(differencePercent) <= config.boundaryAreaTolerancePercent
+    };
+}
+
+// Rounded [longitude, latitude] positions with repeats dropped and the ring
+// closed; null if any position is not a longitude/latitude pair
+function cleanRing(ring) {
+    if (!Array.isArray(ring)) return null;
+
+    const positions = [];
+    for (const position of ring) {
+        const [longitude, latitude] = Array.isArray(position) ? position : [];
+        if (typeof longitude !== 'number' || typeof latitude !== 'number'
+            || !(Math.abs(longitude) <= 180) || !(Math.abs(latitude) <= 90)) {
+            return null;
+        }
+        const point = [roundCoordinate(longitude), roundCoordinate(latitude)];
+        const last = positions[positions.length - 1];
+        if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+            positions.push(point);
+        }
+    }
+    const [first] = positions;
+    const last = positions[positions.length - 1];
+    if (positions.length > 1 && (first[0] !== last[0] || first[1] !== last[1])) {
+        positions.push([...first]);
+    }
+    return positions;
+}
+
+// Checks every ring and returns a GeoJSON Polygon or MultiPolygon with outer
+// rings anticlockwise and holes clockwise, as RFC 7946 asks
+function buildBoundary(polygons) {
+    if (!Array.isArray(polygons) || polygons.length === 0) {
+        throw new ValidationError('Invalid boundary', ['No polygons were found; the boundary must be a closed shape']);
+    }
+
+    const errors = [];
+    let vertexCount = 0;
+    const cleaned = polygons.map((rings, polygonIndex) => {
+        const name = polygons.length > 1 ? `Polygon ${polygonIndex + 1}` : 'The boundary';
+        if (!Array.isArray(rings) || rings.length === 0) {
+            errors.push(`${name} has no outline`);
+            return [];
+        }
+
+        let outline = null;
+        return rings.map((ring, ringIndex) => {
+            const ringName = ringIndex === 0 ? name : `${name}, hole ${ringIndex}`;
+            const positions = cleanRing(ring);
+            if (!positions) {
+                errors.push(`${ringName} has positions that are not longitude/latitude; export it in WGS 84 (EPSG:4326)`);
+                return [];
+            }
+            vertexCount += positions.length;
+            if (positions.length < 4) {
+                errors.push(`${ringName} needs at least three distinct points`);
+            } else if (ringSelfIntersects(positions)) {
+                errors.push(`${ringName} crosses itself`);
+            } else if (ringArea(positions) < MIN_RING_AREA_M2) {
+                errors.push(`${ringName} has no area`);
+            } else if (ringIndex > 0 && outline && !pointInRing(positions[0], outline)) {
+                errors.push(`${ringName} lies outside the outline`);
+            }
+            if (ringIndex === 0) outline = positions;
+            const anticlockwise = signedPlanarArea(positions) > 0;
+            return anticlockwise === (ringIndex === 0) ? positions : positions.reverse();
+        });
+    });
+
+    if (vertexCount > MAX_BOUNDARY_VERTICES) {
+        errors.push(`The boundary has ${vertexCount} points; simplify it to at most ${MAX_BOUNDARY_VERTICES}`);
+    }
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid boundary', errors);
+    }
+
+    return cleaned.length === 1
+        ? { type: 'Polygon', coordinates: cleaned[0] }
+        : { type: 'MultiPolygon', coordinates: cleaned };
+}
+
+// From an uploaded file (GeoJSON, KML/KMZ or zipped Shapefile) or a GeoJSON
+// geometry drawn on the map. The project's point location moves to the
+// centre of the boundary.
+async function setProjectBoundary(user, projectId, { file, geometry }) {
+    const { rows } = await db.query(`${PROJECT_SELECT} WHERE p.id = $1`, [projectId]);
+    const row = rows[0];
+
+    if (!row) {
+        throw new NotFoundError('Project not found');
+    }
+    if (row.owner_user_id !== user.id && user.userType !== 'admin') {
+        throw new ForbiddenError('Only the project owner can change its boundary');
+    }
+    if (row.verification_status === 'approved' && user.userType !== 'admin') {
+        throw new ConflictError('The boundary of a verified project can only be changed by an administrator');
+    }
+    if (!file && !geometry) {
+        throw new ValidationError('Invalid boundary', ['Upload a boundary file or draw the boundary on the map']);
+    }
+
+    let parsed;
+    try {
+        parsed = file ? readBoundaryFile(file.buffer) : { source: 'drawn', polygons: readGeoJson(geometry) };
+    } catch (error) {
+        if (error instanceof BoundaryFileError) {
+            throw new ValidationError('Invalid boundary', [error.message]);
+        }
+        throw error;
+    }
+
+    const boundary = buildBoundary(parsed.polygons);
+    const hectares = Math.round(areaHectares(boundary) * 100) / 100;
+    if (hectares <= 0) {
+        throw new ValidationError('Invalid boundary', ['The boundary is smaller than 0.01 hectares']);
+    }
+
+    const centre = centroid(boundary);
+    const [west, south, east, north] = boundingBox(boundary);
+    await db.transaction(async (client) => {
+        // Administrators may save over another project, e.g. to correct a
+        // boundary that was registered twice; the overlap is still queued
+        const overlaps = await findBoundaryOverlaps(client, projectId, boundary);
+        const blocking = overlaps.filter(isBlockingOverlap);
+        if (blocking.length > 0 && user.userType !== 'admin') {
+            const [largest] = blocking;
+            throw new ConflictError(
+                `The boundary overlaps ${largest.title} by ${largest.overlapHectares} ha `
+                + `(${Math.max(largest.overlapPercent, largest.otherOverlapPercent)}%). `
+                + 'Check the boundary, or contact the registry if this land is registered to someone else.',
+                { overlaps: blocking }
+            );
+        }
+
+        await client.query(
+            `UPDATE projects
+                SET boundary = $2, boundary_area_hectares = $3, boundary_source = $4, boundary_updated_at = NOW(),
+                    latitude = $5, longitude = $6, boundary_west = $7, boundary_south = $8, boundary_east = $9,
+                    boundary_north = $10, updated_at = NOW()
+              WHERE id = $1`,
+            [projectId, JSON.stringify(boundary), hectares, parsed.source, centre.latitude.toFixed(6), centre.longitude.toFixed(6),
+                west, south, east, north]
+        );
+        await checkProjectConflicts(client, projectId, { overlaps });
+    });
+
+    return getProject(user, projectId);
+}
+
+// Every project that can be placed on a map, with its status and boundary
+async function listProjectMap() {
+    const { rows } = await db.query(
+        `${PROJECT_SELECT}
+          WHERE p.boundary IS NOT NULL OR (p.latitude IS NOT NULL AND p.longitude IS NOT NULL)
+          ORDER BY p.title`
+    );
+    return rows.map(row => ({
+        id: row.id,
+        name: row.title,
+        location: formatLocation(row.location),
+        type: row.project_type,
+        area: toNumber(row.area_hectares),
+        status: displayStatus(row),
+        credits: toNumber(row.credits),
+        developer: row.developer,
+        latitude: row.latitude === null ? null : Number(row.latitude),
+        longitude: row.longitude === null ? null : Number(row.longitude),
+        boundary: row.boundary
+    }));
+}
+
+async function getVerificationHistory(user, projectId) {
+    const project = await getProject(user, projectId);
+
+    const { rows } = await db.query(
+        `SELECT id, verification_type, status, submitted_at, completed_at
+           FROM verifications
+          WHERE project_id = $1
+          ORDER BY submitted_at DESC NULLS LAST`,
+        [projectId]
+    );
+
+    return {
+        projectId: project.id,
+        status: project.status,
+        verifications: rows.map(row => ({
+            id: row.id,
+            type: row.verification_type,
+            status: row.status,
+            submittedAt: row.submitted_at,
+            completedAt: row.completed_at
+        }))
+    };
+}
+
+module.exports = {
+    PROJECT_OWNER_JOIN,
+    PROJECT_OWNER_USER,
+    PROJECT_SELECT,
+    MAX_BOUNDARY_BYTES,
+    displayStatus,
+    toBoundary,
+    toAreaCheck,
+    listProjectsForUser,
+    getProject,
+    setProjectBoundary,
+    listProjectMap,
+    getVerificationHistory
+};
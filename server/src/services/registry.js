@@ -0,0 +1,380 @@
+const config = require('../config');
+const db = require('../db');
+const { NotFoundError, ValidationError } = require('../errors');
+const { toNumber, formatLocation } = require('../utils/format');
+const { formatSerialRange, parseSerial } = require('../utils/serials');
+const { PROJECT_OWNER_JOIN, PROJECT_OWNER_USER } = require('./projects');
+
+// The public registry lists every issued credit batch (credits whose
+// verification was approved) and, for any serial number or on-chain hash,
+// the chain of custody from issuance through sales to retirement.
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const CREDIT_STATUSES = ['generated', 'listed', 'sold', 'retired', 'cancelled'];
+const TX_HASH_PATTERN = /^0x[0-9a-f]{64}$/i;
+const TOKEN_ID_PATTERN = /^\d{1,18}$/;
+
+const BATCH_SELECT = `
+    SELECT c.id, c.batch_number, c.vintage_year, c.credit_amount, c.retired_amount, c.status,
+           c.token_id, c.issuance_tx_hash, c.created_at,
+           p.id AS project_id, p.title, p.project_type, p.location,
+           ${PROJECT_OWNER_USER} AS owner_user_id,
+           COALESCE(f.full_name, n.organization_name) AS developer,
+           v.id AS verification_id, v.verification_type, v.completed_at AS verified_at, v.report_data,
+           vr.full_name AS verifier_name, vr.organization AS verifier_organization
+      FROM carbon_credits c
+      JOIN projects p ON p.id = c.project_id${PROJECT_OWNER_JOIN}
+      JOIN verifications v ON v.id = c.verification_id AND v.status = 'approved'
+      LEFT JOIN verifiers vr ON vr.user_id = v.verifier_id`;
+
+// Account holders as they appear publicly: company, NGO or farmer name
+async function getPartyNames(userIds) {
+    const { rows } = await db.query(
+        `SELECT u.id, COALESCE(co.company_name, n.organization_name, f.full_name, 'Registered account') AS name
+           FROM users u
+           LEFT JOIN companies co ON co.user_id = u.id
+           LEFT JOIN ngos n ON n.user_id = u.id
+           LEFT JOIN farmers f ON f.user_id = u.id
+          WHERE u.id = ANY($1::uuid[])`,
+        [[...new Set(userIds)]]
+    );
+    return new Map(rows.map(row => [row.id, row.name]));
+}
+
+function issuedCredits(row) {
+    return Math.floor(toNumber(row.credit_amount));
+}
+
+function toBatch(row) {
+    const issued = issuedCredits(row);
+    return {
+        id: row.id,
+        batchNumber: row.batch_number,
+        serialRange: formatSerialRange(row.vintage_year, row.batch_number, 1, issued),
+        projectId: row.project_id,
+        projectName: row.title,
+        projectType: row.project_type,
+        location: formatLocation(row.location),
+        developer: row.developer,
+        vintageYear: row.vintage_year,
+        status: row.status,
+        issued,
+        retired: row.retired_amount,
+        tokenId: row.token_id,
+        issuanceTxHash: row.issuance_tx_hash,
+        issuedAt: row.verified_at || row.created_at
+    };
+}
+
+// Current holders of each batch: the developer keeps whatever has not been
+// sold and each buyer holds what they bought less what they retired
+async function getHolders(batchRows) {
+    const creditIds = batchRows.map(row => row.id);
+    const { rows: purchases } = await db.query(
+        `SELECT l.credit_id, t.buyer_id AS user_id, SUM(t.credit_amount) AS credits
+           FROM transactions t
+           JOIN marketplace_listings l ON l.id = t.listing_id
+          WHERE l.credit_id = ANY($1::uuid[]) AND t.status = 'completed'
+          GROUP BY l.credit_id, t.buyer_id`,
+        [creditIds]
+    );
+    const { rows: retirements } = await db.query(
+        `SELECT credit_id, user_id, SUM(quantity) AS credits
+           FROM retirements
+          WHERE credit_id = ANY($1::uuid[])
+          GROUP BY credit_id, user_id`,
+        [creditIds]
+    );
+
+    const names = await getPartyNames([
+        ...batchRows.map(row => row.owner_user_id),
+        ...purchases.map(row => row.user_id)
+    ]);
+    const retiredBy = new Map(retirements.map(row => [`${row.credit_id}:${row.user_id}`, toNumber(row.credits)]));
+
+    return new Map(batchRows.map(batch => {
+        const bought = purchases.filter(row => row.credit_id === batch.id);
+        const sold = bought.reduce((sum, row) => sum + toNumber(row.credits), 0);
+        const holders = [
+            { name: names.get(batch.owner_user_id), role: 'developer', credits: issuedCredits(batch) - sold },
+            ...bought.map(row => ({
+                name: names.get(row.user_id),
+                role: 'buyer',
+                credits: toNumber(row.credits) - (retiredBy.get(`${batch.id}:${row.user_id}`) || 0)
+            }))
+        ];
+        return [batch.id, holders.filter(holder => holder.credits > 0)];
+    }));
+}
+
+function parseBatchFilters(query) {
+    const errors = [];
+    const filters = {
+        search: query.search ? String(query.search).trim() : '',
+        holder: query.holder ? String(query.holder).trim() : '',
+        vintageYear: null,
+        statuses: query.status ? String(query.status).split(',').map(status => status.trim()).filter(Boolean) : [],
+        limit: DEFAULT_PAGE_SIZE,
+        cursor: null
+    };
+
+    if (query.vintage !== undefined && query.vintage !== '') {
+        filters.vintageYear = parseInt(query.vintage, 10);
+        if (!Number.isInteger(filters.vintageYear)) {
+            errors.push('vintage must be a year');
+        }
+    }
+    const unknown = filters.statuses.filter(status => !CREDIT_STATUSES.includes(status));
+    if (unknown.length > 0) {
+        errors.push(`status must be one of: ${CREDIT_STATUSES.join(', ')}`);
+    }
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+        } else {
+            filters.limit = limit;
+        }
+    }
+    // Batches are listed newest first; the cursor is the last batch number seen
+    if (query.cursor !== undefined) {
+        filters.cursor = parseInt(query.cursor, 10);
+        if (!Number.isInteger(filters.cursor)) {
+            errors.push('The pagination cursor is malformed');
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid registry filters', errors);
+    }
+    return filters;
+}
+
+async function listBatches(query) {
+    const filters = parseBatchFilters(query);
+    const conditions = ['TRUE'];
+    const params = [];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    if (filters.search) {
+        conditions.push(`p.title ILIKE ${param(`%${filters.search}%`)}`);
+    }
+    if (filters.vintageYear !== null) {
+        conditions.push(`c.vintage_year = ${param(filters.vintageYear)}`);
+    }
+    if (filters.statuses.length > 0) {
+        conditions.push(`c.status::text = ANY(${param(filters.statuses)}::text[])`);
+    }
+    if (filters.holder) {
+        const pattern = param(`%${filters.holder}%`);
+        conditions.push(`(COALESCE(f.full_name, n.organization_name) ILIKE ${pattern}
+            OR EXISTS (SELECT 1
+                         FROM transactions t
+                         JOIN marketplace_listings hl ON hl.id = t.listing_id
+                         JOIN companies co ON co.user_id = t.buyer_id
+                        WHERE hl.credit_id = c.id AND t.status = 'completed' AND co.company_name ILIKE ${pattern}))`);
+    }
+
+    const { rows: [totals] } = await db.query(
+        `SELECT COUNT(*)::int AS batches,
+                COALESCE(SUM(FLOOR(credit_amount)), 0) AS issued,
+                COALESCE(SUM(retired_amount), 0) AS retired,
+                COUNT(DISTINCT project_id)::int AS projects
+           FROM (${BATCH_SELECT} WHERE ${conditions.join(' AND ')}) batch`,
+        params
+    );
+
+    if (filters.cursor !== null) {
+        conditions.push(`c.batch_number < ${param(filters.cursor)}`);
+    }
+    const { rows } = await db.query(
+        `${BATCH_SELECT}
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY c.batch_number DESC
+          LIMIT ${param(filters.limit + 1)}`,
+        params
+    );
+
+    const hasMore = rows.length > filters.limit;
+    const page = hasMore ? rows.slice(0, filters.limit) : rows;
+    const holders = await getHolders(page);
+
+    return {
+        items: page.map(row => ({ ...toBatch(row), holders: holders.get(row.id) })),
+        total: totals.batches,
+        totals: {
+            batches: totals.batches,
+            projects: totals.projects,
+            issued: toNumber(totals.issued),
+            retired: toNumber(totals.retired)
+        },
+        nextCursor: hasMore ? String(page[page.length - 1].batch_number) : null
+    };
+}
+
+// Issuance, every completed sale and every retirement of a batch, oldest first
+async function getCustody(batch) {
+    const { rows: transfers } = await db.query(
+        `SELECT t.id, t.buyer_id, t.credit_amount, t.blockchain_tx_hash, t.created_at, l.seller_id
+           FROM transactions t
+           JOIN marketplace_listings l ON l.id = t.listing_id
+          WHERE l.credit_id = $1 AND t.status = 'completed'`,
+        [batch.id]
+    );
+    const { rows: retirements } = await db.query(
+        `SELECT id, user_id, quantity, serial_from, serial_to, beneficiary, purpose, burn_tx_hash, created_at
+           FROM retirements
+          WHERE credit_id = $1`,
+        [batch.id]
+    );
+    const names = await getPartyNames([
+        batch.owner_user_id,
+        ...transfers.flatMap(row => [row.buyer_id, row.seller_id]),
+        ...retirements.map(row => row.user_id)
+    ]);
+
+    const events = [
+        {
+            type: 'issuance',
+            id: batch.verification_id,
+            date: batch.verified_at || batch.created_at,
+            credits: issuedCredits(batch),
+            to: names.get(batch.owner_user_id),
+            txHash: batch.issuance_tx_hash,
+            verification: {
+                id: batch.verification_id,
+                type: batch.verification_type,
+                verifier: batch.verifier_name,
+                organization: batch.verifier_organization,
+                verifiedTco2e: batch.report_data?.verifiedTco2e ?? null,
+                completedAt: batch.verified_at
+            }
+        },
+        ...transfers.map(row => ({
+            type: 'transfer',
+            id: row.id,
+            date: row.created_at,
+            credits: toNumber(row.credit_amount),
+            from: names.get(row.seller_id),
+            to: names.get(row.buyer_id),
+            txHash: row.blockchain_tx_hash
+        })),
+        ...retirements.map(row => ({
+            type: 'retirement',
+            id: row.id,
+            date: row.created_at,
+            credits: row.quantity,
+            serialRange: formatSerialRange(batch.vintage_year, batch.batch_number, row.serial_from, row.serial_to),
+            serialFrom: row.serial_from,
+            serialTo: row.serial_to,
+            by: names.get(row.user_id),
+            beneficiary: row.beneficiary,
+            purpose: row.purpose,
+            txHash: row.burn_tx_hash,
+            certificateUrl: `${config.publicApiUrl}/retirements/${row.id}/certificate`
+        }))
+    ];
+
+    return events.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// Which retirements cover a serial range within a batch
+function describeSerialRange(batch, range, custody) {
+    const issued = issuedCredits(batch);
+    if (range.from === null) {
+        return null;
+    }
+    if (range.to > issued) {
+        throw new NotFoundError(`Batch ${formatSerialRange(batch.vintage_year, batch.batch_number, 1, issued)} has only ${issued} credits`);
+    }
+
+    const overlapping = custody.filter(event =>
+        event.type === 'retirement' && event.serialFrom <= range.to && event.serialTo >= range.from);
+    const retiredUnits = overlapping.reduce((sum, event) =>
+        sum + Math.min(event.serialTo, range.to) - Math.max(event.serialFrom, range.from) + 1, 0);
+    const units = range.to - range.from + 1;
+
+    return {
+        serialRange: formatSerialRange(batch.vintage_year, batch.batch_number, range.from, range.to),
+        credits: units,
+        status: retiredUnits === 0 ? 'active' : retiredUnits === units ? 'retired' : 'partly retired',
+        retiredBy: overlapping.map(event => ({ id: event.id, serialRange: event.serialRange, beneficiary: event.beneficiary }))
+    };
+}
+
+async function withCustody(rows) {
+    const holders = await getHolders(rows);
+    return Promise.all(rows.map(async row => ({
+        ...toBatch(row),
+        holders: holders.get(row.id),
+        custody: await getCustody(row)
+    })));
+}
+
+// Look up credits by serial number, token id or any issuance, sale or burn
+// transaction hash
+async function lookup(query) {
+    const text = String(query || '').trim();
+    if (!text) {
+        throw new ValidationError('Invalid lookup', ['Enter a serial number, token ID or transaction hash']);
+    }
+
+    const serial = parseSerial(text);
+    if (serial) {
+        const { rows } = await db.query(
+            `${BATCH_SELECT} WHERE c.vintage_year = $1 AND c.batch_number = $2`,
+            [serial.vintageYear, serial.batchNumber]
+        );
+        if (rows.length === 0) {
+            throw new NotFoundError(`No issued credits have serial number ${text}`);
+        }
+        const [batch] = await withCustody(rows);
+        return {
+            query: text,
+            matchType: 'serial',
+            serial: describeSerialRange(rows[0], serial, batch.custody),
+            batches: [batch]
+        };
+    }
+
+    if (TX_HASH_PATTERN.test(text)) {
+        const { rows } = await db.query(
+            `${BATCH_SELECT}
+              WHERE lower(c.issuance_tx_hash) = lower($1)
+                 OR c.id IN (SELECT l.credit_id
+                               FROM transactions t
+                               JOIN marketplace_listings l ON l.id = t.listing_id
+                              WHERE lower(t.blockchain_tx_hash) = lower($1))
+                 OR c.id IN (SELECT credit_id FROM retirements WHERE lower(burn_tx_hash) = lower($1))`,
+            [text]
+        );
+        if (rows.length === 0) {
+            throw new NotFoundError('No registry entry has that transaction hash');
+        }
+        return { query: text, matchType: 'transaction', batches: await withCustody(rows) };
+    }
+
+    if (TOKEN_ID_PATTERN.test(text)) {
+        const { rows } = await db.query(
+            `${BATCH_SELECT} WHERE c.token_id = $1 ORDER BY c.batch_number`,
+            [text]
+        );
+        if (rows.length === 0) {
+            throw new NotFoundError(`No credits have been issued as token ${text}`);
+        }
+        return { query: text, matchType: 'token', batches: await withCustody(rows) };
+    }
+
+    throw new ValidationError('Invalid lookup', [
+        'Enter a serial number (e.g. BCI-2024-000012-0000001), a token ID or a 0x transaction hash'
+    ]);
+}
+
+module.exports = {
+    listBatches,
+    lookup
+};
@@ -0,0 +1,226 @@
+const config = require('../config');
+const db = require('../db');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+const { toNumber, formatLocation } = require('../utils/format');
+const { renderTextPdf, isPrintable } = require('../utils/pdf');
+const { formatSerialRange } = require('../utils/serials');
+const { createNotification } = require('./notifications');
+const { burnRetirement } = require('./chain');
+
+const MAX_BENEFICIARY_LENGTH = 255;
+const MAX_PURPOSE_LENGTH = 500;
+
+// Credits a user bought per batch, less what they have already retired
+const HOLDINGS_SELECT = `
+    SELECT c.id AS credit_id, c.vintage_year, c.token_id, c.batch_number, p.id AS project_id, p.title,
+           SUM(t.credit_amount) AS purchased,
+           COALESCE((SELECT SUM(r.quantity) FROM retirements r
+                      WHERE r.credit_id = c.id AND r.user_id = t.buyer_id), 0) AS retired
+      FROM transactions t
+      JOIN marketplace_listings l ON l.id = t.listing_id
+      JOIN carbon_credits c ON c.id = l.credit_id
+      JOIN projects p ON p.id = c.project_id
+     WHERE t.buyer_id = $1 AND t.status = 'completed'`;
+
+const RETIREMENT_SELECT = `
+    SELECT r.id, r.user_id, r.quantity, r.serial_from, r.serial_to, r.beneficiary, r.purpose,
+           r.burn_tx_hash, r.created_at,
+           c.id AS credit_id, c.vintage_year, c.batch_number, c.token_id,
+           p.id AS project_id, p.title AS project_name, p.project_type, p.location,
+           COALESCE(co.company_name, u.email, u.phone) AS retired_by
+      FROM retirements r
+      JOIN carbon_credits c ON c.id = r.credit_id
+      JOIN projects p ON p.id = c.project_id
+      JOIN users u ON u.id = r.user_id
+      LEFT JOIN companies co ON co.user_id = r.user_id`;
+
+function toHolding(row) {
+    const purchased = toNumber(row.purchased);
+    const retired = toNumber(row.retired);
+    return {
+        creditId: row.credit_id,
+        projectId: row.project_id,
+        projectName: row.title,
+        vintageYear: row.vintage_year,
+        tokenId: row.token_id,
+        purchased,
+        retired,
+        available: purchased - retired
+    };
+}
+
+function verificationUrl(retirementId) {
+    return `${config.publicApiUrl}/retirements/${retirementId}`;
+}
+
+function toRetirement(row) {
+    return {
+        id: row.id,
+        serialRange: formatSerialRange(row.vintage_year, row.batch_number, row.serial_from, row.serial_to),
+        quantity: row.quantity,
+        beneficiary: row.beneficiary,
+        purpose: row.purpose,
+        retiredBy: row.retired_by,
+        creditId: row.credit_id,
+        projectId: row.project_id,
+        projectName: row.project_name,
+        vintageYear: row.vintage_year,
+        tokenId: row.token_id,
+        burnTxHash: row.burn_tx_hash,
+        retiredAt: row.created_at,
+        verificationUrl: verificationUrl(row.id)
+    };
+}
+
+function parseRetirement({ creditId, quantity, beneficiary, purpose }) {
+    const errors = [];
+    const credits = Number(quantity);
+    const name = typeof beneficiary === 'string' ? beneficiary.trim() : '';
+    const reason = typeof purpose === 'string' ? purpose.trim() : '';
+
+    if (!creditId || typeof creditId !== 'string') {
+        errors.push('Choose the credits to retire');
+    }
+    if (!Number.isInteger(credits) || credits <= 0) {
+        errors.push('Quantity must be a whole, positive number of credits');
+    }
+    if (!name) {
+        errors.push('Beneficiary name is required');
+    } else if (name.length > MAX_BENEFICIARY_LENGTH) {
+        errors.push(`Beneficiary name must be at most ${MAX_BENEFICIARY_LENGTH} characters`);
+    } else if (!isPrintable(name)) {
+        errors.push('Beneficiary name must use English letters, digits and punctuation so it prints on the certificate');
+    }
+    if (!reason) {
+        errors.push('Retirement purpose is required');
+    } else if (reason.length > MAX_PURPOSE_LENGTH) {
+        errors.push(`Retirement purpose must be at most ${MAX_PURPOSE_LENGTH} characters`);
+    } else if (!isPrintable(reason)) {
+        errors.push('Retirement purpose must use English letters, digits and punctuation so it prints on the certificate');
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid retirement', errors);
+    }
+
+    return { creditId, quantity: credits, beneficiary: name, purpose: reason };
+}
+
+async function listHoldings(user) {
+    const { rows } = await db.query(
+        `${HOLDINGS_SELECT}
+          GROUP BY c.id, p.id, t.buyer_id
+          ORDER BY p.title, c.vintage_year`,
+        [user.id]
+    );
+    return rows.map(toHolding).filter(holding => holding.available > 0);
+}
+
+// Retire credits the user holds from one batch. The batch row is locked so
+// concurrent retirements take consecutive, non-overlapping serial ranges.
+// Tokens are burned after the retirement commits; syncChain() retries the
+// burn if the node is unavailable.
+async function retireCredits(user, input) {
+    const { creditId, quantity, beneficiary, purpose } = parseRetirement(input);
+
+    const retirementId = await db.transaction(async (client) => {
+        const { rows: [batch] } = await client.query(
+            'SELECT id, credit_amount, retired_amount FROM carbon_credits WHERE id = $1 FOR UPDATE',
+            [creditId]
+        );
+        if (!batch) {
+            throw new NotFoundError('Credits not found');
+        }
+
+        const { rows: [holding] } = await client.query(
+            `${HOLDINGS_SELECT} AND c.id = $2
+              GROUP BY c.id, p.id, t.buyer_id`,
+            [user.id, creditId]
+        );
+        const available = holding ? toHolding(holding).available : 0;
+        if (quantity > available) {
+            throw new ConflictError(available > 0
+                ? `You hold only ${available} ${available === 1 ? 'credit' : 'credits'} from this batch`
+                : 'You do not hold any credits from this batch');
+        }
+
+        const serialFrom = batch.retired_amount + 1;
+        const { rows: [retirement] } = await client.query(
+            `INSERT INTO retirements (credit_id, user_id, quantity, serial_from, serial_to, beneficiary, purpose)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING id`,
+            [creditId, user.id, quantity, serialFrom, serialFrom + quantity - 1, beneficiary, purpose]
+        );
+
+        // A batch is retired once every one of its whole credits has been
+        await client.query(
+            `UPDATE carbon_credits
+                SET retired_amount = retired_amount + $2,
+                    status = CASE WHEN retired_amount + $2 >= FLOOR(credit_amount)
+                                  THEN 'retired'::credit_status ELSE status END,
+                    updated_at = NOW()
+              WHERE id = $1`,
+            [creditId, quantity]
+        );
+
+        await createNotification({
+            userId: user.id,
+            type: 'success',
+            message: `Retired ${quantity} credits on behalf of ${beneficiary}`
+        }, client);
+
+        return retirement.id;
+    });
+
+    await burnRetirement(retirementId).catch(error => {
+        console.error(`Burning retirement ${retirementId} failed:`, error.shortMessage || error.message);
+    });
+
+    return getRetirement(retirementId);
+}
+
+// Retirements are public so anyone holding a certificate can check it
+async function getRetirement(retirementId) {
+    const { rows: [row] } = await db.query(`${RETIREMENT_SELECT} WHERE r.id = $1`, [retirementId]);
+    if (!row) {
+        throw new NotFoundError('Retirement not found');
+    }
+    return toRetirement(row);
+}
+
+async function renderRetirementCertificate(retirementId) {
+    const { rows: [row] } = await db.query(`${RETIREMENT_SELECT} WHERE r.id = $1`, [retirementId]);
+    if (!row) {
+        throw new NotFoundError('Retirement not found');
+    }
+    const retirement = toRetirement(row);
+
+    return renderTextPdf({
+        title: 'BlueCarbon India - Retirement Certificate',
+        lines: [
+            `Certificate ${retirement.id}`,
+            { gap: 12, text: 'Retired on behalf of', bold: true },
+            retirement.beneficiary,
+            `Purpose: ${retirement.purpose}`,
+            `Retired by: ${retirement.retiredBy}`,
+            { gap: 12, text: 'Credits', bold: true },
+            `${retirement.quantity} tCO2e, vintage ${retirement.vintageYear}`,
+            `Serial numbers: ${retirement.serialRange}`,
+            { gap: 12, text: 'Project', bold: true },
+            retirement.projectName,
+            `${row.project_type} - ${formatLocation(row.location)}`,
+            { gap: 12, text: 'Blockchain', bold: true },
+            `Token ID: ${retirement.tokenId || 'pending'}`,
+            `Burn transaction: ${retirement.burnTxHash || 'pending'}`,
+            { gap: 12, text: `Retired ${new Date(retirement.retiredAt).toISOString().slice(0, 10)}` },
+            `Verify at ${retirement.verificationUrl}`
+        ]
+    });
+}
+
+module.exports = {
+    listHoldings,
+    retireCredits,
+    getRetirement,
+    renderRetirementCertificate
+};
@@ -0,0 +1,229 @@
+const db = require('../db');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+const { renderTextPdf } = require('../utils/pdf');
+const { CURRENT_VERSION, getMethodology, estimateCredits } = require('./methodology');
+
+// Calculator scenarios: a name and the calculator's inputs. Signed-in users
+// save them here; anyone can share one in the calculator's URL. Up to
+// MAX_COMPARED are compared and exported at a time.
+
+const MAX_SCENARIOS = 50;
+const MAX_COMPARED = 4;
+const MAX_NAME_LENGTH = 100;
+const MAX_CARBON_PRICE = 100000;
+const EXPORT_MILESTONE_YEARS = [5, 10, 20];
+
+function parseName(name) {
+    const text = typeof name === 'string' ? name.trim() : '';
+    if (!text || text.length > MAX_NAME_LENGTH) {
+        throw new ValidationError('Invalid scenario', [`Name must be 1 to ${MAX_NAME_LENGTH} characters`]);
+    }
+    return text;
+}
+
+// The scenario's inputs, checked by estimating them, and the estimate
+function parseInputs(input, version = CURRENT_VERSION) {
+    const { carbonPrice, ...calculation } = input && typeof input === 'object' ? input : {};
+    const price = Number(carbonPrice);
+    if (!(price > 0 && price <= MAX_CARBON_PRICE)) {
+        throw new ValidationError('Invalid scenario', [`Carbon price must be more than 0 and at most ${MAX_CARBON_PRICE}`]);
+    }
+
+    const estimate = estimateCredits(calculation, { version });
+    return { inputs: { ...estimate.inputs, carbonPrice: price }, estimate };
+}
+
+function toScenario(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        inputs: row.inputs,
+        methodologyVersion: row.methodology_version,
+        revision: row.revision,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+async function getScenarioRow(user, scenarioId, client = db) {
+    const { rows: [row] } = await client.query(
+        'SELECT * FROM calculator_scenarios WHERE id = $1 AND user_id = $2',
+        [scenarioId, user.id]
+    );
+    if (!row) {
+        throw new NotFoundError('Scenario not found');
+    }
+    return row;
+}
+
+async function assertNameFree(client, user, name, exceptId = null) {
+    const { rows } = await client.query(
+        'SELECT 1 FROM calculator_scenarios WHERE user_id = $1 AND LOWER(name) = LOWER($2) AND id IS DISTINCT FROM $3',
+        [user.id, name, exceptId]
+    );
+    if (rows.length > 0) {
+        throw new ConflictError(`You already have a scenario called "${name}"`);
+    }
+}
+
+async function listScenarios(user) {
+    const { rows } = await db.query(
+        'SELECT * FROM calculator_scenarios WHERE user_id = $1 ORDER BY updated_at DESC',
+        [user.id]
+    );
+    return rows.map(toScenario);
+}
+
+async function createScenario(user, { name, inputs } = {}) {
+    const scenarioName = parseName(name);
+    const parsed = parseInputs(inputs);
+
+    return db.transaction(async (client) => {
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [user.id]);
+        const { rows: [{ count }] } = await client.query(
+            'SELECT COUNT(*)::int AS count FROM calculator_scenarios WHERE user_id = $1',
+            [user.id]
+        );
+        if (count >= MAX_SCENARIOS) {
+            throw new ConflictError(`You can save up to ${MAX_SCENARIOS} scenarios; delete one to save another`);
+        }
+        await assertNameFree(client, user, scenarioName);
+
+        const { rows: [row] } = await client.query(
+            `INSERT INTO calculator_scenarios (user_id, name, inputs, methodology_version)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [user.id, scenarioName, parsed.inputs, parsed.estimate.methodology.version]
+        );
+        return toScenario(row);
+    });
+}
+
+// Renaming keeps the revision; changing the inputs is a new revision,
+// estimated with the current methodology
+async function updateScenario(user, scenarioId, { name, inputs } = {}) {
+    return db.transaction(async (client) => {
+        const row = await getScenarioRow(user, scenarioId, client);
+        const scenarioName = name === undefined ? row.name : parseName(name);
+        await assertNameFree(client, user, scenarioName, row.id);
+
+        if (inputs === undefined) {
+            const { rows: [updated] } = await client.query(
+                'UPDATE calculator_scenarios SET name = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+                [row.id, scenarioName]
+            );
+            return toScenario(updated);
+        }
+
+        const parsed = parseInputs(inputs);
+        const { rows: [updated] } = await client.query(
+            `UPDATE calculator_scenarios
+                SET name = $2, inputs = $3, methodology_version = $4, revision = revision + 1, updated_at = NOW()
+              WHERE id = $1
+              RETURNING *`,
+            [row.id, scenarioName, parsed.inputs, parsed.estimate.methodology.version]
+        );
+        return toScenario(updated);
+    });
+}
+
+async function deleteScenario(user, scenarioId) {
+    const row = await getScenarioRow(user, scenarioId);
+    await db.query('DELETE FROM calculator_scenarios WHERE id = $1', [row.id]);
+}
+
+// Estimates for up to MAX_COMPARED scenarios given as { name, inputs,
+// methodologyVersion }, saved or not
+function compareScenarios(scenarios) {
+    if (!Array.isArray(scenarios) || scenarios.length === 0 || scenarios.length > MAX_COMPARED) {
+        throw new ValidationError('Invalid comparison', [`Compare 1 to ${MAX_COMPARED} scenarios`]);
+    }
+
+    return scenarios.map((scenario, index) => {
+        const name = typeof scenario?.name === 'string' && scenario.name.trim()
+            ? scenario.name.trim().slice(0, MAX_NAME_LENGTH)
+            : `Scenario ${index + 1}`;
+        const { inputs, estimate } = parseInputs(scenario?.inputs, scenario?.methodologyVersion ?? CURRENT_VERSION);
+        return {
+            name,
+            inputs,
+            methodology: estimate.methodology,
+            deductions: estimate.deductions,
+            totals: { ...estimate.totals, revenue: Math.round(estimate.totals.netCredits * inputs.carbonPrice) },
+            years: estimate.years
+        };
+    });
+}
+
+function optionTitle(version, table, key) {
+    return getMethodology(version)[table][key]?.title ?? key;
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+function csvCell(value) {
+    const text = String(value ?? '');
+    const safe = /^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+    return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+// One row per scenario and year
+function renderComparisonCsv(comparison) {
+    const header = [
+        'Scenario', 'Methodology', 'Ecosystem', 'Area (ha)', 'Region', 'Previous land use', 'Carbon price (INR)',
+        'Year', 'Biomass (tCO2e)', 'Soil (tCO2e)', 'Gross removals (tCO2e)', 'Net credits', 'Cumulative net credits',
+        'Cumulative revenue (INR)'
+    ];
+    const rows = comparison.flatMap(({ name, inputs, methodology, years }) => years.map(year => [
+        name,
+        `${methodology.code} ${methodology.version}`,
+        optionTitle(methodology.version, 'ecosystems', inputs.ecosystem),
+        inputs.areaHectares,
+        optionTitle(methodology.version, 'regions', inputs.region),
+        optionTitle(methodology.version, 'previousLandUses', inputs.previousLandUse),
+        inputs.carbonPrice,
+        year.year,
+        year.biomassTco2e,
+        year.soilTco2e,
+        year.grossTco2e,
+        year.netCredits,
+        year.cumulativeNetCredits,
+        Math.round(year.cumulativeNetCredits * inputs.carbonPrice)
+    ]));
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// A page summarising each scenario, with its cumulative credits at
+// milestone years (the CSV has every year)
+function renderComparisonPdf(comparison) {
+    const formatNumber = value => value.toLocaleString('en-IN', { maximumFractionDigits: 2 });
+    const lines = [`Generated ${new Date().toISOString().slice(0, 10)}`];
+
+    comparison.forEach(({ name, inputs, methodology, deductions, totals, years }) => {
+        const milestones = EXPORT_MILESTONE_YEARS.filter(year => year < years.length).concat(years.length);
+        lines.push(
+            { gap: 10, text: name, bold: true, size: 13 },
+            `${optionTitle(methodology.version, 'ecosystems', inputs.ecosystem)}, ${inputs.areaHectares} ha, ${inputs.years} years, `
+                + `${optionTitle(methodology.version, 'regions', inputs.region)}, `
+                + `previously ${optionTitle(methodology.version, 'previousLandUses', inputs.previousLandUse).toLowerCase()}`,
+            `Gross removals ${formatNumber(totals.grossTco2e)} tCO2e (biomass ${formatNumber(totals.biomassTco2e)}, soil ${formatNumber(totals.soilTco2e)})`,
+            `Deductions: uncertainty ${deductions.uncertaintyPercent}%, leakage ${deductions.leakagePercent}%, buffer ${deductions.bufferPoolPercent}%`,
+            `Net credits ${formatNumber(totals.netCredits)}; value ₹${formatNumber(totals.revenue)} at ₹${formatNumber(inputs.carbonPrice)}/credit`,
+            `Cumulative credits: ${milestones.map(year => `yr ${year}: ${Math.round(years[year - 1].cumulativeNetCredits).toLocaleString('en-IN')}`).join(', ')}`,
+            `Methodology ${methodology.code} v${methodology.version}`
+        );
+    });
+
+    return renderTextPdf({ title: 'BlueCarbon India - Carbon Credit Scenarios', lines });
+}
+
+module.exports = {
+    MAX_COMPARED,
+    listScenarios,
+    createScenario,
+    updateScenario,
+    deleteScenario,
+    compareScenarios,
+    renderComparisonCsv,
+    renderComparisonPdf
+};
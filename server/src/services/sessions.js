@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../db');
+const { AuthenticationError, ForbiddenError, NotFoundError } = require('../errors');
+const { signAuthToken } = require('../utils/tokens');
+
+// Login sessions (auth_sessions). A refresh token is "<session id>.<secret>";
+// only a hash of the secret is kept. Refreshing swaps it for a new secret
+// and pushes the session's expiry out to REFRESH_TOKEN_TTL_DAYS from then.
+
+const SESSION_ENDED = 'Your session has ended. Please log in again.';
+
+// The profile a user acts for, carried in access tokens as the tenant
+const TENANT_TABLES = {
+    farmer: 'farmers',
+    company: 'companies',
+    ngo: 'ngos',
+    verifier: 'verifiers'
+};
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function parseRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!/^[0-9a-f-]{36}$/i.test(sessionId || '') || !secret) {
+        return null;
+    }
+    return { sessionId, secret };
+}
+
+async function resolveTenant(user, client = db) {
+    const table = TENANT_TABLES[user.user_type];
+    if (!table) return null;
+
+    const { rows: [profile] } = await client.query(`SELECT id FROM ${table} WHERE user_id = $1`, [user.id]);
+    return profile ? profile.id : null;
+}
+
+async function issueTokens(client, user, sessionId, secret) {
+    return {
+        token: signAuthToken(user, { sessionId, tenant: await resolveTenant(user, client) }),
+        refreshToken: `${sessionId}.${secret}`,
+        user: {
+            id: user.id,
+            email: user.email,
+            userType: user.user_type,
+            status: user.status
+        }
+    };
+}
+
+// { userAgent, ipAddress } describe the browser in the sessions list
+async function createSession(user, { userAgent, ipAddress } = {}) {
+    const secret = newSecret();
+    const { rows: [session] } = await db.query(
+        `INSERT INTO auth_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+         RETURNING id`,
+        [user.id, hashSecret(secret), userAgent ? String(userAgent).slice(0, 500) : null, ipAddress || null, config.refreshTokenTtlDays]
+    );
+    return issueTokens(db, user, session.id, secret);
+}
+
+// Trades a refresh token for a new access token and refresh token. A token
+// that was already traded in means someone else holds a copy, so the
+// session is ended for both. Failures are decided inside the transaction
+// and thrown after it commits, so that revocation sticks.
+async function refreshSession(refreshToken, { userAgent, ipAddress } = {}) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        throw new AuthenticationError(SESSION_ENDED);
+    }
+
+    const outcome = await db.transaction(async (client) => {
+        const { rows: [session] } = await client.query(
+            `SELECT s.*, s.expires_at <= NOW() AS expired, u.email, u.user_type, u.status
+               FROM auth_sessions s
+               JOIN users u ON u.id = s.user_id
+              WHERE s.id = $1
+              FOR UPDATE OF s`,
+            [parsed.sessionId]
+        );
+        if (!session || session.revoked_at || session.expired) {
+            return { error: new AuthenticationError(SESSION_ENDED) };
+        }
+
+        const presentedHash = hashSecret(parsed.secret);
+        if (presentedHash !== session.refresh_token_hash) {
+            if (presentedHash === session.previous_token_hash) {
+                await client.query(
+                    "UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'token_reuse' WHERE id = $1",
+                    [session.id]
+                );
+            }
+            return { error: new AuthenticationError(SESSION_ENDED) };
+        }
+        if (session.status === 'suspended') {
+            return { error: new ForbiddenError('This account has been suspended') };
+        }
+
+        const secret = newSecret();
+        await client.query(
+            `UPDATE auth_sessions
+                SET refresh_token_hash = $2, previous_token_hash = refresh_token_hash, last_used_at = NOW(),
+                    expires_at = NOW() + make_interval(days => $3),
+                    user_agent = COALESCE($4, user_agent), ip_address = COALESCE($5, ip_address)
+              WHERE id = $1`,
+            [session.id, hashSecret(secret), config.refreshTokenTtlDays, userAgent ? String(userAgent).slice(0, 500) : null, ipAddress || null]
+        );
+        const user = { id: session.user_id, email: session.email, user_type: session.user_type, status: session.status };
+        return { session: await issueTokens(client, user, session.id, secret) };
+    });
+
+    if (outcome.error) {
+        throw outcome.error;
+    }
+    return outcome.session;
+}
+
+// The active session an access token names, with its user, or null
+async function findActiveSession(sessionId) {
+    const { rows: [row] } = await db.query(
+        `SELECT s.id AS session_id, u.id, u.email, u.phone, u.user_type, u.status
+           FROM auth_sessions s
+           JOIN users u ON u.id = s.user_id
+          WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+        [sessionId]
+    );
+    return row || null;
+}
+
+// Logging out with the refresh token, or with the id of the session an
+// (already verified) access token names. Unknown or already ended sessions
+// are ignored.
+async function endSession({ refreshToken, sessionId }) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (parsed) {
+        await db.query(
+            `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'logout'
+              WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL`,
+            [parsed.sessionId, hashSecret(parsed.secret)]
+        );
+    }
+    if (sessionId) {
+        await db.query(
+            "UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'logout' WHERE id = $1 AND revoked_at IS NULL",
+            [sessionId]
+        );
+    }
+}
+
+async function listSessions(user) {
+    const { rows } = await db.query(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+           FROM auth_sessions
+          WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+          ORDER BY last_used_at DESC`,
+        [user.id]
+    );
+    return rows.map(row => ({
+        id: row.id,
+        userAgent: row.user_agent,
+        ipAddress: row.ip_address,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        expiresAt: row.expires_at,
+        current: row.id === user.sessionId
+    }));
+}
+
+// Signs one of the user's own sessions out
+async function revokeSession(user, sessionId) {
+    const { rowCount } = await db.query(
+        `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'signed_out'
+          WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+        [sessionId, user.id]
+    );
+    if (rowCount === 0) {
+        throw new NotFoundError('Session not found');
+    }
+}
+
+// Signs out every session but the one making the request
+async function revokeOtherSessions(user) {
+    const { rowCount } = await db.query(
+        `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'signed_out'
+          WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL`,
+        [user.id, user.sessionId]
+    );
+    return rowCount;
+}
+
+module.exports = {
+    SESSION_ENDED,
+    createSession,
+    refreshSession,
+    findActiveSession,
+    endSession,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions
+};
@@ -0,0 +1,490 @@
+const db = require('../db');
+const config = require('../config');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { formatLocation } = require('../utils/format');
+const { renderCalendar } = require('../utils/ics');
+const { PROJECT_OWNER_JOIN, PROJECT_OWNER_USER } = require('./projects');
+const { createNotification } = require('./notifications');
+
+// A site visit belongs to a verification. The verifier proposes time slots,
+// the project owner accepts one and the visit is scheduled. Either side can
+// cancel; the verifier reschedules by proposing new slots. A verifier's
+// scheduled visits may not overlap, which is checked while holding a lock on
+// their verifiers row so two acceptances cannot both take the same time.
+
+const ACTIVE_STATUSES = ['proposed', 'scheduled'];
+const OPEN_CASE_STATUSES = ['pending', 'in_progress', 'info_requested'];
+const MAX_SLOTS = 5;
+const MAX_VISIT_HOURS = 12;
+const MAX_TEXT_LENGTH = 2000;
+const LIST_LIMIT = 100;
+const FEED_HISTORY_DAYS = 90;
+
+const VISIT_SELECT = `
+    SELECT sv.id, sv.verification_id, sv.verifier_id, sv.status, sv.starts_at, sv.ends_at, sv.notes,
+           sv.cancel_reason, sv.sequence, sv.created_at, sv.updated_at,
+           v.status AS verification_status,
+           p.id AS project_id, p.title, p.location, p.latitude, p.longitude,
+           ${PROJECT_OWNER_USER} AS owner_user_id,
+           COALESCE(f.full_name, n.organization_name) AS developer,
+           vr.full_name AS verifier_name, vr.organization AS verifier_organization
+      FROM site_visits sv
+      JOIN verifications v ON v.id = sv.verification_id
+      JOIN projects p ON p.id = v.project_id${PROJECT_OWNER_JOIN}
+      LEFT JOIN verifiers vr ON vr.user_id = sv.verifier_id`;
+
+function roleOf(user, row) {
+    if (user.userType === 'admin' || row.verifier_id === user.id) return 'verifier';
+    if (row.owner_user_id === user.id) return 'owner';
+    return null;
+}
+
+// Dates in notifications are shown in Indian Standard Time
+function formatVisitTime(date) {
+    return `${new Date(date).toLocaleString('en-IN', {
+        timeZone: 'Asia/Kolkata',
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    })} IST`;
+}
+
+function toSlot(row) {
+    return { id: row.id, startsAt: row.starts_at, endsAt: row.ends_at };
+}
+
+function toVisit(row, slots, user) {
+    return {
+        id: row.id,
+        verificationId: row.verification_id,
+        projectId: row.project_id,
+        projectName: row.title,
+        location: formatLocation(row.location),
+        developer: row.developer,
+        verifier: { id: row.verifier_id, name: row.verifier_name, organization: row.verifier_organization },
+        status: row.status,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        slots: row.status === 'proposed' ? slots.map(toSlot) : [],
+        notes: row.notes,
+        cancelReason: row.cancel_reason,
+        role: roleOf(user, row),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+async function loadSlots(visitIds, client = db) {
+    const { rows } = await client.query(
+        `SELECT id, visit_id, starts_at, ends_at
+           FROM site_visit_slots
+          WHERE visit_id = ANY($1::uuid[])
+          ORDER BY starts_at`,
+        [visitIds]
+    );
+    return rows;
+}
+
+function parseText(value, field, { required = false } = {}) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (required && !text) {
+        throw new ValidationError('Invalid site visit', [`${field} is required`]);
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+        throw new ValidationError('Invalid site visit', [`${field} must be at most ${MAX_TEXT_LENGTH} characters`]);
+    }
+    return text || null;
+}
+
+function parseSlots(slots) {
+    if (!Array.isArray(slots) || slots.length === 0 || slots.length > MAX_SLOTS) {
+        throw new ValidationError('Invalid site visit', [`Propose between 1 and ${MAX_SLOTS} time slots`]);
+    }
+
+    const errors = [];
+    const parsed = slots.map((slot, index) => {
+        const start = new Date(slot?.start);
+        const end = new Date(slot?.end);
+        const label = `Slot ${index + 1}`;
+
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+            errors.push(`${label} needs a valid start and end time`);
+        } else if (start <= new Date()) {
+            errors.push(`${label} must be in the future`);
+        } else if (end <= start) {
+            errors.push(`${label} must end after it starts`);
+        } else if (end - start > MAX_VISIT_HOURS * 60 * 60 * 1000) {
+            errors.push(`${label} cannot be longer than ${MAX_VISIT_HOURS} hours`);
+        }
+        return { start, end };
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid site visit', errors);
+    }
+    return parsed;
+}
+
+// Serialises scheduling for one verifier until the transaction ends
+async function lockVerifier(client, verifierId) {
+    await client.query('SELECT user_id FROM verifiers WHERE user_id = $1 FOR UPDATE', [verifierId]);
+}
+
+// The verifier's scheduled visits that overlap any of `slots`
+async function findConflicts(client, verifierId, slots, excludeVisitId = null) {
+    const conflicts = [];
+    for (const slot of slots) {
+        const { rows } = await client.query(
+            `SELECT sv.id, sv.starts_at, sv.ends_at, p.title
+               FROM site_visits sv
+               JOIN verifications v ON v.id = sv.verification_id
+               JOIN projects p ON p.id = v.project_id
+              WHERE sv.verifier_id = $1 AND sv.status = 'scheduled' AND sv.id IS DISTINCT FROM $2
+                AND sv.starts_at < $4 AND sv.ends_at > $3`,
+            [verifierId, excludeVisitId, slot.start, slot.end]
+        );
+        conflicts.push(...rows.map(row => ({
+            slot: { startsAt: slot.start, endsAt: slot.end },
+            visit: { id: row.id, projectName: row.title, startsAt: row.starts_at, endsAt: row.ends_at }
+        })));
+    }
+    return conflicts;
+}
+
+async function assertVerifierFree(client, verifierId, slots, excludeVisitId = null) {
+    const conflicts = await findConflicts(client, verifierId, slots, excludeVisitId);
+    if (conflicts.length > 0) {
+        const [{ visit }] = conflicts;
+        throw new ConflictError(
+            `Overlaps the site visit to ${visit.projectName} on ${formatVisitTime(visit.startsAt)}`,
+            { conflicts }
+        );
+    }
+}
+
+async function insertSlots(client, visitId, slots) {
+    for (const slot of slots) {
+        await client.query(
+            'INSERT INTO site_visit_slots (visit_id, starts_at, ends_at) VALUES ($1, $2, $3)',
+            [visitId, slot.start, slot.end]
+        );
+    }
+}
+
+async function lockVisit(client, visitId) {
+    const { rows: [row] } = await client.query(`${VISIT_SELECT} WHERE sv.id = $1 FOR UPDATE OF sv`, [visitId]);
+    if (!row) {
+        throw new NotFoundError('Site visit not found');
+    }
+    return row;
+}
+
+function assertActive(row) {
+    if (!ACTIVE_STATUSES.includes(row.status)) {
+        throw new ConflictError('This site visit has been cancelled');
+    }
+}
+
+async function getVisitRow(user, visitId) {
+    const { rows: [row] } = await db.query(`${VISIT_SELECT} WHERE sv.id = $1`, [visitId]);
+    if (!row) {
+        throw new NotFoundError('Site visit not found');
+    }
+    if (!roleOf(user, row)) {
+        throw new ForbiddenError('You do not have access to this site visit');
+    }
+    return row;
+}
+
+async function getVisit(user, visitId) {
+    const row = await getVisitRow(user, visitId);
+    return toVisit(row, await loadSlots([row.id]), user);
+}
+
+// Only the case's verifier and project owner (and admins) may list its visits
+async function assertCaseParty(user, verificationId) {
+    const { rows: [verification] } = await db.query(
+        `SELECT v.verifier_id, ${PROJECT_OWNER_USER} AS owner_user_id
+           FROM verifications v
+           JOIN projects p ON p.id = v.project_id${PROJECT_OWNER_JOIN}
+          WHERE v.id = $1`,
+        [verificationId]
+    );
+    if (!verification) {
+        throw new NotFoundError('Verification not found');
+    }
+    if (user.userType !== 'admin' && verification.verifier_id !== user.id && verification.owner_user_id !== user.id) {
+        throw new ForbiddenError('You do not have access to this verification');
+    }
+}
+
+// Visits of one verification, or every visit the user is part of
+async function listVisits(user, { verificationId } = {}) {
+    const params = [];
+    const conditions = [];
+    if (verificationId) {
+        await assertCaseParty(user, verificationId);
+        params.push(verificationId);
+        conditions.push(`sv.verification_id = $${params.length}`);
+    }
+    if (user.userType !== 'admin') {
+        params.push(user.id);
+        conditions.push(`(sv.verifier_id = $${params.length} OR ${PROJECT_OWNER_USER} = $${params.length})`);
+    }
+
+    const { rows } = await db.query(
+        `${VISIT_SELECT}
+          ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+          ORDER BY sv.status = 'cancelled', COALESCE(sv.starts_at, sv.created_at) DESC
+          LIMIT ${LIST_LIMIT}`,
+        params
+    );
+
+    const slots = await loadSlots(rows.map(row => row.id));
+    return rows.map(row => toVisit(row, slots.filter(slot => slot.visit_id === row.id), user));
+}
+
+// The verifier on a case (or an admin for them) proposes visit times
+async function proposeVisit(user, { verificationId, slots, notes } = {}) {
+    const proposed = parseSlots(slots);
+    const text = parseText(notes, 'Notes');
+
+    const visitId = await db.transaction(async (client) => {
+        const { rows: [verification] } = await client.query(
+            `SELECT v.id, v.status, v.verifier_id, p.title, ${PROJECT_OWNER_USER} AS owner_user_id,
+                    vr.full_name AS verifier_name
+               FROM verifications v
+               JOIN projects p ON p.id = v.project_id${PROJECT_OWNER_JOIN}
+               LEFT JOIN verifiers vr ON vr.user_id = v.verifier_id
+              WHERE v.id = $1
+              FOR UPDATE OF v`,
+            [verificationId]
+        );
+        if (!verification) {
+            throw new NotFoundError('Verification not found');
+        }
+        if (!OPEN_CASE_STATUSES.includes(verification.status)) {
+            throw new ConflictError(`This verification has already been ${verification.status}`);
+        }
+        if (!verification.verifier_id) {
+            throw new ConflictError(user.userType === 'admin'
+                ? 'Assign a verifier before scheduling a site visit'
+                : 'Start reviewing this verification before scheduling a site visit');
+        }
+        if (user.userType !== 'admin' && verification.verifier_id !== user.id) {
+            throw new ForbiddenError('This verification is assigned to another verifier');
+        }
+
+        const { rows: [active] } = await client.query(
+            `SELECT id FROM site_visits WHERE verification_id = $1 AND status IN ('proposed', 'scheduled')`,
+            [verification.id]
+        );
+        if (active) {
+            throw new ConflictError('This verification already has a site visit; reschedule it instead');
+        }
+
+        await lockVerifier(client, verification.verifier_id);
+        await assertVerifierFree(client, verification.verifier_id, proposed);
+
+        const { rows: [visit] } = await client.query(
+            `INSERT INTO site_visits (verification_id, verifier_id, notes)
+             VALUES ($1, $2, $3)
+             RETURNING id`,
+            [verification.id, verification.verifier_id, text]
+        );
+        await insertSlots(client, visit.id, proposed);
+
+        await createNotification({
+            userId: verification.owner_user_id,
+            message: `${verification.verifier_name} proposed ${proposed.length === 1 ? 'a time' : `${proposed.length} times`} for a site visit to ${verification.title}. Choose one under the project's verification status.`
+        }, client);
+
+        return visit.id;
+    });
+
+    return getVisit(user, visitId);
+}
+
+// Replace the proposed slots (or the accepted time) with new ones
+async function rescheduleVisit(user, visitId, { slots, notes } = {}) {
+    const proposed = parseSlots(slots);
+    const text = parseText(notes, 'Notes');
+
+    await db.transaction(async (client) => {
+        const row = await lockVisit(client, visitId);
+        if (roleOf(user, row) !== 'verifier') {
+            throw new ForbiddenError('Only the verifier can reschedule a site visit');
+        }
+        assertActive(row);
+
+        await lockVerifier(client, row.verifier_id);
+        await assertVerifierFree(client, row.verifier_id, proposed, row.id);
+
+        await client.query('DELETE FROM site_visit_slots WHERE visit_id = $1', [row.id]);
+        await insertSlots(client, row.id, proposed);
+        await client.query(
+            `UPDATE site_visits
+                SET status = 'proposed', starts_at = NULL, ends_at = NULL, notes = COALESCE($2, notes),
+                    sequence = sequence + 1, updated_at = NOW()
+              WHERE id = $1`,
+            [row.id, text]
+        );
+
+        await createNotification({
+            userId: row.owner_user_id,
+            type: 'warning',
+            message: row.status === 'scheduled'
+                ? `The site visit to ${row.title} on ${formatVisitTime(row.starts_at)} has been moved. Choose one of the new times.`
+                : `${row.verifier_name} proposed new times for the site visit to ${row.title}`
+        }, client);
+    });
+
+    return getVisit(user, visitId);
+}
+
+// The project owner picks one of the proposed slots
+async function acceptSlot(user, visitId, { slotId } = {}) {
+    if (!slotId || typeof slotId !== 'string') {
+        throw new ValidationError('Invalid site visit', ['Choose one of the proposed times']);
+    }
+
+    await db.transaction(async (client) => {
+        const row = await lockVisit(client, visitId);
+        if (row.owner_user_id !== user.id) {
+            throw new ForbiddenError('Only the project owner can accept a site visit time');
+        }
+        assertActive(row);
+        if (row.status !== 'proposed') {
+            throw new ConflictError('This site visit has already been scheduled');
+        }
+
+        const slot = (await loadSlots([row.id], client)).find(candidate => candidate.id === slotId);
+        if (!slot) {
+            throw new ValidationError('Invalid site visit', ['Choose one of the proposed times']);
+        }
+        if (slot.starts_at <= new Date()) {
+            throw new ConflictError('That time has already passed; choose another or ask the verifier for new times');
+        }
+
+        await lockVerifier(client, row.verifier_id);
+        const conflicts = await findConflicts(client, row.verifier_id, [{ start: slot.starts_at, end: slot.ends_at }], row.id);
+        if (conflicts.length > 0) {
+            throw new ConflictError('The verifier is no longer available at that time; choose another or ask them for new times');
+        }
+
+        await client.query(
+            `UPDATE site_visits
+                SET status = 'scheduled', starts_at = $2, ends_at = $3, sequence = sequence + 1, updated_at = NOW()
+              WHERE id = $1`,
+            [row.id, slot.starts_at, slot.ends_at]
+        );
+
+        await createNotification({
+            userId: row.verifier_id,
+            type: 'success',
+            message: `${row.developer} confirmed the site visit to ${row.title} on ${formatVisitTime(slot.starts_at)}`
+        }, client);
+    });
+
+    return getVisit(user, visitId);
+}
+
+async function cancelVisit(user, visitId, { reason } = {}) {
+    const text = parseText(reason, 'A reason for cancelling', { required: true });
+
+    await db.transaction(async (client) => {
+        const row = await lockVisit(client, visitId);
+        const role = roleOf(user, row);
+        if (!role) {
+            throw new ForbiddenError('You do not have access to this site visit');
+        }
+        assertActive(row);
+
+        await client.query(
+            `UPDATE site_visits
+                SET status = 'cancelled', cancel_reason = $2, sequence = sequence + 1, updated_at = NOW()
+              WHERE id = $1`,
+            [row.id, text]
+        );
+
+        const when = row.starts_at ? ` on ${formatVisitTime(row.starts_at)}` : '';
+        await createNotification({
+            userId: role === 'owner' ? row.verifier_id : row.owner_user_id,
+            type: 'warning',
+            message: `${role === 'owner' ? row.developer : row.verifier_name} cancelled the site visit to ${row.title}${when}: ${text}`
+        }, client);
+    });
+
+    return getVisit(user, visitId);
+}
+
+function toEvent(row) {
+    return {
+        uid: `site-visit-${row.id}@bluecarbon.gov.in`,
+        sequence: row.sequence,
+        updatedAt: row.updated_at,
+        start: row.starts_at,
+        end: row.ends_at,
+        summary: `Site visit: ${row.title}`,
+        description: [
+            `Verification site visit to ${row.title} (${row.developer}) by ${row.verifier_name}.`,
+            row.notes,
+            row.cancel_reason ? `Cancelled: ${row.cancel_reason}` : null
+        ].filter(Boolean).join('\n'),
+        location: formatLocation(row.location),
+        geo: row.latitude === null || row.longitude === null
+            ? null
+            : { latitude: Number(row.latitude), longitude: Number(row.longitude) },
+        status: row.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'
+    };
+}
+
+// .ics file for one visit that has (or had) an agreed time
+async function exportVisit(user, visitId) {
+    const row = await getVisitRow(user, visitId);
+    if (!row.starts_at) {
+        throw new ConflictError('Only scheduled site visits can be added to a calendar');
+    }
+    return renderCalendar({ events: [toEvent(row)] });
+}
+
+// Subscription URL for the signed-in verifier's calendar feed
+async function getFeedUrl(user) {
+    const { rows: [verifier] } = await db.query('SELECT calendar_token FROM verifiers WHERE user_id = $1', [user.id]);
+    if (!verifier) {
+        throw new NotFoundError('Only verifiers have a site visit calendar');
+    }
+    return { url: `${config.publicApiUrl}/site-visits/feed/${verifier.calendar_token}.ics` };
+}
+
+// Public feed, authorised by the secret token in its URL. Cancelled visits
+// stay in the feed so subscribed calendars drop them.
+async function renderFeed(token) {
+    const { rows: [verifier] } = await db.query(
+        'SELECT user_id, full_name FROM verifiers WHERE calendar_token = $1',
+        [token]
+    );
+    if (!verifier) {
+        throw new NotFoundError('Calendar feed not found');
+    }
+
+    const { rows } = await db.query(
+        `${VISIT_SELECT}
+          WHERE sv.verifier_id = $1 AND sv.starts_at IS NOT NULL
+            AND sv.starts_at > NOW() - make_interval(days => $2)
+          ORDER BY sv.starts_at`,
+        [verifier.user_id, FEED_HISTORY_DAYS]
+    );
+    return renderCalendar({ name: `BlueCarbon site visits: ${verifier.full_name}`, events: rows.map(toEvent) });
+}
+
+module.exports = {
+    listVisits,
+    getVisit,
+    proposeVisit,
+    rescheduleVisit,
+    acceptSlot,
+    cancelVisit,
+    exportVisit,
+    getFeedUrl,
+    renderFeed
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+// Object storage for uploaded documents. Both providers take a key such as
+// "<userId>/<documentId>.pdf" and store the bytes under it. The provider a
+// file was written with is recorded on its documents row, so switching
+// STORAGE_PROVIDER later does not orphan older files.
+
+function localPath(key) {
+    const file = path.resolve(config.uploadDir, key);
+    if (!file.startsWith(path.resolve(config.uploadDir) + path.sep)) {
+        throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Path-style request to a MinIO/S3-compatible endpoint, signed with AWS
+// Signature Version 4
+async function s3Request(method, key, body = null, contentType = null) {
+    const url = new URL(`${config.s3Endpoint.replace(/\/$/, '')}/${config.s3Bucket}/${key.split('/').map(encodeURIComponent).join('/')}`);
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+    const scope = `${dateStamp}/${config.s3Region}/s3/aws4_request`;
+
+    const headers = {
+        host: url.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(headers).join(';');
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        '',
+        ...Object.entries(headers).map(([name, value]) => `${name}:${value}`),
+        '',
+        signedHeaders,
+        payloadHash
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+        (key, part) => hmac(key, part),
+        hmac(hmac(`AWS4${config.s3SecretKey}`, dateStamp), config.s3Region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const response = await fetch(url, {
+        method,
+        body,
+        headers: {
+            ...headers,
+            ...(contentType ? { 'content-type': contentType } : {}),
+            authorization: `AWS4-HMAC-SHA256 Credential=${config.s3AccessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        }
+    });
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+        throw new Error(`Object storage ${method} ${key} failed with HTTP ${response.status}`);
+    }
+    return response;
+}
+
+const providers = {
+    local: {
+        async put(key, buffer) {
+            const file = localPath(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer, { flag: 'wx' });
+        },
+        async get(key) {
+            return fs.readFile(localPath(key));
+        },
+        async remove(key) {
+            await fs.rm(localPath(key), { force: true });
+        }
+    },
+    s3: {
+        async put(key, buffer, mimeType) {
+            await s3Request('PUT', key, buffer, mimeType);
+        },
+        async get(key) {
+            const response = await s3Request('GET', key);
+            return Buffer.from(await response.arrayBuffer());
+        },
+        async remove(key) {
+            await s3Request('DELETE', key);
+        }
+    }
+};
+
+function getStorageProvider(name = config.storageProvider) {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown storage provider "${name}"`);
+    }
+    return provider;
+}
+
+// Returns the provider name to store alongside the key
+async function putObject(key, buffer, mimeType) {
+    await getStorageProvider().put(key, buffer, mimeType);
+    return config.storageProvider;
+}
+
+async function getObject(provider, key) {
+    return getStorageProvider(provider).get(key);
+}
+
+async function removeObject(provider, key) {
+    await getStorageProvider(provider).remove(key);
+}
+
+module.exports = {
+    putObject,
+    getObject,
+    removeObject
+};
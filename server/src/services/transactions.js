@@ -0,0 +1,97 @@
+const db = require('../db');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+const { toNumber, formatLocation } = require('../utils/format');
+const { renderTextPdf } = require('../utils/pdf');
+
+// A transaction is visible to its buyer, the listing's seller and admins
+async function getTransactionForUser(user, transactionId) {
+    const { rows } = await db.query(
+        `SELECT t.id, t.buyer_id, t.credit_amount, t.total_amount, t.transaction_fee, t.status,
+                t.payment_gateway_id, t.blockchain_tx_hash, t.created_at,
+                l.seller_id, l.price_per_credit,
+                c.vintage_year, c.token_id,
+                p.title AS project_name, p.project_type, p.location
+           FROM transactions t
+           JOIN marketplace_listings l ON l.id = t.listing_id
+           JOIN carbon_credits c ON c.id = l.credit_id
+           JOIN projects p ON p.id = c.project_id
+          WHERE t.id = $1`,
+        [transactionId]
+    );
+    const transaction = rows[0];
+
+    if (!transaction) {
+        throw new NotFoundError('Transaction not found');
+    }
+
+    const isParty = [transaction.buyer_id, transaction.seller_id].includes(user.id);
+    if (!isParty && user.userType !== 'admin') {
+        throw new ForbiddenError('You do not have access to this transaction');
+    }
+
+    return transaction;
+}
+
+async function getTransactionStatus(user, transactionId) {
+    const transaction = await getTransactionForUser(user, transactionId);
+    return {
+        id: transaction.id,
+        status: transaction.status,
+        blockchainTxHash: transaction.blockchain_tx_hash,
+        createdAt: transaction.created_at
+    };
+}
+
+function requireCompleted(transaction, documentName) {
+    if (transaction.status !== 'completed') {
+        throw new ConflictError(`A ${documentName} is only available for completed transactions`);
+    }
+}
+
+async function renderCertificate(user, transactionId) {
+    const transaction = await getTransactionForUser(user, transactionId);
+    requireCompleted(transaction, 'certificate');
+
+    return renderTextPdf({
+        title: 'BlueCarbon India - Carbon Credit Certificate',
+        lines: [
+            `Certificate for transaction ${transaction.id}`,
+            { gap: 12, text: 'Project', bold: true },
+            transaction.project_name,
+            `${transaction.project_type} - ${formatLocation(transaction.location)}`,
+            { gap: 12, text: 'Credits', bold: true },
+            `${toNumber(transaction.credit_amount)} tCO2e, vintage ${transaction.vintage_year || 'N/A'}`,
+            `Token ID: ${transaction.token_id || 'pending'}`,
+            `Blockchain transaction: ${transaction.blockchain_tx_hash || 'pending'}`,
+            { gap: 12, text: `Issued ${new Date(transaction.created_at).toISOString().slice(0, 10)}` }
+        ]
+    });
+}
+
+async function renderInvoice(user, transactionId) {
+    const transaction = await getTransactionForUser(user, transactionId);
+    requireCompleted(transaction, 'invoice');
+
+    const fee = toNumber(transaction.transaction_fee);
+    const total = toNumber(transaction.total_amount);
+
+    return renderTextPdf({
+        title: 'BlueCarbon India - Invoice',
+        lines: [
+            `Invoice for transaction ${transaction.id}`,
+            `Date: ${new Date(transaction.created_at).toISOString().slice(0, 10)}`,
+            { gap: 12, text: transaction.project_name, bold: true },
+            `${toNumber(transaction.credit_amount)} credits x ₹${toNumber(transaction.price_per_credit)}`,
+            `Platform fee (included): ₹${fee.toFixed(2)}`,
+            { gap: 6, text: `Total: ₹${total.toFixed(2)}`, bold: true },
+            { gap: 12, text: `Payment reference: ${transaction.payment_gateway_id || 'N/A'}` }
+        ]
+    });
+}
+
+module.exports = {
+    getTransactionForUser,
+    getTransactionStatus,
+    renderCertificate,
+    renderInvoice
+};
@@ -0,0 +1,126 @@
+const db = require('../db');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+
+// User accounts as administrators see them. Suspending an account blocks
+// its logins and signs out its sessions straight away (requireAuth turns
+// suspended users away too); reinstating it lets it log in again.
+
+const USER_TYPES = ['farmer', 'company', 'ngo', 'verifier', 'admin'];
+const USER_STATUSES = ['pending', 'active', 'suspended'];
+const MAX_REASON_LENGTH = 500;
+const LIST_LIMIT = 100;
+
+// The user with the name on their profile
+const USER_SELECT = `
+    SELECT u.id, u.email, u.phone, u.user_type, u.status, u.created_at,
+           u.suspended_at, u.suspension_reason, s.email AS suspended_by_email,
+           COALESCE(f.full_name, c.company_name, n.organization_name, v.full_name) AS name
+      FROM users u
+      LEFT JOIN farmers f ON f.user_id = u.id
+      LEFT JOIN companies c ON c.user_id = u.id
+      LEFT JOIN ngos n ON n.user_id = u.id
+      LEFT JOIN verifiers v ON v.user_id = u.id
+      LEFT JOIN users s ON s.id = u.suspended_by`;
+
+function toUser(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        email: row.email,
+        phone: row.phone,
+        userType: row.user_type,
+        status: row.status,
+        createdAt: row.created_at,
+        suspendedAt: row.suspended_at,
+        suspendedBy: row.suspended_by_email,
+        suspensionReason: row.suspension_reason
+    };
+}
+
+async function getUser(userId, client = db) {
+    const { rows: [row] } = await client.query(`${USER_SELECT} WHERE u.id = $1`, [userId]);
+    if (!row) {
+        throw new NotFoundError('User not found');
+    }
+    return toUser(row);
+}
+
+// { search, userType, status }; search matches the name, email or phone
+async function listUsers(query = {}) {
+    const errors = [];
+    if (query.userType && !USER_TYPES.includes(query.userType)) {
+        errors.push(`userType must be one of: ${USER_TYPES.join(', ')}`);
+    }
+    if (query.status && !USER_STATUSES.includes(query.status)) {
+        errors.push(`status must be one of: ${USER_STATUSES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid user filters', errors);
+    }
+
+    const search = typeof query.search === 'string' ? query.search.trim() : '';
+    const { rows } = await db.query(
+        `SELECT * FROM (${USER_SELECT}) account
+          WHERE ($1::user_type IS NULL OR user_type = $1)
+            AND ($2::user_status IS NULL OR status = $2)
+            AND ($3 = '' OR name ILIKE '%' || $3 || '%' OR email ILIKE '%' || $3 || '%' OR phone LIKE '%' || $3 || '%')
+          ORDER BY created_at DESC
+          LIMIT ${LIST_LIMIT}`,
+        [query.userType || null, query.status || null, search]
+    );
+    return rows.map(toUser);
+}
+
+async function suspendUser(admin, userId, { reason } = {}) {
+    const text = typeof reason === 'string' ? reason.trim() : '';
+    if (!text || text.length > MAX_REASON_LENGTH) {
+        throw new ValidationError('Invalid suspension', [`reason must be 1 to ${MAX_REASON_LENGTH} characters`]);
+    }
+    if (userId === admin.id) {
+        throw new ConflictError('You cannot suspend your own account');
+    }
+
+    await db.transaction(async (client) => {
+        const { rows: [user] } = await client.query('SELECT id, status FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+        if (user.status === 'suspended') {
+            throw new ConflictError('This account is already suspended');
+        }
+
+        await client.query(
+            `UPDATE users
+                SET status = 'suspended', suspended_at = NOW(), suspended_by = $2, suspension_reason = $3, updated_at = NOW()
+              WHERE id = $1`,
+            [userId, admin.id, text]
+        );
+        await client.query(
+            "UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'suspended' WHERE user_id = $1 AND revoked_at IS NULL",
+            [userId]
+        );
+    });
+
+    return getUser(userId);
+}
+
+async function reinstateUser(userId) {
+    const { rows: [user] } = await db.query(
+        `UPDATE users
+            SET status = 'active', suspended_at = NULL, suspended_by = NULL, suspension_reason = NULL, updated_at = NOW()
+          WHERE id = $1 AND status = 'suspended'
+          RETURNING id`,
+        [userId]
+    );
+    if (!user) {
+        await getUser(userId);
+        throw new ConflictError('This account is not suspended');
+    }
+    return getUser(userId);
+}
+
+module.exports = {
+    listUsers,
+    suspendUser,
+    reinstateUser
+};
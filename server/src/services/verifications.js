@@ -0,0 +1,689 @@
+const db = require('../db');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { toNumber, formatLocation } = require('../utils/format');
+const { PROJECT_OWNER_JOIN, PROJECT_OWNER_USER, toBoundary, toAreaCheck } = require('./projects');
+const { createNotification } = require('./notifications');
+const { mintCredit } = require('./chain');
+const { validateReport, diffReports } = require('./mrvReports');
+const { getProjectPhotoReport } = require('./photoEvidence');
+const { summarizeNdvi } = require('./monitoring');
+const { checkProjectConflicts, listProjectConflicts } = require('./conflicts');
+const { getMethodology, regionForState, estimateCredits, recordEstimate, getLatestEstimate } = require('./methodology');
+
+// A verification case moves pending -> in_progress when a verifier starts
+// reviewing it, may loop through info_requested while the project owner
+// supplies more information, and ends approved or rejected. Every
+// transition is appended to report_data.history and notifies the owner.
+
+const CASE_STATUSES = ['pending', 'in_progress', 'info_requested', 'approved', 'rejected'];
+const OPEN_STATUSES = ['pending', 'in_progress', 'info_requested'];
+const MAX_MESSAGE_LENGTH = 2000;
+const QUEUE_LIMIT = 100;
+
+const STATUS_LABELS = {
+    pending: 'pending',
+    in_progress: 'under review',
+    info_requested: 'awaiting information from the project owner',
+    approved: 'approved',
+    rejected: 'rejected'
+};
+
+const TRANSITIONS = {
+    start: { from: ['pending'], to: 'in_progress', verb: 'started' },
+    requestInfo: { from: ['in_progress'], to: 'info_requested', verb: 'sent back for information' },
+    respond: { from: ['info_requested'], to: 'in_progress', verb: 'resumed' },
+    approve: { from: ['in_progress'], to: 'approved', verb: 'approved' },
+    reject: { from: ['in_progress'], to: 'rejected', verb: 'rejected' }
+};
+
+const CASE_SELECT = `
+    SELECT v.id, v.project_id, v.verifier_id, v.verification_type, v.status, v.report_data,
+           v.submitted_at, v.completed_at,
+           p.title, p.description, p.project_type, p.area_hectares, p.location, p.latitude, p.longitude,
+           p.start_date, p.boundary, p.boundary_area_hectares, p.boundary_source, p.boundary_updated_at,
+           ${PROJECT_OWNER_USER} AS owner_user_id,
+           COALESCE(f.full_name, n.organization_name) AS developer,
+           vr.full_name AS verifier_name, vr.organization AS verifier_organization
+      FROM verifications v
+      JOIN projects p ON p.id = v.project_id${PROJECT_OWNER_JOIN}
+      LEFT JOIN verifiers vr ON vr.user_id = v.verifier_id`;
+
+function toCase(row, user) {
+    return {
+        id: row.id,
+        projectId: row.project_id,
+        projectName: row.title,
+        projectType: row.project_type,
+        location: formatLocation(row.location),
+        areaHectares: toNumber(row.area_hectares),
+        developer: row.developer,
+        verificationType: row.verification_type,
+        status: row.status,
+        estimatedTco2e: row.report_data.estimatedTco2e ?? null,
+        verifiedTco2e: row.report_data.verifiedTco2e ?? null,
+        verifier: row.verifier_id
+            ? { id: row.verifier_id, name: row.verifier_name, organization: row.verifier_organization }
+            : null,
+        assignedToMe: row.verifier_id === user.id,
+        submittedAt: row.submitted_at,
+        completedAt: row.completed_at
+    };
+}
+
+// Names shown against history entries: verifier, project owner or admin email
+async function getActorNames(userIds) {
+    const { rows } = await db.query(
+        `SELECT u.id, COALESCE(vr.full_name, f.full_name, n.organization_name, u.email) AS name
+           FROM users u
+           LEFT JOIN verifiers vr ON vr.user_id = u.id
+           LEFT JOIN farmers f ON f.user_id = u.id
+           LEFT JOIN ngos n ON n.user_id = u.id
+          WHERE u.id = ANY($1::uuid[])`,
+        [[...new Set(userIds)]]
+    );
+    return new Map(rows.map(row => [row.id, row.name]));
+}
+
+function canReview(user, row) {
+    return user.userType === 'admin' || (user.userType === 'verifier' && row.verifier_id === user.id);
+}
+
+// Verifiers see their own cases and unassigned ones they could pick up
+function canView(user, row) {
+    return canReview(user, row)
+        || row.owner_user_id === user.id
+        || (user.userType === 'verifier' && !row.verifier_id);
+}
+
+function parseMessage(value, field) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) {
+        throw new ValidationError('Invalid verification update', [`${field} is required`]);
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        throw new ValidationError('Invalid verification update', [`${field} must be at most ${MAX_MESSAGE_LENGTH} characters`]);
+    }
+    return text;
+}
+
+async function lockCase(client, verificationId) {
+    const { rows: [row] } = await client.query(`${CASE_SELECT} WHERE v.id = $1 FOR UPDATE OF v`, [verificationId]);
+    if (!row) {
+        throw new NotFoundError('Verification not found');
+    }
+    return row;
+}
+
+function assertTransition(row, action) {
+    const transition = TRANSITIONS[action];
+    if (!transition.from.includes(row.status)) {
+        throw new ConflictError(OPEN_STATUSES.includes(row.status)
+            ? `This verification is ${STATUS_LABELS[row.status]} and cannot be ${transition.verb}`
+            : `This verification has already been ${row.status}`);
+    }
+    return transition;
+}
+
+function assertReviewer(user, row) {
+    if (!canReview(user, row)) {
+        throw new ForbiddenError(row.verifier_id
+            ? 'This verification is assigned to another verifier'
+            : 'Start reviewing this verification before acting on it');
+    }
+}
+
+function historyEntry(row, user, action, to, note = null) {
+    return [
+        ...(row.report_data.history || []),
+        { action, from: row.status, to, by: user.id, note, at: new Date().toISOString() }
+    ];
+}
+
+// Move a locked case to its next status, merging `report` into report_data
+async function applyTransition(client, row, user, action, { note = null, report = {}, verifierId = null } = {}) {
+    const transition = assertTransition(row, action);
+    await client.query(
+        `UPDATE verifications
+            SET status = $2, verifier_id = COALESCE(verifier_id, $3),
+                completed_at = CASE WHEN $4 THEN NOW() ELSE completed_at END,
+                report_data = report_data || $5
+          WHERE id = $1`,
+        [
+            row.id,
+            transition.to,
+            verifierId,
+            ['approved', 'rejected'].includes(transition.to),
+            { ...report, history: historyEntry(row, user, action, transition.to, note) }
+        ]
+    );
+    return transition.to;
+}
+
+async function listCases(user, query = {}) {
+    const statuses = query.status ? String(query.status).split(',').map(status => status.trim()).filter(Boolean) : [];
+    if (statuses.some(status => !CASE_STATUSES.includes(status))) {
+        throw new ValidationError('Invalid verification filters', [`status must be one of: ${CASE_STATUSES.join(', ')}`]);
+    }
+    if (query.assigned && !['me', 'unassigned'].includes(query.assigned)) {
+        throw new ValidationError('Invalid verification filters', ['assigned must be "me" or "unassigned"']);
+    }
+
+    const params = [];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const visible = user.userType === 'admin' ? 'TRUE' : '(v.verifier_id = $1 OR v.verifier_id IS NULL)';
+    const conditions = [user.userType === 'admin' ? 'TRUE' : `(v.verifier_id = ${param(user.id)} OR v.verifier_id IS NULL)`];
+
+    if (statuses.length > 0) {
+        conditions.push(`v.status::text = ANY(${param(statuses)}::text[])`);
+    }
+    if (query.search) {
+        const pattern = param(`%${String(query.search).trim()}%`);
+        conditions.push(`(p.title ILIKE ${pattern} OR COALESCE(f.full_name, n.organization_name) ILIKE ${pattern})`);
+    }
+    if (query.assigned === 'me') {
+        conditions.push(`v.verifier_id = ${param(user.id)}`);
+    } else if (query.assigned === 'unassigned') {
+        conditions.push('v.verifier_id IS NULL');
+    }
+
+    // Open cases first, oldest submission at the top of the queue
+    const { rows } = await db.query(
+        `${CASE_SELECT}
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY v.status IN ('approved', 'rejected'), v.submitted_at
+          LIMIT ${QUEUE_LIMIT}`,
+        params
+    );
+
+    const { rows: [counts] } = await db.query(
+        `SELECT COUNT(*) FILTER (WHERE v.status = 'pending')::int AS pending,
+                COUNT(*) FILTER (WHERE v.status = 'in_progress')::int AS in_progress,
+                COUNT(*) FILTER (WHERE v.status = 'info_requested')::int AS info_requested,
+                COUNT(*) FILTER (WHERE v.verifier_id = $1 AND v.status IN ('pending', 'in_progress', 'info_requested'))::int AS assigned_to_me,
+                COUNT(*) FILTER (WHERE v.status = 'approved' AND v.completed_at >= date_trunc('month', NOW()))::int AS approved_this_month
+           FROM verifications v
+          WHERE ${visible}`,
+        [user.id]
+    );
+
+    return {
+        items: rows.map(row => toCase(row, user)),
+        counts: {
+            pending: counts.pending,
+            inProgress: counts.in_progress,
+            infoRequested: counts.info_requested,
+            assignedToMe: counts.assigned_to_me,
+            approvedThisMonth: counts.approved_this_month
+        }
+    };
+}
+
+async function getCase(user, verificationId) {
+    const { rows: [row] } = await db.query(`${CASE_SELECT} WHERE v.id = $1`, [verificationId]);
+    if (!row) {
+        throw new NotFoundError('Verification not found');
+    }
+    if (!canView(user, row)) {
+        throw new ForbiddenError('You do not have access to this verification');
+    }
+
+    const history = row.report_data.history || [];
+    const infoRequests = row.report_data.infoRequests || [];
+    const names = await getActorNames([
+        ...history.map(entry => entry.by),
+        ...infoRequests.map(request => request.requestedBy)
+    ]);
+
+    return {
+        ...toCase(row, user),
+        project: {
+            description: row.description,
+            startDate: row.start_date,
+            latitude: row.latitude === null ? null : Number(row.latitude),
+            longitude: row.longitude === null ? null : Number(row.longitude),
+            boundary: toBoundary(row),
+            areaCheck: toAreaCheck(row)
+        },
+        notes: row.report_data.notes ?? null,
+        mrv: row.report_data.mrv ?? null,
+        remoteSensing: row.report_data.remoteSensing ?? null,
+        rejectionReason: row.report_data.rejectionReason ?? null,
+        estimate: await getLatestEstimate(row.project_id, { verificationId: row.id }),
+        conflicts: await listProjectConflicts(row.project_id),
+        infoRequests: infoRequests.map(request => ({ ...request, requestedByName: names.get(request.requestedBy) })),
+        history: history.map(entry => ({ ...entry, byName: names.get(entry.by) }))
+    };
+}
+
+async function listVerifiers() {
+    const { rows } = await db.query(
+        `SELECT vr.user_id, vr.verifier_code, vr.full_name, vr.organization, vr.specializations::text[] AS specializations,
+                COUNT(v.id) FILTER (WHERE v.status IN ('pending', 'in_progress', 'info_requested'))::int AS open_cases
+           FROM verifiers vr
+           LEFT JOIN verifications v ON v.verifier_id = vr.user_id
+          WHERE vr.is_active
+          GROUP BY vr.id
+          ORDER BY vr.full_name`
+    );
+    return rows.map(row => ({
+        id: row.user_id,
+        code: row.verifier_code,
+        name: row.full_name,
+        organization: row.organization,
+        specializations: row.specializations,
+        openCases: row.open_cases
+    }));
+}
+
+// Admins hand an open case to an accredited verifier; the status is unchanged
+async function assignVerifier(user, verificationId, { verifierId } = {}) {
+    if (!verifierId || typeof verifierId !== 'string') {
+        throw new ValidationError('Invalid assignment', ['Choose a verifier']);
+    }
+
+    await db.transaction(async (client) => {
+        const row = await lockCase(client, verificationId);
+        if (!OPEN_STATUSES.includes(row.status)) {
+            throw new ConflictError(`This verification has already been ${row.status}`);
+        }
+
+        const { rows: [verifier] } = await client.query(
+            'SELECT user_id, full_name FROM verifiers WHERE user_id = $1 AND is_active',
+            [verifierId]
+        );
+        if (!verifier) {
+            throw new ValidationError('Invalid assignment', ['That verifier does not exist or is inactive']);
+        }
+
+        await client.query(
+            'UPDATE verifications SET verifier_id = $2, report_data = report_data || $3 WHERE id = $1',
+            [row.id, verifier.user_id, { history: historyEntry(row, user, 'assign', row.status, verifier.full_name) }]
+        );
+
+        await createNotification({
+            userId: verifier.user_id,
+            message: `You have been assigned the verification of ${row.title}`
+        }, client);
+        await createNotification({
+            userId: row.owner_user_id,
+            message: `${verifier.full_name} will verify ${row.title}`
+        }, client);
+    });
+
+    return getCase(user, verificationId);
+}
+
+// Open a pending case for a project whose lock the caller holds: 'initial'
+// until an initial verification has been approved (again after a
+// rejection), 'periodic' from then on. A project has one open case at a
+// time. estimatedTco2e, the registration estimate, is kept for initial cases.
+async function openCase(client, projectId, { estimatedTco2e = null } = {}) {
+    const { rows } = await client.query('SELECT status FROM verifications WHERE project_id = $1', [projectId]);
+    if (rows.some(row => OPEN_STATUSES.includes(row.status))) {
+        throw new ConflictError('This project already has a verification in progress');
+    }
+
+    const type = rows.some(row => row.status === 'approved') ? 'periodic' : 'initial';
+    const { rows: [verification] } = await client.query(
+        `INSERT INTO verifications (project_id, verification_type, report_data)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [projectId, type, type === 'initial' && estimatedTco2e !== null ? { estimatedTco2e } : {}]
+    );
+    return verification.id;
+}
+
+// The project owner submits the project for its next verification
+async function submitForVerification(user, projectId) {
+    const verificationId = await db.transaction(async (client) => {
+        const { rows: [project] } = await client.query(
+            `SELECT p.id, p.title, ${PROJECT_OWNER_USER} AS owner_user_id
+               FROM projects p${PROJECT_OWNER_JOIN}
+              WHERE p.id = $1
+                FOR UPDATE OF p`,
+            [projectId]
+        );
+        if (!project) {
+            throw new NotFoundError('Project not found');
+        }
+        if (project.owner_user_id !== user.id) {
+            throw new ForbiddenError('Only the project owner can submit it for verification');
+        }
+
+        const estimate = await getLatestEstimate(project.id, {}, client);
+        const id = await openCase(client, project.id, { estimatedTco2e: estimate ? estimate.netTco2e : null });
+        await createNotification({
+            userId: user.id,
+            message: `${project.title} was submitted for verification`
+        }, client);
+        return id;
+    });
+
+    return getCase(user, verificationId);
+}
+
+// What the methodology expects the project to have removed by now, for the
+// verifier to read the MRV report's measured credits against. Uses the
+// mapped boundary area where there is one.
+function estimateForReview(row) {
+    const { maxYears } = getMethodology().creditingPeriod;
+    const years = row.start_date
+        ? Math.floor((Date.now() - new Date(row.start_date).getTime()) / (365.25 * 24 * 60 * 60 * 1000))
+        : 1;
+
+    return estimateCredits({
+        ecosystem: row.project_type,
+        areaHectares: toNumber(row.boundary_area_hectares ?? row.area_hectares),
+        years: Math.min(Math.max(years, 1), maxYears),
+        region: regionForState(row.location?.state),
+        previousLandUse: row.location?.previousLandUse
+    });
+}
+
+// A verifier picks up a pending case (claiming it if unassigned)
+async function startReview(user, verificationId) {
+    await db.transaction(async (client) => {
+        const row = await lockCase(client, verificationId);
+        if (user.userType === 'verifier' && row.verifier_id && row.verifier_id !== user.id) {
+            throw new ForbiddenError('This verification is assigned to another verifier');
+        }
+        await applyTransition(client, row, user, 'start', {
+            verifierId: user.userType === 'verifier' ? user.id : null
+        });
+        // Other registrations may have claimed the same land since this one
+        await checkProjectConflicts(client, row.project_id);
+        await recordEstimate(client, {
+            projectId: row.project_id,
+            verificationId: row.id,
+            purpose: 'verification',
+            userId: user.id,
+            estimate: estimateForReview(row)
+        });
+
+        await createNotification({
+            userId: row.owner_user_id,
+            message: `Verification of ${row.title} is now under review`
+        }, client);
+    });
+
+    return getCase(user, verificationId);
+}
+
+async function requestInformation(user, verificationId, { message } = {}) {
+    const text = parseMessage(message, 'The information needed');
+
+    await db.transaction(async (client) => {
+        const row = await lockCase(client, verificationId);
+        assertReviewer(user, row);
+
+        const infoRequests = [
+            ...(row.report_data.infoRequests || []),
+            { message: text, requestedBy: user.id, requestedAt: new Date().toISOString(), response: null, respondedAt: null }
+        ];
+        await applyTransition(client, row, user, 'requestInfo', { note: text, report: { infoRequests } });
+
+        await createNotification({
+            userId: row.owner_user_id,
+            type: 'warning',
+            message: `More information is needed to verify ${row.title}: ${text}`
+        }, client);
+    });
+
+    return getCase(user, verificationId);
+}
+
+// The project owner answers the open information request, which sends the
+// case back to the verifier
+async function respondToRequest(user, verificationId, { response } = {}) {
+    const text = parseMessage(response, 'Your response');
+
+    await db.transaction(async (client) => {
+        const row = await lockCase(client, verificationId);
+        if (row.owner_user_id !== user.id) {
+            throw new ForbiddenError('Only the project owner can respond to this request');
+        }
+
+        const infoRequests = [...(row.report_data.infoRequests || [])];
+        const open = infoRequests.length - 1;
+        if (open >= 0) {
+            infoRequests[open] = { ...infoRequests[open], response: text, respondedAt: new Date().toISOString() };
+        }
+        await applyTransition(client, row, user, 'respond', { note: text, report: { infoRequests } });
+
+        if (row.verifier_id) {
+            await createNotification({
+                userId: row.verifier_id,
+                message: `${row.developer} responded to your information request for ${row.title}`
+            }, client);
+        }
+        await createNotification({
+            userId: row.owner_user_id,
+            message: `Your response was sent; verification of ${row.title} is back under review`
+        }, client);
+    });
+
+    return getCase(user, verificationId);
+}
+
+async function rejectVerification(user, verificationId, { reason } = {}) {
+    const text = parseMessage(reason, 'A reason for rejection');
+
+    await db.transaction(async (client) => {
+        const row = await lockCase(client, verificationId);
+        assertReviewer(user, row);
+        await applyTransition(client, row, user, 'reject', { note: text, report: { rejectionReason: text } });
+
+        await createNotification({
+            userId: row.owner_user_id,
+            type: 'warning',
+            message: `Verification rejected for ${row.title}: ${text}`
+        }, client);
+    });
+
+    return getCase(user, verificationId);
+}
+
+// Save the structured MRV report for a case under review. Its net credits
+// become the default amount issued on approval.
+async function saveMrvReport(user, verificationId, report) {
+    const mrv = validateReport(report);
+
+    await db.transaction(async (client) => {
+        const row = await lockCase(client, verificationId);
+        assertReviewer(user, row);
+        if (row.status !== 'in_progress') {
+            throw new ConflictError('The MRV report can only be edited while the verification is under review');
+        }
+
+        await client.query('UPDATE verifications SET report_data = report_data || $2 WHERE id = $1', [row.id, { mrv }]);
+    });
+
+    return getCase(user, verificationId);
+}
+
+// Attach the project's satellite NDVI series to the report as evidence. The
+// snapshot covers the MRV monitoring period when one has been entered and is
+// replaced each time it is attached again.
+async function attachRemoteSensing(user, verificationId) {
+    await db.transaction(async (client) => {
+        const row = await lockCase(client, verificationId);
+        assertReviewer(user, row);
+        if (row.status !== 'in_progress') {
+            throw new ConflictError('Evidence can only be attached while the verification is under review');
+        }
+
+        const summary = await summarizeNdvi(row.project_id, { since: row.report_data.mrv?.monitoringPeriod.start ?? null });
+        if (summary.observationCount === 0) {
+            throw new ConflictError('There are no usable satellite observations of this project to attach');
+        }
+        const remoteSensing = { ...summary, attachedAt: new Date().toISOString(), attachedBy: user.id };
+        await client.query('UPDATE verifications SET report_data = report_data || $2 WHERE id = $1', [row.id, { remoteSensing }]);
+    });
+
+    return getCase(user, verificationId);
+}
+
+function toReportSummary(row) {
+    return {
+        id: row.id,
+        verificationType: row.verification_type,
+        status: row.status,
+        submittedAt: row.submitted_at,
+        schemaVersion: row.report_data.mrv.schemaVersion,
+        monitoringPeriod: row.report_data.mrv.monitoringPeriod,
+        netCredits: row.report_data.mrv.netCredits
+    };
+}
+
+// Compare a case's MRV report with another verification of the same project,
+// by default the most recent earlier one that has a report
+async function getMrvDiff(user, verificationId, { against } = {}) {
+    const current = await getCase(user, verificationId);
+    if (!current.mrv) {
+        throw new NotFoundError('This verification has no MRV report yet');
+    }
+
+    const { rows: [previous] } = await db.query(
+        `SELECT v.id, v.verification_type, v.status, v.submitted_at, v.report_data
+           FROM verifications v
+          WHERE v.project_id = $1 AND v.id <> $2 AND v.report_data ? 'mrv'
+            AND ${against ? 'v.id = $3' : 'v.submitted_at < $3'}
+          ORDER BY v.submitted_at DESC
+          LIMIT 1`,
+        [current.projectId, current.id, against || current.submittedAt]
+    );
+    if (!previous) {
+        throw new NotFoundError(against
+            ? 'That verification is not an MRV report for the same project'
+            : 'No earlier MRV report to compare with');
+    }
+
+    return {
+        previous: toReportSummary(previous),
+        current: toReportSummary({
+            id: current.id,
+            verification_type: current.verificationType,
+            status: current.status,
+            submitted_at: current.submittedAt,
+            report_data: { mrv: current.mrv }
+        }),
+        changes: diffReports(previous.report_data.mrv, current.mrv)
+    };
+}
+
+// Approve a verification and issue its credits. Credits listed against the
+// verification before it was approved are issued as they stand; otherwise a
+// new batch of verifiedTco2e credits is created for the current vintage.
+// Minting happens after the approval commits, so an unreachable chain node
+// delays the token (syncChain() retries) but never blocks the approval.
+async function approveVerification(user, verificationId, { verifiedTco2e, notes } = {}) {
+    const approval = await db.transaction(async (client) => {
+        const verification = await lockCase(client, verificationId);
+        assertReviewer(user, verification);
+        assertTransition(verification, 'approve');
+
+        const conflicts = await listProjectConflicts(verification.project_id, client);
+        if (conflicts.length > 0) {
+            throw new ConflictError(
+                `${verification.title} has ${conflicts.length} open registration conflict${conflicts.length === 1 ? '' : 's'} `
+                + 'with other projects; an administrator must resolve them before it can be approved',
+                { conflicts }
+            );
+        }
+
+        const credits = Number(verifiedTco2e
+            ?? verification.report_data.mrv?.netCredits
+            ?? verification.report_data.estimatedTco2e);
+        if (!Number.isFinite(credits) || credits <= 0) {
+            throw new ValidationError('Invalid approval', ['Approved credits must be a positive number of tCO2e']);
+        }
+
+        await applyTransition(client, verification, user, 'approve', {
+            note: notes || null,
+            verifierId: user.id,
+            report: { verifiedTco2e: credits, notes: notes || null }
+        });
+
+        let { rows: batches } = await client.query(
+            'SELECT id FROM carbon_credits WHERE verification_id = $1',
+            [verification.id]
+        );
+        if (batches.length === 0) {
+            ({ rows: batches } = await client.query(
+                `INSERT INTO carbon_credits (project_id, credit_amount, vintage_year, status, verification_id)
+                 VALUES ($1, $2, EXTRACT(YEAR FROM NOW())::int, 'generated', $3)
+                 RETURNING id`,
+                [verification.project_id, credits, verification.id]
+            ));
+        }
+
+        await createNotification({
+            userId: verification.owner_user_id,
+            type: 'success',
+            message: `Verification approved for ${verification.title}: ${credits.toLocaleString('en-IN')} tCO2e`
+        }, client);
+
+        return { id: verification.id, verifiedTco2e: credits, creditIds: batches.map(batch => batch.id) };
+    });
+
+    for (const creditId of approval.creditIds) {
+        await mintCredit(creditId).catch(error => {
+            console.error(`Minting credit ${creditId} failed:`, error.shortMessage || error.message);
+        });
+    }
+
+    const { rows } = await db.query(
+        `SELECT id, credit_amount, vintage_year, status, token_id, issuance_tx_hash
+           FROM carbon_credits WHERE id = ANY($1::uuid[])
+          ORDER BY created_at`,
+        [approval.creditIds]
+    );
+
+    return {
+        id: approval.id,
+        status: 'approved',
+        verifiedTco2e: approval.verifiedTco2e,
+        credits: rows.map(row => ({
+            id: row.id,
+            amount: toNumber(row.credit_amount),
+            vintageYear: row.vintage_year,
+            status: row.status,
+            tokenId: row.token_id,
+            transactionHash: row.issuance_tx_hash
+        }))
+    };
+}
+
+// Per-photo checks of the project's geotagged photos, for the verifier to
+// go through before approving
+async function getPhotoReport(user, verificationId) {
+    const verification = await getCase(user, verificationId);
+    return getProjectPhotoReport({
+        id: verification.projectId,
+        latitude: verification.project.latitude,
+        longitude: verification.project.longitude,
+        areaHectares: verification.areaHectares,
+        startDate: verification.project.startDate
+    });
+}
+
+module.exports = {
+    listCases,
+    getCase,
+    listVerifiers,
+    openCase,
+    submitForVerification,
+    assignVerifier,
+    startReview,
+    requestInformation,
+    respondToRequest,
+    rejectVerification,
+    saveMrvReport,
+    getMrvDiff,
+    getPhotoReport,
+    attachRemoteSensing,
+    approveVerification
+};
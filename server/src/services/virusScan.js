@@ -0,0 +1,68 @@
+const net = require('net');
+const config = require('../config');
+
+// Virus scanners look at every upload before it is stored and return
+// { status: 'clean' | 'infected' | 'skipped', signature }. A scanner that
+// cannot be reached throws, so uploads fail closed while scanning is on.
+
+const CLAMD_CHUNK_SIZE = 64 * 1024;
+const CLAMD_TIMEOUT_MS = 30 * 1000;
+
+// clamd INSTREAM: length-prefixed chunks, a zero-length chunk ends the stream
+function clamdScan(buffer) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(config.clamavPort, config.clamavHost);
+        let reply = '';
+
+        socket.setTimeout(CLAMD_TIMEOUT_MS, () => socket.destroy(new Error('clamd did not answer in time')));
+        socket.on('error', reject);
+        socket.on('data', (data) => {
+            reply += data.toString();
+        });
+        socket.on('end', () => {
+            // "stream: OK" or "stream: <signature> FOUND"
+            const result = reply.replace(/\0/g, '').trim();
+            const found = result.match(/^stream: (.+) FOUND$/);
+            if (found) {
+                resolve({ status: 'infected', signature: found[1] });
+            } else if (result === 'stream: OK') {
+                resolve({ status: 'clean', signature: null });
+            } else {
+                reject(new Error(`Unexpected clamd reply "${result}"`));
+            }
+        });
+
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < buffer.length; offset += CLAMD_CHUNK_SIZE) {
+            const chunk = buffer.subarray(offset, offset + CLAMD_CHUNK_SIZE);
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            socket.write(length);
+            socket.write(chunk);
+        }
+        socket.end(Buffer.alloc(4));
+    });
+}
+
+const scanners = {
+    none: {
+        async scan() {
+            return { status: 'skipped', signature: null };
+        }
+    },
+    clamav: {
+        scan: clamdScan
+    }
+};
+
+async function scanFile(buffer) {
+    const scanner = scanners[config.virusScanner];
+    if (!scanner) {
+        throw new Error(`Unknown virus scanner "${config.virusScanner}"`);
+    }
+    return scanner.scan(buffer);
+}
+
+module.exports = {
+    scanFile
+};
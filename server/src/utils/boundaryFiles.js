@@ -0,0 +1,270 @@
+// Reads project boundary polygons out of the files GIS tools and phone apps
+// export: GeoJSON, KML or KMZ, and zipped Shapefiles. Every reader returns
+// { source, polygons } with polygons as GeoJSON Polygon coordinates; checking
+// the rings themselves is left to services/projects.js.
+const zlib = require('zlib');
+const { signedPlanarArea, pointInRing } = require('./geo');
+
+// Thrown for files that cannot be read; the message is shown to the user
+class BoundaryFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BoundaryFileError';
+    }
+}
+
+// Guards against zip bombs: nothing in a boundary archive needs more
+const MAX_UNZIPPED_BYTES = 50 * 1024 * 1024;
+const WGS84_MESSAGE = 'export it in WGS 84 longitude/latitude (EPSG:4326)';
+
+// Zip archives (Shapefile bundles, KMZ)
+
+// Map of file name -> entry, read from the archive's central directory
+function readZipEntries(buffer) {
+    const searchFrom = Math.max(0, buffer.length - 65557);
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= searchFrom; offset--) {
+        if (buffer.readUInt32LE(offset) === 0x06054b50) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new BoundaryFileError('The zip file is damaged or incomplete');
+    }
+
+    const entries = new Map();
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let index = 0; index < count; index++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new BoundaryFileError('The zip file is damaged or incomplete');
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+        entries.set(name, {
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            localHeader: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return entries;
+}
+
+function readZipEntry(buffer, entry) {
+    const start = entry.localHeader + 30 + buffer.readUInt16LE(entry.localHeader + 26) + buffer.readUInt16LE(entry.localHeader + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) {
+        return data;
+    }
+    if (entry.method !== 8) {
+        throw new BoundaryFileError('The zip file uses an unsupported compression method');
+    }
+    try {
+        return zlib.inflateRawSync(data, { maxOutputLength: MAX_UNZIPPED_BYTES });
+    } catch (error) {
+        throw new BoundaryFileError('The zip file is damaged or too large');
+    }
+}
+
+// First entry whose name ends with the extension, ignoring macOS resource forks
+function findZipEntry(entries, extension) {
+    const name = [...entries.keys()].find(entryName => !entryName.startsWith('__MACOSX/') && entryName.toLowerCase().endsWith(extension));
+    return name === undefined ? null : { name, entry: entries.get(name) };
+}
+
+// GeoJSON
+
+function collectGeoJsonPolygons(object, polygons) {
+    switch (object?.type) {
+        case 'FeatureCollection':
+            (object.features || []).forEach(feature => collectGeoJsonPolygons(feature, polygons));
+            break;
+        case 'Feature':
+            collectGeoJsonPolygons(object.geometry, polygons);
+            break;
+        case 'GeometryCollection':
+            (object.geometries || []).forEach(geometry => collectGeoJsonPolygons(geometry, polygons));
+            break;
+        case 'Polygon':
+            polygons.push(object.coordinates);
+            break;
+        case 'MultiPolygon':
+            polygons.push(...(object.coordinates || []));
+            break;
+        default:
+            // Points and lines (survey markers, paths) are skipped
+    }
+}
+
+// Accepts parsed JSON too, for boundaries drawn in the browser
+function readGeoJson(input) {
+    let object = input;
+    if (typeof input === 'string') {
+        try {
+            object = JSON.parse(input);
+        } catch (error) {
+            throw new BoundaryFileError('The GeoJSON file is not valid JSON');
+        }
+    }
+
+    // RFC 7946 dropped "crs"; older exports still name theirs
+    const crs = object?.crs?.properties?.name;
+    if (crs && !/(CRS84|EPSG::?4326)$/i.test(crs)) {
+        throw new BoundaryFileError(`The GeoJSON file uses ${crs}; ${WGS84_MESSAGE}`);
+    }
+
+    const polygons = [];
+    collectGeoJsonPolygons(object, polygons);
+    return polygons;
+}
+
+// KML
+
+function readKmlCoordinates(text) {
+    return text.trim().split(/\s+/).filter(Boolean).map(tuple => tuple.split(',').slice(0, 2).map(Number));
+}
+
+// Polygons are pulled out by tag name; KML from Google Earth and field apps
+// keeps to the plain <Polygon><outerBoundaryIs><LinearRing> layout
+function readKml(text) {
+    const polygons = [];
+    const tag = name => new RegExp(`<(?:\\w+:)?${name}[\\s>][\\s\\S]*?</(?:\\w+:)?${name}>`, 'g');
+    const coordinatesOf = element => /<(?:\w+:)?coordinates[^>]*>([\s\S]*?)<\/(?:\w+:)?coordinates>/.exec(element)?.[1];
+
+    for (const [polygon] of text.matchAll(tag('Polygon'))) {
+        const outer = tag('outerBoundaryIs').exec(polygon);
+        const outerCoordinates = outer && coordinatesOf(outer[0]);
+        if (!outerCoordinates) continue;
+
+        const holes = [...polygon.matchAll(tag('innerBoundaryIs'))]
+            .map(([inner]) => coordinatesOf(inner))
+            .filter(Boolean);
+        polygons.push([readKmlCoordinates(outerCoordinates), ...holes.map(readKmlCoordinates)]);
+    }
+    return polygons;
+}
+
+// Shapefile
+
+const SHAPE_POLYGON_TYPES = [5, 15, 25]; // Polygon, PolygonZ, PolygonM
+
+// Rings of every polygon record in a .shp file
+function readShpRings(buffer) {
+    if (buffer.length < 100 || buffer.readInt32BE(0) !== 9994) {
+        throw new BoundaryFileError('The .shp file is damaged or is not a Shapefile');
+    }
+    if (!SHAPE_POLYGON_TYPES.includes(buffer.readInt32LE(32))) {
+        throw new BoundaryFileError('The Shapefile holds points or lines; it needs polygon shapes');
+    }
+
+    const rings = [];
+    let offset = 100;
+    while (offset + 8 <= buffer.length) {
+        const contentLength = buffer.readInt32BE(offset + 4) * 2;
+        const record = offset + 8;
+        offset = record + contentLength;
+        if (offset > buffer.length) {
+            throw new BoundaryFileError('The .shp file is damaged or incomplete');
+        }
+        if (!SHAPE_POLYGON_TYPES.includes(buffer.readInt32LE(record))) continue; // Null shapes
+
+        const partCount = buffer.readInt32LE(record + 36);
+        const pointCount = buffer.readInt32LE(record + 40);
+        const points = record + 44 + partCount * 4;
+        if (partCount < 0 || pointCount < 0 || points + pointCount * 16 > offset) {
+            throw new BoundaryFileError('The .shp file is damaged or incomplete');
+        }
+        const parts = Array.from({ length: partCount }, (_, index) => buffer.readInt32LE(record + 44 + index * 4));
+        parts.forEach((start, index) => {
+            const stop = index + 1 < partCount ? parts[index + 1] : pointCount;
+            rings.push(Array.from({ length: stop - start }, (_, point) => [
+                buffer.readDoubleLE(points + (start + point) * 16),
+                buffer.readDoubleLE(points + (start + point) * 16 + 8)
+            ]));
+        });
+    }
+    return rings;
+}
+
+// Shapefile outer rings run clockwise and holes anticlockwise; each hole
+// goes with the outer ring around it
+function groupShpRings(rings) {
+    const polygons = [];
+    const holes = [];
+    for (const ring of rings) {
+        (signedPlanarArea(ring) > 0 ? holes : polygons).push([ring]);
+    }
+    for (const [hole] of holes) {
+        const owner = polygons.find(([outer]) => pointInRing(hole[0], outer));
+        if (owner) {
+            owner.push(hole);
+        } else {
+            polygons.push([hole]);
+        }
+    }
+    return polygons;
+}
+
+function readShapefile(shp, prj) {
+    if (prj && /^\s*PROJCS/i.test(prj)) {
+        const name = /^\s*PROJCS\["([^"]+)"/i.exec(prj)?.[1] || 'a projected coordinate system';
+        throw new BoundaryFileError(`The Shapefile uses ${name}; ${WGS84_MESSAGE}`);
+    }
+    return groupShpRings(readShpRings(shp));
+}
+
+function readZip(buffer) {
+    const entries = readZipEntries(buffer);
+    const shp = findZipEntry(entries, '.shp');
+    if (shp) {
+        const prj = entries.get(shp.name.replace(/\.shp$/i, '.prj')) || findZipEntry(entries, '.prj')?.entry;
+        return {
+            source: 'shapefile',
+            polygons: readShapefile(readZipEntry(buffer, shp.entry), prj && readZipEntry(buffer, prj).toString('latin1'))
+        };
+    }
+    const kml = findZipEntry(entries, '.kml');
+    if (kml) {
+        return { source: 'kml', polygons: readKml(readZipEntry(buffer, kml.entry).toString('utf8')) };
+    }
+    throw new BoundaryFileError('The zip file has no .shp or .kml file in it');
+}
+
+function readBoundaryBuffer(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+        return readZip(buffer);
+    }
+    if (buffer.length >= 4 && buffer.readInt32BE(0) === 9994) {
+        return { source: 'shapefile', polygons: readShapefile(buffer, null) };
+    }
+
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (text.startsWith('{')) {
+        return { source: 'geojson', polygons: readGeoJson(text) };
+    }
+    if (text.startsWith('<')) {
+        return { source: 'kml', polygons: readKml(text) };
+    }
+    throw new BoundaryFileError('Upload the boundary as GeoJSON, KML, KMZ or a zipped Shapefile');
+}
+
+// Works out the format from the file's content rather than its name
+function readBoundaryFile(buffer) {
+    try {
+        return readBoundaryBuffer(buffer);
+    } catch (error) {
+        // Offsets pointing past the end of a truncated zip or Shapefile
+        if (error instanceof RangeError) {
+            throw new BoundaryFileError('The file is damaged or incomplete');
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    BoundaryFileError,
+    readBoundaryFile,
+    readGeoJson
+};
@@ -0,0 +1,141 @@
+// Reads the EXIF tags photo evidence needs (GPS position, capture time and
+// camera) from the raw EXIF block sharp returns for JPEG, PNG and WebP
+
+// Bytes per value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const TAGS = {
+    make: 0x010f,
+    model: 0x0110,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    dateTimeOriginal: 0x9003,
+    offsetTimeOriginal: 0x9011,
+    gpsLatitudeRef: 0x0001,
+    gpsLatitude: 0x0002,
+    gpsLongitudeRef: 0x0003,
+    gpsLongitude: 0x0004,
+    gpsTimeStamp: 0x0007,
+    gpsDateStamp: 0x001d
+};
+
+// Camera clocks without a time zone are read as Indian Standard Time
+const DEFAULT_UTC_OFFSET = '+05:30';
+
+function readValue(tiff, type, count, offset, little) {
+    const read = {
+        1: at => tiff.readUInt8(at),
+        3: at => little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at),
+        4: at => little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at),
+        5: at => (little ? tiff.readUInt32LE(at) / tiff.readUInt32LE(at + 4) : tiff.readUInt32BE(at) / tiff.readUInt32BE(at + 4)),
+        7: at => tiff.readUInt8(at),
+        9: at => little ? tiff.readInt32LE(at) : tiff.readInt32BE(at),
+        10: at => (little ? tiff.readInt32LE(at) / tiff.readInt32LE(at + 4) : tiff.readInt32BE(at) / tiff.readInt32BE(at + 4))
+    };
+
+    if (type === 2) {
+        return tiff.subarray(offset, offset + count).toString('latin1').replace(/\0.*$/s, '').trim();
+    }
+    if (!read[type]) {
+        return null;
+    }
+    const values = Array.from({ length: count }, (_, index) => read[type](offset + index * TYPE_SIZES[type]));
+    return count === 1 ? values[0] : values;
+}
+
+// Tag number -> value for one image file directory
+function readIfd(tiff, offset, little) {
+    const entries = new Map();
+    const count = little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+
+    for (let index = 0; index < count; index++) {
+        const entry = offset + 2 + index * 12;
+        const tag = little ? tiff.readUInt16LE(entry) : tiff.readUInt16BE(entry);
+        const type = little ? tiff.readUInt16LE(entry + 2) : tiff.readUInt16BE(entry + 2);
+        const valueCount = little ? tiff.readUInt32LE(entry + 4) : tiff.readUInt32BE(entry + 4);
+        const size = (TYPE_SIZES[type] || 0) * valueCount;
+        // Values of up to four bytes are stored in the entry itself
+        const valueOffset = size <= 4 ? entry + 8 : (little ? tiff.readUInt32LE(entry + 8) : tiff.readUInt32BE(entry + 8));
+        entries.set(tag, readValue(tiff, type, valueCount, valueOffset, little));
+    }
+    return entries;
+}
+
+function toDegrees(value, ref) {
+    if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+        return null;
+    }
+    const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+    return ['S', 'W'].includes(ref) ? -degrees : degrees;
+}
+
+// "2024:06:15 10:42:07" -> Date
+function parseDateTime(value, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hour, minute, second] = match;
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// The GPS clock is UTC and set by the satellites, so it is preferred over
+// the camera clock
+function readTakenAt(exifTags, gpsTags) {
+    const gpsTime = gpsTags.get(TAGS.gpsTimeStamp);
+    const gpsDate = gpsTags.get(TAGS.gpsDateStamp);
+    if (Array.isArray(gpsTime) && gpsTime.every(Number.isFinite) && typeof gpsDate === 'string') {
+        const [hour, minute, second] = gpsTime.map(Math.floor);
+        const time = [hour, minute, second].map(part => String(part).padStart(2, '0')).join(':');
+        const date = parseDateTime(`${gpsDate} ${time}`, 'Z');
+        if (date) return date;
+    }
+
+    const offset = /^[+-]\d{2}:\d{2}$/.test(exifTags.get(TAGS.offsetTimeOriginal) || '')
+        ? exifTags.get(TAGS.offsetTimeOriginal)
+        : DEFAULT_UTC_OFFSET;
+    return parseDateTime(exifTags.get(TAGS.dateTimeOriginal), offset);
+}
+
+// Returns { latitude, longitude, takenAt, camera }; anything missing or
+// unreadable is null
+function readExif(exif) {
+    const result = { latitude: null, longitude: null, takenAt: null, camera: null };
+    if (!exif || exif.length < 14) {
+        return result;
+    }
+
+    // sharp includes the "Exif\0\0" header of the APP1 segment
+    const tiff = exif.subarray(0, 6).toString('latin1') === 'Exif\0\0' ? exif.subarray(6) : exif;
+    const byteOrder = tiff.subarray(0, 2).toString('latin1');
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+        return result;
+    }
+    const little = byteOrder === 'II';
+
+    try {
+        const ifd0 = readIfd(tiff, little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), little);
+        const exifTags = ifd0.has(TAGS.exifIfd) ? readIfd(tiff, ifd0.get(TAGS.exifIfd), little) : new Map();
+        const gpsTags = ifd0.has(TAGS.gpsIfd) ? readIfd(tiff, ifd0.get(TAGS.gpsIfd), little) : new Map();
+
+        const latitude = toDegrees(gpsTags.get(TAGS.gpsLatitude), gpsTags.get(TAGS.gpsLatitudeRef));
+        const longitude = toDegrees(gpsTags.get(TAGS.gpsLongitude), gpsTags.get(TAGS.gpsLongitudeRef));
+        if (latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180
+            && !(latitude === 0 && longitude === 0)) {
+            result.latitude = latitude;
+            result.longitude = longitude;
+        }
+        result.takenAt = readTakenAt(exifTags, gpsTags);
+        const camera = [ifd0.get(TAGS.make), ifd0.get(TAGS.model)].filter(part => typeof part === 'string' && part).join(' ');
+        result.camera = camera ? camera.slice(0, 255) : null;
+    } catch (error) {
+        // Offsets pointing outside the block: keep whatever was read
+        if (!(error instanceof RangeError)) throw error;
+    }
+    return result;
+}
+
+module.exports = {
+    readExif
+};
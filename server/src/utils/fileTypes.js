@@ -0,0 +1,48 @@
+// Work out what an uploaded file really is from its first bytes instead of
+// trusting the browser-supplied Content-Type or file extension
+
+const SIGNATURES = [
+    { mimeType: 'application/pdf', extension: '.pdf', matches: bytes => bytes.subarray(0, 5).toString('latin1') === '%PDF-' },
+    { mimeType: 'image/jpeg', extension: '.jpg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+    { mimeType: 'image/png', extension: '.png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    {
+        mimeType: 'image/webp',
+        extension: '.webp',
+        matches: bytes => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP'
+    },
+    {
+        // Office Open XML files are zip archives; only spreadsheets are accepted
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: '.xlsx',
+        matches: (bytes, fileName) => bytes.subarray(0, 4).toString('latin1') === 'PK\x03\x04' && /\.xlsx$/i.test(fileName)
+    }
+];
+
+const TEXT_SAMPLE_BYTES = 8192;
+
+function isText(bytes) {
+    const sample = bytes.subarray(0, TEXT_SAMPLE_BYTES);
+    if (sample.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, Math.max(0, sample.length - 3)));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Returns { mimeType, extension }, or null for anything unrecognised
+function detectFileType(bytes, fileName = '') {
+    const signature = SIGNATURES.find(candidate => candidate.matches(bytes, fileName));
+    if (signature) {
+        return { mimeType: signature.mimeType, extension: signature.extension };
+    }
+    if (/\.csv$/i.test(fileName) && bytes.length > 0 && isText(bytes)) {
+        return { mimeType: 'text/csv', extension: '.csv' };
+    }
+    return null;
+}
+
+module.exports = {
+    detectFileType
+};
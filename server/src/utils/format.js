@@ -0,0 +1,41 @@
+// Helpers for turning database rows into the shapes script.js renders
+
+// pg returns DECIMAL/NUMERIC and SUM() results as strings
+function toNumber(value) {
+    if (value === null || value === undefined) return 0;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : 0;
+}
+
+// Rupee amounts are stored as DECIMAL(15,2)
+function roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// projects.location is JSONB; show the most specific place names available
+function formatLocation(location) {
+    if (!location) return '';
+    if (typeof location === 'string') return location;
+    if (location.name) return location.name;
+
+    return [location.village, location.district, location.state]
+        .filter(Boolean)
+        .join(', ');
+}
+
+function startOfMonth(date = new Date()) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+function formatChange(value, unit = '', period = 'this month') {
+    const sign = value >= 0 ? '+' : '';
+    return `${sign}${value.toLocaleString('en-IN')}${unit} ${period}`;
+}
+
+module.exports = {
+    toNumber,
+    roundCurrency,
+    formatLocation,
+    startOfMonth,
+    formatChange
+};
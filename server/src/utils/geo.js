@@ -0,0 +1,163 @@
+// Geometry for project boundaries: GeoJSON Polygon and MultiPolygon
+// coordinates in WGS 84, [longitude, latitude] as GeoJSON orders them.
+// Areas are worked out on the sphere, everything else on the flat
+// longitude/latitude plane, which is close enough at project scale.
+
+const EARTH_RADIUS_M = 6378137;
+// About a centimetre at the equator
+const COORDINATE_DECIMALS = 7;
+
+const radians = degrees => degrees * Math.PI / 180;
+
+// Polygon -> [polygon], MultiPolygon -> its polygons
+function polygonsOf(geometry) {
+    return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+}
+
+// Area of a closed ring in square metres (the method of Chamberlain and
+// Duquette, "Some Algorithms for Polygons on a Sphere", 2007)
+function ringArea(ring) {
+    let total = 0;
+    for (let index = 0; index < ring.length - 1; index++) {
+        const previous = ring[index === 0 ? ring.length - 2 : index - 1];
+        const next = ring[index + 1];
+        total += (radians(next[0]) - radians(previous[0])) * Math.sin(radians(ring[index][1]));
+    }
+    return Math.abs(total * EARTH_RADIUS_M * EARTH_RADIUS_M / 2);
+}
+
+// Holes are cut out of the outer ring
+function areaSquareMetres(geometry) {
+    return polygonsOf(geometry).reduce(
+        (total, [outer, ...holes]) => total + ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0),
+        0
+    );
+}
+
+function areaHectares(geometry) {
+    return areaSquareMetres(geometry) / 10000;
+}
+
+// Shoelace area on the longitude/latitude plane; positive when the ring runs
+// anticlockwise
+function signedPlanarArea(ring) {
+    let total = 0;
+    for (let index = 0; index < ring.length - 1; index++) {
+        total += ring[index][0] * ring[index + 1][1] - ring[index + 1][0] * ring[index][1];
+    }
+    return total / 2;
+}
+
+// Ray casting; points exactly on an edge may land either side
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let index = 0, previous = ring.length - 2; index < ring.length - 1; previous = index++) {
+        const [xi, yi] = ring[index];
+        const [xj, yj] = ring[previous];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function pointInPolygon(point, [outer, ...holes]) {
+    return pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole));
+}
+
+function orientation(a, b, c) {
+    const value = (b[1] - a[1]) * (c[0] - b[0]) - (b[0] - a[0]) * (c[1] - b[1]);
+    return value === 0 ? 0 : (value > 0 ? 1 : -1);
+}
+
+function onSegment(a, b, point) {
+    return point[0] <= Math.max(a[0], b[0]) && point[0] >= Math.min(a[0], b[0])
+        && point[1] <= Math.max(a[1], b[1]) && point[1] >= Math.min(a[1], b[1]);
+}
+
+// Whether segments ab and cd cross or touch
+function segmentsIntersect(a, b, c, d) {
+    const o1 = orientation(a, b, c);
+    const o2 = orientation(a, b, d);
+    const o3 = orientation(c, d, a);
+    const o4 = orientation(c, d, b);
+
+    if (o1 !== o2 && o3 !== o4) return true;
+    return (o1 === 0 && onSegment(a, b, c)) || (o2 === 0 && onSegment(a, b, d))
+        || (o3 === 0 && onSegment(c, d, a)) || (o4 === 0 && onSegment(c, d, b));
+}
+
+// Whether any two non-adjacent edges of a closed ring meet. Edges are swept
+// from west to east so only edges whose longitudes overlap are compared.
+function ringSelfIntersects(ring) {
+    const edgeCount = ring.length - 1;
+    const edges = Array.from({ length: edgeCount }, (_, index) => ({
+        index,
+        start: ring[index],
+        end: ring[index + 1],
+        west: Math.min(ring[index][0], ring[index + 1][0]),
+        east: Math.max(ring[index][0], ring[index + 1][0])
+    })).sort((a, b) => a.west - b.west);
+
+    for (let i = 0; i < edges.length; i++) {
+        for (let j = i + 1; j < edges.length && edges[j].west <= edges[i].east; j++) {
+            const gap = Math.abs(edges[i].index - edges[j].index);
+            if (gap === 1 || gap === edgeCount - 1) continue;
+            if (segmentsIntersect(edges[i].start, edges[i].end, edges[j].start, edges[j].end)) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// [west, south, east, north]
+function boundingBox(geometry) {
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const [outer] of polygonsOf(geometry)) {
+        for (const [longitude, latitude] of outer) {
+            box[0] = Math.min(box[0], longitude);
+            box[1] = Math.min(box[1], latitude);
+            box[2] = Math.max(box[2], longitude);
+            box[3] = Math.max(box[3], latitude);
+        }
+    }
+    return box;
+}
+
+// Area-weighted centre of the outer rings, as { latitude, longitude }
+function centroid(geometry) {
+    let weight = 0;
+    let x = 0;
+    let y = 0;
+    for (const [outer] of polygonsOf(geometry)) {
+        for (let index = 0; index < outer.length - 1; index++) {
+            const [x0, y0] = outer[index];
+            const [x1, y1] = outer[index + 1];
+            const cross = x0 * y1 - x1 * y0;
+            weight += cross;
+            x += (x0 + x1) * cross;
+            y += (y0 + y1) * cross;
+        }
+    }
+    return { latitude: y / (3 * weight), longitude: x / (3 * weight) };
+}
+
+function roundCoordinate(value) {
+    return Number(value.toFixed(COORDINATE_DECIMALS));
+}
+
+module.exports = {
+    polygonsOf,
+    ringArea,
+    areaSquareMetres,
+    areaHectares,
+    signedPlanarArea,
+    pointInRing,
+    pointInPolygon,
+    segmentsIntersect,
+    ringSelfIntersects,
+    boundingBox,
+    centroid,
+    roundCoordinate
+};
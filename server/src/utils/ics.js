@@ -0,0 +1,68 @@
+// Minimal iCalendar (RFC 5545) writer for site visit exports and feeds
+
+const PRODUCT_ID = '-//BlueCarbon India//Site Visits//EN';
+
+// 20261020T043000Z
+function formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, continuation lines start with a space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function renderEvent(event) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `SEQUENCE:${event.sequence}`,
+        `DTSTAMP:${formatDateTime(event.updatedAt)}`,
+        `DTSTART:${formatDateTime(event.start)}`,
+        `DTEND:${formatDateTime(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`,
+        event.description ? `DESCRIPTION:${escapeText(event.description)}` : null,
+        event.location ? `LOCATION:${escapeText(event.location)}` : null,
+        event.geo ? `GEO:${event.geo.latitude};${event.geo.longitude}` : null,
+        `STATUS:${event.status}`,
+        'END:VEVENT'
+    ].filter(Boolean);
+}
+
+function renderCalendar({ name = null, events }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+        ...events.flatMap(renderEvent),
+        'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    renderCalendar
+};
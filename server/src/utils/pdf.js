@@ -0,0 +1,91 @@
+// Minimal single-page PDF writer. Output is pure ASCII so the document
+// survives apiRequest() reading non-JSON responses with response.text()
+// before downloadCertificate()/downloadInvoice() wrap them in a Blob.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+
+// Accented Latin letters lose their accents; other scripts have no
+// Helvetica glyphs and print as '?'
+function transliterate(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/₹/g, 'Rs. ')
+        .replace(/[–—]/g, '-');
+}
+
+// Whether the text prints on a PDF without '?' in place of characters
+function isPrintable(text) {
+    return /^[\x20-\x7E]*$/.test(transliterate(text));
+}
+
+function toAscii(text) {
+    return transliterate(text).replace(/[^\x20-\x7E]/g, '?');
+}
+
+function escapeText(text) {
+    return toAscii(text).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+// Each line is a string, or { text, size, bold, gap } for headings and spacing
+function buildContentStream(title, lines) {
+    const commands = [];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    const draw = (text, size, bold) => {
+        commands.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN} ${y} Td (${escapeText(text)}) Tj ET`);
+        y -= Math.round(size * 1.6);
+    };
+
+    draw(title, 20, true);
+    y -= 10;
+
+    lines.forEach(line => {
+        if (typeof line === 'string') {
+            draw(line, 11, false);
+            return;
+        }
+        y -= line.gap || 0;
+        if (line.text) {
+            draw(line.text, line.size || 11, !!line.bold);
+        }
+    });
+
+    return commands.join('\n');
+}
+
+function renderTextPdf({ title, lines = [] }) {
+    const content = buildContentStream(title, lines);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>',
+        `<< /Length ${Buffer.byteLength(content, 'ascii')} >>\nstream\n${content}\nendstream`
+    ];
+
+    let body = '%PDF-1.4\n';
+    const offsets = [];
+
+    objects.forEach((object, index) => {
+        offsets.push(Buffer.byteLength(body, 'ascii'));
+        body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(body, 'ascii');
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+        body += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'ascii');
+}
+
+module.exports = {
+    renderTextPdf,
+    isPrintable
+};
@@ -0,0 +1,71 @@
+// Map projections for satellite rasters. Sentinel-2 and Landsat tiles come in
+// WGS 84 / UTM (EPSG:326zz north, 327zz south); reprocessed products are
+// sometimes plain longitude/latitude (EPSG:4326). Each projection turns
+// [longitude, latitude] into the raster's [x, y].
+
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const UTM_SCALE = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+const UTM_FALSE_NORTHING_SOUTH = 10000000;
+
+// Metres per degree of latitude, near enough for pixel areas
+const METRES_PER_DEGREE = 111320;
+
+const radians = degrees => degrees * Math.PI / 180;
+
+// Transverse Mercator on the WGS 84 ellipsoid (Snyder, "Map Projections: A
+// Working Manual", 1987, equations 8-9 to 8-10)
+function utmForward(zone, south) {
+    const e2 = WGS84_F * (2 - WGS84_F);
+    const e4 = e2 * e2;
+    const e6 = e4 * e2;
+    const ep2 = e2 / (1 - e2);
+    const centralMeridian = radians((zone - 1) * 6 - 180 + 3);
+
+    return ([longitude, latitude]) => {
+        const phi = radians(latitude);
+        const sinPhi = Math.sin(phi);
+        const cosPhi = Math.cos(phi);
+        const n = WGS84_A / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+        const t = Math.tan(phi) ** 2;
+        const c = ep2 * cosPhi * cosPhi;
+        const a = cosPhi * (radians(longitude) - centralMeridian);
+        const m = WGS84_A * (
+            (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi
+            - (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi)
+            + (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi)
+            - (35 * e6 / 3072) * Math.sin(6 * phi)
+        );
+
+        const x = UTM_SCALE * n * (a + (1 - t + c) * a ** 3 / 6 + (5 - 18 * t + t * t + 72 * c - 58 * ep2) * a ** 5 / 120);
+        const y = UTM_SCALE * (m + n * Math.tan(phi) * (
+            a * a / 2
+            + (5 - t + 9 * c + 4 * c * c) * a ** 4 / 24
+            + (61 - 58 * t + t * t + 600 * c - 330 * ep2) * a ** 6 / 720
+        ));
+        return [x + UTM_FALSE_EASTING, south ? y + UTM_FALSE_NORTHING_SOUTH : y];
+    };
+}
+
+// { forward, pixelArea } for an EPSG code, or null when it is not supported.
+// pixelArea(resolution, latitude) is the ground area of one pixel in m².
+function projectionFor(epsg) {
+    if (epsg === 4326) {
+        return {
+            forward: point => point,
+            pixelArea: ([width, height], latitude) => Math.abs(width * height) * METRES_PER_DEGREE ** 2 * Math.cos(radians(latitude))
+        };
+    }
+    if ((epsg > 32600 && epsg <= 32660) || (epsg > 32700 && epsg <= 32760)) {
+        return {
+            forward: utmForward(epsg % 100, epsg > 32700),
+            pixelArea: ([width, height]) => Math.abs(width * height)
+        };
+    }
+    return null;
+}
+
+module.exports = {
+    projectionFor
+};
@@ -0,0 +1,76 @@
+// Reads georeferenced windows of single-band GeoTIFFs (one file per band, as
+// Sentinel-2 and Landsat are distributed) with geotiff.js, so only the
+// pixels around a project are loaded from a tile of a hundred million.
+const { fromFile } = require('geotiff');
+
+// Opens the first image of the file. Call close() when done.
+async function openRaster(file) {
+    const tiff = await fromFile(file);
+    const image = await tiff.getImage();
+    const geoKeys = image.getGeoKeys() || {};
+    const metadata = image.getGDALMetadata(0) || {};
+    const noData = image.getGDALNoData();
+
+    return {
+        image,
+        epsg: geoKeys.ProjectedCSTypeGeoKey || geoKeys.GeographicTypeGeoKey || null,
+        width: image.getWidth(),
+        height: image.getHeight(),
+        origin: image.getOrigin(), // top-left corner
+        resolution: image.getResolution(), // y is negative: rows run south
+        noData: noData === null ? null : Number(noData),
+        // Reflectance = value * scale + offset, where the file says so
+        scale: metadata.SCALE === undefined ? null : Number(metadata.SCALE),
+        offset: metadata.OFFSET === undefined ? null : Number(metadata.OFFSET),
+        close: () => tiff.close()
+    };
+}
+
+// Whether two bands share a pixel grid
+function sameGrid(a, b) {
+    return a.epsg === b.epsg && a.width === b.width && a.height === b.height
+        && a.origin[0] === b.origin[0] && a.origin[1] === b.origin[1]
+        && a.resolution[0] === b.resolution[0] && a.resolution[1] === b.resolution[1];
+}
+
+// Pixel window [left, top, right, bottom] covering the [minX, minY, maxX, maxY]
+// box in the raster's coordinates, or null when they do not meet
+function pixelWindow(raster, [minX, minY, maxX, maxY]) {
+    const [originX, originY] = raster.origin;
+    const [resolutionX, resolutionY] = raster.resolution;
+    const left = Math.max(0, Math.floor((minX - originX) / resolutionX));
+    const right = Math.min(raster.width, Math.ceil((maxX - originX) / resolutionX));
+    const top = Math.max(0, Math.floor((maxY - originY) / resolutionY));
+    const bottom = Math.min(raster.height, Math.ceil((minY - originY) / resolutionY));
+    return left < right && top < bottom ? [left, top, right, bottom] : null;
+}
+
+async function readWindow(raster, window) {
+    const [values] = await raster.image.readRasters({ window, samples: [0] });
+    return values;
+}
+
+// Centre of a pixel in the raster's coordinates
+function pixelCentre(raster, column, row) {
+    return [
+        raster.origin[0] + (column + 0.5) * raster.resolution[0],
+        raster.origin[1] + (row + 0.5) * raster.resolution[1]
+    ];
+}
+
+// The pixel holding a point, as [column, row]
+function pixelAt(raster, [x, y]) {
+    return [
+        Math.floor((x - raster.origin[0]) / raster.resolution[0]),
+        Math.floor((y - raster.origin[1]) / raster.resolution[1])
+    ];
+}
+
+module.exports = {
+    openRaster,
+    sameGrid,
+    pixelWindow,
+    readWindow,
+    pixelCentre,
+    pixelAt
+};
@@ -0,0 +1,37 @@
+// Credit serial numbers: BCI-<vintage>-<batch>-<first unit>-<last unit>,
+// e.g. BCI-2024-000012-0000001-0000250 for units 1-250 of batch 12. A single
+// credit may be written BCI-2024-000012-0000005 and a whole batch
+// BCI-2024-000012.
+
+const SERIAL_PREFIX = 'BCI';
+const SERIAL_PATTERN = /^BCI-(\d{4})-(\d{1,9})(?:-(\d{1,9})(?:-(\d{1,9}))?)?$/i;
+
+function pad(value, width) {
+    return String(value).padStart(width, '0');
+}
+
+function formatSerialRange(vintageYear, batchNumber, from, to) {
+    return [SERIAL_PREFIX, vintageYear, pad(batchNumber, 6), pad(from, 7), pad(to, 7)].join('-');
+}
+
+// Returns { vintageYear, batchNumber, from, to } (from/to are null for a
+// whole batch), or null if the text is not a serial number
+function parseSerial(text) {
+    const match = SERIAL_PATTERN.exec(String(text).trim());
+    if (!match) return null;
+
+    const [, vintageYear, batchNumber, from, to] = match;
+    const range = {
+        vintageYear: Number(vintageYear),
+        batchNumber: Number(batchNumber),
+        from: from ? Number(from) : null,
+        to: from ? Number(to || from) : null
+    };
+    if (range.from !== null && (range.from < 1 || range.to < range.from)) return null;
+    return range;
+}
+
+module.exports = {
+    formatSerialRange,
+    parseSerial
+};
@@ -0,0 +1,30 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+// Access tokens carry the user (sub), their login session (sid), their
+// users.user_type (role) and the farmer, company, NGO or verifier profile
+// they act for (tenant; null for administrators). script.js reads role and
+// exp to gate pages; the server still checks the session and user on every
+// request.
+function signAuthToken(user, { sessionId, tenant = null }) {
+    return jwt.sign(
+        { sub: user.id, sid: sessionId, role: user.user_type, tenant },
+        config.jwtSecret,
+        { expiresIn: config.jwtExpiresIn }
+    );
+}
+
+// Returns the decoded payload, or null for a missing, malformed or expired
+// token; { ignoreExpiration: true } accepts expired ones (to log them out)
+function verifyAuthToken(token, { ignoreExpiration = false } = {}) {
+    try {
+        return jwt.verify(token, config.jwtSecret, { ignoreExpiration });
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    signAuthToken,
+    verifyAuthToken
+};
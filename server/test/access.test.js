@@ -0,0 +1,228 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../src/config');
+const { hashPassword } = require('../src/utils/password');
+const { db, startApi, createAccount, createProject, createDocument, cleanUp } = require('./helpers');
+
+let api;
+let farmer;
+let otherFarmer;
+let ngo;
+let company;
+let verifier;
+let otherVerifier;
+let admin;
+let project;
+
+before(async () => {
+    api = await startApi();
+    [farmer, otherFarmer, ngo, company, verifier, otherVerifier, admin] = await Promise.all([
+        createAccount('farmer'),
+        createAccount('farmer'),
+        createAccount('ngo'),
+        createAccount('company'),
+        createAccount('verifier'),
+        createAccount('verifier'),
+        createAccount('admin')
+    ]);
+    project = await createProject(farmer);
+    await db.query(
+        "UPDATE verifications SET status = 'in_progress', verifier_id = $2 WHERE id = $1",
+        [project.verificationId, verifier.id]
+    );
+});
+
+after(async () => {
+    await api.close();
+    await cleanUp();
+});
+
+describe('cross-tenant reads', () => {
+    const projectReads = () => [
+        `/projects/${project.id}`,
+        `/projects/${project.id}/ndvi`,
+        `/projects/${project.id}/verification`,
+        `/verifications/${project.verificationId}`,
+        `/documents?projectId=${project.id}`,
+        `/site-visits?verificationId=${project.verificationId}`
+    ];
+
+    test('the owner can read their project and its verification', async () => {
+        for (const path of projectReads()) {
+            const { status } = await api.request(path, { token: farmer.token });
+            assert.equal(status, 200, path);
+        }
+    });
+
+    for (const [label, account] of [['another farmer', () => otherFarmer], ['an NGO', () => ngo], ['a company', () => company]]) {
+        test(`${label} gets 403 for another owner's project`, async () => {
+            for (const path of projectReads()) {
+                const { status } = await api.request(path, { token: account().token });
+                assert.equal(status, 403, path);
+            }
+        });
+    }
+
+    test('a verifier gets 403 for a case assigned to someone else', async () => {
+        const { status } = await api.request(`/site-visits?verificationId=${project.verificationId}`, { token: otherVerifier.token });
+        assert.equal(status, 403);
+    });
+
+    test('a verifier only sees projects with a case assigned to them or open to pick up', async () => {
+        const openProject = await createProject(otherFarmer);
+
+        for (const path of [`/projects/${project.id}`, `/projects/${project.id}/ndvi`]) {
+            assert.equal((await api.request(path, { token: verifier.token })).status, 200, path);
+            assert.equal((await api.request(path, { token: otherVerifier.token })).status, 403, path);
+        }
+        assert.equal((await api.request(`/projects/${openProject.id}`, { token: otherVerifier.token })).status, 200);
+    });
+
+    test('a verifier only sees the documents of projects assigned to them', async () => {
+        const photo = await createDocument(farmer, { documentType: 'project_photo', projectId: project.id });
+
+        for (const path of [`/documents/${photo.id}`, `/documents?projectId=${project.id}`]) {
+            assert.equal((await api.request(path, { token: verifier.token })).status, 200, path);
+            assert.equal((await api.request(path, { token: otherVerifier.token })).status, 403, path);
+        }
+    });
+
+    test('KYC documents are only seen by their uploader and administrators', async () => {
+        const panCard = await createDocument(company, { documentType: 'pan_card' });
+
+        assert.equal((await api.request(`/documents/${panCard.id}`, { token: company.token })).status, 200);
+        assert.equal((await api.request(`/documents/${panCard.id}`, { token: admin.token })).status, 200);
+        for (const account of [verifier, otherVerifier, farmer]) {
+            assert.equal((await api.request(`/documents/${panCard.id}`, { token: account.token })).status, 403);
+        }
+    });
+});
+
+describe('permissions', () => {
+    test('a verifier can only approve the cases assigned to them', async () => {
+        const { status, body } = await api.request(`/verifications/${project.verificationId}/approve`, {
+            method: 'POST',
+            body: { verifiedTco2e: 10 },
+            token: otherVerifier.token
+        });
+        assert.equal(status, 403);
+        assert.match(body.message, /assigned to another verifier/);
+    });
+
+    test('only administrators assign verifications', async () => {
+        const { status } = await api.request(`/verifications/${project.verificationId}/assign`, {
+            method: 'POST',
+            body: { verifierId: otherVerifier.id },
+            token: verifier.token
+        });
+        assert.equal(status, 403);
+    });
+
+    test('only companies buy and retire credits', async () => {
+        for (const account of [farmer, ngo, verifier, admin]) {
+            assert.equal((await api.request('/cart', { token: account.token })).status, 403);
+            assert.equal((await api.request('/marketplace/checkout', { method: 'POST', body: {}, token: account.token })).status, 403);
+            assert.equal((await api.request('/retirements/holdings', { token: account.token })).status, 403);
+        }
+        assert.equal((await api.request('/cart', { token: company.token })).status, 200);
+        assert.equal((await api.request('/retirements/holdings', { token: company.token })).status, 200);
+    });
+
+    test('only project owners see the project dashboard', async () => {
+        assert.equal((await api.request('/dashboard/stats', { token: company.token })).status, 403);
+        assert.equal((await api.request('/dashboard/stats', { token: farmer.token })).status, 200);
+    });
+
+    test('only administrators manage users and conflicts', async () => {
+        for (const account of [farmer, company, verifier]) {
+            assert.equal((await api.request('/users', { token: account.token })).status, 403);
+            assert.equal((await api.request('/conflicts', { token: account.token })).status, 403);
+        }
+        assert.equal((await api.request('/users', { token: admin.token })).status, 200);
+    });
+
+    test('signing in as another account type is refused', async () => {
+        await db.query('UPDATE users SET password_hash = $2 WHERE id = $1', [company.id, await hashPassword('Test@12345')]);
+        const credentials = { email: company.email, password: 'Test@12345' };
+
+        const wrongRole = await api.request('/auth/login', { method: 'POST', body: { ...credentials, role: 'farmer' } });
+        assert.equal(wrongRole.status, 401);
+        const rightRole = await api.request('/auth/login', { method: 'POST', body: { ...credentials, role: 'company' } });
+        assert.equal(rightRole.status, 200);
+    });
+});
+
+describe('suspending users', () => {
+    test('signs the user out until they are reinstated', async () => {
+        const account = await createAccount('farmer');
+        assert.equal((await api.request('/projects', { token: account.token })).status, 200);
+
+        const suspended = await api.request(`/users/${account.id}/suspend`, {
+            method: 'POST',
+            body: { reason: 'Duplicate registration' },
+            token: admin.token
+        });
+        assert.equal(suspended.status, 200);
+        assert.equal(suspended.body.data.status, 'suspended');
+        assert.equal(suspended.body.data.suspensionReason, 'Duplicate registration');
+        assert.equal((await api.request('/projects', { token: account.token })).status, 401);
+
+        const again = await api.request(`/users/${account.id}/suspend`, {
+            method: 'POST',
+            body: { reason: 'Again' },
+            token: admin.token
+        });
+        assert.equal(again.status, 409);
+
+        const reinstated = await api.request(`/users/${account.id}/reinstate`, { method: 'POST', token: admin.token });
+        assert.equal(reinstated.status, 200);
+        assert.equal(reinstated.body.data.status, 'active');
+    });
+
+    test('needs a reason and cannot be used on yourself', async () => {
+        const noReason = await api.request(`/users/${farmer.id}/suspend`, { method: 'POST', body: {}, token: admin.token });
+        assert.equal(noReason.status, 400);
+
+        const self = await api.request(`/users/${admin.id}/suspend`, {
+            method: 'POST',
+            body: { reason: 'Testing' },
+            token: admin.token
+        });
+        assert.equal(self.status, 409);
+    });
+});
+
+describe('Aadhaar OTP login', () => {
+    const randomAadhaar = () => String(crypto.randomInt(1e11, 1e12));
+    const requestOtp = aadhaarNumber => api.request('/auth/aadhaar/otp', { method: 'POST', body: { aadhaarNumber } });
+    const verifyOtp = (challengeId, otp) => api.request('/auth/aadhaar/verify', { method: 'POST', body: { challengeId, otp } });
+
+    before(() => {
+        config.aadhaarMockOtp = '246810';
+    });
+
+    test('does not reveal whether the number is linked until the OTP is entered', async () => {
+        const linkedNumber = randomAadhaar();
+        const account = await createAccount('farmer');
+        await db.query('UPDATE farmers SET aadhaar_number = $2 WHERE user_id = $1', [account.id, linkedNumber]);
+
+        const linked = await requestOtp(linkedNumber);
+        const unlinked = await requestOtp(randomAadhaar());
+        assert.equal(linked.status, 200);
+        assert.equal(unlinked.status, 200);
+        assert.deepEqual(Object.keys(unlinked.body.data).sort(), Object.keys(linked.body.data).sort());
+        assert.equal(unlinked.body.message, linked.body.message);
+
+        const wrongOtp = await verifyOtp(unlinked.body.data.challengeId, '000000');
+        assert.equal(wrongOtp.status, 401);
+        assert.match(wrongOtp.body.message, /Incorrect OTP/);
+
+        const notLinked = await verifyOtp(unlinked.body.data.challengeId, '246810');
+        assert.equal(notLinked.status, 401);
+        assert.match(notLinked.body.message, /not linked/);
+
+        const signedIn = await verifyOtp(linked.body.data.challengeId, '246810');
+        assert.equal(signedIn.status, 200);
+    });
+});
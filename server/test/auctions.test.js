@@ -0,0 +1,131 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { closeAuction } = require('../src/services/auctions');
+const { db, startApi, createAccount, createProject, createListing, cleanUp } = require('./helpers');
+
+let api;
+let farmer;
+let bidder;
+let otherBidder;
+let project;
+
+before(async () => {
+    api = await startApi();
+    [farmer, bidder, otherBidder] = await Promise.all([
+        createAccount('farmer'),
+        createAccount('company'),
+        createAccount('company')
+    ]);
+    project = await createProject(farmer);
+});
+
+after(async () => {
+    await api.close();
+    await cleanUp();
+});
+
+// An auction opening at ₹100 per credit with ₹5 increments
+function createAuction(endsInMinutes, fields = {}) {
+    return createListing(farmer, project, {
+        listing_type: 'auction',
+        bid_increment: 5,
+        expiry_date: new Date(Date.now() + endsInMinutes * 60 * 1000),
+        ...fields
+    });
+}
+
+const bid = (auction, amount, account = bidder) => api.request(`/marketplace/listings/${auction.id}/bids`, {
+    method: 'POST',
+    body: { amount },
+    token: account.token
+});
+
+describe('bidding', () => {
+    test('starts at the opening price and goes up by the increment', async () => {
+        const auction = await createAuction(60);
+
+        assert.equal((await bid(auction, 99)).status, 400);
+        const first = await bid(auction, 100);
+        assert.equal(first.status, 201);
+        assert.equal(first.body.data.highBid, 100);
+        assert.equal(first.body.data.minimumBid, 105);
+        assert.equal(first.body.data.isHighBidder, true);
+
+        const tooLow = await bid(auction, 104, otherBidder);
+        assert.equal(tooLow.status, 400);
+        assert.match(tooLow.body.errors[0], /at least ₹105/);
+
+        const outbid = await bid(auction, 105, otherBidder);
+        assert.equal(outbid.status, 201);
+        assert.equal(outbid.body.data.bidCount, 2);
+        assert.equal(outbid.body.data.bids[0].bidder, 'Bidder 2');
+    });
+
+    test('a bid near the end extends the auction', async () => {
+        const auction = await createAuction(1);
+        const { body } = await bid(auction, 100);
+
+        const extendedBy = new Date(body.data.endsAt) - Date.now();
+        assert.ok(extendedBy > 4 * 60 * 1000 && extendedBy <= 5 * 60 * 1000, `ends in ${extendedBy}ms`);
+    });
+
+    test('a bid well before the end leaves the closing time alone', async () => {
+        const auction = await createAuction(60);
+        const { rows: [before] } = await db.query('SELECT expiry_date FROM marketplace_listings WHERE id = $1', [auction.id]);
+
+        const { body } = await bid(auction, 100);
+        assert.equal(new Date(body.data.endsAt).getTime(), before.expiry_date.getTime());
+    });
+
+    test('bids after the end are refused', async () => {
+        const auction = await createAuction(-1);
+        const { status, body } = await bid(auction, 100);
+        assert.equal(status, 409);
+        assert.match(body.message, /has ended/);
+    });
+});
+
+describe('closing', () => {
+    test('reading an ended auction does not settle it', async () => {
+        const auction = await createAuction(60);
+        await bid(auction, 120);
+        await db.query("UPDATE marketplace_listings SET expiry_date = NOW() - INTERVAL '1 minute' WHERE id = $1", [auction.id]);
+
+        const { status, body } = await api.request(`/marketplace/listings/${auction.id}/auction`);
+        assert.equal(status, 200);
+        assert.equal(body.status, 'ended');
+
+        const { rows: [listing] } = await db.query('SELECT status, closed_at FROM marketplace_listings WHERE id = $1', [auction.id]);
+        assert.equal(listing.status, 'active');
+        assert.equal(listing.closed_at, null);
+        const { rows: sales } = await db.query('SELECT id FROM transactions WHERE listing_id = $1', [auction.id]);
+        assert.equal(sales.length, 0);
+    });
+
+    test('the close-out sells the lot to the highest bidder', async () => {
+        const auction = await createAuction(60);
+        await bid(auction, 100);
+        await bid(auction, 110, otherBidder);
+        await db.query("UPDATE marketplace_listings SET expiry_date = NOW() - INTERVAL '1 minute' WHERE id = $1", [auction.id]);
+
+        const orderId = await closeAuction(auction.id);
+        const { rows: [order] } = await db.query('SELECT buyer_id, status, total_amount FROM orders WHERE id = $1', [orderId]);
+        assert.equal(order.buyer_id, otherBidder.id);
+        assert.equal(order.status, 'completed');
+        assert.equal(Number(order.total_amount), 1100);
+
+        const { body } = await api.request(`/marketplace/listings/${auction.id}/auction`);
+        assert.equal(body.status, 'sold');
+    });
+
+    test('an auction below its reserve expires unsold', async () => {
+        const auction = await createAuction(60, { reserve_price: 150 });
+        await bid(auction, 100);
+        await db.query("UPDATE marketplace_listings SET expiry_date = NOW() - INTERVAL '1 minute' WHERE id = $1", [auction.id]);
+
+        assert.equal(await closeAuction(auction.id), null);
+        const { body } = await api.request(`/marketplace/listings/${auction.id}/auction`);
+        assert.equal(body.status, 'expired');
+        assert.equal(body.reserveMet, false);
+    });
+});
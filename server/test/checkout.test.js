@@ -0,0 +1,104 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const { createPendingOrder, completePaidOrders } = require('../src/services/checkout');
+const { db, startApi, createAccount, createProject, createListing, cleanUp } = require('./helpers');
+
+let api;
+let farmer;
+let company;
+let project;
+
+before(async () => {
+    api = await startApi();
+    [farmer, company] = await Promise.all([createAccount('farmer'), createAccount('company')]);
+    project = await createProject(farmer);
+});
+
+after(async () => {
+    await api.close();
+    await cleanUp();
+});
+
+async function creditsLeft(listing) {
+    const { rows: [row] } = await db.query('SELECT total_credits FROM marketplace_listings WHERE id = $1', [listing.id]);
+    return row.total_credits;
+}
+
+const checkout = (items, account = company) => api.request('/marketplace/checkout', {
+    method: 'POST',
+    body: { items },
+    token: account.token
+});
+
+describe('checkout', () => {
+    test('takes the credits off the listing and completes the order', async () => {
+        const listing = await createListing(farmer, project);
+
+        const { status, body } = await checkout([{ listingId: listing.id, quantity: 2 }, { listingId: listing.id, quantity: 1 }]);
+        assert.equal(status, 201);
+        assert.equal(body.data.status, 'completed');
+        assert.equal(body.data.totalAmount, 300);
+        assert.equal(body.data.transactions.length, 1);
+        assert.equal(body.data.transactions[0].credits, 3);
+        assert.ok(body.data.paymentGatewayId);
+        assert.equal(await creditsLeft(listing), 7);
+    });
+
+    test('refuses more credits than are listed without holding any', async () => {
+        const listing = await createListing(farmer, project);
+
+        const { status, body } = await checkout([{ listingId: listing.id, quantity: 11 }]);
+        assert.equal(status, 409);
+        assert.match(body.errors[0], /Only 10 credits are available/);
+        assert.equal(await creditsLeft(listing), 10);
+    });
+
+    test('refuses a seller buying their own listing', async () => {
+        const seller = await createAccount('company');
+        const sellerProject = await createProject(await createAccount('ngo'), 'ngo');
+        const listing = await createListing(seller, sellerProject);
+
+        const { status } = await checkout([{ listingId: listing.id, quantity: 1 }], seller);
+        assert.equal(status, 409);
+    });
+
+    test('puts the credits back when the payment fails', async () => {
+        const listing = await createListing(farmer, project);
+        const provider = config.paymentProvider;
+        config.paymentProvider = 'unavailable';
+        try {
+            const { status, body } = await checkout([{ listingId: listing.id, quantity: 4 }]);
+            assert.equal(status, 402);
+            assert.equal(body.code, 'PAYMENT_FAILED');
+
+            const { rows: [order] } = await db.query('SELECT status, failure_reason FROM orders WHERE id = $1', [body.orderId]);
+            assert.equal(order.status, 'failed');
+            assert.match(order.failure_reason, /Unknown payment provider/);
+            const { rows: transactions } = await db.query('SELECT status FROM transactions WHERE order_id = $1', [body.orderId]);
+            assert.deepEqual(transactions.map(transaction => transaction.status), ['failed']);
+        } finally {
+            config.paymentProvider = provider;
+        }
+        assert.equal(await creditsLeft(listing), 10);
+    });
+
+    test('completes orders that were paid for but left pending', async () => {
+        const listing = await createListing(farmer, project, { total_credits: 5 });
+        const order = await db.transaction(client => createPendingOrder(client, company.id, [
+            { listingId: listing.id, quantity: 5, pricePerCredit: 100 }
+        ]));
+        await db.query(
+            "UPDATE orders SET payment_gateway_id = 'local_paid', created_at = NOW() - INTERVAL '1 hour' WHERE id = $1",
+            [order.orderId]
+        );
+
+        await completePaidOrders();
+
+        const { rows: [row] } = await db.query('SELECT status, payment_gateway_id FROM orders WHERE id = $1', [order.orderId]);
+        assert.equal(row.status, 'completed');
+        assert.equal(row.payment_gateway_id, 'local_paid');
+        const { rows: [sold] } = await db.query('SELECT status FROM marketplace_listings WHERE id = $1', [listing.id]);
+        assert.equal(sold.status, 'sold');
+    });
+});
@@ -0,0 +1,87 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const { projectFinancials, internalRateOfReturn } = require('../src/services/financials');
+
+const feeRate = config.platformFeeRate;
+
+before(() => {
+    config.platformFeeRate = 0;
+});
+
+after(() => {
+    config.platformFeeRate = feeRate;
+});
+
+// A one-hectare estimate removing creditsPerYear every year
+function estimate(creditsPerYear, years = 4) {
+    return {
+        methodology: { version: '1.0' },
+        inputs: { areaHectares: 1 },
+        years: Array.from({ length: years }, (_, index) => ({ year: index + 1, netCredits: creditsPerYear }))
+    };
+}
+
+// ₹100 credits at a flat price with no costs other than those given
+function project(costs, creditsPerYear = 10) {
+    return projectFinancials(estimate(creditsPerYear), {
+        carbonPrice: 100,
+        plantingCostPerHa: 0,
+        maintenanceCostPerHaYear: 0,
+        monitoringCostPerYear: 0,
+        verificationFee: 0,
+        verificationIntervalYears: 1,
+        priceEscalationPercent: 0,
+        priceBandPercent: 0,
+        discountRatePercent: 0,
+        ...costs
+    }).bands.base;
+}
+
+describe('internalRateOfReturn', () => {
+    test('finds the rate at which the cash flows break even', () => {
+        assert.ok(Math.abs(internalRateOfReturn([-100, 110]) - 0.1) < 1e-6);
+        assert.ok(Math.abs(internalRateOfReturn([-1000, 0, 0, 1331]) - 0.1) < 1e-6);
+        assert.ok(Math.abs(internalRateOfReturn([-100, 50, 50])) < 1e-6);
+        assert.ok(Math.abs(internalRateOfReturn([-100, 40]) + 0.6) < 1e-6);
+    });
+
+    test('is null when the cash flows never change sign', () => {
+        assert.equal(internalRateOfReturn([100, 50, 50]), null);
+        assert.equal(internalRateOfReturn([-100, -50]), null);
+        assert.equal(internalRateOfReturn([0, 0]), null);
+    });
+});
+
+describe('projectFinancials', () => {
+    test('pays back in the year the cumulative cash flow turns non-negative', () => {
+        const band = project({ plantingCostPerHa: 2000 });
+
+        assert.deepEqual(band.years.map(year => year.cumulativeCashFlow), [-2000, -1000, 0, 1000, 2000]);
+        assert.equal(band.paybackYear, 2);
+        assert.equal(band.npv, 2000);
+        assert.equal(band.irrPercent, 34.9);
+    });
+
+    test('payback waits until the cumulative cash flow stays non-negative', () => {
+        const band = project({ plantingCostPerHa: 500, monitoringCostPerYear: 600, verificationIntervalYears: 2 });
+
+        assert.deepEqual(band.years.map(year => year.cumulativeCashFlow), [-500, -1100, 300, -300, 1100]);
+        assert.equal(band.paybackYear, 4);
+    });
+
+    test('a project that never recovers its costs has no payback or IRR', () => {
+        const band = project({ plantingCostPerHa: 1000, monitoringCostPerYear: 2000 });
+
+        assert.equal(band.paybackYear, null);
+        assert.equal(band.irrPercent, null);
+        assert.ok(band.npv < 0);
+    });
+
+    test('discounts later years at the discount rate', () => {
+        const band = project({ plantingCostPerHa: 2000, discountRatePercent: 10 });
+        const expected = -2000 + [1, 2, 3, 4].reduce((sum, year) => sum + 1000 / 1.1 ** year, 0);
+
+        assert.equal(band.npv, Math.round(expected * 100) / 100);
+    });
+});
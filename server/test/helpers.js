@@ -0,0 +1,191 @@
+// Shared setup for the API tests. They run against DATABASE_URL (migrated,
+// seed data optional): each test file creates its own accounts and projects
+// and removes them afterwards.
+
+const crypto = require('crypto');
+const db = require('../src/db');
+const { createApp } = require('../src/app');
+const { createSession } = require('../src/services/sessions');
+const { registerFarmer: submitRegistration } = require('../src/services/auth');
+
+const PROFILES = {
+    farmer: (userId, name) => db.query(
+        'INSERT INTO farmers (user_id, full_name) VALUES ($1, $2) RETURNING id',
+        [userId, name]
+    ),
+    ngo: (userId, name) => db.query(
+        'INSERT INTO ngos (user_id, organization_name) VALUES ($1, $2) RETURNING id',
+        [userId, name]
+    ),
+    company: (userId, name) => db.query(
+        'INSERT INTO companies (user_id, company_name) VALUES ($1, $2) RETURNING id',
+        [userId, name]
+    ),
+    verifier: (userId, name) => db.query(
+        'INSERT INTO verifiers (user_id, verifier_code, full_name) VALUES ($1, $2, $3) RETURNING id',
+        [userId, `TEST-${crypto.randomBytes(4).toString('hex')}`, name]
+    )
+};
+
+// Starts the API on a free port; request(path, { method, body, token })
+// resolves to { status, body }
+async function startApi() {
+    const server = createApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://localhost:${server.address().port}/api`;
+
+    async function request(path, { method = 'GET', body, token } = {}) {
+        const response = await fetch(base + path, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const type = response.headers.get('content-type') || '';
+        return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+    }
+
+    return {
+        request,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Accounts created by createAccount(), with their projects, for cleanUp()
+const created = { userIds: [], projectIds: [] };
+
+// An active user of the given users.user_type with a profile and a signed-in
+// session: { id, tenant, token }
+async function createAccount(userType, name = `Test ${userType}`) {
+    const { rows: [user] } = await db.query(
+        `INSERT INTO users (email, user_type, status)
+         VALUES ($1, $2, 'active')
+         RETURNING id, email, user_type, status`,
+        [`${userType}-${crypto.randomBytes(6).toString('hex')}@test.bluecarbon.example`, userType]
+    );
+    created.userIds.push(user.id);
+
+    const profile = PROFILES[userType] ? (await PROFILES[userType](user.id, name)).rows[0] : null;
+    const session = await createSession(user);
+    return { id: user.id, email: user.email, tenant: profile ? profile.id : null, token: session.token };
+}
+
+// A project owned by the farmer or NGO account, with a pending verification
+async function createProject(owner, userType = 'farmer') {
+    const { rows: [project] } = await db.query(
+        `INSERT INTO projects (${userType === 'ngo' ? 'ngo_id' : 'farmer_id'}, title, project_type, area_hectares, status)
+         VALUES ($1, $2, 'mangrove', 5, 'active')
+         RETURNING id`,
+        [owner.tenant, `Test project ${crypto.randomBytes(3).toString('hex')}`]
+    );
+    created.projectIds.push(project.id);
+
+    const { rows: [verification] } = await db.query(
+        'INSERT INTO verifications (project_id) VALUES ($1) RETURNING id',
+        [project.id]
+    );
+    return { id: project.id, verificationId: verification.id };
+}
+
+// A farmer signed up through the registration form, which also registers
+// their first project: { id, projectId, fullName }
+async function registerFarmer() {
+    const digits = length => String(crypto.randomInt(10 ** (length - 1), 10 ** length));
+    const fullName = `Test farmer ${crypto.randomBytes(3).toString('hex')}`;
+    const result = await submitRegistration({
+        fullName,
+        fatherName: 'Test father',
+        dob: '1980-01-01',
+        mobile: digits(10),
+        address: '1 Harbour Road, Kakinada',
+        district: 'Kakinada',
+        state: 'Andhra Pradesh',
+        kisanCard: digits(12),
+        aadhaarNumber: digits(12),
+        totalArea: 5,
+        landAddress: 'Coastal plot',
+        surveyNumber: `${digits(6)}/1`,
+        landOwnership: 'owned',
+        projectType: 'mangrove',
+        projectStartDate: '2024-06-01',
+        accountNumber: digits(12),
+        ifscCode: 'SBIN0001234',
+        agreeTerms: true,
+        declareInfo: true,
+        consentData: true
+    });
+    created.userIds.push(result.userId);
+    created.projectIds.push(result.projectId);
+    return { id: result.userId, projectId: result.projectId, fullName };
+}
+
+// A batch of credits issued by approving the project's verification
+async function createCredits(project, { amount = 100, status = 'generated' } = {}) {
+    await db.query("UPDATE verifications SET status = 'approved' WHERE id = $1", [project.verificationId]);
+    const { rows: [credit] } = await db.query(
+        `INSERT INTO carbon_credits (project_id, credit_amount, vintage_year, status, verification_id)
+         VALUES ($1, $2, 2025, $3, $4)
+         RETURNING id`,
+        [project.id, amount, status, project.verificationId]
+    );
+    return credit;
+}
+
+// An active marketplace listing of an approved credit batch from the
+// project, sold by its owner. fields override the listing columns, e.g.
+// { listing_type: 'auction', expiry_date, reserve_price, bid_increment }.
+async function createListing(seller, project, fields = {}) {
+    const credit = await createCredits(project, { status: 'listed' });
+
+    const columns = { price_per_credit: 100, total_credits: 10, ...fields };
+    const names = Object.keys(columns);
+    const { rows: [listing] } = await db.query(
+        `INSERT INTO marketplace_listings (credit_id, seller_id, ${names.join(', ')})
+         VALUES ($1, $2, ${names.map((name, index) => `$${index + 3}`).join(', ')})
+         RETURNING id`,
+        [credit.id, seller.id, ...Object.values(columns)]
+    );
+    return { id: listing.id, creditId: credit.id };
+}
+
+// A documents row (no stored file) uploaded by the account; project
+// documents need projectId
+async function createDocument(uploader, { documentType = 'pan_card', projectId = null } = {}) {
+    const { rows: [document] } = await db.query(
+        `INSERT INTO documents (user_id, project_id, document_type, file_name, file_path, file_size, mime_type)
+         VALUES ($1, $2, $3, 'test.pdf', $4, 1024, 'application/pdf')
+         RETURNING id`,
+        [uploader.id, projectId, documentType, `${uploader.id}/${crypto.randomUUID()}.pdf`]
+    );
+    return document;
+}
+
+async function cleanUp() {
+    const listings = `SELECT l.id FROM marketplace_listings l
+                        JOIN carbon_credits c ON c.id = l.credit_id
+                       WHERE c.project_id = ANY($1)`;
+    await db.query(`DELETE FROM offers WHERE listing_id IN (${listings})`, [created.projectIds]);
+    await db.query(`DELETE FROM bids WHERE listing_id IN (${listings})`, [created.projectIds]);
+    await db.query(`DELETE FROM transactions WHERE listing_id IN (${listings})`, [created.projectIds]);
+    await db.query('DELETE FROM orders WHERE buyer_id = ANY($1)', [created.userIds]);
+    await db.query(`DELETE FROM marketplace_listings WHERE id IN (${listings})`, [created.projectIds]);
+    await db.query('DELETE FROM carbon_credits WHERE project_id = ANY($1)', [created.projectIds]);
+    await db.query('DELETE FROM verifications WHERE project_id = ANY($1)', [created.projectIds]);
+    await db.query('DELETE FROM projects WHERE id = ANY($1)', [created.projectIds]);
+    await db.query('DELETE FROM users WHERE id = ANY($1)', [created.userIds]);
+    await db.pool.end();
+}
+
+module.exports = {
+    db,
+    startApi,
+    createAccount,
+    createProject,
+    registerFarmer,
+    createCredits,
+    createListing,
+    createDocument,
+    cleanUp
+};
@@ -0,0 +1,126 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startApi, createAccount, createProject, createCredits, cleanUp } = require('./helpers');
+
+let api;
+let farmer;
+let otherFarmer;
+let company;
+let project;
+
+before(async () => {
+    api = await startApi();
+    [farmer, otherFarmer, company] = await Promise.all([
+        createAccount('farmer'),
+        createAccount('farmer'),
+        createAccount('company')
+    ]);
+    project = await createProject(farmer);
+});
+
+after(async () => {
+    await api.close();
+    await cleanUp();
+});
+
+const list = (body, account = farmer) => api.request('/marketplace/listings', {
+    method: 'POST',
+    body,
+    token: account.token
+});
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+describe('listing credits', () => {
+    test('a fixed-price listing takes credits off what the seller has left', async () => {
+        const credit = await createCredits(project);
+
+        const { status, body } = await list({ creditId: credit.id, quantity: 30, pricePerCredit: 120 });
+        assert.equal(status, 201);
+        assert.equal(body.data.credits, 30);
+        assert.equal(body.data.price, 120);
+        assert.equal(body.data.isAuction, false);
+
+        const { rows: [batch] } = await db.query('SELECT status FROM carbon_credits WHERE id = $1', [credit.id]);
+        assert.equal(batch.status, 'listed');
+        const credits = await api.request('/marketplace/credits', { token: farmer.token });
+        assert.equal(credits.body.find(row => row.id === credit.id).available, 70);
+    });
+
+    test('an auction keeps its reserve price and bid increment', async () => {
+        const credit = await createCredits(project);
+
+        const { status, body } = await list({
+            creditId: credit.id,
+            quantity: 10,
+            pricePerCredit: 100,
+            listingType: 'auction',
+            endsAt: inOneDay(),
+            reservePrice: 150,
+            bidIncrement: 10
+        });
+        assert.equal(status, 201);
+        assert.equal(body.data.isAuction, true);
+
+        const bid = await api.request(`/marketplace/listings/${body.data.id}/bids`, {
+            method: 'POST',
+            body: { amount: 100 },
+            token: company.token
+        });
+        assert.equal(bid.status, 201);
+        assert.equal(bid.body.data.minimumBid, 110);
+        assert.equal(bid.body.data.hasReserve, true);
+        assert.equal(bid.body.data.reserveMet, false);
+    });
+
+    test('reserve prices, increments and end times are checked', async () => {
+        const credit = await createCredits(project);
+        const auction = { creditId: credit.id, quantity: 5, pricePerCredit: 100, listingType: 'auction', endsAt: inOneDay() };
+
+        for (const [fields, message] of [
+            [{ reservePrice: 0 }, /Reserve price must be more than 0/],
+            [{ reservePrice: 90 }, /below the opening price/],
+            [{ bidIncrement: -5 }, /Bid increment must be more than 0/],
+            [{ endsAt: new Date(Date.now() - 60000).toISOString() }, /must end in the future/],
+            [{ listingType: 'fixed', reservePrice: 150 }, /can only be set on auctions/]
+        ]) {
+            const { status, body } = await list({ ...auction, ...fields });
+            assert.equal(status, 400, JSON.stringify(fields));
+            assert.match(body.errors.join(' '), message);
+        }
+    });
+
+    test('sellers cannot list more than they have left, counting sales', async () => {
+        const credit = await createCredits(project);
+
+        assert.equal((await list({ creditId: credit.id, quantity: 101, pricePerCredit: 100 })).status, 409);
+        const { body: { data: listing } } = await list({ creditId: credit.id, quantity: 60, pricePerCredit: 100 });
+        const sale = await api.request('/marketplace/checkout', {
+            method: 'POST',
+            body: { items: [{ listingId: listing.id, quantity: 10 }] },
+            token: company.token
+        });
+        assert.equal(sale.status, 201);
+
+        const { status, body } = await list({ creditId: credit.id, quantity: 41, pricePerCredit: 100 });
+        assert.equal(status, 409);
+        assert.match(body.errors[0], /Only 40 credits/);
+        assert.equal((await list({ creditId: credit.id, quantity: 40, pricePerCredit: 100 })).status, 201);
+    });
+
+    test('only the owner of verified credits can list them', async () => {
+        const credit = await createCredits(project);
+        const unverified = await createProject(farmer);
+        const { rows: [pending] } = await db.query(
+            `INSERT INTO carbon_credits (project_id, credit_amount, vintage_year, verification_id)
+             VALUES ($1, 50, 2025, $2)
+             RETURNING id`,
+            [unverified.id, unverified.verificationId]
+        );
+        const body = { creditId: credit.id, quantity: 1, pricePerCredit: 100 };
+
+        assert.equal((await list(body, otherFarmer)).status, 403);
+        assert.equal((await list(body, company)).status, 403);
+        assert.equal((await list({ ...body, creditId: pending.id })).status, 409);
+    });
+});
@@ -0,0 +1,138 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const { expireOffers } = require('../src/services/offers');
+const { db, startApi, createAccount, createProject, createListing, cleanUp } = require('./helpers');
+
+let api;
+let seller;
+let buyer;
+let otherBuyer;
+let project;
+
+before(async () => {
+    api = await startApi();
+    [seller, buyer, otherBuyer] = await Promise.all([
+        createAccount('farmer'),
+        createAccount('company'),
+        createAccount('company')
+    ]);
+    project = await createProject(seller);
+});
+
+after(async () => {
+    await api.close();
+    await cleanUp();
+});
+
+// A new offer of ₹80 per credit for 4 of the listing's 10 credits at ₹100
+async function makeOffer(listing) {
+    const { status, body } = await api.request('/marketplace/offer', {
+        method: 'POST',
+        body: { listingId: listing.id, offerPrice: 80, quantity: 4 },
+        token: buyer.token
+    });
+    assert.equal(status, 201);
+    return body.data;
+}
+
+const respond = (offer, action, account, body = {}) => api.request(`/offers/${offer.id}/${action}`, {
+    method: 'POST',
+    body,
+    token: account.token
+});
+
+async function creditsLeft(listing) {
+    const { rows: [row] } = await db.query('SELECT total_credits FROM marketplace_listings WHERE id = $1', [listing.id]);
+    return row.total_credits;
+}
+
+describe('offer negotiation', () => {
+    test('a counter-offer accepted by the buyer becomes a paid order', async () => {
+        const listing = await createListing(seller, project);
+        const offer = await makeOffer(listing);
+        assert.equal(offer.status, 'awaiting_seller');
+        assert.equal(offer.yourTurn, false);
+
+        const countered = await respond(offer, 'counter', seller, { offerPrice: 90 });
+        assert.equal(countered.status, 200);
+        assert.equal(countered.body.data.status, 'awaiting_buyer');
+        assert.equal(countered.body.data.pricePerCredit, 90);
+
+        const accepted = await respond(offer, 'accept', buyer);
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.data.status, 'accepted');
+        assert.equal(accepted.body.data.orderStatus, 'completed');
+        assert.equal(accepted.body.data.totalAmount, 360);
+        assert.deepEqual(accepted.body.data.history.map(event => `${event.by} ${event.action}`), [
+            'buyer offer', 'seller counter', 'buyer accept'
+        ]);
+        assert.equal(await creditsLeft(listing), 6);
+
+        const again = await respond(offer, 'counter', seller, { offerPrice: 95 });
+        assert.equal(again.status, 409);
+    });
+
+    test('only the side being asked can respond', async () => {
+        const listing = await createListing(seller, project);
+        const offer = await makeOffer(listing);
+
+        const early = await respond(offer, 'accept', buyer);
+        assert.equal(early.status, 409);
+        assert.match(early.body.message, /Waiting for the other party/);
+        assert.equal((await respond(offer, 'accept', otherBuyer)).status, 403);
+        assert.equal((await api.request(`/offers/${offer.id}`, { token: otherBuyer.token })).status, 403);
+    });
+
+    test('the seller can decline and the buyer can withdraw', async () => {
+        const listing = await createListing(seller, project);
+
+        const declined = await respond(await makeOffer(listing), 'reject', seller);
+        assert.equal(declined.body.data.status, 'rejected');
+
+        const withdrawn = await respond(await makeOffer(listing), 'reject', buyer);
+        assert.equal(withdrawn.body.data.status, 'withdrawn');
+        assert.equal(await creditsLeft(listing), 10);
+    });
+
+    test('an offer whose payment fails goes back to the buyer', async () => {
+        const listing = await createListing(seller, project);
+        const offer = await makeOffer(listing);
+
+        const provider = config.paymentProvider;
+        config.paymentProvider = 'unavailable';
+        try {
+            const failed = await respond(offer, 'accept', seller);
+            assert.equal(failed.status, 402);
+            assert.equal(failed.body.code, 'PAYMENT_FAILED');
+        } finally {
+            config.paymentProvider = provider;
+        }
+
+        const { body } = await api.request(`/offers/${offer.id}`, { token: buyer.token });
+        assert.equal(body.status, 'awaiting_buyer');
+        assert.equal(body.orderStatus, 'failed');
+        assert.equal(body.history.at(-1).action, 'payment_failed');
+        assert.equal(await creditsLeft(listing), 10);
+
+        const retried = await respond(offer, 'accept', buyer);
+        assert.equal(retried.status, 200);
+        assert.equal(retried.body.data.status, 'accepted');
+        assert.equal(retried.body.data.orderStatus, 'completed');
+        assert.equal(await creditsLeft(listing), 6);
+    });
+
+    test('a lapsed offer reads as expired and is closed by the expiry job', async () => {
+        const listing = await createListing(seller, project);
+        const offer = await makeOffer(listing);
+        await db.query("UPDATE offers SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [offer.id]);
+
+        const { body } = await api.request(`/offers/${offer.id}`, { token: seller.token });
+        assert.equal(body.status, 'expired');
+        assert.equal((await respond(offer, 'accept', seller)).status, 409);
+
+        await expireOffers();
+        const { rows: [row] } = await db.query('SELECT status FROM offers WHERE id = $1', [offer.id]);
+        assert.equal(row.status, 'expired');
+    });
+});
@@ -0,0 +1,90 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createAccount, cleanUp } = require('./helpers');
+
+let api;
+let company;
+let otherCompany;
+
+const INPUTS = { ecosystem: 'mangrove', areaHectares: 10, years: 20, region: 'east', previousLandUse: 'degraded', carbonPrice: 1500 };
+
+before(async () => {
+    api = await startApi();
+    [company, otherCompany] = await Promise.all([createAccount('company'), createAccount('company')]);
+});
+
+after(async () => {
+    await api.close();
+    await cleanUp();
+});
+
+const save = (name, inputs = INPUTS, account = company) => api.request('/scenarios', {
+    method: 'POST',
+    body: { name, inputs },
+    token: account.token
+});
+
+const update = (scenario, body, account = company) => api.request(`/scenarios/${scenario.id}`, {
+    method: 'PUT',
+    body,
+    token: account.token
+});
+
+describe('saved scenarios', () => {
+    test('changing the inputs is a new revision; renaming is not', async () => {
+        const { status, body } = await save('Base case');
+        assert.equal(status, 201);
+        assert.equal(body.data.revision, 1);
+        assert.equal(body.data.methodologyVersion, '1.0');
+
+        const renamed = await update(body.data, { name: 'Base case (east)' });
+        assert.equal(renamed.body.data.revision, 1);
+        assert.equal(renamed.body.data.name, 'Base case (east)');
+
+        const revised = await update(body.data, { inputs: { ...INPUTS, areaHectares: 12 } });
+        assert.equal(revised.body.data.revision, 2);
+        assert.equal(revised.body.data.inputs.areaHectares, 12);
+    });
+
+    test('names are unique per user, ignoring case', async () => {
+        assert.equal((await save('Duplicate')).status, 201);
+        assert.equal((await save('duplicate')).status, 409);
+        assert.equal((await save('Duplicate', INPUTS, otherCompany)).status, 201);
+    });
+
+    test('inputs are checked against the methodology', async () => {
+        const { status, body } = await save('Bad area', { ...INPUTS, areaHectares: 0 });
+        assert.equal(status, 400);
+        assert.match(body.errors[0], /Area must be more than 0/);
+        assert.equal((await save('No price', { ...INPUTS, carbonPrice: 0 })).status, 400);
+    });
+
+    test('other users cannot see or change a scenario', async () => {
+        const { body } = await save('Private');
+
+        assert.equal((await update(body.data, { name: 'Taken' }, otherCompany)).status, 404);
+        assert.equal((await api.request(`/scenarios/${body.data.id}`, { method: 'DELETE', token: otherCompany.token })).status, 404);
+        const listed = await api.request('/scenarios', { token: otherCompany.token });
+        assert.ok(!listed.body.some(scenario => scenario.id === body.data.id));
+    });
+});
+
+describe('comparison export', () => {
+    test('has a CSV row per scenario and year with formula cells neutralised', async () => {
+        const { status, body } = await api.request('/scenarios/export?format=csv', {
+            method: 'POST',
+            body: { scenarios: [{ name: '=HYPERLINK("x")', inputs: INPUTS }, { name: 'Short', inputs: { ...INPUTS, years: 5 } }] }
+        });
+        assert.equal(status, 200);
+
+        const rows = body.trim().split('\r\n');
+        assert.equal(rows.length, 1 + 20 + 5);
+        assert.ok(rows[1].startsWith('"\'=HYPERLINK(""x"")"'));
+    });
+
+    test('compares one to four scenarios', async () => {
+        const scenarios = Array.from({ length: 5 }, () => ({ inputs: INPUTS }));
+        const { status } = await api.request('/scenarios/export', { method: 'POST', body: { scenarios } });
+        assert.equal(status, 400);
+    });
+});
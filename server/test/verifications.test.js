@@ -0,0 +1,89 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startApi, createAccount, createProject, registerFarmer, cleanUp } = require('./helpers');
+
+let api;
+let farmer;
+let otherFarmer;
+let company;
+let verifier;
+
+before(async () => {
+    api = await startApi();
+    [farmer, otherFarmer, company, verifier] = await Promise.all([
+        createAccount('farmer'),
+        createAccount('farmer'),
+        createAccount('company'),
+        createAccount('verifier')
+    ]);
+});
+
+after(async () => {
+    await api.close();
+    await cleanUp();
+});
+
+const submit = (project, account = farmer) => api.request(`/projects/${project.id}/verification`, {
+    method: 'POST',
+    token: account.token
+});
+
+const closeCase = (verificationId, status) => db.query(
+    'UPDATE verifications SET status = $2, completed_at = NOW() WHERE id = $1',
+    [verificationId, status]
+);
+
+describe('opening verification cases', () => {
+    test('registering a farmer puts an initial case in the verifier queue', async () => {
+        const registered = await registerFarmer();
+
+        const { status, body } = await api.request(
+            `/verifications?assigned=unassigned&search=${encodeURIComponent(registered.fullName)}`,
+            { token: verifier.token }
+        );
+        assert.equal(status, 200);
+        assert.equal(body.items.length, 1);
+        assert.equal(body.items[0].projectId, registered.projectId);
+        assert.equal(body.items[0].verificationType, 'initial');
+        assert.equal(body.items[0].status, 'pending');
+        assert.ok(body.items[0].estimatedTco2e > 0);
+    });
+
+    test('a project has one open case at a time', async () => {
+        const project = await createProject(farmer);
+
+        const { status, body } = await submit(project);
+        assert.equal(status, 409);
+        assert.match(body.message, /already has a verification in progress/);
+    });
+
+    test('only the owner can submit a project', async () => {
+        const project = await createProject(farmer);
+        await closeCase(project.verificationId, 'rejected');
+
+        assert.equal((await submit(project, otherFarmer)).status, 403);
+        assert.equal((await submit(project, company)).status, 403);
+        assert.equal((await submit({ id: '00000000-0000-0000-0000-000000000000' })).status, 404);
+    });
+
+    test('a rejected project is resubmitted as initial and a verified one as periodic', async () => {
+        const project = await createProject(farmer);
+        await closeCase(project.verificationId, 'rejected');
+
+        const resubmitted = await submit(project);
+        assert.equal(resubmitted.status, 201);
+        assert.equal(resubmitted.body.data.verificationType, 'initial');
+        assert.equal(resubmitted.body.data.status, 'pending');
+
+        await closeCase(resubmitted.body.data.id, 'approved');
+        const periodic = await submit(project);
+        assert.equal(periodic.status, 201);
+        assert.equal(periodic.body.data.verificationType, 'periodic');
+
+        const { status, body } = await api.request(`/verifications/${periodic.body.data.id}`, { token: verifier.token });
+        assert.equal(status, 200);
+        assert.equal(body.status, 'pending');
+        const history = await api.request(`/projects/${project.id}/verification`, { token: farmer.token });
+        assert.deepEqual(history.body.verifications.map(verification => verification.type), ['periodic', 'initial', 'initial']);
+    });
+});